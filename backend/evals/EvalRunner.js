@@ -0,0 +1,408 @@
+/**
+ * Agent Evaluation Runner
+ *
+ * Replays golden conversations (evals/conversations/*.json) against the
+ * AgentOrchestrator and checks, turn by turn, which agents ran, which
+ * tools they called with which parameters, and what the guest was told. At the
+ * end of a conversation the reservations it booked are checked in the database.
+ *
+ * The LLM is the fake provider: either the default fake script plus the
+ * conversation's own rules, or the responses recorded from a real model with
+ * --record (evals/recordings/<id>.json), replayed in order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import AgentOrchestrator from '../services/agents/AgentOrchestrator.js';
+import { MemorySessionStore } from '../services/SessionStore.js';
+import llmProvider, { DEFAULT_FAKE_SCRIPT, parseFakeScript } from '../services/LLMProvider.js';
+import db from '../config/database.js';
+import TimezoneUtils from '../utils/timezoneUtils.js';
+import BotConfigService from '../services/BotConfigService.js';
+
+const EVALS_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const CONVERSATIONS_DIR = path.join(EVALS_DIR, 'conversations');
+export const RECORDINGS_DIR = path.join(EVALS_DIR, 'recordings');
+
+const RECORDED_METHODS = ['generateText', 'streamText', 'callTool'];
+
+/**
+ * Load the golden conversations, sorted by file name
+ */
+export function loadConversations(dir = CONVERSATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const conversation = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            if (!conversation.id || !Array.isArray(conversation.turns) || conversation.turns.length === 0) {
+                throw new Error(`Conversation ${file} needs an id and at least one turn`);
+            }
+            return conversation;
+        });
+}
+
+/**
+ * Fill in date placeholders so golden conversations never go stale:
+ * {{today}}, {{tomorrow}} and {{date+N}} (N days from today in Athens)
+ */
+export function resolveTemplates(value, today = TimezoneUtils.getCurrentAthensDate()) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{(today|tomorrow|date\+(\d+))\}\}/g, (placeholder, name, days) => {
+            const offset = name === 'today' ? 0 : name === 'tomorrow' ? 1 : parseInt(days);
+            const date = new Date(`${today}T12:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + offset);
+            return date.toISOString().split('T')[0];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTemplates(item, today));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, today)]));
+    }
+    return value;
+}
+
+/**
+ * Compare an expected value with what the system produced. Objects match on the
+ * keys they list, times match with or without seconds, and numbers match the
+ * strings Postgres returns for NUMERIC columns.
+ */
+export function matchesExpected(expected, actual) {
+    if (expected === null || expected === undefined) {
+        return actual === null || actual === undefined;
+    }
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual)
+            && expected.length === actual.length
+            && expected.every((item, index) => matchesExpected(item, actual[index]));
+    }
+    if (typeof expected === 'object') {
+        return Boolean(actual) && typeof actual === 'object'
+            && Object.entries(expected).every(([key, value]) => matchesExpected(value, actual[key]));
+    }
+    if (actual instanceof Date) {
+        const local = `${actual.getFullYear()}-${String(actual.getMonth() + 1).padStart(2, '0')}-${String(actual.getDate()).padStart(2, '0')}`;
+        return String(expected) === local;
+    }
+    if (typeof expected === 'number') {
+        return actual !== null && actual !== '' && Number(actual) === expected;
+    }
+    if (typeof expected === 'string' && /^\d{1,2}:\d{2}$/.test(expected) && /^\d{2}:\d{2}:\d{2}$/.test(String(actual))) {
+        return String(actual).slice(0, 5) === expected.padStart(5, '0');
+    }
+    return expected === actual;
+}
+
+/**
+ * Record every top-level call made to an LLM provider until stop() is called.
+ * Calls an adapter makes to itself (callTool falling back to generateText) are
+ * part of the outer call and not recorded twice.
+ */
+export function recordLLMCalls(llm) {
+    const exchanges = [];
+    const insideCall = new AsyncLocalStorage();
+
+    for (const method of RECORDED_METHODS) {
+        const original = llm[method];
+        llm[method] = (...args) => {
+            if (insideCall.getStore()) {
+                return original.apply(llm, args);
+            }
+            // Keep the order the calls were made in, which is the order a replay asks in
+            const messages = typeof args[0] === 'string' ? [{ content: args[0] }] : args[0];
+            const exchange = { method, prompt: messages.at(-1).content.slice(0, 120), output: null };
+            exchanges.push(exchange);
+            return insideCall.run(true, async () => {
+                exchange.output = await original.apply(llm, args);
+                return exchange.output;
+            });
+        };
+    }
+
+    return {
+        exchanges,
+        stop() {
+            RECORDED_METHODS.forEach(method => delete llm[method]);
+        }
+    };
+}
+
+/**
+ * Fake provider rule that answers with recorded responses in order.
+ * Tool calls are handed back as the JSON plan the fake turns into a call.
+ */
+export function createReplay(exchanges) {
+    const replay = { remaining: [...exchanges], exhausted: false };
+    replay.rule = {
+        match: /[\s\S]*/,
+        response: () => {
+            const exchange = replay.remaining.shift();
+            if (!exchange) {
+                replay.exhausted = true;
+                return '';
+            }
+            if (exchange.method !== 'callTool') {
+                return exchange.output;
+            }
+            return exchange.output.name
+                ? JSON.stringify({ tool_to_call: exchange.output.name, parameters: exchange.output.args })
+                : exchange.output.text || '';
+        }
+    };
+    return replay;
+}
+
+const check = (name, expected, actual, passed = matchesExpected(expected, actual)) => ({ name, passed, expected, actual });
+
+export class EvalRunner {
+    constructor({
+        llm = llmProvider,
+        database = db,
+        record = false,
+        recordingsDir = RECORDINGS_DIR,
+        keepReservations = false
+    } = {}) {
+        this.llm = llm;
+        this.db = database;
+        this.record = record;
+        this.recordingsDir = recordingsDir;
+        this.keepReservations = keepReservations;
+        this.databaseAvailable = null;
+    }
+
+    /**
+     * Whether reservation rows can be checked; conversations that need them are skipped otherwise
+     */
+    async hasDatabase() {
+        if (this.databaseAvailable === null) {
+            try {
+                await this.db.query('SELECT 1');
+                this.databaseAvailable = true;
+            } catch (error) {
+                console.warn(`⚠️ Evals running without a database: ${error.message}`);
+                this.databaseAvailable = false;
+            }
+        }
+        return this.databaseAvailable;
+    }
+
+    /**
+     * Point the LLM at this conversation's responses. Returns the mode and, when
+     * replaying or recording, the object that tracks the recorded responses.
+     */
+    prepareLLM(conversation) {
+        if (this.record) {
+            return { mode: 'record', recorder: recordLLMCalls(this.llm) };
+        }
+        if (!Array.isArray(this.llm.rules)) {
+            throw new Error('Evals replay on the fake LLM provider: run with LLM_PROVIDER=fake, or pass --record to record a real model');
+        }
+
+        const recordingFile = path.join(this.recordingsDir, `${conversation.id}.json`);
+        if (fs.existsSync(recordingFile)) {
+            const replay = createReplay(JSON.parse(fs.readFileSync(recordingFile, 'utf8')));
+            this.llm.rules = [replay.rule];
+            return { mode: 'replay', replay };
+        }
+
+        this.llm.rules = [
+            ...parseFakeScript(conversation.script || [], `Conversation ${conversation.id} script`),
+            ...DEFAULT_FAKE_SCRIPT
+        ];
+        return { mode: 'fake' };
+    }
+
+    /**
+     * Check one turn against its expectations
+     */
+    checkTurn(expect, turn) {
+        const checks = [];
+
+        if (expect.agents) {
+            checks.push(check('agents', expect.agents, turn.agents));
+        }
+        if (expect.tools) {
+            checks.push(check('tools', expect.tools, turn.toolCalls.map(call => call.tool)));
+        }
+        for (const [tool, parameters] of Object.entries(expect.parameters || {})) {
+            const call = turn.toolCalls.find(toolCall => toolCall.tool === tool);
+            checks.push(check(`${tool} parameters`, parameters, call ? call.parameters : null));
+        }
+        if (expect.type) {
+            checks.push(check('response type', expect.type, turn.type));
+        }
+        if (expect.language) {
+            checks.push(check('language', expect.language, turn.language));
+        }
+        for (const text of [].concat(expect.responseIncludes || [])) {
+            const passed = typeof turn.response === 'string' && turn.response.toLowerCase().includes(text.toLowerCase());
+            checks.push(check('response includes', text, turn.response, passed));
+        }
+
+        return checks;
+    }
+
+    /**
+     * Compare the reservations booked in the conversation with the expected rows, in booking order
+     */
+    async checkReservations(expected, reservationIds) {
+        const rows = reservationIds.length === 0 ? [] : await this.db.query(
+            `SELECT reservation_id, reservation_name, reservation_email, reservation_phone, reservation_date,
+                    reservation_time, guests, table_type, status, deposit_status, restaurant_id
+             FROM reservation
+             WHERE reservation_id = ANY($1::int[])
+             ORDER BY reservation_id`,
+            [reservationIds]
+        );
+        return check('reservations', expected, rows);
+    }
+
+    /**
+     * Replay one conversation and return its turns, checks and status
+     */
+    async runConversation(source) {
+        const conversation = resolveTemplates(source);
+        const startedAt = Date.now();
+        const result = {
+            id: conversation.id,
+            title: conversation.title || conversation.id,
+            mode: null,
+            status: 'passed',
+            turns: [],
+            checks: [],
+            durationMs: 0
+        };
+
+        const needsDatabase = (conversation.requires || []).includes('database') || Boolean(conversation.expect?.reservations);
+        if (needsDatabase && !(await this.hasDatabase())) {
+            return { ...result, status: 'skipped', reason: 'needs a database' };
+        }
+
+        const { mode, recorder, replay } = this.prepareLLM(conversation);
+        result.mode = mode;
+
+        const orchestrator = new AgentOrchestrator({ store: new MemorySessionStore() });
+        const sessionId = `eval-${conversation.id}-${startedAt}`;
+        const restaurantId = conversation.restaurantId || 1;
+        // Tablio settings for this conversation on top of the defaults; without them the
+        // restaurant's saved settings are used
+        const options = conversation.settings ? {
+            botConfig: BotConfigService.applySettings(
+                BotConfigService.defaultConfig(restaurantId),
+                BotConfigService.validateSettings(conversation.settings)
+            )
+        } : {};
+        const history = [];
+        const reservationIds = [];
+
+        try {
+            for (const turn of conversation.turns) {
+                const agents = [];
+                const response = await orchestrator.processMessage(
+                    turn.user,
+                    history,
+                    restaurantId,
+                    sessionId,
+                    (event, data) => {
+                        if (event === 'agent') agents.push(data.agent);
+                    },
+                    options
+                );
+
+                const toolCalls = response.orchestrator?.toolCalls || [];
+                for (const call of toolCalls) {
+                    if (call.reservationId && !reservationIds.includes(call.reservationId)) {
+                        reservationIds.push(call.reservationId);
+                    }
+                }
+
+                const turnResult = {
+                    user: turn.user,
+                    response: response.response,
+                    type: response.type,
+                    language: response.orchestrator?.language,
+                    agents,
+                    toolCalls
+                };
+                turnResult.checks = this.checkTurn(turn.expect || {}, turnResult);
+                result.turns.push(turnResult);
+
+                history.push({ sender: 'user', text: turn.user }, { sender: 'ai', text: response.response });
+            }
+
+            if (conversation.expect?.reservations) {
+                result.checks.push(await this.checkReservations(conversation.expect.reservations, reservationIds));
+            }
+            if (replay) {
+                result.checks.push(check('recording replayed in full', 0, replay.remaining.length, !replay.exhausted && replay.remaining.length === 0));
+            }
+        } catch (error) {
+            result.checks.push(check('conversation ran', 'no error', error.message, false));
+        } finally {
+            if (recorder) {
+                recorder.stop();
+                fs.mkdirSync(this.recordingsDir, { recursive: true });
+                fs.writeFileSync(path.join(this.recordingsDir, `${conversation.id}.json`), `${JSON.stringify(recorder.exchanges, null, 2)}\n`);
+            }
+            if (reservationIds.length > 0 && !this.keepReservations) {
+                await this.db.query('DELETE FROM reservation WHERE reservation_id = ANY($1::int[])', [reservationIds])
+                    .catch(error => console.warn(`⚠️ Could not remove eval reservations ${reservationIds.join(', ')}: ${error.message}`));
+            }
+        }
+
+        const allChecks = [...result.turns.flatMap(turn => turn.checks), ...result.checks];
+        result.status = allChecks.every(item => item.passed) ? 'passed' : 'failed';
+        result.durationMs = Date.now() - startedAt;
+        return result;
+    }
+
+    /**
+     * Replay every conversation and build the report
+     */
+    async run(conversations) {
+        const startedAt = new Date().toISOString();
+        const results = [];
+        for (const conversation of conversations) {
+            results.push(await this.runConversation(conversation));
+        }
+
+        return {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            provider: this.llm.name,
+            database: this.databaseAvailable === true,
+            total: results.length,
+            passed: results.filter(item => item.status === 'passed').length,
+            failed: results.filter(item => item.status === 'failed').length,
+            skipped: results.filter(item => item.status === 'skipped').length,
+            conversations: results
+        };
+    }
+}
+
+/**
+ * Plain-text summary of a report, with the failed checks of each conversation
+ */
+export function formatReport(report) {
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    const lines = report.conversations.map(conversation => {
+        const header = `${icons[conversation.status]} ${conversation.id} - ${conversation.title}`
+            + (conversation.status === 'skipped' ? ` (${conversation.reason})` : ` [${conversation.mode}, ${conversation.durationMs}ms]`);
+        const failures = [
+            ...conversation.turns.flatMap((turn, index) => turn.checks
+                .filter(item => !item.passed)
+                .map(item => `    turn ${index + 1} ${item.name}: expected ${JSON.stringify(item.expected)}, got ${JSON.stringify(item.actual)}`)),
+            ...conversation.checks
+                .filter(item => !item.passed)
+                .map(item => `    ${item.name}: expected ${JSON.stringify(item.expected)}, got ${JSON.stringify(item.actual)}`)
+        ];
+        return [header, ...failures].join('\n');
+    });
+
+    lines.push('', `${report.passed}/${report.total} conversations passed, ${report.failed} failed, ${report.skipped} skipped`);
+    return lines.join('\n');
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Run the Agent Evals
+ *
+ * Replays the golden conversations in evals/conversations against the agents,
+ * prints a pass/fail report and keeps it in evals/reports (latest.json plus one
+ * line per run in history.jsonl) so results can be compared over time.
+ *
+ * Usage: node evals/run-evals.js [--filter <text>] [--record] [--keep] [--out <file>]
+ *   --filter  only run conversations whose id contains <text>
+ *   --record  answer with the configured LLM_PROVIDER and save its responses to
+ *             evals/recordings, to be replayed by later runs
+ *   --keep    leave the reservations booked by the evals in the database
+ *   --out     also write the report to <file>
+ *
+ * Conversations that check reservation rows need the database from .env and are
+ * skipped when it cannot be reached. Exits with code 1 when a conversation fails.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+};
+const record = args.includes('--record');
+
+// Replays run on the fake provider; only a recording run talks to a real model
+if (!record) {
+    process.env.LLM_PROVIDER = 'fake';
+}
+// Each conversation gets its own in-memory session store
+process.env.SESSION_STORE = 'memory';
+
+// Imported after the environment is set: the LLM provider is created on import
+const { EvalRunner, loadConversations, formatReport } = await import('./EvalRunner.js');
+
+const reportsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'reports');
+
+async function runEvals() {
+    const filter = option('--filter');
+    const conversations = loadConversations().filter(conversation => !filter || conversation.id.includes(filter));
+    if (conversations.length === 0) {
+        console.error(`❌ No conversations match "${filter}"`);
+        return 1;
+    }
+
+    console.log(`🧪 Running ${conversations.length} agent eval conversation(s)${record ? ' and recording the responses' : ''}...\n`);
+    const runner = new EvalRunner({ record, keepReservations: args.includes('--keep') });
+    const report = await runner.run(conversations);
+
+    console.log(`\n${formatReport(report)}`);
+
+    fs.mkdirSync(reportsDir, { recursive: true });
+    fs.writeFileSync(path.join(reportsDir, 'latest.json'), `${JSON.stringify(report, null, 2)}\n`);
+    fs.appendFileSync(path.join(reportsDir, 'history.jsonl'), `${JSON.stringify({
+        startedAt: report.startedAt,
+        provider: report.provider,
+        total: report.total,
+        passed: report.passed,
+        failed: report.failed,
+        skipped: report.skipped,
+        failedConversations: report.conversations.filter(item => item.status === 'failed').map(item => item.id)
+    })}\n`);
+    if (option('--out')) {
+        fs.writeFileSync(option('--out'), `${JSON.stringify(report, null, 2)}\n`);
+    }
+
+    return report.failed > 0 ? 1 : 0;
+}
+
+runEvals()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('❌ Evals could not run:', error.message);
+        process.exit(1);
+    });
@@ -5,6 +5,14 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { fileURLToPath } from 'url';
 import RestaurantService from './services/RestaurantService.js';
+import WaitlistService from './services/WaitlistService.js';
+import DepositService from './services/DepositService.js';
+import sessionStore from './services/SessionStore.js';
+import TranscriptService from './services/TranscriptService.js';
+import GuardrailService from './services/GuardrailService.js';
+import NotificationService from './services/NotificationService.js';
+import WebhookService from './services/WebhookService.js';
+import LiveUpdateService from './services/LiveUpdateService.js';
 import basicAuth from './middleware/basicAuth.js';
 import chatRouter from './routes/chat.js';
 import reservationRouter from './routes/reservation.js';
@@ -14,25 +22,37 @@ import locationRoutes from './routes/location.js';
 import multiAgentWorkflowRouter from './routes/multiAgentWorkflow.js';
 import dashboardRouter from './routes/dashboard.js';
 import restaurantRouter from './routes/restaurants.js';
+import waitlistRouter from './routes/waitlist.js';
+import paymentsRouter from './routes/payments.js';
 
 dotenv.config({ path: './.env' });
 
+// Guest emails and phone numbers stay out of the server logs
+GuardrailService.redactConsole();
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind Azure's front end or another proxy, req.ip (which the chat limits are keyed
+// on) comes from X-Forwarded-For; TRUST_PROXY is the number of proxies in front
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware - disabled in development for debugging
 if (process.env.NODE_ENV !== 'development') {
   app.use(helmet({
     contentSecurityPolicy: {
       directives: {
         defaultSrc: ["'self'"],
-        scriptSrc: ["'self'", "'unsafe-inline'", "https://maps.googleapis.com"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "https://maps.googleapis.com", "https://js.stripe.com"],
+        frameSrc: ["'self'", "https://js.stripe.com", "https://hooks.stripe.com"],
         styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
         fontSrc: ["'self'", "https://fonts.gstatic.com"],
         imgSrc: ["'self'", "data:", "https:", "http:"],
-        connectSrc: ["'self'", "https://api.gemini.com", "https://maps.googleapis.com"]
+        connectSrc: ["'self'", "https://api.gemini.com", "https://maps.googleapis.com", "https://api.stripe.com"]
       }
     },
     hsts: {
@@ -52,6 +72,9 @@ app.use(cors({
   credentials: true
 }));
 
+// Payment Routes - the Stripe webhook needs the raw body, so mount before JSON parsing
+app.use('/api/payments', paymentsRouter);
+
 // Middleware to parse JSON
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -98,6 +121,9 @@ app.get('/api/restaurants', async (req, res) => {
   }
 });
 
+// Waitlist Routes (public join + staff management) - before the authenticated restaurant router
+app.use('/api/restaurants/:restaurantId/waitlist', waitlistRouter);
+
 // Authenticated Restaurant Routes
 app.use('/api/restaurants', restaurantRouter);
 
@@ -137,9 +163,57 @@ app.get('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 TableTurn App running on http://localhost:${PORT}`);
   console.log(`🌐 API endpoints available at http://localhost:${PORT}/api`);
   console.log(`🔐 Authentication endpoints at http://localhost:${PORT}/api/auth`);
+  console.log(`⚡ Live dashboard updates at ws://localhost:${PORT}/api/live`);
   console.log(`📱 Frontend served from the same domain - it's one unified app!`);
-});
\ No newline at end of file
+});
+
+// Dashboards and table maps subscribe here for reservation, table and chat changes
+LiveUpdateService.attach(server).catch(error => {
+  console.error('❌ Error starting live updates:', error);
+});
+
+// Release waitlist holds that guests did not confirm in time
+setInterval(() => {
+  WaitlistService.expireHolds().catch(error => {
+    console.error('❌ Error expiring waitlist holds:', error);
+  });
+}, 60 * 1000);
+
+// Cancel deposit bookings the guest did not pay for in time, freeing their tables
+setInterval(() => {
+  DepositService.releaseUnpaidHolds().catch(error => {
+    console.error('❌ Error releasing unpaid deposit holds:', error);
+  });
+}, 60 * 1000);
+
+// Send queued confirmations, reminders and retries that are due
+setInterval(() => {
+  NotificationService.processDueJobs().catch(error => {
+    console.error('❌ Error sending notifications:', error);
+  });
+}, 60 * 1000);
+
+// Deliver queued webhook events and retries that are due
+setInterval(() => {
+  WebhookService.processDueJobs().catch(error => {
+    console.error('❌ Error delivering webhooks:', error);
+  });
+}, 60 * 1000);
+
+// Forget chat sessions that have passed their TTL
+setInterval(() => {
+  sessionStore.purgeExpired().catch(error => {
+    console.error('❌ Error purging expired chat sessions:', error);
+  });
+}, 15 * 60 * 1000);
+
+// Close inbox conversations the guest has walked away from
+setInterval(() => {
+  TranscriptService.closeIdleConversations().catch(error => {
+    console.error('❌ Error closing idle chat conversations:', error);
+  });
+}, 15 * 60 * 1000);
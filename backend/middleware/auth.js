@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import db from '../config/database.js';
+import AuthService from '../services/AuthService.js';
+import StaffService from '../services/StaffService.js';
+import CalendarService from '../services/CalendarService.js';
 
 // Verify JWT token - Remove subscription requirement for now
 export const authenticateToken = async (req, res, next) => {
@@ -33,6 +36,22 @@ export const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Like authenticateToken, but signing in is optional: req.user is set only for a
+// valid access token, and the request goes on either way
+export const identifyAccount = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token) {
+        try {
+            req.user = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            req.user = null;
+        }
+    }
+    next();
+};
+
 // Check if user owns the restaurant/venue
 export const authorizeVenue = async (req, res, next) => {
     try {
@@ -48,40 +67,131 @@ export const authorizeVenue = async (req, res, next) => {
     }
 };
 
-// Check dashboard access - owners can only view their restaurant, admin (user ID 1) can view any
-export const checkDashboardAccess = async (req, res, next) => {
+// Verify a guest manage token for /api/reservation/:id (query ?token= or X-Manage-Token header)
+export const authorizeReservationToken = (req, res, next) => {
+    const token = req.query.token || req.headers['x-manage-token'];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Manage token required', code: 'MANAGE_TOKEN_REQUIRED' });
+    }
+
     try {
-        const requestedRestaurantId = parseInt(req.params.restaurantId);
-        const userRestaurantId = req.user.restaurantId;
-        const userId = req.user.id;
-        
-        // Check if user exists
-        const [owners] = await db.execute(
-            'SELECT id FROM owners WHERE id = $1',
-            [userId]
-        );
+        const reservationId = AuthService.verifyManageToken(token);
+        if (reservationId !== parseInt(req.params.id)) {
+            return res.status(403).json({ error: 'Token does not match this reservation', code: 'MANAGE_TOKEN_MISMATCH' });
+        }
+        req.reservationId = reservationId;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Manage token expired', code: 'MANAGE_TOKEN_EXPIRED' });
+        }
+        return res.status(403).json({ error: 'Invalid manage token', code: 'MANAGE_TOKEN_INVALID' });
+    }
+};
 
-        if (owners.length === 0) {
+// Verify a guest waitlist token for /api/restaurants/:restaurantId/waitlist/:entryId
+export const authorizeWaitlistToken = (req, res, next) => {
+    const token = req.query.token || req.headers['x-waitlist-token'];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Waitlist token required', code: 'WAITLIST_TOKEN_REQUIRED' });
+    }
+
+    try {
+        const entryId = AuthService.verifyWaitlistToken(token);
+        if (entryId !== parseInt(req.params.entryId)) {
+            return res.status(403).json({ error: 'Token does not match this waitlist entry', code: 'WAITLIST_TOKEN_MISMATCH' });
+        }
+        req.waitlistEntryId = entryId;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Waitlist token expired', code: 'WAITLIST_TOKEN_EXPIRED' });
+        }
+        return res.status(403).json({ error: 'Invalid waitlist token', code: 'WAITLIST_TOKEN_INVALID' });
+    }
+};
+
+// Verify a guest series token for /api/reservation/series/:seriesId (query ?token= or X-Series-Token header)
+export const authorizeSeriesToken = (req, res, next) => {
+    const token = req.query.token || req.headers['x-series-token'];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Series token required', code: 'SERIES_TOKEN_REQUIRED' });
+    }
+
+    try {
+        const seriesId = AuthService.verifySeriesToken(token);
+        if (seriesId !== parseInt(req.params.seriesId)) {
+            return res.status(403).json({ error: 'Token does not match this series', code: 'SERIES_TOKEN_MISMATCH' });
+        }
+        req.seriesId = seriesId;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Series token expired', code: 'SERIES_TOKEN_EXPIRED' });
+        }
+        return res.status(403).json({ error: 'Invalid series token', code: 'SERIES_TOKEN_INVALID' });
+    }
+};
+
+// Check the feed secret for /api/restaurants/:restaurantId/calendar.ics (query ?token=)
+// against the restaurant's current one; a rotated secret no longer opens the feed
+export const authorizeCalendarFeedToken = async (req, res, next) => {
+    const token = req.query.token;
+
+    if (!token) {
+        return res.status(401).json({ error: 'Calendar feed token required', code: 'CALENDAR_TOKEN_REQUIRED' });
+    }
+
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        if (!await CalendarService.verifyFeedSecret(restaurantId, token)) {
+            return res.status(403).json({ error: 'Invalid calendar feed token', code: 'CALENDAR_TOKEN_INVALID' });
+        }
+        req.restaurantId = restaurantId;
+        next();
+    } catch (error) {
+        console.error('Calendar feed auth error:', error);
+        return res.status(500).json({ error: 'Authorization check failed' });
+    }
+};
+
+// Check the signed-in account's role at req.params.restaurantId allows `permission`
+// (see PERMISSIONS in StaffService). Sets req.user.role: 'admin' for platform admins,
+// otherwise owner, manager, host or accountant.
+export const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        const access = await StaffService.getAccess(req.user.id, parseInt(req.params.restaurantId));
+
+        if (!access) {
             return res.status(403).json({ error: 'User not found' });
         }
 
-        // Admin can access any restaurant dashboard (ONLY user ID 1 - Sotiris)
-        if (userId === 1) {
-            req.user.role = 'admin';
-            return next();
+        if (!access.role) {
+            return res.status(403).json({ 
+                error: 'Access denied. You can only view the dashboards of restaurants you work at.' 
+            });
         }
 
-        // Owner can only access their own restaurant dashboard
-        if (userRestaurantId === requestedRestaurantId) {
-            req.user.role = 'owner';
-            return next();
+        req.user.role = access.role;
+        req.user.permissions = access.permissions;
+
+        if (!StaffService.can(access.role, permission)) {
+            return res.status(403).json({
+                error: `Your role (${access.role}) does not allow this`,
+                code: 'PERMISSION_DENIED',
+                permission
+            });
         }
 
-        return res.status(403).json({ 
-            error: 'Access denied. You can only view your own restaurant dashboard.' 
-        });
+        next();
     } catch (error) {
         console.error('Dashboard auth error:', error);
         return res.status(500).json({ error: 'Authorization check failed' });
     }
-};
\ No newline at end of file
+};
+
+// Check dashboard access - any member of the restaurant's staff, or a platform admin
+export const checkDashboardAccess = requirePermission('dashboard.view');
@@ -1,7 +1,8 @@
 import express from 'express';
 import AuthService from '../services/AuthService.js';
 import StripeService from '../services/StripeService.js';
-import { authenticateToken } from '../middleware/auth.js';
+import StaffService, { STAFF_ROLES } from '../services/StaffService.js';
+import { authenticateToken, identifyAccount } from '../middleware/auth.js';
 import db from '../config/database.js';
 
 const router = express.Router();
@@ -76,4 +77,71 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Staff invitation: what the emailed link invites to (?token=)
+router.get('/invitation', async (req, res) => {
+    try {
+        const invitation = await StaffService.getInvitation(req.query.token);
+        res.json({
+            restaurantName: invitation.restaurant_name,
+            email: invitation.email,
+            role: invitation.role,
+            roleLabel: STAFF_ROLES[invitation.role],
+            hasAccount: invitation.has_account,
+            // 'local' accounts can accept with their password, the others by signing in
+            accountProvider: invitation.account_provider || null,
+            expiresAt: invitation.expires_at
+        });
+    } catch (error) {
+        res.status(404).json({ error: 'Invitation not found or no longer valid' });
+    }
+});
+
+// Accept a staff invitation. Signed-in accounts send their access token; other
+// existing accounts send their password and are logged in; new ones also send
+// firstName, lastName and optionally phone, then sign in with the new password.
+router.post('/invitation/accept', identifyAccount, async (req, res) => {
+    try {
+        const { token, password, firstName, lastName, phone } = req.body;
+        const signedInOwnerId = req.user ? req.user.id : null;
+        const { ownerId, passwordChecked } = await StaffService.acceptInvitation(
+            token,
+            { password, firstName, lastName, phone },
+            signedInOwnerId
+        );
+
+        // Only a checked password or an existing session starts a session, never the link alone
+        if (!passwordChecked) {
+            return res.json({
+                message: 'Invitation accepted',
+                signInRequired: ownerId !== signedInOwnerId
+            });
+        }
+
+        const result = await AuthService.loginById(ownerId);
+        res.json({
+            message: 'Invitation accepted',
+            owner: result.owner,
+            accessToken: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken
+        });
+    } catch (error) {
+        // Checked first: a missing token fails with "jwt must be provided"
+        if (error.message === 'Invitation not found or no longer valid' || error.message === 'Invalid invitation token'
+            || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(404).json({ error: 'Invitation not found or no longer valid' });
+        }
+        if (error.message === 'Invalid credentials') {
+            return res.status(401).json({ error: error.message });
+        }
+        if (error.message === 'Sign in to accept this invitation') {
+            return res.status(401).json({ error: error.message, code: 'SIGN_IN_REQUIRED' });
+        }
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Accept invitation error:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -1,18 +1,44 @@
 import express from 'express';
 import { askGemini } from '../services/AIService.js';
 import AgentOrchestrator from '../services/agents/AgentOrchestrator.js';
+import TranscriptService from '../services/TranscriptService.js';
+import GuardrailService from '../services/GuardrailService.js';
 
 const router = express.Router();
 
 // Initialize the multi-agent orchestrator
 const orchestrator = new AgentOrchestrator();
 
+// Keep the exchange for the owner's chat inbox. Runs after the reply is sent so a
+// transcript failure never costs the guest their answer.
+function recordTranscript(sessionId, restaurantId, userMessage, result) {
+  if (!sessionId) return;
+  TranscriptService.recordExchange({ sessionId, restaurantId, userMessage, result })
+    .catch(error => console.error('Error recording chat transcript:', error));
+}
+
+// While staff hold the conversation Tablio stays quiet: the guest's message goes
+// to the staff and their replies arrive through GET /session/:sessionId/staff
+async function passToStaff(sessionId, restaurantId, message) {
+  if (!sessionId) return null;
+
+  const handoff = await TranscriptService.getHandoff(sessionId, restaurantId);
+  if (!handoff) return null;
+
+  await TranscriptService.recordGuestMessage(handoff.conversationId, message);
+  return {
+    response: null,
+    type: 'handoff',
+    handoff: { status: handoff.status, staffName: handoff.staffName },
+    timestamp: new Date().toISOString()
+  };
+}
+
 router.post('/', async (req, res) => {
   try {
     console.log('=== MULTI-AGENT CHAT ROUTE CALLED ===');
-    console.log('Request body:', req.body);
-    
     const { message, history = [], restaurantId = null, useMultiAgent = true, sessionId = null } = req.body;
+    console.log('Chat request:', { sessionId, restaurantId, historyLength: history.length });
     
     // Use default restaurant ID (1 for Lofaki Taverna) if none provided
     const effectiveRestaurantId = restaurantId || 1;
@@ -22,13 +48,18 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    const staffResult = await passToStaff(sessionId, effectiveRestaurantId, message);
+    if (staffResult) {
+      return res.json(staffResult);
+    }
+
     let result;
     
     if (useMultiAgent) {
       console.log('🎭 Using Multi-Agent System');
-      console.log('Processing with orchestrator:', { message, historyLength: history.length, restaurantId: effectiveRestaurantId });
+      console.log('Processing with orchestrator:', { message: GuardrailService.redactPII(message), historyLength: history.length, restaurantId: effectiveRestaurantId });
       
-      result = await orchestrator.processMessage(message, history, effectiveRestaurantId, sessionId);
+      result = await orchestrator.processMessage(message, history, effectiveRestaurantId, sessionId, null, { clientId: req.ip });
       
       console.log('=== MULTI-AGENT RESPONSE READY ===');
       console.log('Active agent:', result.orchestrator?.agent);
@@ -36,7 +67,7 @@ router.post('/', async (req, res) => {
       console.log('Response type:', result.type);
     } else {
       console.log('🤖 Using Legacy Single-Agent System');
-      console.log('Calling askGemini with:', { message, historyLength: history.length, restaurantId: effectiveRestaurantId });
+      console.log('Calling askGemini with:', { message: GuardrailService.redactPII(message), historyLength: history.length, restaurantId: effectiveRestaurantId });
       
       result = await askGemini(message, history, effectiveRestaurantId);
       
@@ -54,6 +85,10 @@ router.post('/', async (req, res) => {
     });
     
     console.log('=== RESPONSE SENT ===');
+
+    if (useMultiAgent) {
+      recordTranscript(sessionId, effectiveRestaurantId, message, result);
+    }
     
   } catch (error) {
     console.error('=== CHAT ROUTE ERROR ===');
@@ -66,4 +101,86 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Same conversation as POST /, streamed as Server-Sent Events:
+//   plan, agent, tool_result - progress while the agents work
+//   token                    - chunks of the final response text
+//   done                     - the full result, same shape as the JSON route
+//   error                    - processing failed
+router.post('/stream', async (req, res) => {
+  const { message, history = [], restaurantId = null, sessionId = null } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Watch the response, not the request: the request closes as soon as its body
+  // has been read, long before the guest leaves
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) clientGone = true;
+  });
+
+  const send = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const staffResult = await passToStaff(sessionId, restaurantId || 1, message);
+    if (staffResult) {
+      send('done', staffResult);
+      return;
+    }
+
+    console.log('🎭 Streaming multi-agent chat:', { message: GuardrailService.redactPII(message), sessionId });
+    const result = await orchestrator.processMessage(message, history, restaurantId || 1, sessionId, send, { clientId: req.ip });
+    send('done', {
+      ...result,
+      timestamp: result.timestamp || new Date().toISOString(),
+      multiAgent: true
+    });
+    recordTranscript(sessionId, restaurantId || 1, message, result);
+  } catch (error) {
+    console.error('Streaming chat error:', error);
+    send('error', { error: 'Failed to get AI response' });
+  } finally {
+    res.end();
+  }
+});
+
+// Staff replies for the guest's chat window during a handoff.
+// ?restaurantId= and ?after=<last message_id shown>; handoff is null once Tablio is back.
+router.get('/session/:sessionId/staff', async (req, res) => {
+  try {
+    const updates = await TranscriptService.getGuestUpdates(
+      req.params.sessionId,
+      parseInt(req.query.restaurantId) || 1,
+      req.query.after
+    );
+    res.json(updates);
+  } catch (error) {
+    console.error('Error fetching staff replies:', error);
+    res.status(500).json({ error: 'Failed to fetch staff replies' });
+  }
+});
+
+// Forget a chat session (booking in progress, interrupted flow)
+router.delete('/session/:sessionId', async (req, res) => {
+  try {
+    await orchestrator.clearSessionState(req.params.sessionId);
+    res.json({ message: 'Session cleared' });
+  } catch (error) {
+    console.error('Error clearing chat session:', error);
+    res.status(500).json({ error: 'Failed to clear session' });
+  }
+});
+
 export default router;
\ No newline at end of file
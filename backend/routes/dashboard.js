@@ -1,6 +1,9 @@
 import express from 'express';
 import db from '../config/database.js';
-import { authenticateToken, checkDashboardAccess } from '../middleware/auth.js';
+import { authenticateToken, checkDashboardAccess, requirePermission } from '../middleware/auth.js';
+import TranscriptService from '../services/TranscriptService.js';
+import BotConfigService from '../services/BotConfigService.js';
+import StaffService from '../services/StaffService.js';
 
 const router = express.Router();
 
@@ -32,7 +35,8 @@ router.get('/tier1/:restaurantId', checkDashboardAccess, async (req, res) => {
                 flowers_price,
                 hotel_name,
                 created_at,
-                'confirmed' as status
+                status,
+                conversation_id
             FROM reservation 
             WHERE restaurant_id = $1 AND DATE(reservation_date) = $2
             ORDER BY reservation_time
@@ -81,12 +85,14 @@ router.get('/tier1/:restaurantId', checkDashboardAccess, async (req, res) => {
             timeSlots[timeSlot].tables += 1;
             timeSlots[timeSlot].guests += res.guests;
             timeSlots[timeSlot].reservations.push({
+                id: res.reservation_id,
                 name: res.reservation_name,
                 guests: res.guests,
                 table: res.table_id,
                 requests: null,
                 celebration: res.celebration_type || 'none',
-                status: res.status
+                status: res.status,
+                conversationId: res.conversation_id
             });
         });
 
@@ -234,7 +240,7 @@ router.get('/tier1/:restaurantId', checkDashboardAccess, async (req, res) => {
 });
 
 // Tier 2: Performance & Revenue Analytics
-router.get('/tier2/:restaurantId', checkDashboardAccess, async (req, res) => {
+router.get('/tier2/:restaurantId', requirePermission('analytics.view'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const { period = '30' } = req.query; // days
@@ -306,7 +312,7 @@ router.get('/tier2/:restaurantId', checkDashboardAccess, async (req, res) => {
 });
 
 // Tier 3: Customer & Menu Insights
-router.get('/tier3/:restaurantId', checkDashboardAccess, async (req, res) => {
+router.get('/tier3/:restaurantId', requirePermission('analytics.view'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const { period = '30' } = req.query;
@@ -358,7 +364,7 @@ router.get('/tier3/:restaurantId', checkDashboardAccess, async (req, res) => {
 });
 
 // Tier 4: AI & Operational Performance
-router.get('/tier4/:restaurantId', checkDashboardAccess, async (req, res) => {
+router.get('/tier4/:restaurantId', requirePermission('analytics.view'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         
@@ -413,6 +419,84 @@ router.get('/table-map/:restaurantId', checkDashboardAccess, async (req, res) =>
     }
 });
 
+// Waitlist tab: today's queue at a glance (the panel loads the entries itself)
+router.get('/waitlist/:restaurantId', checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+
+        const [summary] = await db.execute(`
+            SELECT
+                COUNT(*) FILTER (WHERE status = 'waiting') as waiting,
+                COUNT(*) FILTER (WHERE status = 'waiting' AND is_walk_in) as waiting_walk_ins,
+                COUNT(*) FILTER (WHERE status = 'offered') as offered,
+                COUNT(*) FILTER (WHERE status IN ('booked', 'seated')) as converted,
+                ROUND(AVG(quoted_wait_minutes) FILTER (WHERE is_walk_in)) as avg_quoted_wait_minutes
+            FROM waitlist
+            WHERE restaurant_id = $1 AND requested_date = CURRENT_DATE
+        `, [restaurantId]);
+
+        res.json({ summary: summary[0] });
+
+    } catch (error) {
+        console.error('Waitlist summary fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch waitlist summary' });
+    }
+});
+
+// Opening hours tab: special hours and closures in the next 30 days
+router.get('/hours/:restaurantId', checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+
+        const [summary] = await db.execute(`
+            SELECT
+                COUNT(DISTINCT special_date) as special_days,
+                COUNT(DISTINCT special_date) FILTER (WHERE is_closed) as closed_days,
+                TO_CHAR(MIN(special_date), 'YYYY-MM-DD') as next_special_date
+            FROM special_hours
+            WHERE restaurant_id = $1
+              AND special_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 30
+        `, [restaurantId]);
+
+        res.json({ summary: summary[0] });
+
+    } catch (error) {
+        console.error('Hours summary fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch opening hours summary' });
+    }
+});
+
+// Chat inbox tab: Tablio conversations in the last 30 days by outcome
+router.get('/inbox/:restaurantId', checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const summary = await TranscriptService.getSummary(restaurantId);
+        res.json({ summary });
+
+    } catch (error) {
+        console.error('Inbox summary fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch chat inbox summary' });
+    }
+});
+
+// Tablio settings tab: tone, switched-off modules and custom messages
+router.get('/tablio/:restaurantId', checkDashboardAccess, async (req, res) => {
+    try {
+        const config = await BotConfigService.getConfig(parseInt(req.params.restaurantId));
+        res.json({
+            summary: {
+                response_style: config.responseStyle,
+                disabled_modules: Object.keys(config.modules).filter(module => !config.modules[module]),
+                custom_templates: Object.keys(config.templates)
+            }
+        });
+
+    } catch (error) {
+        console.error('Tablio settings summary fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch Tablio settings summary' });
+    }
+});
+
 // NEW ENDPOINT: Update table position (for drag-and-drop)
 router.put('/tables/:tableId/position', authenticateToken, async (req, res) => {
     try {
@@ -432,17 +516,10 @@ router.put('/tables/:tableId/position', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Table not found' });
         }
 
-        const tableRestaurantId = tableInfo[0].restaurant_id;
-
-        // Now, apply your dashboard access logic.
-        // Assuming req.user.restaurantId is set by authenticateToken and checkDashboardAccess
-        // and req.user.role is also set (e.g., 'admin' or 'owner')
-        const userRestaurantId = req.user.restaurantId;
-        const userRole = req.user.role; // Assuming role is available on req.user
-
-        // Authorization check: Only admin or the specific restaurant owner can move tables
-        if (userRole !== 'admin' && (userRestaurantId !== tableRestaurantId || userRole !== 'owner')) {
-            return res.status(403).json({ error: 'Access denied. You can only modify tables for your own restaurant.' });
+        // The restaurant comes from the table, so check the role there (as requirePermission does)
+        const access = await StaffService.getAccess(req.user.id, tableInfo[0].restaurant_id);
+        if (!access || !StaffService.can(access.role, 'settings.manage')) {
+            return res.status(403).json({ error: 'Access denied. Your role cannot change this restaurant\'s floor plan.' });
         }
         
         // Update the table's coordinates
@@ -460,11 +537,12 @@ router.put('/tables/:tableId/position', authenticateToken, async (req, res) => {
     }
 });
 
-// Get user info for dashboard header
+// Get user info for dashboard header: the account's restaurants and, with ?restaurantId=,
+// its role and permissions there (the dashboard hides what the role cannot do)
 router.get('/user-info', authenticateToken, async (req, res) => {
     try {
         const [owners] = await db.execute(
-            'SELECT restaurant_id, email FROM owners WHERE id = $1',
+            'SELECT email, is_platform_admin FROM owners WHERE id = $1',
             [req.user.id]
         );
 
@@ -472,14 +550,21 @@ router.get('/user-info', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const userId = req.user.id;
-        
-        // Determine if user is admin (ONLY user ID 1 - Sotiris)
-        const isAdmin = userId === 1;
+        const restaurants = await StaffService.listRestaurantsForAccount(req.user.id);
+        const defaultRestaurantId = await StaffService.getDefaultRestaurantId(req.user.id);
+
+        // Without ?restaurantId= the role is the platform one, or the role at the default restaurant
+        const restaurantId = req.query.restaurantId ? parseInt(req.query.restaurantId) : defaultRestaurantId;
+        const access = restaurantId
+            ? await StaffService.getAccess(req.user.id, restaurantId)
+            : { role: owners[0].is_platform_admin ? 'admin' : null, permissions: [] };
 
         res.json({
-            restaurantId: owners[0].restaurant_id,
-            role: isAdmin ? 'admin' : 'owner',
+            restaurantId: defaultRestaurantId,
+            role: access.role,
+            permissions: access.permissions,
+            isPlatformAdmin: owners[0].is_platform_admin,
+            restaurants,
             userId: req.user.id
         });
         
@@ -513,7 +598,7 @@ router.get('/reservations/:restaurantId/:date', checkDashboardAccess, async (req
                 flowers_price,
                 hotel_name,
                 created_at,
-                'confirmed' as status
+                status
             FROM reservation 
             WHERE restaurant_id = $1 AND DATE(reservation_date) = $2
             ORDER BY reservation_time
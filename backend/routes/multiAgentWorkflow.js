@@ -27,7 +27,7 @@ router.post('/test-multi-agent', async (req, res) => {
         console.log(`📝 User query: "${message}"`);
         
         // Process the message through the orchestrator
-        const result = await orchestrator.processMessage(message, history, restaurantId);
+        const result = await orchestrator.processMessage(message, history, restaurantId, null, null, { clientId: req.ip });
         
         console.log('✅ Multi-agent workflow completed');
         
@@ -71,7 +71,7 @@ router.post('/test-scenario', async (req, res) => {
         const startTime = Date.now();
         
         // Process through orchestrator
-        const result = await orchestrator.processMessage(testMessage, [], restaurantId);
+        const result = await orchestrator.processMessage(testMessage, [], restaurantId, null, null, { clientId: req.ip });
         
         const endTime = Date.now();
         const processingTime = endTime - startTime;
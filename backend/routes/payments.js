@@ -0,0 +1,31 @@
+import express from 'express';
+import StripeService from '../services/StripeService.js';
+
+// Mounted before express.json() so the webhook sees the raw body Stripe signed
+const router = express.Router();
+
+// Stripe webhook: deposit PaymentIntent events and owner subscription events
+router.post('/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    const signature = req.headers['stripe-signature'];
+    if (!signature) {
+        return res.status(400).json({ error: 'Missing Stripe signature' });
+    }
+
+    try {
+        const result = await StripeService.handleWebhook(signature, req.body);
+        res.json(result);
+    } catch (error) {
+        console.error('Stripe webhook error:', error.message);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Publishable key for Stripe.js on the deposit payment form
+router.get('/config', (req, res) => {
+    if (!process.env.STRIPE_PUBLISHABLE_KEY) {
+        return res.status(503).json({ error: 'Payments are not configured' });
+    }
+    res.json({ publishableKey: process.env.STRIPE_PUBLISHABLE_KEY });
+});
+
+export default router;
@@ -1,11 +1,19 @@
 import express from 'express';
-import RestaurantService from '../services/RestaurantService.js';
+import RestaurantService, { toISODate } from '../services/RestaurantService.js';
+import AuthService from '../services/AuthService.js';
+import WaitlistService from '../services/WaitlistService.js';
+import DepositService from '../services/DepositService.js';
+import BookingPolicyService, { BookingPolicyError } from '../services/BookingPolicyService.js';
+import RecurringReservationService from '../services/RecurringReservationService.js';
+import { authorizeReservationToken, authorizeSeriesToken } from '../middleware/auth.js';
+import GuardrailService from '../services/GuardrailService.js';
+import CalendarService from '../services/CalendarService.js';
+import NotificationService from '../services/NotificationService.js';
 
 const router = express.Router();
 
 router.post('/', async (req, res) => {
-    console.log('Received reservation POST:', req.body);
-    console.log('Request headers:', req.headers);
+    console.log('Received reservation POST:', GuardrailService.redactPII(req.body));
     console.log('Request URL:', req.url);
     try {
         // Destructure all required fields from the request body
@@ -52,6 +60,9 @@ router.post('/', async (req, res) => {
         if (!date) {
             return res.status(400).json({ error: 'date is required' });
         }
+        if (!toISODate(String(date))) {
+            return res.status(400).json({ error: 'date must be a valid date' });
+        }
         if (!guests || guests <= 0) {
             return res.status(400).json({ error: 'guests must be a positive number' });
         }
@@ -59,8 +70,12 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'tableType is required' });
         }
 
-        // Save reservation to the database (with table availability check)
-        const reservation = await RestaurantService.createReservation({
+        // Cut-off times, advance window, online party size and blackout dates
+        await BookingPolicyService.assertBookingAllowed(venueId, { date, time, guests });
+
+        // Save reservation to the database (with table availability check).
+        // Bookings that need a deposit come back 'pending' with a PaymentIntent to confirm.
+        const { reservation, deposit } = await DepositService.createReservationWithDeposit({
             venueId,
             reservationName,
             reservationEmail,
@@ -79,12 +94,24 @@ router.post('/', async (req, res) => {
             specialRequests
         });
 
-        res.status(201).json(reservation);
+        // Signed token that lets the guest view, change or cancel this booking later
+        const manageToken = AuthService.generateManageToken(reservation.reservation_id);
+
+        res.status(201).json({ ...reservation, manageToken, deposit });
     } catch (error) {
+        if (error instanceof BookingPolicyError) {
+            return res.status(422).json({ error: error.message, code: error.code });
+        }
+        if (error.message && error.message.includes('Deposit payment is unavailable')) {
+            return res.status(503).json({ error: error.message, code: 'DEPOSIT_UNAVAILABLE' });
+        }
         // If the error is about table availability, send a 409 Conflict
-        if (error.message && error.message.includes('No tables of this type available')) {
+        if (error.message && (error.message.includes('No tables of this type available') || error.message.includes('No available tables match'))) {
             return res.status(409).json({ error: error.message });
         }
+        if (error.message && (error.message.includes('outside opening hours') || error.message.includes('Restaurant is closed'))) {
+            return res.status(409).json({ error: error.message, code: 'OUTSIDE_OPENING_HOURS' });
+        }
         if (error.message && error.message.includes('No tables of type "undefined"')) {
             return res.status(400).json({ error: 'tableType is required and cannot be undefined' });
         }
@@ -93,4 +120,261 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Map service/trigger errors from reservation changes to HTTP responses
+function sendReservationError(res, error, fallbackMessage) {
+    const message = error.message || '';
+    if (error instanceof BookingPolicyError) {
+        return res.status(422).json({ error: message, code: error.code });
+    }
+    if (message.includes('Reservation not found')) {
+        return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+    }
+    if (message.includes('cannot be modified') || message.includes('Invalid status transition')) {
+        return res.status(409).json({ error: message, code: 'RESERVATION_LOCKED' });
+    }
+    if (message.includes('No tables of this type available') || message.includes('No available tables match')) {
+        return res.status(409).json({ error: message, code: 'SLOT_UNAVAILABLE' });
+    }
+    if (message.includes('outside opening hours') || message.includes('Restaurant is closed')) {
+        return res.status(409).json({ error: message, code: 'OUTSIDE_OPENING_HOURS' });
+    }
+    if (message.includes('No waitlist hold')) {
+        return res.status(409).json({ error: message, code: 'NO_WAITLIST_HOLD' });
+    }
+    if (message.includes('hold has expired')) {
+        return res.status(410).json({ error: message, code: 'HOLD_EXPIRED' });
+    }
+    if (message.includes('Invalid reservation date') || message.includes('guests must be')) {
+        return res.status(400).json({ error: message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+// Shared validation for series preview and booking; returns an error message or null
+function validateSeriesRequest({ venueId, startDate, time, guests, tableType, recurrence }) {
+    if (!venueId) return 'venueId is required';
+    if (!startDate) return 'startDate is required';
+    if (!time) return 'time is required';
+    if (!guests || guests <= 0) return 'guests must be a positive number';
+    if (!tableType) return 'tableType is required';
+    if (!recurrence) return 'recurrence is required';
+    return null;
+}
+
+// Check every date of a recurring pattern without booking anything
+router.post('/series/preview', async (req, res) => {
+    try {
+        const validationError = validateSeriesRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { venueId, startDate, time, guests, tableType, recurrence } = req.body;
+        const occurrences = await RecurringReservationService.previewSeries({ venueId, startDate, time, guests, tableType, recurrence });
+
+        res.json({
+            occurrences,
+            available: occurrences.filter(o => o.available).length,
+            conflicts: occurrences.filter(o => !o.available)
+        });
+    } catch (error) {
+        if (error.message && error.message.startsWith('Invalid recurrence')) {
+            return res.status(400).json({ error: error.message, code: 'INVALID_RECURRENCE' });
+        }
+        console.error('Error previewing reservation series:', error);
+        res.status(500).json({ error: 'Failed to preview reservation series' });
+    }
+});
+
+// Book a recurring series ("every night until Sunday", "every Friday for six weeks").
+// Free dates are booked; taken or closed dates come back in `conflicts` with a code per date.
+// Pass skipConflicts: false to book nothing unless every date is free.
+router.post('/series', async (req, res) => {
+    try {
+        const validationError = validateSeriesRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!req.body.reservationName) {
+            return res.status(400).json({ error: 'reservationName is required' });
+        }
+        if (!req.body.reservationEmail) {
+            return res.status(400).json({ error: 'reservationEmail is required' });
+        }
+
+        const { series, reservations, conflicts } = await RecurringReservationService.createSeries({
+            ...req.body,
+            skipConflicts: req.body.skipConflicts !== false
+        });
+
+        if (!series) {
+            return res.status(409).json({
+                error: 'None of the requested dates could be booked',
+                code: 'SERIES_UNAVAILABLE',
+                conflicts
+            });
+        }
+
+        res.status(201).json({
+            series,
+            seriesToken: AuthService.generateSeriesToken(series.series_id),
+            reservations: reservations.map(reservation => ({
+                ...reservation,
+                manageToken: AuthService.generateManageToken(reservation.reservation_id)
+            })),
+            conflicts
+        });
+    } catch (error) {
+        if (error.message && error.message.startsWith('Invalid recurrence')) {
+            return res.status(400).json({ error: error.message, code: 'INVALID_RECURRENCE' });
+        }
+        console.error('Error creating reservation series:', error);
+        res.status(500).json({ error: 'Failed to create reservation series' });
+    }
+});
+
+// Get a series with all of its dates
+router.get('/series/:seriesId', authorizeSeriesToken, async (req, res) => {
+    try {
+        const series = await RecurringReservationService.getSeries(req.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+        }
+        res.json(series);
+    } catch (error) {
+        console.error('Error fetching reservation series:', error);
+        res.status(500).json({ error: 'Failed to fetch reservation series' });
+    }
+});
+
+// Cancel the upcoming dates of a series; dates past the cancellation deadline are kept
+router.delete('/series/:seriesId', authorizeSeriesToken, async (req, res) => {
+    try {
+        const series = await RecurringReservationService.getSeries(req.seriesId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found', code: 'SERIES_NOT_FOUND' });
+        }
+
+        const { cancelled, kept } = await RecurringReservationService.cancelSeries(req.seriesId);
+        res.json({ message: `Cancelled ${cancelled.length} reservation(s)`, cancelled, kept });
+    } catch (error) {
+        console.error('Error cancelling reservation series:', error);
+        res.status(500).json({ error: 'Failed to cancel reservation series' });
+    }
+});
+
+// Get a reservation (guest manage page)
+router.get('/:id', authorizeReservationToken, async (req, res) => {
+    try {
+        const reservation = await RestaurantService.getReservationById(req.reservationId);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+        }
+        res.json(reservation);
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to fetch reservation');
+    }
+});
+
+// Deposit status for a reservation, with the payment client secret while it is unpaid
+router.get('/:id/deposit', authorizeReservationToken, async (req, res) => {
+    try {
+        const reservation = await RestaurantService.getReservationById(req.reservationId);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+        }
+        const deposit = await DepositService.getDepositForReservation(reservation);
+        if (!deposit) {
+            return res.status(404).json({ error: 'No deposit for this reservation', code: 'DEPOSIT_NOT_FOUND' });
+        }
+        res.json(deposit);
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to fetch deposit');
+    }
+});
+
+// The booking as an .ics file for the guest's calendar
+router.get('/:id/calendar.ics', authorizeReservationToken, async (req, res) => {
+    try {
+        const calendar = await CalendarService.getReservationCalendar(req.reservationId, {
+            manageLink: NotificationService.manageLink(req.reservationId)
+        });
+        if (!calendar) {
+            return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+        }
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${calendar.filename}"`);
+        res.send(calendar.content);
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to build calendar file');
+    }
+});
+
+// Modify a reservation - time changes re-run availability and gap checks
+router.patch('/:id', authorizeReservationToken, async (req, res) => {
+    try {
+        const { reservationName, reservationPhone, date, time, guests, tableType } = req.body;
+
+        if (guests !== undefined && (!guests || guests <= 0)) {
+            return res.status(400).json({ error: 'guests must be a positive number' });
+        }
+        if (date && !toISODate(String(date))) {
+            return res.status(400).json({ error: 'date must be a valid date' });
+        }
+
+        const existing = await RestaurantService.getReservationById(req.reservationId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+        }
+        await BookingPolicyService.assertChangeAllowed(existing);
+        if (date !== undefined || time !== undefined || guests !== undefined) {
+            await BookingPolicyService.assertBookingAllowed(existing.restaurant_id, {
+                date: date || existing.reservation_date_iso,
+                time: time || String(existing.reservation_time).slice(0, 5),
+                guests: guests || existing.guests
+            });
+        }
+
+        const reservation = await RestaurantService.updateReservation(req.reservationId, {
+            reservationName,
+            reservationPhone,
+            date,
+            time,
+            guests,
+            tableType
+        });
+
+        res.json(reservation);
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to update reservation');
+    }
+});
+
+// Confirm a pending reservation (e.g. a table held for a waitlisted guest)
+router.post('/:id/confirm', authorizeReservationToken, async (req, res) => {
+    try {
+        const reservation = await WaitlistService.acceptOffer(req.reservationId);
+        res.json(reservation);
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to confirm reservation');
+    }
+});
+
+// Cancel a reservation
+router.delete('/:id', authorizeReservationToken, async (req, res) => {
+    try {
+        const existing = await RestaurantService.getReservationById(req.reservationId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Reservation not found', code: 'RESERVATION_NOT_FOUND' });
+        }
+        await BookingPolicyService.assertChangeAllowed(existing);
+
+        const reservation = await RestaurantService.cancelReservation(req.reservationId);
+        res.json({ message: 'Reservation cancelled successfully', reservation });
+    } catch (error) {
+        sendReservationError(res, error, 'Failed to cancel reservation');
+    }
+});
+
 export default router;
\ No newline at end of file
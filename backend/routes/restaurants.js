@@ -1,9 +1,22 @@
 import express from 'express';
 import db from '../config/database.js';
-import { authenticateToken, checkDashboardAccess } from '../middleware/auth.js';
+import { authenticateToken, authorizeCalendarFeedToken, checkDashboardAccess, requirePermission } from '../middleware/auth.js';
+import RestaurantService, { RESERVATION_STATUS_TRANSITIONS } from '../services/RestaurantService.js';
+import BookingPolicyService from '../services/BookingPolicyService.js';
+import CalendarService from '../services/CalendarService.js';
+import WebhookService, { WEBHOOK_EVENTS } from '../services/WebhookService.js';
+import LiveUpdateService from '../services/LiveUpdateService.js';
+import StaffService, { STAFF_ROLES } from '../services/StaffService.js';
+import TranscriptService from '../services/TranscriptService.js';
+import BotConfigService, { BOT_MODULES, RESPONSE_STYLES, TEMPLATE_VARIABLES } from '../services/BotConfigService.js';
+import AgentOrchestrator from '../services/agents/AgentOrchestrator.js';
+import { MemorySessionStore } from '../services/SessionStore.js';
 
 const router = express.Router();
 
+// Preview chats from the Tablio settings page; kept apart from guest sessions
+const previewOrchestrator = new AgentOrchestrator({ store: new MemorySessionStore({ ttlMinutes: 30 }) });
+
 // Public route for restaurant info (for chat interface)
 router.get('/:restaurantId/info', async (req, res) => {
     try {
@@ -28,7 +41,12 @@ router.get('/:restaurantId/info', async (req, res) => {
             return res.status(404).json({ error: 'Restaurant not found' });
         }
 
-        res.json(restaurants[0]);
+        // The restaurant's own greeting opens the chat when it has one
+        const botConfig = await BotConfigService.getConfig(restaurantId);
+        res.json({
+            ...restaurants[0],
+            chat_greeting: BotConfigService.renderTemplate(botConfig, 'greeting')
+        });
 
     } catch (error) {
         console.error('Restaurant info fetch error:', error);
@@ -64,17 +82,8 @@ router.get('/:restaurantId/table-capacities', async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
 
-        const result = await db.query(`
-            SELECT 
-                table_type,
-                MAX(capacity) as max_capacity
-            FROM tables
-            WHERE restaurant_id = $1
-            GROUP BY table_type
-            ORDER BY table_type ASC
-        `, [restaurantId]);
-
-        const capacities = Array.isArray(result) ? result : (result.rows || []);
+        // Includes adjacent tables that can be pushed together for larger parties
+        const capacities = await RestaurantService.getTableCapacities(restaurantId);
         res.json(capacities);
 
     } catch (error) {
@@ -83,53 +92,51 @@ router.get('/:restaurantId/table-capacities', async (req, res) => {
     }
 });
 
-// Public route for opening hours (for time slot generation)
+// Public route for opening hours: the weekly service periods plus upcoming
+// special hours (closures, private events). Optional ?from= / ?to= dates.
 router.get('/:restaurantId/opening-hours', async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
+        const { from, to } = req.query;
 
-        const result = await db.query(`
-            SELECT 
-                day_of_week,
-                open_time,
-                close_time,
-                is_closed
-            FROM opening_hours
-            WHERE restaurant_id = $1
-            ORDER BY day_of_week ASC
-        `, [restaurantId]);
+        const [weekly, special] = await Promise.all([
+            RestaurantService.getRestaurantHours(restaurantId),
+            RestaurantService.getSpecialHours(restaurantId, from || null, to || null)
+        ]);
 
-        const hours = Array.isArray(result) ? result : (result.rows || []);
-        
-        // If no opening hours found, return default hours
-        if (hours.length === 0) {
-            const defaultHours = [];
-            for (let day = 0; day < 7; day++) {
-                defaultHours.push({
-                    day_of_week: day,
-                    open_time: '18:00:00',
-                    close_time: '23:30:00',
-                    is_closed: false
-                });
-            }
-            return res.json(defaultHours);
+        res.json({ weekly, special });
+    } catch (error) {
+        console.error('Get opening hours error:', error);
+        res.status(500).json({ error: 'Failed to fetch opening hours' });
+    }
+});
+
+// Public route for the service periods on one date (for time slot generation)
+router.get('/:restaurantId/opening-hours/:date', async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { date } = req.params;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ error: 'date must be a YYYY-MM-DD date' });
         }
-        
+
+        const hours = await RestaurantService.getOpeningHoursForDate(restaurantId, date);
         res.json(hours);
+    } catch (error) {
+        console.error('Get opening hours for date error:', error);
+        res.status(500).json({ error: 'Failed to fetch opening hours' });
+    }
+});
 
+// Public route for the booking policy (for date/time/party limits on the reservation form)
+router.get('/:restaurantId/booking-policy', async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const policy = await BookingPolicyService.getPolicy(restaurantId);
+        res.json(policy);
     } catch (error) {
-        console.error('Get opening hours error:', error);
-        // Return default hours on error
-        const defaultHours = [];
-        for (let day = 0; day < 7; day++) {
-            defaultHours.push({
-                day_of_week: day,
-                open_time: '18:00:00',
-                close_time: '23:30:00',
-                is_closed: false
-            });
-        }
-        res.json(defaultHours);
+        console.error('Get booking policy error:', error);
+        res.status(500).json({ error: 'Failed to fetch booking policy' });
     }
 });
 
@@ -167,9 +174,374 @@ router.get('/:restaurantId', async (req, res) => {
     }
 });
 
+// Calendar feed of upcoming reservations (?days=, default 60). Calendar apps cannot
+// send a login, so it is opened with the feed secret from GET /:restaurantId/calendar-feed.
+router.get('/:restaurantId/calendar.ics', authorizeCalendarFeedToken, async (req, res) => {
+    try {
+        const feed = await CalendarService.getRestaurantFeed(req.restaurantId, { days: req.query.days });
+        if (!feed) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="restaurant-${req.restaurantId}.ics"`);
+        res.send(feed);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
 // Apply authentication to all other restaurant routes
 router.use(authenticateToken);
 
+const calendarFeedUrl = (req, restaurantId, secret) =>
+    `${req.protocol}://${req.get('host')}/api/restaurants/${restaurantId}/calendar.ics?token=${encodeURIComponent(secret)}`;
+
+// The subscription link owners paste into Google or Apple Calendar
+router.get('/:restaurantId/calendar-feed', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const secret = await CalendarService.getFeedSecret(restaurantId);
+        if (!secret) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        res.json({ url: calendarFeedUrl(req, restaurantId, secret) });
+    } catch (error) {
+        console.error('Calendar feed link error:', error);
+        res.status(500).json({ error: 'Failed to get the calendar link' });
+    }
+});
+
+// A new subscription link; calendars still using the old one stop updating
+router.post('/:restaurantId/calendar-feed/rotate', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const secret = await CalendarService.rotateFeedSecret(restaurantId);
+        if (!secret) {
+            return res.status(404).json({ error: 'Restaurant not found' });
+        }
+        res.json({ url: calendarFeedUrl(req, restaurantId, secret) });
+    } catch (error) {
+        console.error('Calendar feed rotate error:', error);
+        res.status(500).json({ error: 'Failed to reset the calendar link' });
+    }
+});
+
+// Webhook subscriptions for the owner's POS or CRM, with the events they can choose
+router.get('/:restaurantId/webhooks', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const subscriptions = await WebhookService.listSubscriptions(parseInt(req.params.restaurantId));
+        res.json({ subscriptions, events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+router.post('/:restaurantId/webhooks', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        const subscription = await WebhookService.createSubscription(parseInt(req.params.restaurantId), {
+            url,
+            events,
+            description
+        });
+        res.status(201).json(subscription);
+    } catch (error) {
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Delivery log, newest first (?subscriptionId=, ?limit= up to 200)
+router.get('/:restaurantId/webhooks/deliveries', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const deliveries = await WebhookService.listDeliveries(parseInt(req.params.restaurantId), {
+            subscriptionId: req.query.subscriptionId ? parseInt(req.query.subscriptionId) : null,
+            limit: req.query.limit
+        });
+        res.json(deliveries);
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
+});
+
+// Edit url, events, description or active; { rotateSecret: true } issues a new secret
+router.put('/:restaurantId/webhooks/:subscriptionId', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { url, events, description, active, rotateSecret } = req.body;
+        const subscription = await WebhookService.updateSubscription(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.subscriptionId),
+            { url, events, description, active, rotateSecret }
+        );
+        res.json(subscription);
+    } catch (error) {
+        if (error.message === 'Webhook subscription not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+router.delete('/:restaurantId/webhooks/:subscriptionId', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const deleted = await WebhookService.deleteSubscription(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.subscriptionId)
+        );
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        res.json({ message: 'Webhook deleted' });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Send a webhook.test event now and return how the receiver answered
+router.post('/:restaurantId/webhooks/:subscriptionId/test', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const delivery = await WebhookService.sendTestEvent(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.subscriptionId)
+        );
+        res.json(delivery);
+    } catch (error) {
+        if (error.message === 'Webhook subscription not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Webhook test error:', error);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+});
+
+// Staff accounts: members with their roles, pending invitations and the roles on offer
+router.get('/:restaurantId/staff', requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const staff = await StaffService.listStaff(parseInt(req.params.restaurantId));
+        res.json({ ...staff, roles: STAFF_ROLES });
+    } catch (error) {
+        console.error('Get staff error:', error);
+        res.status(500).json({ error: 'Failed to fetch staff' });
+    }
+});
+
+// Email an invitation ({ email, role }). The link is only in the email, never in the response.
+router.post('/:restaurantId/staff/invitations', requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const result = await StaffService.inviteStaff(
+            parseInt(req.params.restaurantId),
+            { email: req.body.email, role: req.body.role },
+            req.user.id
+        );
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.message === 'Already a member of staff') {
+            return res.status(409).json({ error: error.message });
+        }
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Invite staff error:', error);
+        res.status(500).json({ error: 'Failed to invite staff' });
+    }
+});
+
+router.delete('/:restaurantId/staff/invitations/:invitationId', requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const revoked = await StaffService.revokeInvitation(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.invitationId)
+        );
+        if (!revoked) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
+// Change a member's role ({ role }); the last owner cannot be demoted
+router.put('/:restaurantId/staff/:staffId', requirePermission('staff.manage'), async (req, res) => {
+    try {
+        const member = await StaffService.updateRole(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.staffId),
+            req.body.role
+        );
+        res.json(member);
+    } catch (error) {
+        if (error.message === 'Staff member not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update staff role error:', error);
+        res.status(500).json({ error: 'Failed to update staff role' });
+    }
+});
+
+// Remove a member; their account stays, with access to any other restaurants
+router.delete('/:restaurantId/staff/:staffId', requirePermission('staff.manage'), async (req, res) => {
+    try {
+        await StaffService.removeMember(parseInt(req.params.restaurantId), parseInt(req.params.staffId));
+        res.json({ message: 'Staff member removed' });
+    } catch (error) {
+        if (error.message === 'Staff member not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Remove staff error:', error);
+        res.status(500).json({ error: 'Failed to remove staff member' });
+    }
+});
+
+// Update the booking policy (restaurant settings)
+router.put('/:restaurantId/booking-policy', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const {
+            minNoticeMinutes,
+            maxDaysAhead,
+            maxOnlinePartySize,
+            cancellationDeadlineHours,
+            blackoutDates
+        } = req.body;
+
+        const policy = await BookingPolicyService.updatePolicy(restaurantId, {
+            minNoticeMinutes,
+            maxDaysAhead,
+            maxOnlinePartySize,
+            cancellationDeadlineHours,
+            blackoutDates
+        });
+        res.json(policy);
+    } catch (error) {
+        if (error.message && error.message.includes('must be')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update booking policy error:', error);
+        res.status(500).json({ error: 'Failed to update booking policy' });
+    }
+});
+
+// Tablio settings: tone, switched-off modules and the owner's own messages,
+// with the choices the settings page offers
+router.get('/:restaurantId/bot-settings', checkDashboardAccess, async (req, res) => {
+    try {
+        const config = await BotConfigService.getConfig(parseInt(req.params.restaurantId));
+        res.json({
+            ...config,
+            options: {
+                responseStyles: Object.fromEntries(Object.entries(RESPONSE_STYLES).map(([style, { label }]) => [style, label])),
+                modules: Object.fromEntries(Object.entries(BOT_MODULES).map(([module, { label }]) => [module, label])),
+                templateVariables: TEMPLATE_VARIABLES
+            }
+        });
+    } catch (error) {
+        console.error('Get Tablio settings error:', error);
+        res.status(500).json({ error: 'Failed to fetch Tablio settings' });
+    }
+});
+
+router.put('/:restaurantId/bot-settings', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { responseStyle, modules, templates } = req.body;
+        const config = await BotConfigService.updateConfig(parseInt(req.params.restaurantId), {
+            responseStyle,
+            modules,
+            templates
+        });
+        res.json(config);
+    } catch (error) {
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Update Tablio settings error:', error);
+        res.status(500).json({ error: 'Failed to update Tablio settings' });
+    }
+});
+
+// Chat with Tablio using unsaved settings. Nothing is recorded and no booking is made.
+router.post('/:restaurantId/bot-settings/preview', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { message, history = [], sessionId, settings = {} } = req.body;
+        if (!message || !sessionId) {
+            return res.status(400).json({ error: 'message and sessionId must be provided' });
+        }
+
+        const saved = await BotConfigService.getConfig(restaurantId);
+        const botConfig = BotConfigService.applySettings(saved, BotConfigService.validateSettings(settings));
+        const result = await previewOrchestrator.processMessage(
+            message,
+            history,
+            restaurantId,
+            `preview-${req.user.id}-${sessionId}`,
+            null,
+            { botConfig, preview: true }
+        );
+        res.json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Tablio preview error:', error);
+        res.status(500).json({ error: 'Failed to get a preview reply' });
+    }
+});
+
+// Set special hours for a date (closed all day, or its own service periods)
+router.put('/:restaurantId/special-hours/:date', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { isClosed, periods, note } = req.body;
+
+        const hours = await RestaurantService.setSpecialHours(restaurantId, req.params.date, {
+            isClosed: Boolean(isClosed),
+            periods,
+            note: note || null
+        });
+        res.json(hours);
+    } catch (error) {
+        if (error.message && error.message.includes('must')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Set special hours error:', error);
+        res.status(500).json({ error: 'Failed to save special hours' });
+    }
+});
+
+// Remove the special hours for a date (back to the weekly hours)
+router.delete('/:restaurantId/special-hours/:date', requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const removed = await RestaurantService.deleteSpecialHours(restaurantId, req.params.date);
+        if (!removed) {
+            return res.status(404).json({ error: 'No special hours for this date' });
+        }
+        res.json({ message: 'Special hours removed' });
+    } catch (error) {
+        console.error('Delete special hours error:', error);
+        res.status(500).json({ error: 'Failed to remove special hours' });
+    }
+});
+
 // Get all tables for a restaurant
 router.get('/:restaurantId/tables', checkDashboardAccess, async (req, res) => {
     try {
@@ -220,6 +592,7 @@ router.get('/:restaurantId/reservations', checkDashboardAccess, async (req, res)
                 guests,
                 table_type,
                 table_id,
+                combined_table_ids,
                 celebration_type,
                 cake,
                 cake_price,
@@ -227,7 +600,9 @@ router.get('/:restaurantId/reservations', checkDashboardAccess, async (req, res)
                 flowers_price,
                 hotel_name,
                 created_at,
-                'confirmed' as status
+                status,
+                TO_CHAR(end_at, 'HH24:MI') as end_time,
+                (EXTRACT(EPOCH FROM (end_at - start_at)) / 60)::int as duration_minutes
             FROM reservation 
             WHERE restaurant_id = $1 AND DATE(reservation_date) = $2
             ORDER BY reservation_time
@@ -257,8 +632,169 @@ router.get('/:restaurantId/reservations', checkDashboardAccess, async (req, res)
     }
 });
 
+// Chat inbox: Tablio conversations, newest first. Optional ?outcome=open|booked|abandoned|answered
+router.get('/:restaurantId/conversations', checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { outcome, limit, offset } = req.query;
+        const conversations = await TranscriptService.listConversations(restaurantId, {
+            outcome: outcome || null,
+            limit,
+            offset
+        });
+        res.json(conversations);
+    } catch (error) {
+        if (error.message && error.message.includes('must be')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Get conversations error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// One conversation's transcript, with the agent and tool calls behind each reply
+router.get('/:restaurantId/conversations/:conversationId', checkDashboardAccess, async (req, res) => {
+    try {
+        const conversation = await TranscriptService.getConversation(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.conversationId)
+        );
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json(conversation);
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
+
+// Conversations waiting for or held by staff (polled by the dashboard for live alerts)
+router.get('/:restaurantId/handoffs', checkDashboardAccess, async (req, res) => {
+    try {
+        const handoffs = await TranscriptService.listHandoffs(parseInt(req.params.restaurantId));
+        res.json(handoffs);
+    } catch (error) {
+        console.error('Get handoffs error:', error);
+        res.status(500).json({ error: 'Failed to fetch handoffs' });
+    }
+});
+
+// Take a conversation over from Tablio
+router.post('/:restaurantId/conversations/:conversationId/takeover', requirePermission('chat.respond'), async (req, res) => {
+    try {
+        const taken = await TranscriptService.takeOver(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.conversationId),
+            req.user.id
+        );
+        if (!taken) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json({ message: 'Conversation taken over' });
+    } catch (error) {
+        console.error('Take over conversation error:', error);
+        res.status(500).json({ error: 'Failed to take over conversation' });
+    }
+});
+
+// Reply to the guest in the same thread (takes the conversation over if needed)
+router.post('/:restaurantId/conversations/:conversationId/messages', requirePermission('chat.respond'), async (req, res) => {
+    try {
+        const message = await TranscriptService.sendStaffMessage(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.conversationId),
+            req.user.id,
+            req.body.text
+        );
+        if (!message) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.status(201).json(message);
+    } catch (error) {
+        if (error.message && error.message.includes('must not')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Send staff message error:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// Hand the conversation back to Tablio
+router.post('/:restaurantId/conversations/:conversationId/release', requirePermission('chat.respond'), async (req, res) => {
+    try {
+        const released = await TranscriptService.handBack(
+            parseInt(req.params.restaurantId),
+            parseInt(req.params.conversationId)
+        );
+        if (!released) {
+            return res.status(404).json({ error: 'No handoff in progress for this conversation' });
+        }
+        res.json({ message: 'Conversation handed back to Tablio' });
+    } catch (error) {
+        console.error('Release conversation error:', error);
+        res.status(500).json({ error: 'Failed to hand the conversation back' });
+    }
+});
+
+// The chat conversation a reservation was booked in
+router.get('/:restaurantId/reservations/:reservationId/conversation', checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const conversationId = await TranscriptService.getConversationIdForReservation(
+            restaurantId,
+            parseInt(req.params.reservationId)
+        );
+        if (!conversationId) {
+            return res.status(404).json({ error: 'This reservation was not made in a chat' });
+        }
+        res.json(await TranscriptService.getConversation(restaurantId, conversationId));
+    } catch (error) {
+        console.error('Get reservation conversation error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+});
+
+// Update reservation status (seat guests, mark completed / no-show, cancel)
+router.put('/:restaurantId/reservations/:reservationId/status', requirePermission('reservations.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const reservationId = parseInt(req.params.reservationId);
+        const { status } = req.body;
+
+        if (!Object.keys(RESERVATION_STATUS_TRANSITIONS).includes(status)) {
+            return res.status(400).json({ 
+                error: `Invalid status. Must be one of: ${Object.keys(RESERVATION_STATUS_TRANSITIONS).join(', ')}` 
+            });
+        }
+
+        const reservation = await RestaurantService.getReservationById(reservationId);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found' });
+        }
+
+        if (reservation.restaurant_id !== restaurantId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const updated = await RestaurantService.updateReservationStatus(reservationId, status);
+        res.json({ 
+            message: 'Reservation status updated successfully',
+            reservationId: reservationId,
+            newStatus: updated.status
+        });
+
+    } catch (error) {
+        if (error.message && error.message.includes('Invalid status transition')) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error updating reservation status:', error);
+        res.status(500).json({ error: 'Failed to update reservation status' });
+    }
+});
+
 // Update table name
-router.put('/:restaurantId/tables/:tableId', checkDashboardAccess, async (req, res) => {
+router.put('/:restaurantId/tables/:tableId', requirePermission('settings.manage'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const tableId = parseInt(req.params.tableId);
@@ -297,7 +833,7 @@ router.put('/:restaurantId/tables/:tableId', checkDashboardAccess, async (req, r
 });
 
 // Update table position (for drag-and-drop)
-router.put('/:restaurantId/tables/:tableId/position', checkDashboardAccess, async (req, res) => {
+router.put('/:restaurantId/tables/:tableId/position', requirePermission('settings.manage'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const tableId = parseInt(req.params.tableId);
@@ -336,7 +872,7 @@ router.put('/:restaurantId/tables/:tableId/position', checkDashboardAccess, asyn
 });
 
 // Update table status manually (e.g., mark as occupied when guests arrive)
-router.put('/:restaurantId/tables/:tableId/status', checkDashboardAccess, async (req, res) => {
+router.put('/:restaurantId/tables/:tableId/status', requirePermission('tables.manage'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const tableId = parseInt(req.params.tableId);
@@ -368,6 +904,9 @@ router.put('/:restaurantId/tables/:tableId/status', checkDashboardAccess, async
             WHERE table_id = $2 AND restaurant_id = $3
         `, [status, tableId, restaurantId]);
 
+        await WebhookService.emit(restaurantId, 'table.status_changed', { table_id: tableId, status });
+        LiveUpdateService.publish(restaurantId, 'table.status_changed', { table_id: tableId, status });
+
         res.json({ 
             message: 'Table status updated successfully',
             tableId: tableId,
@@ -381,7 +920,7 @@ router.put('/:restaurantId/tables/:tableId/status', checkDashboardAccess, async
 });
 
 // Occupy table for specific duration
-router.put('/:restaurantId/tables/:tableId/occupy', checkDashboardAccess, async (req, res) => {
+router.put('/:restaurantId/tables/:tableId/occupy', requirePermission('tables.manage'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         const tableId = parseInt(req.params.tableId);
@@ -406,18 +945,30 @@ router.put('/:restaurantId/tables/:tableId/occupy', checkDashboardAccess, async
             return res.status(404).json({ error: 'Table not found' });
         }
 
-        // Insert a system reservation that will control the table status
+        // Insert a system reservation that will control the table status.
+        // end_at is set explicitly so the occupation lasts duration_hours rather than the turn time.
         await db.execute(`
             INSERT INTO reservation (
                 reservation_name, reservation_email, reservation_phone,
                 reservation_date, reservation_time, guests, table_type,
-                table_id, restaurant_id, created_at
-            ) VALUES ($1, $2, $3, $4, $5, 1, $6, $7, $8, NOW())
+                table_id, restaurant_id, created_at, end_at
+            ) VALUES ($1, $2, $3, $4, $5, 1, $6, $7, $8, NOW(), $4::date + $5::time + $9::numeric * INTERVAL '1 hour')
         `, [
             reservationName, reservationEmail, reservationPhone,
-            date, time, tableInfo[0].table_type, tableId, restaurantId
+            date, time, tableInfo[0].table_type, tableId, restaurantId, duration_hours
         ]);
 
+        const occupied = {
+            table_id: tableId,
+            table_name: tableInfo[0].table_name,
+            status: 'occupied',
+            date,
+            time,
+            duration_hours
+        };
+        await WebhookService.emit(restaurantId, 'table.status_changed', occupied);
+        LiveUpdateService.publish(restaurantId, 'table.status_changed', occupied);
+
         res.json({ 
             message: 'Table marked as occupied successfully',
             tableId: tableId,
@@ -433,7 +984,7 @@ router.put('/:restaurantId/tables/:tableId/occupy', checkDashboardAccess, async
 });
 
 // Cleanup expired reservations
-router.post('/:restaurantId/cleanup-reservations', checkDashboardAccess, async (req, res) => {
+router.post('/:restaurantId/cleanup-reservations', requirePermission('tables.manage'), async (req, res) => {
     try {
         const restaurantId = parseInt(req.params.restaurantId);
         
@@ -0,0 +1,153 @@
+import express from 'express';
+import AuthService from '../services/AuthService.js';
+import WaitlistService from '../services/WaitlistService.js';
+import { authenticateToken, checkDashboardAccess, requirePermission, authorizeWaitlistToken } from '../middleware/auth.js';
+
+// Mounted at /api/restaurants/:restaurantId/waitlist
+const router = express.Router({ mergeParams: true });
+
+// Map waitlist service errors to HTTP responses
+function sendWaitlistError(res, error, fallbackMessage) {
+    const message = error.message || '';
+    if (message.includes('Waitlist entry not found')) {
+        return res.status(404).json({ error: 'Waitlist entry not found', code: 'WAITLIST_ENTRY_NOT_FOUND' });
+    }
+    if (message.includes('Invalid waitlist transition')) {
+        return res.status(409).json({ error: message, code: 'WAITLIST_LOCKED' });
+    }
+    if (message.includes('No tables can seat')) {
+        return res.status(409).json({ error: message, code: 'NO_FITTING_TABLE' });
+    }
+    if (message.includes('required') || message.includes('must be')) {
+        return res.status(400).json({ error: message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    return res.status(500).json({ error: fallbackMessage });
+}
+
+// Load an entry and make sure it belongs to the restaurant in the URL
+async function loadEntry(req, entryId) {
+    const entry = await WaitlistService.getEntryById(entryId);
+    if (!entry || entry.restaurant_id !== parseInt(req.params.restaurantId)) {
+        throw new Error('Waitlist entry not found');
+    }
+    return entry;
+}
+
+// Public: guest joins the waitlist for a full slot
+router.post('/', async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { guestName, guestEmail, guestPhone, partySize, date, time, tableType, notes } = req.body;
+
+        const entry = await WaitlistService.joinWaitlist({
+            restaurantId,
+            guestName,
+            guestEmail,
+            guestPhone,
+            partySize,
+            date,
+            time,
+            tableType,
+            notes
+        });
+
+        // Signed token that lets the guest check their place or leave the waitlist
+        const waitlistToken = AuthService.generateWaitlistToken(entry.waitlist_id);
+
+        res.status(201).json({ ...entry, waitlistToken });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to join waitlist');
+    }
+});
+
+// Staff: quoted wait for a walk-in party without adding them
+router.get('/quote', authenticateToken, checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const partySize = parseInt(req.query.partySize);
+        if (!partySize || partySize <= 0) {
+            return res.status(400).json({ error: 'partySize must be a positive number' });
+        }
+
+        const quotedWaitMinutes = await WaitlistService.quoteWaitMinutes(restaurantId, partySize, req.query.tableType || null);
+        res.json({ partySize, quotedWaitMinutes });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to quote wait time');
+    }
+});
+
+// Staff: add a walk-in party
+router.post('/walk-in', authenticateToken, requirePermission('reservations.manage'), async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const { guestName, guestPhone, partySize, tableType, notes } = req.body;
+
+        const entry = await WaitlistService.addWalkIn({
+            restaurantId,
+            guestName,
+            guestPhone,
+            partySize: parseInt(partySize),
+            tableType: tableType || null,
+            notes
+        });
+
+        res.status(201).json(entry);
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to add walk-in');
+    }
+});
+
+// Staff: waitlist for a day (defaults to today)
+router.get('/', authenticateToken, checkDashboardAccess, async (req, res) => {
+    try {
+        const restaurantId = parseInt(req.params.restaurantId);
+        const entries = await WaitlistService.listWaitlist(restaurantId, req.query.date || null);
+        res.json(entries);
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to fetch waitlist');
+    }
+});
+
+// Staff: seat, cancel or otherwise move an entry along its lifecycle
+router.put('/:entryId/status', authenticateToken, requirePermission('reservations.manage'), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!status) {
+            return res.status(400).json({ error: 'status is required' });
+        }
+
+        const entry = await loadEntry(req, parseInt(req.params.entryId));
+        const updated = await WaitlistService.updateEntryStatus(entry.waitlist_id, status);
+        res.json(updated);
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to update waitlist entry');
+    }
+});
+
+// Guest: check place in line, or pick up the held reservation once offered
+router.get('/:entryId', authorizeWaitlistToken, async (req, res) => {
+    try {
+        const entry = await loadEntry(req, req.waitlistEntryId);
+        const response = { ...entry };
+        if (entry.status === 'offered' && entry.offered_reservation_id) {
+            response.manageToken = AuthService.generateManageToken(entry.offered_reservation_id);
+        }
+        res.json(response);
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to fetch waitlist entry');
+    }
+});
+
+// Guest: leave the waitlist
+router.delete('/:entryId', authorizeWaitlistToken, async (req, res) => {
+    try {
+        await loadEntry(req, req.waitlistEntryId);
+        const entry = await WaitlistService.updateEntryStatus(req.waitlistEntryId, 'cancelled');
+        res.json({ message: 'Removed from waitlist', entry });
+    } catch (error) {
+        sendWaitlistError(res, error, 'Failed to leave waitlist');
+    }
+});
+
+export default router;
@@ -1,9 +1,12 @@
-import fetch from 'node-fetch';
 import RestaurantService from './RestaurantService.js';
-import { TOOL_DEFINITIONS } from './ToolService.js';
+import { TOOL_DEFINITIONS, validateToolParameters } from './ToolService.js';
 import db from '../config/database.js'; 
+import llmProvider from './LLMProvider.js';
+import LanguageUtils, { DEFAULT_LANGUAGE } from '../utils/languageUtils.js';
+import { RESPONSE_STYLES } from './BotConfigService.js';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+// A model gets this many tries to produce a valid tool call before we fall back to clarifying
+const MAX_TOOL_CALL_ATTEMPTS = 3;
 
 // RAG function to fetch relevant data based on user query
 /**
@@ -225,44 +228,19 @@ export async function askGemini(prompt, history = [], restaurantId = null) {
   ${formatDataForPrompt(relevantData)}
   `;
 
-  // Build structured messages for Gemini
-  const contents = [
-    { role: "user", parts: [{ text: systemPrompt }] }, // system prompt as user message
+  // Build structured messages for the model
+  const messages = [
+    { role: "user", content: systemPrompt }, // system prompt as user message
     ...history.map(msg => ({
-      role: msg.sender === "user" ? "user" : "model",
-      parts: [{ text: msg.text }]
+      role: msg.sender === "user" ? "user" : "assistant",
+      content: msg.text
     })),
-    { role: "user", parts: [{ text: prompt }] }
+    { role: "user", content: prompt }
   ];
 
   try {
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify({ contents })
-      }
-    );
-    
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
-    if (!candidate) return { type: 'message', response: "Sorry, I couldn't get a response from Gemini." };
-
-    const content = candidate.content;
-    if (!content) return { type: 'message', response: "Sorry, I couldn't get a response from Gemini." };
-
-    let aiResponse;
-    if (Array.isArray(content.parts) && content.parts[0]?.text) {
-      aiResponse = content.parts[0].text;
-    } else if (typeof content.text === "string") {
-      aiResponse = content.text;
-    } else {
-      return { type: 'message', response: "Sorry, I couldn't get a response from Gemini." };
-    }
+    const aiResponse = await llmProvider.generateText(messages);
+    if (!aiResponse) return { type: 'message', response: "Sorry, I couldn't get a response from the AI service." };
 
     // Check if the response contains reservation data
     const reservationData = extractReservationFromResponse(aiResponse);
@@ -304,7 +282,7 @@ export async function askGemini(prompt, history = [], restaurantId = null) {
     };
 
   } catch (error) {
-    console.error('Error calling Gemini API:', error);
+    console.error('Error calling the LLM provider:', error);
     return {
       type: 'message',
       response: "Sorry, I'm having trouble connecting to the AI service right now. Please try again later."
@@ -331,64 +309,42 @@ export async function getAiPlan(message, history = [], conversationState = {}, r
     // Build the comprehensive prompt that serves as the system's "brain"
     const planningPrompt = buildPlanningPrompt(message, history, conversationState, restaurantId);
     
-    // Call Gemini with the planning prompt
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify({
-          contents: [
-            { role: "user", parts: [{ text: planningPrompt }] }
-          ]
-        })
-      }
-    );
-    
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
-    
-    if (!candidate?.content?.parts?.[0]?.text) {
-      console.error('❌ Invalid response from Gemini for planning:', data);
-      return getFallbackPlan();
-    }
-    
-    const aiResponse = candidate.content.parts[0].text.trim();
-    console.log('🤖 AI Planning Response:', aiResponse);
+    // Agents only get the tools from their own tool belt
+    const toolNames = conversationState.allowedTools || Object.keys(TOOL_DEFINITIONS);
+    const tools = toolNames.map(name => TOOL_DEFINITIONS[name]).filter(Boolean);
     
-    // Parse the JSON response
-    try {
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.error('❌ No JSON found in planning response:', aiResponse);
-        return getFallbackPlan();
-      }
-      
-      const toolDecision = JSON.parse(jsonMatch[0]);
+    // Let the model call a tool; an invalid call is sent back with the errors so it can repair it
+    const messages = [{ role: "user", content: planningPrompt }];
+    for (let attempt = 1; attempt <= MAX_TOOL_CALL_ATTEMPTS; attempt++) {
+      const call = await llmProvider.callTool(messages, tools);
+      console.log('🤖 AI Planning Response:', call);
       
-      // Validate the response format
-      if (!toolDecision.tool_to_call || !toolDecision.parameters) {
-        console.error('❌ Invalid tool decision format:', toolDecision);
-        return getFallbackPlan();
+      let errors;
+      if (!call.name) {
+        errors = ['No function was called. You must call exactly one of the provided functions.'];
+      } else if (!toolNames.includes(call.name)) {
+        errors = [`Unknown function: ${call.name}. Use one of: ${toolNames.join(', ')}`];
+      } else if (!call.args || typeof call.args !== 'object') {
+        errors = ['The arguments were not a valid JSON object'];
+      } else {
+        errors = validateToolParameters(call.name, call.args).errors;
       }
       
-      // Validate that the tool exists
-      if (!TOOL_DEFINITIONS[toolDecision.tool_to_call]) {
-        console.error('❌ Unknown tool specified:', toolDecision.tool_to_call);
-        return getFallbackPlan();
+      if (errors.length === 0) {
+        console.log('✅ AI selected tool:', call.name, 'with parameters:', call.args);
+        return { tool_to_call: call.name, parameters: call.args };
       }
       
-      console.log('✅ AI selected tool:', toolDecision.tool_to_call, 'with parameters:', toolDecision.parameters);
-      return toolDecision;
-      
-    } catch (parseError) {
-      console.error('❌ Error parsing AI planning response:', parseError);
-      return getFallbackPlan();
+      console.warn(`⚠️ Invalid tool call (attempt ${attempt}/${MAX_TOOL_CALL_ATTEMPTS}):`, errors);
+      messages.push(
+        { role: "assistant", content: call.name ? `${call.name}(${JSON.stringify(call.args)})` : call.text || '' },
+        { role: "user", content: `That call was rejected:\n- ${errors.join('\n- ')}\nCall the right function again with corrected arguments.` }
+      );
     }
     
+    console.error('❌ No valid tool call after', MAX_TOOL_CALL_ATTEMPTS, 'attempts');
+    return getFallbackPlan();
+    
   } catch (error) {
     console.error('❌ Error in AI planning:', error);
     return getFallbackPlan();
@@ -405,9 +361,10 @@ export async function getAiPlan(message, history = [], conversationState = {}, r
  * @param {Object} toolResult - The data returned from executing the tool
  * @param {string} toolName - Name of the tool that was executed
  * @param {number} restaurantId - Current restaurant ID
+ * @param {Function} [onToken] - When given, the response is streamed and each text chunk passed here
  * @returns {Promise<Object>} - Natural language response for the user
  */
-export async function generateSpokenResponse(userMessage, toolResult, toolName, restaurantId = null) {
+export async function generateSpokenResponse(userMessage, toolResult, toolName, restaurantId = null, onToken = null) {
   try {
     console.log('🗣️ Generating spoken response for tool:', toolName);
     
@@ -421,38 +378,23 @@ export async function generateSpokenResponse(userMessage, toolResult, toolName,
     // Extract conversation history from toolResult if available
     const conversationHistory = toolResult?.conversationHistory || [];
     
-    // Build the response generation prompt with conversation context
-    const responsePrompt = buildResponsePrompt(userMessage, toolResult, toolName, restaurantName, conversationHistory);
+    // Answer in the session's language; single-agent calls detect it from the message
+    const language = toolResult?.language || LanguageUtils.detectLanguage(userMessage) || DEFAULT_LANGUAGE;
     
-    // Call Gemini with the response prompt
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify({
-          contents: [
-            { role: "user", parts: [{ text: responsePrompt }] }
-          ]
-        })
-      }
-    );
+    // Build the response generation prompt with conversation context, in the restaurant's tone
+    const responsePrompt = buildResponsePrompt(userMessage, toolResult, toolName, restaurantName, conversationHistory, language, toolResult?.responseStyle);
     
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
+    // Stream the response when asked so the chat can show it while it is being written
+    const aiResponse = (onToken
+      ? await llmProvider.streamText(responsePrompt, onToken)
+      : await llmProvider.generateText(responsePrompt)).trim();
     
-    if (!candidate?.content?.parts?.[0]?.text) {
-      console.error('❌ Invalid response from Gemini for response generation:', data);
+    if (!aiResponse) {
       return {
         type: 'message',
         response: "I apologize, but I'm having trouble formulating a response right now."
       };
     }
-    
-    const aiResponse = candidate.content.parts[0].text.trim();
     console.log('🗣️ Generated response:', aiResponse);
     
     // Determine response type based on tool and result
@@ -493,23 +435,6 @@ function buildPlanningPrompt(message, history, conversationState, restaurantId)
   const activeFlow = conversationState.activeFlow || 'none';
   const flowState = conversationState.flowState || {};
   
-  // Create detailed tool schemas for the prompt
-  const toolSchemas = Object.entries(TOOL_DEFINITIONS)
-    .map(([name, def]) => {
-      const requiredParams = def.parameters.required || [];
-      const paramDetails = Object.entries(def.parameters.properties || {})
-        .map(([param, details]) => {
-          const required = requiredParams.includes(param) ? ' (REQUIRED)' : ' (optional)';
-          const enumValues = details.enum ? ` [options: ${details.enum.join(', ')}]` : '';
-          return `    - ${param}: ${details.description}${required}${enumValues}`;
-        }).join('\n');
-      
-      return `${name}:
-  Description: ${def.description}
-  Parameters:
-${paramDetails}`;
-    }).join('\n\n');
-  
   // Get current date information
   const now = new Date();
   const today = now.toISOString().split('T')[0]; // YYYY-MM-DD format
@@ -526,9 +451,7 @@ DATE/TIME CONTEXT (Use ONLY when user mentions temporal references):
 - When user says "today", use: ${today}
 - When user says "now" or "right now", use current time
 - When user provides NO date/time, ask for clarification instead of assuming
-
-TOOL SCHEMAS (Use these exact parameter names and formats):
-${toolSchemas}
+- The user may write in Greek, German, Italian or French ("αύριο", "morgen", "domani", "demain" = tomorrow; "απόψε", "stasera", "ce soir" = tonight; "στις 9" = at 9). Convert these to the same formats
 
 CONVERSATION CONTEXT:
 Recent History:
@@ -564,24 +487,16 @@ PARAMETER FORMAT REQUIREMENTS:
 - For get_menu_items: ALWAYS include the "query" parameter (required), use boolean flags for dietary restrictions
 - For get_restaurant_info: Use "topic" parameter with values: hours, address, description, or general
 - For clarify_and_respond: ALWAYS include the "message" parameter with your clarifying question
+- Whatever language the user writes in, fill parameters in English (menu queries, topics) using the formats above. Clarifying messages may be written in English; they are translated for the guest
 
 RESPONSE FORMAT:
-You MUST respond with a single JSON object in this exact format:
-{
-  "tool_to_call": "tool_name",
-  "parameters": {
-    "param1": "value1",
-    "param2": "value2"
-  }
-}
-
-Do NOT include any explanatory text before or after the JSON. Only return the JSON object.`;
+Call exactly one of the provided functions, using its exact parameter names and formats. Do NOT answer in plain text.`;
 }
 
 /**
  * Build the response generation prompt
  */
-function buildResponsePrompt(userMessage, toolResult, toolName, restaurantName, conversationHistory = []) {
+function buildResponsePrompt(userMessage, toolResult, toolName, restaurantName, conversationHistory = [], language = DEFAULT_LANGUAGE, responseStyle = null) {
   // Build conversation context for reference resolution
   let conversationContext = '';
   if (conversationHistory && conversationHistory.length > 0) {
@@ -591,6 +506,21 @@ function buildResponsePrompt(userMessage, toolResult, toolName, restaurantName,
     conversationContext = `\n\n--- CONVERSATION HISTORY (for reference resolution) ---\n${recentHistory}\n--- END OF CONVERSATION HISTORY ---\n`;
   }
   
+  // Tool results are in English; the guest gets the answer in their own language
+  const languageRule = language === DEFAULT_LANGUAGE ? '' : `
+
+LANGUAGE: The guest is writing in ${LanguageUtils.getLanguageName(language)}. Write your whole response in ${LanguageUtils.getLanguageName(language)}, including any message you repeat from the Tool Result and the examples above. Keep dish names, prices, dates, times and reservation codes as they appear in the Tool Result.`;
+  
+  // Tone and wording the restaurant chose in its Tablio settings
+  const style = RESPONSE_STYLES[responseStyle];
+  const results = toolResult?.allToolResults ? toolResult.allToolResults.map(result => result.data) : [toolResult];
+  const styleRule = (style ? `
+
+TONE: ${style.instructions} The tone never changes the facts in the Tool Result.` : '')
+    + (results.some(result => result?.fromTemplate) ? `
+
+RESTAURANT MESSAGE: A message marked "fromTemplate" was written by the restaurant. Repeat it word for word (translated if the guest writes in another language).` : '');
+  
   // Special handling for master narrator consolidation - use the stricter approach
   if (toolName === 'master_narrator_consolidation') {
     return `You are a helpful AI assistant. Your ONLY job is to translate the provided "Tool Result" into a natural, human-readable response.
@@ -615,7 +545,7 @@ Examples:
 - If the Tool Result is { success: false, error: '...' }, your response MUST be: "I'm sorry, an error occurred while processing your request."
 - If the user asks "out of these 5, which is the healthiest" and the conversation history shows 6 menu items were previously listed, identify which are the 5 items being referenced and answer accordingly.
 
-CRITICAL: If the tool result says it cannot provide information or gives an error message, you MUST convey that exact limitation. Do not invent or supplement information.`;
+CRITICAL: If the tool result says it cannot provide information or gives an error message, you MUST convey that exact limitation. Do not invent or supplement information.${styleRule}${languageRule}`;
   }
 
   // For regular tools, also use the stricter approach with conversation context
@@ -641,7 +571,7 @@ Examples:
 - If the Tool Result is { success: false, error: '...' }, your response MUST be: "I'm sorry, an error occurred while processing your request."
 - If the user asks "out of these 5, which is the healthiest" and the conversation history shows 6 menu items were previously listed, identify which are the 5 items being referenced and answer accordingly.
 
-CRITICAL: If the tool result says it cannot provide information or gives an error message, you MUST convey that exact limitation. Do not invent or supplement information.`;
+CRITICAL: If the tool result says it cannot provide information or gives an error message, you MUST convey that exact limitation. Do not invent or supplement information.${styleRule}${languageRule}`;
 }
 
 /**
@@ -653,7 +583,7 @@ function formatToolResultForPrompt(toolResult, toolName) {
       if (toolResult.available && toolResult.availableTableTypes) {
         return `Available table types: ${toolResult.availableTableTypes.map(t => `${t.tableType} (€${t.price || 0})`).join(', ')}`;
       } else if (!toolResult.available) {
-        return `No availability found. Reason: ${toolResult.message || 'Tables fully booked'}`;
+        return `No availability found. Reason: ${toolResult.message || 'Tables fully booked'}${toolResult.waitlistAvailable ? '. The guest can join the waitlist.' : ''}`;
       }
       return JSON.stringify(toolResult, null, 2);
       
@@ -695,7 +625,25 @@ ${formattedItems}`;
           info += `Hours:
 `;
           toolResult.hours.forEach(h => {
-            info += `  ${h.day_of_week}: ${h.open_time} - ${h.close_time}
+            info += `  ${h.day_of_week}: ${h.open_time} - ${h.close_time}${h.service_name ? ` (${h.service_name})` : ''}
+`;
+          });
+        }
+        
+        // Date-specific overrides replace the weekly hours on those dates
+        if (toolResult.dateHours) {
+          const day = toolResult.dateHours;
+          info += day.is_closed
+            ? `On ${day.date}: CLOSED${day.note ? ` (${day.note})` : ''}
+`
+            : `On ${day.date}: ${day.periods.map(p => `${p.open_time} - ${p.close_time}`).join(', ')}${day.note ? ` (${day.note})` : ''}
+`;
+        }
+        if (toolResult.specialHours && toolResult.specialHours.length > 0) {
+          info += `Special hours (these dates override the weekly hours):
+`;
+          toolResult.specialHours.forEach(d => {
+            info += `  ${d.date}: ${d.is_closed ? 'CLOSED' : d.periods.map(p => `${p.open_time} - ${p.close_time}`).join(', ')}${d.note ? ` (${d.note})` : ''}
 `;
           });
         }
@@ -709,6 +657,25 @@ ${formattedItems}`;
       }
       return `Reservation failed: ${toolResult.error || 'Unknown error'}`;
       
+    case 'create_recurring_reservation':
+      if (toolResult.success) {
+        const series = toolResult.seriesDetails;
+        const booked = series.booked.length > 0
+          ? `Booked ${series.booked.length} dates at ${series.time}: ${series.booked.map(b => `${b.date} (#${b.reservationCode})`).join(', ')}`
+          : 'No dates could be booked';
+        const conflicts = series.conflicts.length > 0
+          ? `\nNot booked: ${series.conflicts.map(c => `${c.date} - ${c.reason}`).join('; ')}`
+          : '';
+        return booked + conflicts;
+      }
+      return `Recurring reservation failed: ${toolResult.error || 'Unknown error'}`;
+      
+    case 'join_waitlist':
+      if (toolResult.success) {
+        return `Guest added to the waitlist at position ${toolResult.position}. A matching table that frees up is held for ${toolResult.holdMinutes} minutes`;
+      }
+      return `Joining the waitlist failed: ${toolResult.error || 'Unknown error'}`;
+      
     case 'get_celebration_packages':
       if (toolResult.success && toolResult.packages) {
         const packageList = toolResult.packages.map(pkg => `${pkg.name} (€${pkg.price}) - ${pkg.description}`).join(', ');
@@ -733,11 +700,33 @@ ${formattedItems}`;
                 summary = `Availability: ${tableOptions} available for ${data.partySize} people on ${data.date} at ${data.time}`;
               } else {
                 summary = `Availability: No tables available for the requested time`;
+                if (data.waitlistAvailable) {
+                  summary += `. The guest can join the waitlist for this slot`;
+                }
+              }
+            } else if (data.seriesDetails) {
+              // Recurring reservation result - one line for booked dates, one per conflict
+              const series = data.seriesDetails;
+              summary = series.booked.length > 0
+                ? `Recurring Reservation: Booked ${series.booked.length} dates for ${series.partySize} people at ${series.time}: ${series.booked.map(b => `${b.date} (#${b.reservationCode})`).join(', ')}`
+                : `Recurring Reservation: None of the requested dates could be booked`;
+              if (series.conflicts.length > 0) {
+                summary += `. Not booked: ${series.conflicts.map(c => `${c.date} (${c.reason})`).join(', ')}`;
               }
+            } else if (data.waitlisted) {
+              // Waitlist join result
+              summary = `Waitlist: Guest added at position ${data.position} for ${data.partySize} people on ${data.date} at ${data.time}. If a table frees up it will be held for them for ${data.holdMinutes} minutes`;
             } else if (data.selectedTableType && data.bookingContext) {
               // Table selection result
               const context = data.bookingContext;
               summary = `Table Selection: User chose ${data.selectedTableType} table for ${context.partySize} people on ${context.date} at ${context.time}. ${data.needsContactInfo ? 'Contact info needed to complete reservation.' : ''}`;
+            } else if (data.action && data.reservation) {
+              // Existing reservation lookup / change / cancellation
+              const r = data.reservation;
+              summary = `Reservation #${r.reservationCode} ${data.action}: ${r.partySize} people on ${r.date} at ${r.time} (${r.tableType} table), status ${r.status}`;
+              if (data.previous) {
+                summary += `. Previously ${data.previous.partySize} people on ${data.previous.date} at ${data.previous.time}`;
+              }
             } else if (data.items && data.items.length > 0) {
               // Menu search result
               const mostExpensive = data.items.reduce((max, item) => 
@@ -770,6 +759,10 @@ ${formattedItems}`;
                 const hoursSummary = result.data.hours.map(h => `${h.day_of_week}: ${h.open_time}-${h.close_time}`).join(', ');
                 infoDetails.push(`Hours: ${hoursSummary}`);
               }
+              if (result.data.specialHours && result.data.specialHours.length > 0) {
+                const specialSummary = result.data.specialHours.map(d => `${d.date}: ${d.is_closed ? 'closed' : d.periods.map(p => `${p.open_time}-${p.close_time}`).join(' & ')}${d.note ? ` (${d.note})` : ''}`).join(', ');
+                infoDetails.push(`Special hours: ${specialSummary}`);
+              }
               
               summary = `Restaurant Info: ${restaurant.name} - ${infoDetails.join(', ')}`;
             } else {
@@ -841,28 +834,9 @@ export async function consolidateFinalResponse(originalQuery, toolResults, resta
       restaurantName
     );
     
-    // Call Gemini with the consolidation prompt
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify({
-          contents: [
-            { role: "user", parts: [{ text: consolidationPrompt }] }
-          ]
-        })
-      }
-    );
-    
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
-    
-    if (!candidate?.content?.parts?.[0]?.text) {
-      console.error('❌ Invalid response from Gemini for consolidation:', data);
+    const consolidatedResponse = (await llmProvider.generateText(consolidationPrompt)).trim();
+    if (!consolidatedResponse) {
+      console.error('❌ Empty response from the LLM provider for consolidation');
       // Fallback to concatenated responses
       return {
         response: toolResults.map(r => r.response).join('\n\n'),
@@ -871,7 +845,6 @@ export async function consolidateFinalResponse(originalQuery, toolResults, resta
       };
     }
     
-    const consolidatedResponse = candidate.content.parts[0].text.trim();
     console.log('✅ Consolidated response generated');
     
     return {
@@ -993,31 +966,12 @@ Examples of CONTINUATIONS (NO):
 
 Respond with ONLY a single word: YES or NO.`;
 
-    const response = await fetch(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-goog-api-key': GEMINI_API_KEY
-        },
-        body: JSON.stringify({
-          contents: [
-            { role: "user", parts: [{ text: interruptionPrompt }] }
-          ]
-        })
-      }
-    );
-    
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
-    
-    if (!candidate?.content?.parts?.[0]?.text) {
-      console.error('❌ Invalid response from Gemini for interruption check:', data);
+    const aiResponse = (await llmProvider.generateText(interruptionPrompt)).trim().toUpperCase();
+    if (!aiResponse) {
+      console.error('❌ Empty response from the LLM provider for interruption check');
       return false; // Safe default: assume continuation
     }
     
-    const aiResponse = candidate.content.parts[0].text.trim().toUpperCase();
     const isInterruption = aiResponse === 'YES';
     
     console.log('🤖 AI Interruption Decision:', aiResponse, '→', isInterruption ? 'INTERRUPTION' : 'CONTINUATION');
@@ -3,6 +3,19 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import db from '../config/database.js';
 
+// An account with the restaurant its dashboard opens on: the one it registered, else the first it joined
+const ACCOUNT_QUERY = `
+    SELECT o.*, r.name as venue_name
+    FROM (
+        SELECT o.*, COALESCE(
+            o.restaurant_id,
+            (SELECT s.restaurant_id FROM restaurant_staff s WHERE s.owner_id = o.id ORDER BY s.created_at, s.staff_id LIMIT 1)
+        ) as default_restaurant_id
+        FROM owners o
+    ) o
+    LEFT JOIN restaurant r ON o.default_restaurant_id = r.restaurant_id
+`;
+
 class AuthService {
     // Generate JWT tokens
     generateTokens(payload) {
@@ -17,6 +30,78 @@ class AuthService {
         return { accessToken, refreshToken };
     }
 
+    // Generate a guest-facing token that allows managing a single reservation
+    generateManageToken(reservationId) {
+        return jwt.sign(
+            { reservationId, purpose: 'manage_reservation' },
+            process.env.JWT_SECRET,
+            { expiresIn: '180d' }
+        );
+    }
+
+    // Verify a manage token and return the reservation id it was issued for
+    verifyManageToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'manage_reservation' || !decoded.reservationId) {
+            throw new Error('Invalid manage token');
+        }
+        return decoded.reservationId;
+    }
+
+    // Generate a guest-facing token for checking or leaving a waitlist entry
+    generateWaitlistToken(entryId) {
+        return jwt.sign(
+            { entryId, purpose: 'waitlist_entry' },
+            process.env.JWT_SECRET,
+            { expiresIn: '30d' }
+        );
+    }
+
+    // Verify a waitlist token and return the entry id it was issued for
+    verifyWaitlistToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'waitlist_entry' || !decoded.entryId) {
+            throw new Error('Invalid waitlist token');
+        }
+        return decoded.entryId;
+    }
+
+    // Generate a guest-facing token for viewing or cancelling a recurring series
+    generateSeriesToken(seriesId) {
+        return jwt.sign(
+            { seriesId, purpose: 'manage_series' },
+            process.env.JWT_SECRET,
+            { expiresIn: '180d' }
+        );
+    }
+
+    // Verify a series token and return the series id it was issued for
+    verifySeriesToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'manage_series' || !decoded.seriesId) {
+            throw new Error('Invalid series token');
+        }
+        return decoded.seriesId;
+    }
+
+    // Generate the link token emailed with a staff invitation
+    generateStaffInvitationToken(invitationId) {
+        return jwt.sign(
+            { invitationId, purpose: 'staff_invitation' },
+            process.env.JWT_SECRET,
+            { expiresIn: '7d' }
+        );
+    }
+
+    // Verify a staff invitation token and return the invitation id it was issued for
+    verifyStaffInvitationToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== 'staff_invitation' || !decoded.invitationId) {
+            throw new Error('Invalid invitation token');
+        }
+        return decoded.invitationId;
+    }
+
     // Hash password
     async hashPassword(password) {
         return await bcrypt.hash(password, 12);
@@ -61,13 +146,7 @@ class AuthService {
     // Login owner - Remove subscription requirement for now
     async loginOwner(email, password) {
         try {
-            const [owners] = await db.execute(
-                `SELECT o.*, r.name as venue_name 
-                 FROM owners o 
-                 LEFT JOIN restaurant r ON o.restaurant_id = r.restaurant_id 
-                 WHERE o.email = $1`,
-                [email]
-            );
+            const [owners] = await db.execute(`${ACCOUNT_QUERY} WHERE o.email = $1`, [email]);
 
             if (owners.length === 0) {
                 throw new Error('Invalid credentials');
@@ -80,36 +159,52 @@ class AuthService {
                 throw new Error('Invalid credentials');
             }
 
-            // Generate tokens
-            const payload = {
-                id: owner.id,
-                email: owner.email,
-                restaurantId: owner.restaurant_id,
-                subscriptionStatus: owner.subscription_status
-            };
-
-            const tokens = this.generateTokens(payload);
-
-            // Store refresh token
-            await this.storeRefreshToken(tokens.refreshToken, owner.id);
-
-            return {
-                owner: {
-                    id: owner.id,
-                    email: owner.email,
-                    firstName: owner.first_name,
-                    lastName: owner.last_name,
-                    restaurantId: owner.restaurant_id,
-                    venueName: owner.venue_name,
-                    subscriptionStatus: owner.subscription_status
-                },
-                tokens
-            };
+            return await this.createSession(owner);
         } catch (error) {
             throw new Error(error.message);
         }
     }
 
+    // Log in an account that has just proved itself another way (accepting a staff invitation)
+    async loginById(ownerId) {
+        const [owners] = await db.execute(`${ACCOUNT_QUERY} WHERE o.id = $1`, [ownerId]);
+        if (owners.length === 0) {
+            throw new Error('Invalid credentials');
+        }
+        return this.createSession(owners[0]);
+    }
+
+    // Issue and store the tokens for an account row from ACCOUNT_QUERY
+    async createSession(owner) {
+        // Generate tokens. What the account may do is looked up per request (restaurant_staff),
+        // so a changed role applies without logging in again.
+        const payload = {
+            id: owner.id,
+            email: owner.email,
+            restaurantId: owner.default_restaurant_id,
+            subscriptionStatus: owner.subscription_status
+        };
+
+        const tokens = this.generateTokens(payload);
+
+        // Store refresh token
+        await this.storeRefreshToken(tokens.refreshToken, owner.id);
+
+        return {
+            owner: {
+                id: owner.id,
+                email: owner.email,
+                firstName: owner.first_name,
+                lastName: owner.last_name,
+                restaurantId: owner.default_restaurant_id,
+                venueName: owner.venue_name,
+                isPlatformAdmin: owner.is_platform_admin,
+                subscriptionStatus: owner.subscription_status
+            },
+            tokens
+        };
+    }
+
     // Store refresh token
     async storeRefreshToken(token, ownerId) {
         const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
@@ -0,0 +1,137 @@
+import db from '../config/database.js';
+import { toISODate } from './RestaurantService.js';
+
+// Rule broken by an online booking, change or cancellation. `code` is returned
+// to API clients and chat tools so they can explain what the guest should do.
+export class BookingPolicyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'BookingPolicyError';
+        this.code = code;
+    }
+}
+
+// Used when a restaurant has not saved a policy yet
+const DEFAULT_POLICY = {
+    min_notice_minutes: 0,
+    max_days_ahead: null,
+    max_online_party_size: null,
+    cancellation_deadline_hours: 0,
+    blackout_dates: []
+};
+
+class BookingPolicyService {
+    static async getPolicy(restaurantId) {
+        const result = await db.query(`
+            SELECT
+                restaurant_id,
+                min_notice_minutes,
+                max_days_ahead,
+                max_online_party_size,
+                cancellation_deadline_hours,
+                ARRAY(SELECT TO_CHAR(d, 'YYYY-MM-DD') FROM unnest(blackout_dates) d ORDER BY d) as blackout_dates
+            FROM booking_policy
+            WHERE restaurant_id = $1
+        `, [restaurantId]);
+        return result[0] || { restaurant_id: restaurantId, ...DEFAULT_POLICY };
+    }
+
+    static async updatePolicy(restaurantId, {
+        minNoticeMinutes = 0,
+        maxDaysAhead = null,
+        maxOnlinePartySize = null,
+        cancellationDeadlineHours = 0,
+        blackoutDates = []
+    }) {
+        const numbers = { minNoticeMinutes, cancellationDeadlineHours };
+        for (const [field, value] of Object.entries(numbers)) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${field} must be a non-negative whole number`);
+            }
+        }
+        if (maxDaysAhead !== null && (!Number.isInteger(maxDaysAhead) || maxDaysAhead < 0)) {
+            throw new Error('maxDaysAhead must be a non-negative whole number or null');
+        }
+        if (maxOnlinePartySize !== null && (!Number.isInteger(maxOnlinePartySize) || maxOnlinePartySize <= 0)) {
+            throw new Error('maxOnlinePartySize must be a positive whole number or null');
+        }
+        if (!Array.isArray(blackoutDates) || blackoutDates.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+            throw new Error('blackoutDates must be a list of YYYY-MM-DD dates');
+        }
+
+        await db.query(`
+            INSERT INTO booking_policy (
+                restaurant_id, min_notice_minutes, max_days_ahead,
+                max_online_party_size, cancellation_deadline_hours, blackout_dates
+            ) VALUES ($1, $2, $3, $4, $5, $6::date[])
+            ON CONFLICT (restaurant_id) DO UPDATE SET
+                min_notice_minutes = EXCLUDED.min_notice_minutes,
+                max_days_ahead = EXCLUDED.max_days_ahead,
+                max_online_party_size = EXCLUDED.max_online_party_size,
+                cancellation_deadline_hours = EXCLUDED.cancellation_deadline_hours,
+                blackout_dates = EXCLUDED.blackout_dates;
+        `, [restaurantId, minNoticeMinutes, maxDaysAhead, maxOnlinePartySize, cancellationDeadlineHours, [...new Set(blackoutDates)]]);
+
+        console.log(`📜 Booking policy updated for restaurant ${restaurantId}`);
+        return this.getPolicy(restaurantId);
+    }
+
+    // Throws BookingPolicyError when a guest may not book this date, time and party size online.
+    // The date may be anything createReservation accepts ("July 15", "2026-07-15").
+    static async assertBookingAllowed(restaurantId, { date: requestedDate, time, guests }) {
+        const date = toISODate(String(requestedDate || ''));
+        if (!date) {
+            throw new Error('date must be a valid date');
+        }
+        const policy = await this.getPolicy(restaurantId);
+
+        // Compare against the database clock, the same one the reservation interval triggers use
+        const [check] = await db.query(`
+            SELECT
+                ($1::date + $2::time) < NOW()::timestamp + make_interval(mins => $3) as too_soon,
+                $4::int IS NOT NULL AND $1::date > CURRENT_DATE + $4::int as too_far,
+                $1::date = ANY($5::date[]) as blacked_out
+        `, [date, time || '00:00', policy.min_notice_minutes, policy.max_days_ahead, policy.blackout_dates]);
+
+        if (check.blacked_out) {
+            throw new BookingPolicyError('DATE_UNAVAILABLE', `We are not taking online bookings on ${date}. Please choose another date.`);
+        }
+        if (check.too_soon) {
+            throw new BookingPolicyError('INSUFFICIENT_NOTICE', `Online bookings need at least ${formatMinutes(policy.min_notice_minutes)} notice.`);
+        }
+        if (check.too_far) {
+            throw new BookingPolicyError('TOO_FAR_AHEAD', `Online bookings open ${policy.max_days_ahead} days ahead.`);
+        }
+        if (policy.max_online_party_size && guests > policy.max_online_party_size) {
+            throw new BookingPolicyError('PARTY_TOO_LARGE_FOR_ONLINE', `Parties of more than ${policy.max_online_party_size} must be booked by calling the restaurant.`);
+        }
+    }
+
+    // Throws BookingPolicyError when a guest may no longer cancel or change this booking online
+    static async assertChangeAllowed(reservation) {
+        // Unconfirmed bookings (waitlist holds, unpaid deposits) can always be let go
+        if (reservation.status === 'pending') return;
+
+        const policy = await this.getPolicy(reservation.restaurant_id);
+        if (!policy.cancellation_deadline_hours) return;
+
+        const [check] = await db.query(`
+            SELECT start_at - make_interval(hours => $2) < NOW()::timestamp as past_deadline
+            FROM reservation WHERE reservation_id = $1
+        `, [reservation.reservation_id, policy.cancellation_deadline_hours]);
+
+        if (check && check.past_deadline) {
+            throw new BookingPolicyError('CANCELLATION_DEADLINE_PASSED', `Bookings can only be changed or cancelled online up to ${policy.cancellation_deadline_hours} hours before the reservation. Please call the restaurant.`);
+        }
+    }
+}
+
+function formatMinutes(minutes) {
+    if (minutes % 60 === 0) {
+        const hours = minutes / 60;
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minutes`;
+}
+
+export default BookingPolicyService;
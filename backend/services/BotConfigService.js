@@ -0,0 +1,266 @@
+import db from '../config/database.js';
+
+// Chat features an owner can switch off (bot_modules) and the agents behind them.
+// SupportContactAgent has no module: guests can always ask for a person.
+export const BOT_MODULES = {
+    greeting: {
+        label: 'Custom greeting',
+        agents: []
+    },
+    reservation_booking: {
+        label: 'Table bookings',
+        agents: ['TableAvailabilityAgent', 'ReservationAgent'],
+        disabledMessage: 'Bookings cannot be made in this chat. Please call or email the restaurant to reserve a table.'
+    },
+    menu_inquiry: {
+        label: 'Menu questions',
+        agents: ['MenuPricingAgent'],
+        disabledMessage: 'I cannot answer menu questions in this chat. Please ask the restaurant directly about dishes and prices.'
+    },
+    celebration: {
+        label: 'Celebrations',
+        agents: ['CelebrationAgent'],
+        disabledMessage: 'Celebration packages are not arranged through this chat. Please contact the restaurant to plan a special occasion.'
+    },
+    restaurant_info: {
+        label: 'Restaurant information',
+        agents: ['RestaurantInfoAgent'],
+        disabledMessage: 'I cannot answer questions about the restaurant in this chat. Please contact the restaurant directly.'
+    }
+};
+
+// Tone Tablio writes in (bot_config response_style); the instructions go into the narrator prompt
+export const RESPONSE_STYLES = {
+    friendly_professional: {
+        label: 'Friendly and professional',
+        instructions: 'Be warm and courteous but professional, and keep answers clear and to the point.'
+    },
+    energetic_fun: {
+        label: 'Energetic and fun',
+        instructions: 'Be upbeat and playful with a casual, energetic tone. An occasional emoji is fine.'
+    },
+    romantic_elegant: {
+        label: 'Romantic and elegant',
+        instructions: 'Be graceful and refined, with an elegant tone suited to a special evening out.'
+    },
+    traditional_warm: {
+        label: 'Traditional and warm',
+        instructions: 'Be homely and welcoming, like a family taverna greeting regulars, with a touch of Greek hospitality.'
+    },
+    concise: {
+        label: 'Short and direct',
+        instructions: 'Answer in as few words as possible, without small talk.'
+    }
+};
+
+// Messages an owner can write themselves (response_templates) and the {variables} each may use
+export const TEMPLATE_VARIABLES = {
+    greeting: ['restaurant'],
+    reservation_confirmation: ['name', 'guests', 'date', 'time', 'table_type', 'reservation_id', 'restaurant']
+};
+
+export const DEFAULT_RESPONSE_STYLE = 'friendly_professional';
+
+const MAX_TEMPLATE_LENGTH = 500;
+
+class BotConfigService {
+    // Used when a restaurant has not saved any Tablio settings
+    static defaultConfig(restaurantId, restaurantName = null) {
+        return {
+            restaurantId,
+            restaurantName,
+            responseStyle: DEFAULT_RESPONSE_STYLE,
+            modules: Object.fromEntries(Object.keys(BOT_MODULES).map(module => [module, true])),
+            templates: {}
+        };
+    }
+
+    static async getConfig(restaurantId) {
+        const [row] = await db.query(`
+            SELECT
+                r.name,
+                (SELECT config_value FROM bot_config
+                 WHERE restaurant_id = r.restaurant_id AND config_key = 'response_style') as response_style,
+                COALESCE((SELECT json_object_agg(module_name, enabled) FROM bot_modules
+                          WHERE restaurant_id = r.restaurant_id), '{}'::json) as modules,
+                COALESCE((SELECT json_object_agg(module_name, template) FROM response_templates
+                          WHERE restaurant_id = r.restaurant_id), '{}'::json) as templates
+            FROM restaurant r
+            WHERE r.restaurant_id = $1
+        `, [restaurantId]);
+
+        const config = this.defaultConfig(restaurantId, row ? row.name : null);
+        if (!row) return config;
+
+        if (RESPONSE_STYLES[row.response_style]) {
+            config.responseStyle = row.response_style;
+        }
+        for (const [module, enabled] of Object.entries(row.modules)) {
+            if (module in config.modules) config.modules[module] = enabled !== false;
+        }
+        for (const [module, template] of Object.entries(row.templates)) {
+            if (TEMPLATE_VARIABLES[module]) config.templates[module] = template;
+        }
+        return config;
+    }
+
+    /**
+     * Check settings sent from the dashboard ({ responseStyle, modules, templates }, all optional).
+     * An empty template means "use the default message" and comes back as null.
+     */
+    static validateSettings({ responseStyle, modules, templates } = {}) {
+        const settings = {};
+
+        if (responseStyle !== undefined) {
+            if (!RESPONSE_STYLES[responseStyle]) {
+                throw new Error(`responseStyle must be one of ${Object.keys(RESPONSE_STYLES).join(', ')}`);
+            }
+            settings.responseStyle = responseStyle;
+        }
+
+        if (modules !== undefined) {
+            if (!modules || typeof modules !== 'object' || Array.isArray(modules)) {
+                throw new Error('modules must be an object of module names and true/false');
+            }
+            for (const [module, enabled] of Object.entries(modules)) {
+                if (!BOT_MODULES[module]) {
+                    throw new Error(`modules must only contain ${Object.keys(BOT_MODULES).join(', ')}`);
+                }
+                if (typeof enabled !== 'boolean') {
+                    throw new Error(`modules.${module} must be true or false`);
+                }
+            }
+            settings.modules = { ...modules };
+        }
+
+        if (templates !== undefined) {
+            if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+                throw new Error('templates must be an object of template names and text');
+            }
+            settings.templates = {};
+            for (const [module, template] of Object.entries(templates)) {
+                const variables = TEMPLATE_VARIABLES[module];
+                if (!variables) {
+                    throw new Error(`templates must only contain ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+                }
+                if (template !== null && typeof template !== 'string') {
+                    throw new Error(`templates.${module} must be text`);
+                }
+                const text = (template || '').trim();
+                if (text.length > MAX_TEMPLATE_LENGTH) {
+                    throw new Error(`templates.${module} must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+                }
+                const unknown = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(name => !variables.includes(name));
+                if (unknown.length > 0) {
+                    throw new Error(`templates.${module} must only use the variables ${variables.map(name => `{${name}}`).join(', ')} (found {${unknown[0]}})`);
+                }
+                settings.templates[module] = text || null;
+            }
+        }
+
+        return settings;
+    }
+
+    // The config with validated settings applied on top (what a save stores, or a preview uses)
+    static applySettings(config, settings) {
+        const templates = { ...config.templates };
+        for (const [module, template] of Object.entries(settings.templates || {})) {
+            if (template) templates[module] = template;
+            else delete templates[module];
+        }
+        return {
+            ...config,
+            responseStyle: settings.responseStyle || config.responseStyle,
+            modules: { ...config.modules, ...settings.modules },
+            templates
+        };
+    }
+
+    static async updateConfig(restaurantId, settings) {
+        const { responseStyle, modules = {}, templates = {} } = this.validateSettings(settings);
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+
+            if (responseStyle) {
+                await client.query(`
+                    INSERT INTO bot_config (restaurant_id, config_key, config_value)
+                    VALUES ($1, 'response_style', $2)
+                    ON CONFLICT (restaurant_id, config_key) DO UPDATE SET
+                        config_value = EXCLUDED.config_value,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [restaurantId, responseStyle]);
+            }
+
+            for (const [module, enabled] of Object.entries(modules)) {
+                await client.query(`
+                    INSERT INTO bot_modules (restaurant_id, module_name, enabled)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (restaurant_id, module_name) DO UPDATE SET
+                        enabled = EXCLUDED.enabled,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [restaurantId, module, enabled]);
+            }
+
+            for (const [module, template] of Object.entries(templates)) {
+                if (template) {
+                    await client.query(`
+                        INSERT INTO response_templates (restaurant_id, module_name, template)
+                        VALUES ($1, $2, $3)
+                        ON CONFLICT (restaurant_id, module_name) DO UPDATE SET
+                            template = EXCLUDED.template,
+                            updated_at = CURRENT_TIMESTAMP
+                    `, [restaurantId, module, template]);
+                } else {
+                    await client.query(
+                        'DELETE FROM response_templates WHERE restaurant_id = $1 AND module_name = $2',
+                        [restaurantId, module]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`🤖 Tablio settings updated for restaurant ${restaurantId}`);
+        return this.getConfig(restaurantId);
+    }
+
+    // Whether every module an agent belongs to is switched on
+    static isAgentEnabled(config, agentName) {
+        return this.getDisabledModule(config, agentName) === null;
+    }
+
+    // The switched-off module that keeps an agent from running, or null
+    static getDisabledModule(config, agentName) {
+        const entry = Object.entries(BOT_MODULES)
+            .find(([module, { agents }]) => agents.includes(agentName) && config.modules[module] === false);
+        return entry ? entry[0] : null;
+    }
+
+    // Replace {variables}; unknown ones are left as written
+    static fillTemplate(template, variables = {}) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            variables[name] === undefined || variables[name] === null ? placeholder : String(variables[name])
+        ));
+    }
+
+    /**
+     * The owner's own message for a template, filled in, or null when the default
+     * message should be used (no template saved, or the greeting is switched off)
+     */
+    static renderTemplate(config, templateName, variables = {}) {
+        const template = config.templates[templateName];
+        if (!template) return null;
+        if (templateName === 'greeting' && config.modules.greeting === false) return null;
+        return this.fillTemplate(template, { restaurant: config.restaurantName, ...variables });
+    }
+}
+
+export default BotConfigService;
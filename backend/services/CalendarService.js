@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import RestaurantService from './RestaurantService.js';
+import TimezoneUtils from '../utils/timezoneUtils.js';
+
+const PRODUCT_ID = '-//TableTurn//Reservations//EN';
+const TIMEZONE = 'Europe/Athens';
+// Used when a reservation has no end time yet (start_at/end_at are set by a trigger)
+const DEFAULT_DURATION_MINUTES = 120;
+// Owner feeds list this many days ahead unless ?days= asks for more (up to MAX_FEED_DAYS)
+export const DEFAULT_FEED_DAYS = 60;
+export const MAX_FEED_DAYS = 180;
+// Statuses that no longer take a table are left out of the owner feed
+const FEED_HIDDEN_STATUSES = ['cancelled', 'no_show'];
+
+// Reservation times are Athens wall-clock times; calendars need the zone's rules to place them
+const ATHENS_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700329T030000',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:EEST',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'DTSTART:19701025T040000',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:EET',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * iCalendar (RFC 5545) files for reservations: one event for a guest's booking
+ * (download and email attachment) and a feed of upcoming bookings that owners
+ * subscribe to from Google or Apple Calendar.
+ */
+class CalendarService {
+    static escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space, never inside a character
+    static foldLine(line) {
+        if (Buffer.byteLength(line) <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (Buffer.byteLength(current + char) > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // '2026-06-12', '20:30' (+ minutes) -> '20260612T203000' as local Athens time
+    static formatLocal(isoDate, time, addMinutes = 0) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        const [hours, minutes] = String(time).split(':').map(Number);
+        const local = new Date(Date.UTC(year, month - 1, day, hours, minutes) + addMinutes * 60 * 1000);
+        return local.toISOString().replace(/[-:]/g, '').slice(0, 15);
+    }
+
+    static formatUtc(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static durationMinutes(reservation) {
+        if (reservation.duration_minutes) return reservation.duration_minutes;
+        if (reservation.start_at && reservation.end_at) {
+            return Math.round((new Date(reservation.end_at) - new Date(reservation.start_at)) / 60000);
+        }
+        return DEFAULT_DURATION_MINUTES;
+    }
+
+    /**
+     * One VEVENT as an array of lines. reservation needs reservation_id,
+     * reservation_date_iso, reservation_time and optionally the duration; event
+     * holds the summary, description, location and, for updates, sequence and status.
+     */
+    static buildEvent(reservation, { summary, description = '', location = '', sequence = 0, status = 'CONFIRMED', now = new Date() }) {
+        const time = String(reservation.reservation_time).slice(0, 5);
+        return [
+            'BEGIN:VEVENT',
+            `UID:reservation-${reservation.reservation_id}@tableturn`,
+            `DTSTAMP:${this.formatUtc(now)}`,
+            `DTSTART;TZID=${TIMEZONE}:${this.formatLocal(reservation.reservation_date_iso, time)}`,
+            `DTEND;TZID=${TIMEZONE}:${this.formatLocal(reservation.reservation_date_iso, time, this.durationMinutes(reservation))}`,
+            `SUMMARY:${this.escapeText(summary)}`,
+            ...(description ? [`DESCRIPTION:${this.escapeText(description)}`] : []),
+            ...(location ? [`LOCATION:${this.escapeText(location)}`] : []),
+            `SEQUENCE:${sequence}`,
+            `STATUS:${status}`,
+            'END:VEVENT'
+        ];
+    }
+
+    // Wrap events (arrays of lines) in a VCALENDAR with CRLF line endings
+    static buildCalendar(events, { name = null, method = 'PUBLISH', refreshMinutes = null } = {}) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`,
+            ...(name ? [`X-WR-CALNAME:${this.escapeText(name)}`, `X-WR-TIMEZONE:${TIMEZONE}`] : []),
+            ...(refreshMinutes ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`] : []),
+            ...ATHENS_VTIMEZONE,
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * The guest's own booking as an .ics file. Updates keep the same UID with a
+     * higher SEQUENCE so calendars move the event instead of adding a second one;
+     * a cancelled booking is sent as a cancellation of that event.
+     * Returns null when the reservation does not exist.
+     */
+    static async getReservationCalendar(reservationId, { manageLink = null } = {}) {
+        const reservation = await RestaurantService.getReservationById(reservationId);
+        if (!reservation) return null;
+
+        const [restaurant] = await db.query(
+            'SELECT name, address, area, island, phone FROM restaurant WHERE restaurant_id = $1',
+            [reservation.restaurant_id]
+        );
+        const cancelled = reservation.status === 'cancelled';
+
+        const description = [
+            `Table for ${reservation.guests} (${reservation.table_type})`,
+            `Reservation code: #${reservation.reservation_id}`,
+            restaurant?.phone && `Restaurant phone: ${restaurant.phone}`,
+            manageLink && `Change or cancel: ${manageLink}`
+        ].filter(Boolean).join('\n');
+
+        const event = this.buildEvent(reservation, {
+            summary: `Table at ${reservation.restaurant_name}`,
+            description,
+            location: [restaurant?.address, restaurant?.area, restaurant?.island].filter(Boolean).join(', '),
+            // Seconds since the booking was made: grows with every change to the row
+            sequence: Math.floor((new Date(reservation.updated_at) - new Date(reservation.created_at)) / 1000) || 0,
+            status: cancelled ? 'CANCELLED' : 'CONFIRMED'
+        });
+
+        return {
+            filename: `tableturn-reservation-${reservation.reservation_id}.ics`,
+            content: this.buildCalendar([event], { method: cancelled ? 'CANCEL' : 'PUBLISH' })
+        };
+    }
+
+    /**
+     * The owner's subscription feed: every booking from today for `days` days,
+     * read day by day with RestaurantService.getReservationsByDate. Cancelled and
+     * no-show bookings are left out so they disappear from the calendar.
+     */
+    static async getRestaurantFeed(restaurantId, { days = DEFAULT_FEED_DAYS } = {}) {
+        const [restaurant] = await db.query('SELECT name FROM restaurant WHERE restaurant_id = $1', [restaurantId]);
+        if (!restaurant) return null;
+
+        const span = Math.min(Math.max(parseInt(days) || DEFAULT_FEED_DAYS, 1), MAX_FEED_DAYS);
+        const [year, month, day] = TimezoneUtils.getCurrentAthensDate().split('-').map(Number);
+        const events = [];
+
+        for (let offset = 0; offset < span; offset++) {
+            const date = new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+            const reservations = await RestaurantService.getReservationsByDate(restaurantId, date);
+
+            for (const reservation of reservations) {
+                if (FEED_HIDDEN_STATUSES.includes(reservation.status)) continue;
+                events.push(this.buildFeedEvent({ ...reservation, reservation_date_iso: date }));
+            }
+        }
+
+        return this.buildCalendar(events, { name: `${restaurant.name} reservations`, refreshMinutes: 15 });
+    }
+
+    /**
+     * FEED SECRET - calendar apps cannot log in, so the feed link carries a random
+     * secret stored with the restaurant. Owners rotate it to cut off old links.
+     */
+
+    // The restaurant's feed secret, created the first time the link is asked for
+    static async getFeedSecret(restaurantId) {
+        const [restaurant] = await db.query(`
+            UPDATE restaurant
+            SET calendar_feed_secret = COALESCE(calendar_feed_secret, $2)
+            WHERE restaurant_id = $1
+            RETURNING calendar_feed_secret
+        `, [restaurantId, this.generateFeedSecret()]);
+        return restaurant ? restaurant.calendar_feed_secret : null;
+    }
+
+    // Replace the secret; every link handed out before stops working
+    static async rotateFeedSecret(restaurantId) {
+        const [restaurant] = await db.query(`
+            UPDATE restaurant SET calendar_feed_secret = $2 WHERE restaurant_id = $1 RETURNING calendar_feed_secret
+        `, [restaurantId, this.generateFeedSecret()]);
+        return restaurant ? restaurant.calendar_feed_secret : null;
+    }
+
+    // Whether token is the restaurant's current feed secret
+    static async verifyFeedSecret(restaurantId, token) {
+        const [restaurant] = await db.query(
+            'SELECT calendar_feed_secret FROM restaurant WHERE restaurant_id = $1',
+            [restaurantId]
+        );
+        if (!restaurant || !restaurant.calendar_feed_secret || typeof token !== 'string') return false;
+
+        const expected = Buffer.from(restaurant.calendar_feed_secret);
+        const given = Buffer.from(token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    static generateFeedSecret() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    static buildFeedEvent(reservation) {
+        const table = reservation.table_name || (reservation.table_id ? `Table ${reservation.table_id}` : reservation.table_type);
+        const celebration = [
+            reservation.celebration_type && `Celebration: ${reservation.celebration_type}`,
+            reservation.cake && 'Cake ordered',
+            reservation.flowers && 'Flowers ordered',
+            reservation.hotel_name && `Staying at ${reservation.hotel_name}`
+        ].filter(Boolean);
+
+        const description = [
+            `Guests: ${reservation.guests}`,
+            `Table: ${table} (${reservation.table_type})`,
+            ...celebration,
+            `Phone: ${reservation.reservation_phone}`,
+            `Email: ${reservation.reservation_email}`,
+            `Status: ${reservation.status}`,
+            `Reservation code: #${reservation.reservation_id}`
+        ].join('\n');
+
+        return this.buildEvent(reservation, {
+            summary: `${reservation.reservation_name} (${reservation.guests}) - ${table}${reservation.celebration_type ? ` 🎉 ${reservation.celebration_type}` : ''}`,
+            description,
+            status: reservation.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+        });
+    }
+}
+
+export default CalendarService;
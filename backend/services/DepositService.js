@@ -0,0 +1,337 @@
+import db from '../config/database.js';
+import RestaurantService from './RestaurantService.js';
+import StripeService from './StripeService.js';
+import { BookingPolicyError } from './BookingPolicyService.js';
+
+// Deposit states where Stripe still holds an uncaptured authorization
+const HELD_DEPOSIT_STATUSES = ['requires_payment', 'authorized'];
+
+// Card authorizations lapse after about 7 days, so bookings starting later than
+// this save the card instead and are charged off-session if it comes to that
+export const AUTHORIZATION_WINDOW_DAYS = 6;
+
+// An unpaid deposit booking holds its table this long before it is cancelled
+export const DEPOSIT_PAYMENT_MINUTES = 30;
+
+class DepositService {
+    // Deposit owed for a booking under the restaurant's most specific matching rule.
+    // Returns { amount, ruleId } or null when no rule applies.
+    static async calculateDeposit({ restaurantId, guests, date, tableType, cakePrice = null, flowersPrice = null }) {
+        const query = `
+            SELECT
+                dr.rule_id,
+                dr.flat_amount + dr.amount_per_guest * $2
+                    + CASE WHEN dr.include_extras
+                           THEN COALESCE((SELECT MAX(t.table_price) FROM tables t
+                                          WHERE t.restaurant_id = $1 AND t.table_type = $4), 0)
+                                + COALESCE($5::numeric, 0) + COALESCE($6::numeric, 0)
+                           ELSE 0 END as amount
+            FROM deposit_rules dr
+            WHERE dr.restaurant_id = $1
+              AND $2 >= dr.min_party_size
+              AND (dr.max_party_size IS NULL OR $2 <= dr.max_party_size)
+              AND (dr.table_type IS NULL OR dr.table_type = $4)
+              AND (dr.valid_from IS NULL OR $3::date >= dr.valid_from)
+              AND (dr.valid_to IS NULL OR $3::date <= dr.valid_to)
+            ORDER BY
+                (dr.table_type IS NOT NULL) DESC,
+                (dr.valid_from IS NOT NULL OR dr.valid_to IS NOT NULL) DESC,
+                dr.min_party_size DESC
+            LIMIT 1;
+        `;
+        const result = await db.query(query, [restaurantId, guests, date, tableType, cakePrice, flowersPrice]);
+        const rule = result[0];
+        if (!rule || Number(rule.amount) <= 0) {
+            return null;
+        }
+        return { amount: Number(Number(rule.amount).toFixed(2)), ruleId: rule.rule_id };
+    }
+
+    // Whether the deposit can be held as an authorization until the booking, or the
+    // card has to be saved instead (start_at is set by trg_apply_reservation_interval)
+    static depositMode(reservation, now = new Date()) {
+        if (!reservation.start_at) return 'payment';
+        const windowEnd = new Date(now.getTime() + AUTHORIZATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        return new Date(reservation.start_at) > windowEnd ? 'setup' : 'payment';
+    }
+
+    // Create a reservation and, when a deposit rule applies, authorize the deposit
+    // (or save the card, for bookings beyond AUTHORIZATION_WINDOW_DAYS). Such bookings
+    // stay 'pending' until Stripe reports the card authorized or saved, and are
+    // cancelled by releaseUnpaidHolds if that has not happened by deposit_due_at.
+    // Returns { reservation, deposit } where deposit is null or { amount, clientSecret, mode, dueAt }.
+    static async createReservationWithDeposit(reservationData) {
+        const deposit = await this.calculateDeposit({
+            restaurantId: reservationData.venueId,
+            guests: reservationData.guests,
+            date: reservationData.date,
+            tableType: reservationData.tableType,
+            cakePrice: reservationData.cake ? reservationData.cakePrice : null,
+            flowersPrice: reservationData.flowers ? reservationData.flowersPrice : null
+        });
+
+        if (!deposit) {
+            const reservation = await RestaurantService.createReservation(reservationData);
+            return { reservation, deposit: null };
+        }
+
+        const reservation = await RestaurantService.createReservation({ ...reservationData, status: 'pending' });
+
+        const mode = this.depositMode(reservation);
+        const intentDetails = {
+            reservationId: reservation.reservation_id,
+            restaurantId: reservation.restaurant_id,
+            email: reservation.reservation_email,
+            description: `Deposit for reservation #${reservation.reservation_id}`
+        };
+
+        let intent;
+        try {
+            intent = mode === 'setup'
+                ? await StripeService.createDepositSetupIntent({ ...intentDetails, name: reservation.reservation_name })
+                : await StripeService.createDepositIntent({ ...intentDetails, amount: deposit.amount });
+        } catch (error) {
+            // Don't keep a table held for a booking that can never be paid for
+            console.error(`❌ Deposit could not be started for reservation ${reservation.reservation_id}:`, error.message);
+            await RestaurantService.updateReservationStatus(reservation.reservation_id, 'cancelled');
+            throw new Error('Deposit payment is unavailable right now. Please try again later.');
+        }
+
+        const [updated] = await db.query(`
+            UPDATE reservation
+            SET deposit_amount = $2, deposit_status = 'requires_payment',
+                ${mode === 'setup' ? 'setup_intent_id' : 'payment_intent_id'} = $3,
+                deposit_due_at = NOW() + make_interval(mins => $4)
+            WHERE reservation_id = $1
+            RETURNING *;
+        `, [reservation.reservation_id, deposit.amount, intent.id, DEPOSIT_PAYMENT_MINUTES]);
+
+        console.log(`💳 Deposit of €${deposit.amount} requested for reservation ${reservation.reservation_id} (${intent.id})`);
+        return {
+            reservation: updated,
+            deposit: { amount: deposit.amount, clientSecret: intent.client_secret, mode, dueAt: updated.deposit_due_at }
+        };
+    }
+
+    // A deposit is taken for the booking as it was made. Throws BookingPolicyError when
+    // the new party size, date or table type would need a different one, so a booking
+    // for 2 cannot grow to 10 on a small deposit (or none).
+    static async assertDepositUnchanged(reservation, { guests, date, tableType }) {
+        const deposit = await this.calculateDeposit({
+            restaurantId: reservation.restaurant_id,
+            guests,
+            date,
+            tableType,
+            cakePrice: reservation.cake ? reservation.cake_price : null,
+            flowersPrice: reservation.flowers ? reservation.flowers_price : null
+        });
+        const required = deposit ? deposit.amount : 0;
+        const taken = reservation.deposit_status && reservation.deposit_status !== 'none'
+            ? Number(reservation.deposit_amount) || 0
+            : 0;
+
+        if (required !== taken) {
+            throw new BookingPolicyError(
+                'DEPOSIT_CHANGE_REQUIRED',
+                required > 0
+                    ? `This change needs a deposit of €${required.toFixed(2)}. Please cancel and book again with the new details, or call the restaurant.`
+                    : 'This change would change the deposit on your booking. Please cancel and book again with the new details, or call the restaurant.'
+            );
+        }
+    }
+
+    // Deposit details for the guest's manage page; includes the client secret
+    // while the card still has to be authorized (first attempt or after a decline)
+    static async getDepositForReservation(reservation) {
+        if ((!reservation.payment_intent_id && !reservation.setup_intent_id) || reservation.deposit_status === 'none') {
+            return null;
+        }
+
+        const deposit = {
+            amount: Number(reservation.deposit_amount),
+            status: reservation.deposit_status
+        };
+        if (['requires_payment', 'failed'].includes(reservation.deposit_status) && reservation.status === 'pending') {
+            const intent = reservation.setup_intent_id
+                ? await StripeService.retrieveSetupIntent(reservation.setup_intent_id)
+                : await StripeService.retrievePaymentIntent(reservation.payment_intent_id);
+            deposit.clientSecret = intent.client_secret;
+            deposit.mode = reservation.setup_intent_id ? 'setup' : 'payment';
+            deposit.dueAt = reservation.deposit_due_at;
+        }
+        return deposit;
+    }
+
+    // Settle the deposit when a reservation changes status:
+    //  - cancelled before the refund cutoff (or never paid) -> release / refund
+    //  - cancelled late or no_show -> capture, or charge the saved card
+    //  - completed -> release the authorization or the saved card
+    static async applyStatusChange(reservation, newStatus) {
+        if (!reservation || (!reservation.payment_intent_id && !reservation.setup_intent_id) || reservation.deposit_status === 'none') {
+            return;
+        }
+
+        const held = HELD_DEPOSIT_STATUSES.includes(reservation.deposit_status) || reservation.deposit_status === 'card_saved';
+        let action = null;
+
+        if (newStatus === 'no_show') {
+            action = { authorized: 'capture', card_saved: 'charge' }[reservation.deposit_status] || null;
+        } else if (newStatus === 'completed') {
+            action = held ? 'release' : null;
+        } else if (newStatus === 'cancelled') {
+            const [cutoff] = await db.query(`
+                SELECT r.start_at - make_interval(hours => rest.deposit_refund_cutoff_hours) >= NOW()::timestamp as refundable
+                FROM reservation r
+                JOIN restaurant rest ON rest.restaurant_id = r.restaurant_id
+                WHERE r.reservation_id = $1
+            `, [reservation.reservation_id]);
+            const refundable = !cutoff || cutoff.refundable;
+
+            if (['requires_payment', 'failed'].includes(reservation.deposit_status)) {
+                action = 'release';
+            } else if (reservation.deposit_status === 'authorized') {
+                action = refundable ? 'release' : 'capture';
+            } else if (reservation.deposit_status === 'card_saved') {
+                action = refundable ? 'release' : 'charge';
+            } else if (reservation.deposit_status === 'captured' && refundable) {
+                action = 'refund';
+            }
+        }
+
+        if (!action) return;
+
+        const nextStatus = { capture: 'captured', charge: 'captured', release: 'released', refund: 'refunded' }[action];
+        try {
+            if (action === 'capture') {
+                await StripeService.capturePaymentIntent(reservation.payment_intent_id);
+            } else if (action === 'charge') {
+                const paymentIntent = await StripeService.chargeSavedCard({
+                    setupIntentId: reservation.setup_intent_id,
+                    amount: Number(reservation.deposit_amount),
+                    reservationId: reservation.reservation_id,
+                    description: `Deposit for reservation #${reservation.reservation_id}`
+                });
+                // Later payment_intent webhooks and refunds find the booking by this id
+                await db.query('UPDATE reservation SET payment_intent_id = $2 WHERE reservation_id = $1',
+                    [reservation.reservation_id, paymentIntent.id]);
+            } else if (action === 'release' && reservation.payment_intent_id) {
+                await StripeService.cancelPaymentIntent(reservation.payment_intent_id);
+            } else if (action === 'release') {
+                // A saved card has nothing to give back; an unconfirmed setup is cancelled
+                if (reservation.deposit_status !== 'card_saved') {
+                    await StripeService.cancelSetupIntent(reservation.setup_intent_id);
+                }
+            } else {
+                await StripeService.refundPaymentIntent(reservation.payment_intent_id);
+            }
+        } catch (error) {
+            // Leave deposit_status as it was so staff can settle it from the Stripe dashboard
+            console.error(`❌ Deposit ${action} failed for reservation ${reservation.reservation_id}:`, error.message);
+            return;
+        }
+
+        await this.setDepositStatus(reservation.reservation_id, nextStatus);
+        console.log(`💳 Deposit for reservation ${reservation.reservation_id}: ${reservation.deposit_status} -> ${nextStatus}`);
+    }
+
+    // Cancel pending deposit bookings whose guest did not pay by deposit_due_at, so an
+    // abandoned payment form cannot hold a table. Cancelling releases the intent too.
+    static async releaseUnpaidHolds() {
+        const expired = await db.query(`
+            SELECT reservation_id FROM reservation
+            WHERE status = 'pending'
+              AND deposit_status IN ('requires_payment', 'failed')
+              AND deposit_due_at < NOW()
+            ORDER BY deposit_due_at ASC
+        `);
+
+        for (const reservation of expired) {
+            try {
+                await RestaurantService.updateReservationStatus(reservation.reservation_id, 'cancelled');
+            } catch (error) {
+                console.error(`❌ Error releasing unpaid reservation ${reservation.reservation_id}:`, error);
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`⌛ Released ${expired.length} reservation(s) with an unpaid deposit`);
+        }
+        return expired.length;
+    }
+
+    // Stripe webhook events for deposit PaymentIntents and SetupIntents
+    static async handlePaymentEvent(event) {
+        const object = event.data.object;
+        const intentId = event.type === 'charge.refunded' ? object.payment_intent : object.id;
+        if (!intentId) return;
+
+        const intentColumn = event.type.startsWith('setup_intent.') ? 'setup_intent_id' : 'payment_intent_id';
+        const [reservation] = await db.query(
+            `SELECT reservation_id, status, deposit_status FROM reservation WHERE ${intentColumn} = $1`,
+            [intentId]
+        );
+        if (!reservation) {
+            console.log(`⚠️ Stripe ${event.type} for unknown intent ${intentId}`);
+            return;
+        }
+
+        const reservationId = reservation.reservation_id;
+        switch (event.type) {
+            case 'payment_intent.amount_capturable_updated':
+            case 'setup_intent.succeeded':
+                // Authorized after the booking was cancelled (releaseUnpaidHolds got there
+                // first): give the hold back instead of leaving it on the guest's card
+                if (reservation.status === 'cancelled') {
+                    if (event.type === 'setup_intent.succeeded') {
+                        if (object.payment_method) {
+                            await StripeService.detachPaymentMethod(object.payment_method);
+                        }
+                    } else {
+                        await StripeService.cancelPaymentIntent(intentId);
+                    }
+                    await this.setDepositStatus(reservationId, 'released');
+                    console.log(`💳 Late deposit ${object.id} released for cancelled reservation ${reservationId}`);
+                    break;
+                }
+                // Card authorized or saved - the booking is now secured
+                await this.setDepositStatus(
+                    reservationId,
+                    event.type === 'setup_intent.succeeded' ? 'card_saved' : 'authorized',
+                    ['requires_payment', 'failed']
+                );
+                if (reservation.status === 'pending') {
+                    await RestaurantService.updateReservationStatus(reservationId, 'confirmed');
+                }
+                break;
+            case 'payment_intent.succeeded':
+                await this.setDepositStatus(reservationId, 'captured', ['requires_payment', 'authorized', 'card_saved', 'failed']);
+                break;
+            case 'payment_intent.payment_failed':
+            case 'setup_intent.setup_failed':
+                // The guest can retry with another card while the booking stays pending
+                await this.setDepositStatus(reservationId, 'failed', ['requires_payment']);
+                break;
+            case 'payment_intent.canceled':
+                await this.setDepositStatus(reservationId, 'released', ['requires_payment', 'authorized', 'failed']);
+                // An unpaid booking whose authorization was dropped frees its table
+                if (reservation.status === 'pending') {
+                    await RestaurantService.updateReservationStatus(reservationId, 'cancelled');
+                }
+                break;
+            case 'charge.refunded':
+                await this.setDepositStatus(reservationId, 'refunded');
+                break;
+        }
+    }
+
+    // Update deposit_status, optionally only from the given statuses (webhooks can arrive late or twice)
+    static async setDepositStatus(reservationId, status, fromStatuses = null) {
+        await db.query(`
+            UPDATE reservation SET deposit_status = $2
+            WHERE reservation_id = $1
+              AND ($3::deposit_status_enum[] IS NULL OR deposit_status = ANY($3::deposit_status_enum[]))
+        `, [reservationId, status, fromStatuses]);
+    }
+}
+
+export default DepositService;
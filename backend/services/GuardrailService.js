@@ -0,0 +1,278 @@
+// Attempts to override Tablio's instructions or pull out its prompt. Plain questions
+// ("what is the owner's phone?") are not blocked: owner contact details never reach
+// the model, so it can only offer the restaurant's own phone and email.
+export const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?(your|the|these|those|previous|prior|above|earlier|system|all)\b[^.!?\n]{0,30}\b(instructions?|prompts?|rules|guidelines)\b/i,
+    /\b(reveal|show|print|repeat|output|leak|tell me)\b[^.!?\n]{0,30}\b(system|hidden|secret|initial|original)\s+(prompt|instructions?|message)/i,
+    /\b(you are now|from now on you are|pretend (to be|you are)|act as)\b[^.!?\n]{0,30}\b(dan|jailbroken|unrestricted|unfiltered|developer mode|admin|owner)\b/i,
+    /\b(jailbreak|developer mode|do anything now)\b/i,
+    /(^|\n)\s*(system|assistant)\s*:/i,
+    /<\|?(im_start|im_end|system)\|?>|\[\/?(inst|sys)\]/i,
+    /αγνόησε[^.!?\n]{0,40}(οδηγίες|εντολές|κανόνες)/i
+];
+
+// Insults and threats aimed at Tablio or the staff
+export const ABUSE_PATTERNS = [
+    /\bf+u+c+k+\s*(you|off|u)\b/i,
+    /\b(stupid|useless|dumb|fucking)\s+(bot|robot|machine|idiot)\b/i,
+    /\b(idiot|moron|bitch|asshole|cunt|retard)\b/i,
+    /\b(i('| wi)ll|gonna|going to)\s+(kill|hurt|find)\s+(you|the owner|your staff)\b/i,
+    /\b(μαλάκα|γαμώ\s*το\s*σπίτι|ηλίθιε|βλάκα)/i
+];
+
+// Owner fields some restaurant queries join in; the guest-facing contact is the restaurant's phone and email
+export const PRIVATE_OWNER_FIELDS = ['owner_email', 'owner_phone'];
+
+export const GUARD_LIMITS = {
+    // More messages than this in a minute and the session is throttled
+    messagesPerMinute: 20,
+    // Blocked messages (injection or abuse) a session may send within strikeWindowMinutes
+    maxStrikes: 3,
+    strikeWindowMinutes: 30,
+    // How long a session that reached maxStrikes is paused
+    blockMinutes: 15,
+    // Reservation lookups that matched nothing a client may make within lookupWindowMinutes,
+    // so reservation codes cannot be guessed against an email or phone number
+    maxFailedLookups: 5,
+    lookupWindowMinutes: 30
+};
+
+const GUARD_MESSAGES = {
+    en: {
+        prompt_injection: 'I can only help with this restaurant: bookings, the menu, opening hours and special occasions. What would you like to know?',
+        abuse: "I'm here to help with your visit. Let's keep the conversation respectful. How can I help?",
+        rate_limited: "You're sending messages very quickly. Please wait a moment before trying again.",
+        session_blocked: 'This chat has been paused for a while. Please try again later or contact the restaurant directly.'
+    },
+    el: {
+        prompt_injection: 'Μπορώ να βοηθήσω μόνο με το εστιατόριο: κρατήσεις, μενού, ώρες λειτουργίας και ειδικές περιστάσεις. Τι θα θέλατε να μάθετε;',
+        abuse: 'Είμαι εδώ για να βοηθήσω με την επίσκεψή σας. Ας κρατήσουμε τη συζήτηση ευγενική. Πώς μπορώ να βοηθήσω;',
+        rate_limited: 'Στέλνετε μηνύματα πολύ γρήγορα. Περιμένετε λίγο και δοκιμάστε ξανά.',
+        session_blocked: 'Η συνομιλία έχει διακοπεί προσωρινά. Δοκιμάστε αργότερα ή επικοινωνήστε απευθείας με το εστιατόριο.'
+    }
+};
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// 10-15 digits with optional +/00 prefix and spaces, dashes, dots or brackets in between.
+// Not part of a longer token (session ids, timestamps) and not a date.
+const PHONE = /(?<![\w@.-])(?:\+|00)?\d(?:[\s\-.()]{0,2}\d){9,14}(?![\w-])/g;
+const DATE_LIKE = /\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{2,4}/;
+
+const REDACTED_CONTACT = '[contact details removed]';
+
+// A space before a letter: no email or phone number runs across it, so the text
+// before it can be checked on its own
+const CONTACT_BOUNDARY = /\s(?=\p{L})/gu;
+
+// Guard state per client (the chat routes use the IP address), so leaving out or
+// changing the session id does not lift the limits. Idle clients are dropped once
+// there are this many.
+const clientGuards = new Map();
+const CLIENT_GUARD_CAPACITY = 10000;
+
+class GuardrailService {
+    /**
+     * Check a guest message before any agent or model sees it.
+     * guard is the session's guard state (sessionState.guard); the returned guard
+     * replaces it. Only sessions with an id are rate limited.
+     * Returns { blocked, reason, guard } with reason one of prompt_injection, abuse,
+     * rate_limited or session_blocked.
+     */
+    static checkInput(message, guard = null, { rateLimit = true, now = Date.now() } = {}) {
+        const minuteAgo = now - 60 * 1000;
+        const strikeWindowStart = now - GUARD_LIMITS.strikeWindowMinutes * 60 * 1000;
+        const state = {
+            messages: (guard?.messages || []).filter(time => time > minuteAgo),
+            strikes: (guard?.strikes || []).filter(strike => strike.at > strikeWindowStart),
+            blockedUntil: guard?.blockedUntil && guard.blockedUntil > now ? guard.blockedUntil : null,
+            failedLookups: this.recentFailedLookups(guard, now)
+        };
+        const result = (reason) => ({ blocked: reason !== null, reason, guard: state });
+
+        if (rateLimit) {
+            if (state.blockedUntil) return result('session_blocked');
+
+            state.messages.push(now);
+            if (state.messages.length > GUARD_LIMITS.messagesPerMinute) return result('rate_limited');
+        }
+
+        const reason = this.classifyMessage(message);
+        if (!reason) return result(null);
+
+        state.strikes.push({ at: now, reason });
+        if (rateLimit && state.strikes.length >= GUARD_LIMITS.maxStrikes) {
+            state.blockedUntil = now + GUARD_LIMITS.blockMinutes * 60 * 1000;
+        }
+        return result(reason);
+    }
+
+    // The guard state of a client, for checkInput
+    static getClientGuard(clientId) {
+        return clientGuards.get(clientId) || null;
+    }
+
+    static saveClientGuard(clientId, guard, now = Date.now()) {
+        clientGuards.set(clientId, guard);
+        if (clientGuards.size <= CLIENT_GUARD_CAPACITY) return;
+
+        const minuteAgo = now - 60 * 1000;
+        const strikeWindowStart = now - GUARD_LIMITS.strikeWindowMinutes * 60 * 1000;
+        for (const [id, state] of clientGuards) {
+            const idle = !(state.blockedUntil > now)
+                && state.messages.every(time => time <= minuteAgo)
+                && state.strikes.every(strike => strike.at <= strikeWindowStart)
+                && this.recentFailedLookups(state, now).length === 0;
+            if (idle) clientGuards.delete(id);
+        }
+    }
+
+    static recentFailedLookups(guard, now = Date.now()) {
+        const windowStart = now - GUARD_LIMITS.lookupWindowMinutes * 60 * 1000;
+        return (guard?.failedLookups || []).filter(time => time > windowStart);
+    }
+
+    // Whether the client has used up its failed reservation lookups. Without a client id there is no limit.
+    static lookupsBlocked(clientId, now = Date.now()) {
+        if (!clientId) return false;
+        return this.recentFailedLookups(this.getClientGuard(clientId), now).length >= GUARD_LIMITS.maxFailedLookups;
+    }
+
+    static recordFailedLookup(clientId, now = Date.now()) {
+        if (!clientId) return;
+        const guard = this.getClientGuard(clientId) || { messages: [], strikes: [], blockedUntil: null };
+        this.saveClientGuard(clientId, {
+            ...guard,
+            failedLookups: [...this.recentFailedLookups(guard, now), now]
+        }, now);
+    }
+
+    // prompt_injection, abuse or null
+    static classifyMessage(message) {
+        const text = String(message || '');
+        if (INJECTION_PATTERNS.some(pattern => pattern.test(text))) return 'prompt_injection';
+        if (ABUSE_PATTERNS.some(pattern => pattern.test(text))) return 'abuse';
+        return null;
+    }
+
+    // What Tablio says instead of answering a blocked message
+    static getBlockedMessage(reason, language) {
+        const messages = GUARD_MESSAGES[language] || GUARD_MESSAGES.en;
+        return messages[reason] || messages.prompt_injection;
+    }
+
+    // A copy of a tool result without the owner's own email and phone
+    static stripPrivateData(value) {
+        if (Array.isArray(value)) return value.map(item => this.stripPrivateData(item));
+        if (!value || typeof value !== 'object' || value.constructor !== Object) return value;
+
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => !PRIVATE_OWNER_FIELDS.includes(key))
+                .map(([key, item]) => [key, this.stripPrivateData(item)])
+        );
+    }
+
+    static findContacts(text) {
+        const value = String(text || '');
+        return {
+            emails: value.match(EMAIL) || [],
+            phones: (value.match(PHONE) || []).filter(phone => !DATE_LIKE.test(phone))
+        };
+    }
+
+    /**
+     * Take emails and phone numbers out of a reply unless Tablio may share them:
+     * the restaurant's own contact details (from the tool results) and whatever
+     * the guest wrote themselves (guestText). Returns { text, redacted }.
+     */
+    static redactReply(text, { toolResults = [], guestText = '' } = {}) {
+        if (!text) return { text, redacted: 0 };
+
+        const allowed = this.findContacts(guestText);
+        for (const result of toolResults) {
+            const restaurant = result.data?.restaurant;
+            if (restaurant && typeof restaurant === 'object') {
+                const shared = this.findContacts([restaurant.phone, restaurant.email, restaurant.contact_email].join(' '));
+                allowed.emails.push(...shared.emails);
+                allowed.phones.push(...shared.phones);
+            }
+        }
+        const allowedEmails = new Set(allowed.emails.map(email => email.toLowerCase()));
+        const allowedPhones = new Set(allowed.phones.map(phone => phone.replace(/\D/g, '').slice(-10)));
+
+        let redacted = 0;
+        const checked = String(text)
+            .replace(EMAIL, email => {
+                if (allowedEmails.has(email.toLowerCase())) return email;
+                redacted += 1;
+                return REDACTED_CONTACT;
+            })
+            .replace(PHONE, phone => {
+                if (DATE_LIKE.test(phone) || allowedPhones.has(phone.replace(/\D/g, '').slice(-10))) return phone;
+                redacted += 1;
+                return REDACTED_CONTACT;
+            });
+        return { text: checked, redacted };
+    }
+
+    /**
+     * redactReply for a streamed reply: write() each chunk as it arrives and emit(text)
+     * gets the checked text. Text is held back up to the last space before a letter,
+     * so an email or phone number split across chunks is still caught; end() checks
+     * and emits the rest.
+     */
+    static createReplyRedactor(emit, options = {}) {
+        let pending = '';
+        const flush = (text) => {
+            if (text) emit(this.redactReply(text, options).text);
+        };
+
+        return {
+            write(chunk) {
+                pending += chunk;
+                let cut = 0;
+                for (const match of pending.matchAll(CONTACT_BOUNDARY)) {
+                    cut = match.index + 1;
+                }
+                if (cut > 0) {
+                    flush(pending.slice(0, cut));
+                    pending = pending.slice(cut);
+                }
+            },
+            end() {
+                flush(pending);
+                pending = '';
+            }
+        };
+    }
+
+    // Emails and phone numbers masked in a string, or in the strings of an object or array
+    static redactPII(value, depth = 0) {
+        if (typeof value === 'string') {
+            return value
+                .replace(EMAIL, '[email]')
+                .replace(PHONE, phone => (DATE_LIKE.test(phone) ? phone : '[phone]'));
+        }
+        if (depth > 6 || !value || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => this.redactPII(item, depth + 1));
+        if (value.constructor !== Object) return value;
+
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactPII(item, depth + 1)]));
+    }
+
+    /**
+     * Mask emails and phone numbers in everything written through console, so guest
+     * details in request bodies and agent state stay out of the server logs.
+     * LOG_REDACTION=off turns this off for local debugging.
+     */
+    static redactConsole() {
+        if (process.env.LOG_REDACTION === 'off') return;
+
+        for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+            const write = console[method].bind(console);
+            console[method] = (...args) => write(...args.map(arg => this.redactPII(arg)));
+        }
+    }
+}
+
+export default GuardrailService;
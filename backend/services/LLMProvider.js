@@ -0,0 +1,483 @@
+import fetch from 'node-fetch';
+import fs from 'fs';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server listens on http://localhost:8080/v1
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_OPENAI_MODEL = 'llama3.1';
+
+/**
+ * LLM provider interface shared by every adapter:
+ *   generateText(input, options)          -> generated text ('' when the model returned none)
+ *   streamText(input, onToken, options)   -> full text; onToken is called with each chunk as it arrives
+ *   callTool(input, tools, options)       -> { name, args } for the function the model called,
+ *                                            or { name: null, text } when it answered in text
+ * `input` is a prompt string or a list of { role: 'user' | 'assistant', content } messages.
+ * `tools` are TOOL_DEFINITIONS entries: { name, description, parameters (JSON schema) }.
+ * options: { temperature, maxTokens }
+ * Failed requests throw, so callers keep their own fallbacks in their catch blocks.
+ */
+export class LLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async generateText(input, options = {}) {
+        throw new Error(`generateText must be implemented by ${this.name}`);
+    }
+
+    // Adapters without native streaming hand back the whole text as one chunk
+    async streamText(input, onToken, options = {}) {
+        const text = await this.generateText(input, options);
+        if (text) onToken(text);
+        return text;
+    }
+
+    // Adapters without native function calling describe the tools in the prompt and parse a JSON plan
+    async callTool(input, tools, options = {}) {
+        const [first, ...rest] = toMessages(input);
+        const instructions = `AVAILABLE FUNCTIONS:
+${tools.map(tool => `${tool.name}: ${tool.description}\n  Parameters: ${JSON.stringify(tool.parameters)}`).join('\n')}
+
+Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+
+        const text = await this.generateText([{ ...first, content: `${first.content}\n\n${instructions}` }, ...rest], options);
+        return parseToolPlan(text);
+    }
+}
+
+// A bare prompt is a single user turn
+const toMessages = (input) => (typeof input === 'string' ? [{ role: 'user', content: input }] : input);
+
+// Read a { "tool_to_call", "parameters" } object out of a text answer
+function parseToolPlan(text) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+        try {
+            const plan = JSON.parse(jsonMatch[0]);
+            if (plan.tool_to_call) {
+                return { name: plan.tool_to_call, args: plan.parameters || {} };
+            }
+        } catch (error) {
+            // Not a plan; hand the text back to the caller
+        }
+    }
+    return { name: null, text };
+}
+
+// Gemini function declarations take an OpenAPI subset of JSON schema without defaults
+function toGeminiSchema(schema) {
+    const { default: _default, ...rest } = schema;
+    if (rest.properties) {
+        rest.properties = Object.fromEntries(
+            Object.entries(rest.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+        );
+    }
+    if (rest.items) rest.items = toGeminiSchema(rest.items);
+    return rest;
+}
+
+// Yield the payload of every `data:` line of a server-sent event stream
+async function* readSseData(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.startsWith('data:')) yield line.slice(5).trim();
+        }
+    }
+}
+
+// Google Gemini over the generateContent REST API
+export class GeminiProvider extends LLMProvider {
+    constructor({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL, fetchImpl = fetch } = {}) {
+        super('gemini');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.fetch = fetchImpl;
+    }
+
+    async request(method, input, options, extraBody = {}) {
+        const generationConfig = {};
+        if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+        if (options.maxTokens !== undefined) generationConfig.maxOutputTokens = options.maxTokens;
+
+        const response = await this.fetch(`${GEMINI_BASE_URL}/${this.model}:${method}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-goog-api-key': this.apiKey
+            },
+            body: JSON.stringify({
+                contents: toMessages(input).map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }]
+                })),
+                ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+                ...extraBody
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Gemini request failed with status ${response.status}`);
+        }
+        return response;
+    }
+
+    static textOf(data) {
+        return (data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    }
+
+    async generateText(input, options = {}) {
+        const response = await this.request('generateContent', input, options);
+        return GeminiProvider.textOf(await response.json());
+    }
+
+    async streamText(input, onToken, options = {}) {
+        const response = await this.request('streamGenerateContent?alt=sse', input, options);
+        let text = '';
+        for await (const data of readSseData(response.body)) {
+            const piece = GeminiProvider.textOf(JSON.parse(data));
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        }
+        return text;
+    }
+
+    async callTool(input, tools, options = {}) {
+        const response = await this.request('generateContent', input, options, {
+            tools: [{
+                functionDeclarations: tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: toGeminiSchema(tool.parameters)
+                }))
+            }],
+            // ANY makes the model call one of the declared functions instead of answering in text
+            toolConfig: { functionCallingConfig: { mode: 'ANY' } }
+        });
+        const data = await response.json();
+
+        const call = (data?.candidates?.[0]?.content?.parts || []).find(part => part.functionCall)?.functionCall;
+        if (call) {
+            return { name: call.name, args: call.args || {} };
+        }
+        return { name: null, text: GeminiProvider.textOf(data) };
+    }
+}
+
+// Any server speaking the OpenAI chat completions API (llama.cpp, Ollama, vLLM, OpenAI itself)
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor({
+        baseUrl = process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+        model = process.env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        apiKey = process.env.LLM_API_KEY,
+        fetchImpl = fetch
+    } = {}) {
+        super('openai');
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl;
+    }
+
+    async request(input, options, stream, extraBody = {}) {
+        const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Local servers usually run without a key
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: toMessages(input),
+                stream,
+                ...(options.temperature !== undefined && { temperature: options.temperature }),
+                ...(options.maxTokens !== undefined && { max_tokens: options.maxTokens }),
+                ...extraBody
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`LLM request to ${this.baseUrl} failed with status ${response.status}`);
+        }
+        return response;
+    }
+
+    async generateText(input, options = {}) {
+        const response = await this.request(input, options, false);
+        const data = await response.json();
+        return data?.choices?.[0]?.message?.content || '';
+    }
+
+    async streamText(input, onToken, options = {}) {
+        const response = await this.request(input, options, true);
+        let text = '';
+        for await (const data of readSseData(response.body)) {
+            if (data === '[DONE]') break;
+            const piece = JSON.parse(data)?.choices?.[0]?.delta?.content;
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        }
+        return text;
+    }
+
+    async callTool(input, tools, options = {}) {
+        const response = await this.request(input, options, false, {
+            tools: tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            })),
+            tool_choice: 'required'
+        });
+        const message = (await response.json())?.choices?.[0]?.message;
+
+        const call = message?.tool_calls?.[0]?.function;
+        if (!call) {
+            return { name: null, text: message?.content || '' };
+        }
+        // OpenAI sends the arguments as a JSON string, Ollama as an object
+        if (typeof call.arguments !== 'string') {
+            return { name: call.name, args: call.arguments || {} };
+        }
+        try {
+            return { name: call.name, args: JSON.parse(call.arguments || '{}') };
+        } catch (error) {
+            return { name: call.name, args: null, text: call.arguments };
+        }
+    }
+}
+
+// Pull a quoted field such as USER'S REQUEST: "..." out of one of our prompts
+const quotedField = (prompt, label) => {
+    const match = prompt.match(new RegExp(`${label}: "([\\s\\S]*?)"\\n`));
+    return match ? match[1] : '';
+};
+
+// Keyword routing used by the fake in place of the decomposition model;
+// an edit to an existing booking is handled by the reservation agent alone
+const FAKE_ROUTES = [
+    { agent: 'TableAvailabilityAgent', pattern: /\b(reserv\w*|book\w*|tables?|availab\w*|people|guests)\b/i },
+    { agent: 'MenuPricingAgent', pattern: /\b(menu|dish\w*|food|vegetarian|vegan|gluten|prices?|wine|dessert)\b/i },
+    { agent: 'CelebrationAgent', pattern: /\b(birthday|anniversary|celebrat\w*|proposal|romantic)\b/i },
+    { agent: 'RestaurantInfoAgent', pattern: /\b(hours?|open\w*|clos\w*|address|locat\w*|restaurant|atmosphere)\b/i }
+];
+const FAKE_MODIFY_PATTERN = /\b(cancel|modify|reschedule|move|change)\b.*\b(booking|reservation)\b/i;
+// Asking for a person goes to the support agent, which hands over to staff
+const FAKE_HANDOFF_PATTERN = /\b(human|person|manager|staff|someone)\b/i;
+
+const toolPlan = (tool_to_call, parameters) => JSON.stringify({ tool_to_call, parameters });
+
+const clarify = (message, response_type = 'clarification') => toolPlan('clarify_and_respond', { response_type, message });
+
+/**
+ * Default rules of the fake provider, one per prompt it has to answer. Agent plans are
+ * matched before the orchestrator's planning prompt because that prompt wraps them.
+ */
+export const DEFAULT_FAKE_SCRIPT = [
+    {
+        match: /You are a project manager AI/,
+        response: (prompt) => {
+            const request = quotedField(prompt, "USER'S REQUEST");
+            let agents;
+            if (FAKE_HANDOFF_PATTERN.test(request)) agents = ['SupportContactAgent'];
+            else if (FAKE_MODIFY_PATTERN.test(request)) agents = ['ReservationAgent'];
+            else agents = FAKE_ROUTES.filter(route => route.pattern.test(request)).map(route => route.agent);
+            const plan = (agents.length > 0 ? agents : ['SupportContactAgent']).map((agent, index) => ({
+                step: index + 1,
+                agent_to_use: agent,
+                sub_task_query: request
+            }));
+            return JSON.stringify(plan);
+        }
+    },
+    {
+        match: /You are a table availability specialist agent/,
+        response: (prompt) => {
+            const task = quotedField(prompt, 'YOUR SPECIFIC TASK');
+            const date = task.match(/\b\d{4}-\d{2}-\d{2}\b/);
+            const time = task.match(/\b\d{1,2}:\d{2}\b/);
+            const partySize = task.match(/\b(\d+)\s*(people|guests|persons)\b/i);
+            if (date && time && partySize) {
+                return toolPlan('check_availability', {
+                    date: date[0],
+                    time: time[0].padStart(5, '0'),
+                    partySize: parseInt(partySize[1])
+                });
+            }
+            return clarify('I would be happy to check availability. Which date, time and party size would you like?');
+        }
+    },
+    {
+        match: /You are a menu specialist agent/,
+        response: (prompt) => toolPlan('get_menu_items', { query: quotedField(prompt, 'YOUR SPECIFIC TASK') })
+    },
+    {
+        match: /You are a restaurant information specialist agent/,
+        response: (prompt) => {
+            const task = quotedField(prompt, 'YOUR SPECIFIC TASK');
+            let topic = 'general';
+            if (/\b(hours?|open\w*|clos\w*)\b/i.test(task)) topic = 'hours';
+            else if (/\b(address|where|locat\w*)\b/i.test(task)) topic = 'address';
+            return toolPlan('get_restaurant_info', { topic });
+        }
+    },
+    {
+        match: /You are a celebration specialist agent/,
+        response: (prompt) => {
+            const task = quotedField(prompt, 'YOUR SPECIFIC TASK').toLowerCase();
+            const occasion_tags = ['birthday', 'anniversary', 'romantic', 'proposal'].filter(tag => task.includes(tag));
+            return toolPlan('get_celebration_packages', { occasion_tags });
+        }
+    },
+    {
+        match: /You are a reservation creation specialist agent/,
+        response: clarify('Could you share your reservation code and the email address you booked with?')
+    },
+    {
+        match: /You are a customer support specialist agent/,
+        response: (prompt) => {
+            const task = quotedField(prompt, 'YOUR SPECIFIC TASK');
+            if (FAKE_HANDOFF_PATTERN.test(task)) {
+                return toolPlan('request_human', { reason: task });
+            }
+            return clarify('Hello! How can I help you with your visit today?', 'greeting');
+        }
+    },
+    {
+        match: /You are an expert orchestrator/,
+        response: clarify('I need a bit more information to help you. Could you please clarify what you\'re looking for?')
+    },
+    {
+        match: /You are a conversation analyst/,
+        response: 'NO'
+    },
+    {
+        match: /Your ONLY job is to translate the provided "Tool Result"/,
+        response: (prompt) => {
+            const question = quotedField(prompt, "User's Original Question");
+            const block = prompt.match(/--- TOOL RESULT \(The Ground Truth\) ---\n([\s\S]*?)\n--- END OF TOOL RESULT ---/);
+            let messages = [];
+            try {
+                const toolResult = JSON.parse(block[1]);
+                const results = toolResult.allToolResults ? toolResult.allToolResults.map(result => result.data) : [toolResult];
+                messages = results.map(result => result?.message).filter(message => typeof message === 'string');
+            } catch (error) {
+                // Nothing more to add than the summary line
+            }
+            return [`Here is what I found about "${question}".`, ...messages].join(' ');
+        }
+    },
+    {
+        match: /You are a master AI assistant/,
+        response: (prompt) => {
+            const results = prompt.match(/FACTUAL RESULTS FROM MY INTERNAL SYSTEMS:\n([\s\S]*?)\n\n/);
+            return results ? results[1].split('\n').map(line => line.replace(/^\d+\.\s*/, '')).join(' ') : '';
+        }
+    },
+    {
+        match: /You are a smart entity extractor/,
+        response: JSON.stringify({
+            date: null,
+            time: null,
+            partySize: null,
+            menuKeywords: [],
+            ambianceKeywords: [],
+            requestedInfo: []
+        })
+    },
+    {
+        match: /[\s\S]*/,
+        response: 'Thanks for your message! How can I help you with your visit?'
+    }
+];
+
+/**
+ * Scripted provider for offline runs and tests. Each rule is { match, response }:
+ * the first rule whose RegExp matches the prompt wins, and its response is either
+ * the text to return or a function (prompt, match) => text. Every call is recorded
+ * in `calls` so tests can check what was asked.
+ */
+export class FakeLLMProvider extends LLMProvider {
+    constructor({ script = [], includeDefaults = true } = {}) {
+        super('fake');
+        this.rules = includeDefaults ? [...script, ...DEFAULT_FAKE_SCRIPT] : [...script];
+        this.calls = [];
+    }
+
+    async generateText(input, options = {}) {
+        const messages = toMessages(input);
+        const prompt = messages.map(message => message.content).join('\n\n');
+        this.calls.push({ messages, options });
+
+        for (const rule of this.rules) {
+            const match = prompt.match(rule.match);
+            if (match) {
+                return typeof rule.response === 'function' ? rule.response(prompt, match) : rule.response;
+            }
+        }
+        return '';
+    }
+
+    // Stream word by word so callers see more than one chunk
+    async streamText(input, onToken, options = {}) {
+        const text = await this.generateText(input, options);
+        for (const piece of text.match(/\S+\s*/g) || []) {
+            onToken(piece);
+        }
+        return text;
+    }
+}
+
+/**
+ * Turn JSON fake rules [{ "match": "regex", "response": "text" | {...} }] into provider rules.
+ * Patterns are case-insensitive; object responses are sent back as JSON.
+ */
+export function parseFakeScript(rules, source = 'Fake LLM script') {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${source} must be a JSON array of rules`);
+    }
+    return rules.map(rule => ({
+        match: new RegExp(rule.match, 'i'),
+        response: typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response)
+    }));
+}
+
+/**
+ * Read a fake script from a JSON file (see parseFakeScript)
+ */
+export function loadFakeScript(filePath) {
+    return parseFakeScript(JSON.parse(fs.readFileSync(filePath, 'utf8')), `Fake LLM script ${filePath}`);
+}
+
+// LLM_PROVIDER=gemini (default) | openai | fake
+export function createLLMProvider() {
+    switch (process.env.LLM_PROVIDER || 'gemini') {
+        case 'gemini':
+            return new GeminiProvider();
+        case 'openai':
+            return new OpenAICompatibleProvider();
+        case 'fake':
+            return new FakeLLMProvider({
+                script: process.env.LLM_FAKE_SCRIPT ? loadFakeScript(process.env.LLM_FAKE_SCRIPT) : []
+            });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${process.env.LLM_PROVIDER}" (expected gemini, openai or fake)`);
+    }
+}
+
+// One provider shared by every service and agent in this process
+const llmProvider = createLLMProvider();
+
+export default llmProvider;
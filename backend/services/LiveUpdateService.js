@@ -0,0 +1,230 @@
+import jwt from 'jsonwebtoken';
+import StaffService from './StaffService.js';
+
+// Where the dashboard opens its socket: /api/live?restaurantId=3&token=<access token>
+export const LIVE_UPDATES_PATH = '/api/live';
+
+// Sockets that stop answering pings for this long are dropped
+const HEARTBEAT_MS = 30 * 1000;
+
+// How often open sockets are checked against their token's expiry and the staff list
+const ACCESS_CHECK_MS = 60 * 1000;
+
+// Close codes the dashboard sees when its socket is dropped after connecting
+const CLOSE_TOKEN_EXPIRED = 4001;
+const CLOSE_ACCESS_REVOKED = 4003;
+
+const OPEN = 1;
+
+// restaurantId -> Set of open sockets
+const channels = new Map();
+
+/**
+ * Pushes reservation, table and chat changes to every dashboard that has the
+ * restaurant open, so the host stand does not wait for the next refresh.
+ * Channels live in this process's memory: with more than one backend instance a
+ * dashboard only hears about changes made through the instance it is connected to.
+ */
+class LiveUpdateService {
+    /**
+     * Check a socket's access token the same way authenticateToken and
+     * checkDashboardAccess check a dashboard request: any member of the
+     * restaurant's staff, or a platform admin.
+     * @returns {Promise<Object>} - The token payload
+     * @throws {Error} with status 401 (no or bad token) or 403 (another restaurant)
+     */
+    static async authorize(token, restaurantId) {
+        const fail = (status, message) => Object.assign(new Error(message), { status });
+
+        if (!token) {
+            throw fail(401, 'Access token required');
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            throw fail(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+        }
+
+        const access = await StaffService.getAccess(decoded.id, restaurantId);
+        if (!access) {
+            throw fail(401, 'Invalid token - user not found');
+        }
+
+        if (!StaffService.can(access.role, 'dashboard.view')) {
+            throw fail(403, 'Access denied. You can only view the dashboards of restaurants you work at.');
+        }
+
+        return decoded;
+    }
+
+    static subscribe(restaurantId, socket) {
+        if (!channels.has(restaurantId)) {
+            channels.set(restaurantId, new Set());
+        }
+        channels.get(restaurantId).add(socket);
+    }
+
+    static unsubscribe(restaurantId, socket) {
+        const sockets = channels.get(restaurantId);
+        if (!sockets) return;
+        sockets.delete(socket);
+        if (sockets.size === 0) {
+            channels.delete(restaurantId);
+        }
+    }
+
+    // How many dashboards are listening for the restaurant
+    static connectionCount(restaurantId) {
+        return channels.get(parseInt(restaurantId))?.size || 0;
+    }
+
+    /**
+     * Send one event to every dashboard open on the restaurant. Never throws: a
+     * socket that fails to send is dropped and the change itself is unaffected.
+     * @returns {number} - How many sockets the event was sent to
+     */
+    static publish(restaurantId, type, data = {}) {
+        const sockets = channels.get(parseInt(restaurantId));
+        if (!sockets || sockets.size === 0) return 0;
+
+        const message = JSON.stringify({
+            type,
+            restaurant_id: parseInt(restaurantId),
+            sent_at: new Date().toISOString(),
+            data
+        });
+
+        let sent = 0;
+        for (const socket of sockets) {
+            if (socket.readyState !== OPEN) continue;
+            try {
+                socket.send(message);
+                sent++;
+            } catch (error) {
+                console.error('❌ Error sending live update:', error);
+                LiveUpdateService.unsubscribe(parseInt(restaurantId), socket);
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Drop the sockets that would no longer be let in: their access token has
+     * expired, or the account has left the restaurant's staff or lost
+     * dashboard.view since connecting. Each account's access is looked up once
+     * per restaurant per pass.
+     * @returns {Promise<number>} - How many sockets were closed
+     */
+    static async recheckAccess(now = Date.now()) {
+        let closed = 0;
+
+        for (const [restaurantId, sockets] of [...channels]) {
+            const accessByOwner = new Map();
+
+            for (const socket of [...sockets]) {
+                let code = null;
+                let reason = null;
+
+                if (socket.expiresAt && socket.expiresAt <= now) {
+                    code = CLOSE_TOKEN_EXPIRED;
+                    reason = 'Token expired';
+                } else {
+                    if (!accessByOwner.has(socket.ownerId)) {
+                        accessByOwner.set(socket.ownerId, await StaffService.getAccess(socket.ownerId, restaurantId));
+                    }
+                    const access = accessByOwner.get(socket.ownerId);
+                    if (!access || !StaffService.can(access.role, 'dashboard.view')) {
+                        code = CLOSE_ACCESS_REVOKED;
+                        reason = 'Access revoked';
+                    }
+                }
+
+                if (code) {
+                    LiveUpdateService.unsubscribe(restaurantId, socket);
+                    socket.close(code, reason);
+                    closed++;
+                }
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Accept dashboard sockets on LIVE_UPDATES_PATH of the HTTP server. The token is
+     * checked before the upgrade, so a refused connection gets a plain 401 or 403,
+     * and again every ACCESS_CHECK_MS while the socket is open (see recheckAccess).
+     */
+    static async attach(server) {
+        // Imported lazily so the services that publish can be loaded without ws installed
+        const { WebSocketServer } = await import('ws');
+        const wss = new WebSocketServer({ noServer: true });
+
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== LIVE_UPDATES_PATH) {
+                socket.destroy();
+                return;
+            }
+
+            const restaurantId = parseInt(url.searchParams.get('restaurantId'));
+            let decoded;
+            try {
+                if (!restaurantId) {
+                    throw Object.assign(new Error('restaurantId is required'), { status: 400 });
+                }
+                decoded = await LiveUpdateService.authorize(url.searchParams.get('token'), restaurantId);
+            } catch (error) {
+                const status = error.status || 500;
+                const reason = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden' }[status] || 'Internal Server Error';
+                if (!error.status) console.error('❌ Live update auth error:', error);
+                socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+                socket.destroy();
+                return;
+            }
+
+            wss.handleUpgrade(req, socket, head, ws => {
+                ws.isAlive = true;
+                ws.ownerId = decoded.id;
+                ws.expiresAt = decoded.exp * 1000;
+                ws.on('pong', () => { ws.isAlive = true; });
+                ws.on('close', () => LiveUpdateService.unsubscribe(restaurantId, ws));
+                ws.on('error', () => LiveUpdateService.unsubscribe(restaurantId, ws));
+
+                LiveUpdateService.subscribe(restaurantId, ws);
+                ws.send(JSON.stringify({ type: 'connected', restaurant_id: restaurantId, sent_at: new Date().toISOString(), data: {} }));
+            });
+        });
+
+        // Drop sockets whose browser went away without closing them (sleeping tablets, lost Wi-Fi)
+        const heartbeat = setInterval(() => {
+            for (const sockets of channels.values()) {
+                for (const ws of sockets) {
+                    if (!ws.isAlive) {
+                        ws.terminate();
+                        continue;
+                    }
+                    ws.isAlive = false;
+                    ws.ping();
+                }
+            }
+        }, HEARTBEAT_MS);
+
+        const accessCheck = setInterval(() => {
+            LiveUpdateService.recheckAccess().catch(error => {
+                console.error('❌ Error re-checking live update access:', error);
+            });
+        }, ACCESS_CHECK_MS);
+
+        server.on('close', () => {
+            clearInterval(heartbeat);
+            clearInterval(accessCheck);
+        });
+
+        return wss;
+    }
+}
+
+export default LiveUpdateService;
@@ -0,0 +1,454 @@
+import db from '../config/database.js';
+import AuthService from './AuthService.js';
+import BotConfigService from './BotConfigService.js';
+import TimezoneUtils from '../utils/timezoneUtils.js';
+import { createEmailTransport, createSmsTransport } from './NotificationTransport.js';
+
+// Reminders go out this many hours before the guest arrives
+export const REMINDER_HOURS = {
+    reminder_24h: 24,
+    reminder_2h: 2
+};
+
+/**
+ * Message templates by kind and channel. {variables} are filled in when the job is
+ * sent: name, restaurant, date, time, guests, table_type, reservation_id,
+ * manage_link, email, phone, restaurant_message and, for a change, previous_date,
+ * previous_time and previous_guests. A staff invitation has restaurant, invited_by,
+ * role, invite_link and expires.
+ */
+export const NOTIFICATION_TEMPLATES = {
+    confirmation: {
+        email: {
+            subject: 'Your table at {restaurant} is booked',
+            text: 'Hi {name},\n\nYour table for {guests} at {restaurant} on {date} at {time} is confirmed. '
+                + 'Your reservation code is #{reservation_id}.{restaurant_message}\n\n'
+                + 'View, change or cancel your booking: {manage_link}\n\nSee you soon!\n{restaurant}'
+        },
+        sms: {
+            text: '{restaurant}: your table for {guests} on {date} at {time} is confirmed. Reservation code #{reservation_id}.'
+        }
+    },
+    reminder_24h: {
+        email: {
+            subject: 'See you tomorrow at {restaurant}',
+            text: 'Hi {name},\n\nA reminder that your table for {guests} at {restaurant} is booked for tomorrow, {date} at {time}.\n\n'
+                + 'If your plans have changed, please change or cancel your booking: {manage_link}\n\n{restaurant}'
+        },
+        sms: {
+            text: '{restaurant}: see you tomorrow at {time} for {guests}. To change or cancel, use your confirmation email.'
+        }
+    },
+    reminder_2h: {
+        email: {
+            subject: 'Your table at {restaurant} is ready at {time}',
+            text: 'Hi {name},\n\nWe look forward to seeing you today at {time} for {guests}.\n\n{restaurant}'
+        },
+        sms: {
+            text: '{restaurant}: we look forward to seeing you today at {time} for {guests}.'
+        }
+    },
+    modification: {
+        email: {
+            subject: 'Your booking at {restaurant} has changed',
+            text: 'Hi {name},\n\nYour booking #{reservation_id} at {restaurant} is now for {guests} on {date} at {time} '
+                + '(it was for {previous_guests} on {previous_date} at {previous_time}).\n\n'
+                + 'View, change or cancel your booking: {manage_link}\n\n{restaurant}'
+        },
+        sms: {
+            text: '{restaurant}: booking #{reservation_id} is now for {guests} on {date} at {time}.'
+        }
+    },
+    cancellation: {
+        email: {
+            subject: 'Your booking at {restaurant} is cancelled',
+            text: 'Hi {name},\n\nYour booking #{reservation_id} for {guests} at {restaurant} on {date} at {time} has been cancelled.\n\n'
+                + 'We hope to welcome you another time.\n{restaurant}'
+        },
+        sms: {
+            text: '{restaurant}: booking #{reservation_id} on {date} at {time} is cancelled.'
+        }
+    },
+    owner_new_booking: {
+        email: {
+            subject: 'New booking: {name}, {guests} guests on {date} at {time}',
+            text: 'A new booking was made at {restaurant}.\n\nName: {name}\nGuests: {guests}\nDate: {date} at {time}\n'
+                + 'Table: {table_type}\nEmail: {email}\nPhone: {phone}\nReservation code: #{reservation_id}'
+        }
+    },
+    staff_invitation: {
+        email: {
+            subject: 'Join {restaurant} on TableTurn',
+            text: 'Hi,\n\n{invited_by} has invited you to the {restaurant} dashboard on TableTurn as {role}.\n\n'
+                + 'Accept the invitation: {invite_link}\n\nThe link works until {expires}.'
+        }
+    }
+};
+
+// Minutes to wait before the next try after the 1st, 2nd, 3rd... failed attempt
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+// A job still 'sending' after this long belongs to a worker that stopped; it is picked up again
+const STALE_LOCK_MINUTES = 10;
+const BATCH_SIZE = 20;
+
+const GUEST_KINDS = ['confirmation', 'reminder_24h', 'reminder_2h', 'modification', 'cancellation'];
+// Guest emails that carry the booking as an .ics file, so the guest's calendar follows the booking
+const CALENDAR_KINDS = ['confirmation', 'modification', 'cancellation'];
+
+// Created on first send so a misconfigured transport fails the job (and is retried), not the booking
+let transports = null;
+
+class NotificationService {
+    static getTransports() {
+        if (!transports) {
+            transports = { email: createEmailTransport(), sms: createSmsTransport() };
+        }
+        return transports;
+    }
+
+    // Subject and text for one message; null when the kind has no template for the channel
+    static renderNotification(kind, channel, variables) {
+        const template = NOTIFICATION_TEMPLATES[kind]?.[channel];
+        if (!template) return null;
+
+        const values = Object.fromEntries(
+            Object.entries(variables).map(([key, value]) => [key, value === null || value === undefined ? '' : value])
+        );
+        return {
+            subject: template.subject ? BotConfigService.fillTemplate(template.subject, values) : null,
+            text: BotConfigService.fillTemplate(template.text, values)
+        };
+    }
+
+    // Delay before retrying a job that has failed `attempts` times
+    static retryDelayMinutes(attempts) {
+        return RETRY_DELAYS_MINUTES[Math.min(Math.max(attempts, 1), RETRY_DELAYS_MINUTES.length) - 1];
+    }
+
+    /**
+     * QUEUEING - called by RestaurantService as bookings change. Failures are logged
+     * and swallowed: a booking never fails because a message could not be queued.
+     */
+
+    // A booking is confirmed: tell the guest and the owner, and plan the reminders
+    static async reservationConfirmed(reservation) {
+        await this.safely(`confirmation for reservation ${reservation.reservation_id}`, async () => {
+            await this.enqueue(this.guestJobs(reservation, 'confirmation'));
+
+            const owner = await this.getOwnerContact(reservation.restaurant_id);
+            if (owner) {
+                await this.enqueue([{
+                    restaurantId: reservation.restaurant_id,
+                    reservationId: reservation.reservation_id,
+                    kind: 'owner_new_booking',
+                    channel: 'email',
+                    recipient: owner
+                }]);
+            }
+
+            await this.scheduleReminders(reservation);
+        });
+    }
+
+    // Date, time, party size or table changed on a confirmed booking
+    static async reservationModified(previous, updated) {
+        if (updated.status !== 'confirmed') return;
+
+        await this.safely(`modification of reservation ${updated.reservation_id}`, async () => {
+            const payload = {
+                previous_date: this.formatDate(previous.reservation_date_iso || previous.reservation_date),
+                previous_time: String(previous.reservation_time).slice(0, 5),
+                previous_guests: previous.guests
+            };
+            await this.enqueue(this.guestJobs(updated, 'modification', payload));
+
+            // Reminders follow the new arrival time
+            await this.cancelReminders(updated.reservation_id);
+            await this.scheduleReminders(updated);
+        });
+    }
+
+    // Only bookings the guest was told about get a cancellation (not unpaid deposits or expired holds)
+    static async reservationCancelled(previous) {
+        if (previous.status !== 'confirmed') return;
+
+        await this.safely(`cancellation of reservation ${previous.reservation_id}`, async () => {
+            await this.cancelReminders(previous.reservation_id);
+            await this.enqueue(this.guestJobs(previous, 'cancellation'));
+        });
+    }
+
+    // Someone was invited to the restaurant's staff (StaffService.inviteStaff); roleLabel is how the role reads
+    static async staffInvited(invitation, { link, invitedBy, roleLabel }) {
+        await this.safely(`staff invitation ${invitation.invitation_id}`, async () => {
+            const [details] = await db.query(`
+                SELECT r.name as restaurant, CONCAT(o.first_name, ' ', o.last_name) as invited_by
+                FROM restaurant r
+                LEFT JOIN owners o ON o.id = $2
+                WHERE r.restaurant_id = $1
+            `, [invitation.restaurant_id, invitedBy]);
+
+            await this.enqueue([{
+                restaurantId: invitation.restaurant_id,
+                reservationId: null,
+                kind: 'staff_invitation',
+                channel: 'email',
+                recipient: invitation.email,
+                payload: {
+                    restaurant: details?.restaurant,
+                    invited_by: details?.invited_by?.trim() || 'The restaurant',
+                    role: roleLabel || invitation.role,
+                    invite_link: link,
+                    expires: this.formatDate(invitation.expires_at)
+                }
+            }]);
+        });
+    }
+
+    static async safely(description, queue) {
+        try {
+            await queue();
+            this.kick();
+        } catch (error) {
+            console.error(`❌ Could not queue notifications (${description}):`, error);
+        }
+    }
+
+    // An email and an SMS for the guest, for whichever contact details the booking has
+    static guestJobs(reservation, kind, payload = {}) {
+        return [
+            ['email', reservation.reservation_email],
+            ['sms', reservation.reservation_phone]
+        ]
+            .filter(([, recipient]) => recipient)
+            .map(([channel, recipient]) => ({
+                restaurantId: reservation.restaurant_id,
+                reservationId: reservation.reservation_id,
+                kind,
+                channel,
+                recipient,
+                payload
+            }));
+    }
+
+    static async enqueue(jobs) {
+        for (const job of jobs) {
+            await db.query(`
+                INSERT INTO notification_job (restaurant_id, reservation_id, kind, channel, recipient, payload)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [job.restaurantId, job.reservationId, job.kind, job.channel, job.recipient, JSON.stringify(job.payload || {})]);
+        }
+        if (jobs.length > 0) {
+            const subject = jobs[0].reservationId ? `reservation ${jobs[0].reservationId}` : `restaurant ${jobs[0].restaurantId}`;
+            console.log(`📨 Queued ${jobs.length} ${jobs[0].kind} notification(s) for ${subject}`);
+        }
+    }
+
+    // Reminder jobs due before arrival; reminders whose time has already passed are not queued
+    static async scheduleReminders(reservation) {
+        for (const [kind, hours] of Object.entries(REMINDER_HOURS)) {
+            for (const job of this.guestJobs(reservation, kind)) {
+                await db.query(`
+                    INSERT INTO notification_job (restaurant_id, reservation_id, kind, channel, recipient, run_at)
+                    SELECT $1, r.reservation_id, $3, $4, $5, (r.reservation_date + r.reservation_time) - make_interval(hours => $6)
+                    FROM reservation r
+                    WHERE r.reservation_id = $2
+                      AND (r.reservation_date + r.reservation_time) - make_interval(hours => $6) > CURRENT_TIMESTAMP
+                `, [job.restaurantId, job.reservationId, kind, job.channel, job.recipient, hours]);
+            }
+        }
+    }
+
+    static async cancelReminders(reservationId) {
+        await db.query(`
+            UPDATE notification_job
+            SET status = 'cancelled'
+            WHERE reservation_id = $1 AND kind = ANY($2) AND status = 'queued'
+        `, [reservationId, Object.keys(REMINDER_HOURS)]);
+    }
+
+    // The first owner account's email, or the restaurant's own
+    static async getOwnerContact(restaurantId) {
+        const [row] = await db.query(`
+            SELECT COALESCE(o.email, r.email) as email
+            FROM restaurant r
+            LEFT JOIN owners o ON o.restaurant_id = r.restaurant_id
+            WHERE r.restaurant_id = $1
+            ORDER BY o.id
+            LIMIT 1
+        `, [restaurantId]);
+        return row?.email || null;
+    }
+
+    /**
+     * SENDING - the worker. Picks up due jobs (and jobs a stopped worker left
+     * behind), sends them and schedules a retry for each failure.
+     * Returns { sent, retried, failed, skipped }.
+     */
+    static async processDueJobs({ limit = BATCH_SIZE } = {}) {
+        const jobs = await db.query(`
+            UPDATE notification_job
+            SET status = 'sending', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+            WHERE job_id IN (
+                SELECT job_id FROM notification_job
+                WHERE (status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+                   OR (status = 'sending' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+                ORDER BY run_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit, STALE_LOCK_MINUTES]);
+
+        const summary = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+        for (const job of jobs) {
+            summary[await this.deliver(job)] += 1;
+        }
+        if (jobs.length > 0) {
+            console.log('📨 Notifications processed:', summary);
+        }
+        return summary;
+    }
+
+    // Run the worker now instead of waiting for the next interval (after something was queued)
+    static kick() {
+        if (this.running) return;
+        this.running = true;
+        setImmediate(() => {
+            this.processDueJobs()
+                .catch(error => console.error('❌ Error sending notifications:', error))
+                .finally(() => {
+                    this.running = false;
+                });
+        });
+    }
+
+    // Send one claimed job. Returns 'sent', 'retried', 'failed' or 'skipped'.
+    static async deliver(job) {
+        try {
+            const reservation = job.reservation_id ? await this.getReservationDetails(job.reservation_id) : null;
+
+            // A reminder for a booking that was cancelled or already seated is not sent
+            if (REMINDER_HOURS[job.kind] && reservation?.status !== 'confirmed') {
+                await db.query(`UPDATE notification_job SET status = 'cancelled' WHERE job_id = $1`, [job.job_id]);
+                return 'skipped';
+            }
+
+            const message = this.renderNotification(job.kind, job.channel, {
+                ...this.templateVariables(reservation, GUEST_KINDS.includes(job.kind)),
+                ...job.payload,
+                restaurant_message: job.kind === 'confirmation' ? await this.restaurantMessage(reservation) : ''
+            });
+            if (!message) {
+                throw new Error(`No ${job.channel} template for ${job.kind}`);
+            }
+
+            const attachments = job.channel === 'email' && CALENDAR_KINDS.includes(job.kind)
+                ? await this.calendarAttachments(job.reservation_id)
+                : [];
+
+            const transport = this.getTransports()[job.channel];
+            const { id } = await transport.send({ to: job.recipient, ...message, attachments });
+
+            await db.query(`
+                UPDATE notification_job
+                SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+                WHERE job_id = $1
+            `, [job.job_id]);
+            console.log(`✅ Sent ${job.kind} ${job.channel} (job ${job.job_id}, ${transport.name} ${id})`);
+            return 'sent';
+        } catch (error) {
+            if (job.attempts >= job.max_attempts) {
+                await db.query(`
+                    UPDATE notification_job SET status = 'failed', last_error = $2 WHERE job_id = $1
+                `, [job.job_id, error.message]);
+                console.error(`❌ Notification job ${job.job_id} failed for good after ${job.attempts} attempts:`, error.message);
+                return 'failed';
+            }
+
+            const delay = this.retryDelayMinutes(job.attempts);
+            await db.query(`
+                UPDATE notification_job
+                SET status = 'queued', last_error = $2, run_at = CURRENT_TIMESTAMP + make_interval(mins => $3)
+                WHERE job_id = $1
+            `, [job.job_id, error.message, delay]);
+            console.warn(`⚠️ Notification job ${job.job_id} failed (attempt ${job.attempts}), retrying in ${delay} min:`, error.message);
+            return 'retried';
+        }
+    }
+
+    static async calendarAttachments(reservationId) {
+        // Imported lazily because CalendarService depends on RestaurantService, which queues notifications
+        const { default: CalendarService } = await import('./CalendarService.js');
+        const calendar = await CalendarService.getReservationCalendar(reservationId, {
+            manageLink: this.manageLink(reservationId)
+        });
+        return calendar ? [{ filename: calendar.filename, content: calendar.content, contentType: 'text/calendar; charset=utf-8' }] : [];
+    }
+
+    static async getReservationDetails(reservationId) {
+        const [reservation] = await db.query(`
+            SELECT
+                r.*,
+                TO_CHAR(r.reservation_date, 'YYYY-MM-DD') as reservation_date_iso,
+                rest.name as restaurant_name
+            FROM reservation r
+            JOIN restaurant rest ON r.restaurant_id = rest.restaurant_id
+            WHERE r.reservation_id = $1
+        `, [reservationId]);
+        return reservation || null;
+    }
+
+    static templateVariables(reservation, forGuest) {
+        if (!reservation) return {};
+        return {
+            name: reservation.reservation_name,
+            restaurant: reservation.restaurant_name,
+            date: this.formatDate(reservation.reservation_date_iso),
+            time: String(reservation.reservation_time).slice(0, 5),
+            guests: reservation.guests,
+            table_type: reservation.table_type,
+            reservation_id: reservation.reservation_id,
+            email: reservation.reservation_email,
+            phone: reservation.reservation_phone,
+            // Only guests get the link that manages their booking
+            manage_link: forGuest ? this.manageLink(reservation.reservation_id) : ''
+        };
+    }
+
+    static manageLink(reservationId) {
+        const baseUrl = (process.env.CLIENT_URL || 'http://localhost:8080').replace(/\/+$/, '');
+        const token = AuthService.generateManageToken(reservationId);
+        return `${baseUrl}/manage-reservation/${reservationId}?token=${encodeURIComponent(token)}`;
+    }
+
+    // The restaurant's own confirmation from its Tablio settings, as a paragraph of the email
+    static async restaurantMessage(reservation) {
+        if (!reservation) return '';
+        try {
+            const config = await BotConfigService.getConfig(reservation.restaurant_id);
+            const message = BotConfigService.renderTemplate(config, 'reservation_confirmation', {
+                name: reservation.reservation_name,
+                guests: reservation.guests,
+                date: reservation.reservation_date_iso,
+                time: String(reservation.reservation_time).slice(0, 5),
+                table_type: reservation.table_type,
+                reservation_id: reservation.reservation_id
+            });
+            return message ? `\n\n${message}` : '';
+        } catch (error) {
+            console.warn(`⚠️ No restaurant message for reservation ${reservation.reservation_id}: ${error.message}`);
+            return '';
+        }
+    }
+
+    static formatDate(date) {
+        if (!date) return '';
+        const isoDate = date instanceof Date
+            ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+            : String(date).slice(0, 10);
+        return TimezoneUtils.formatDateForDisplay(isoDate);
+    }
+}
+
+export default NotificationService;
@@ -0,0 +1,166 @@
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+
+const TWILIO_BASE_URL = 'https://api.twilio.com/2010-04-01';
+const DEFAULT_NOTIFICATIONS_FILE = './notifications.log';
+
+/**
+ * Notification transport interface shared by every adapter:
+ *   send({ to, subject, text, attachments })  -> { id } for the message the provider accepted
+ * Email transports use subject, text and attachments ([{ filename, content, contentType }]);
+ * SMS transports only text.
+ * Failed sends throw, so the notification queue can retry them.
+ */
+export class NotificationTransport {
+    constructor(name, channel) {
+        this.name = name;
+        this.channel = channel;
+    }
+
+    async send(message) {
+        throw new Error(`send must be implemented by ${this.name}`);
+    }
+}
+
+// Email through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD)
+export class SmtpEmailTransport extends NotificationTransport {
+    constructor({
+        host = process.env.SMTP_HOST,
+        port = parseInt(process.env.SMTP_PORT) || 587,
+        user = process.env.SMTP_USER,
+        password = process.env.SMTP_PASSWORD,
+        from = process.env.EMAIL_FROM || 'TableTurn <no-reply@tableturn.app>'
+    } = {}) {
+        super('smtp', 'email');
+        if (!host) {
+            throw new Error('SMTP_HOST must be set to send email over SMTP');
+        }
+        this.options = {
+            host,
+            port,
+            // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+            secure: port === 465,
+            ...(user && { auth: { user, pass: password } })
+        };
+        this.from = from;
+        this.mailer = null;
+    }
+
+    async send({ to, subject, text, attachments = [] }) {
+        if (!this.mailer) {
+            // Loaded on first use so console and file setups do not need it
+            const { default: nodemailer } = await import('nodemailer');
+            this.mailer = nodemailer.createTransport(this.options);
+        }
+        const info = await this.mailer.sendMail({ from: this.from, to, subject, text, attachments });
+        return { id: info.messageId };
+    }
+}
+
+// SMS through Twilio's REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+export class TwilioSmsTransport extends NotificationTransport {
+    constructor({
+        accountSid = process.env.TWILIO_ACCOUNT_SID,
+        authToken = process.env.TWILIO_AUTH_TOKEN,
+        from = process.env.TWILIO_FROM,
+        fetchImpl = fetch
+    } = {}) {
+        super('twilio', 'sms');
+        if (!accountSid || !authToken || !from) {
+            throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be set to send SMS');
+        }
+        this.accountSid = accountSid;
+        this.authToken = authToken;
+        this.from = from;
+        this.fetch = fetchImpl;
+    }
+
+    async send({ to, text }) {
+        const response = await this.fetch(`${TWILIO_BASE_URL}/Accounts/${this.accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`
+            },
+            body: new URLSearchParams({ To: to, From: this.from, Body: text }).toString()
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Twilio SMS failed with status ${response.status}: ${data.message || 'no details'}`);
+        }
+        return { id: data.sid };
+    }
+}
+
+// Prints each message instead of sending it (local development)
+export class ConsoleTransport extends NotificationTransport {
+    constructor(channel) {
+        super('console', channel);
+        this.sent = 0;
+    }
+
+    async send({ to, subject, text, attachments = [] }) {
+        this.sent += 1;
+        const attached = attachments.length > 0 ? `\n📎 ${attachments.map(file => file.filename).join(', ')}` : '';
+        console.log(`📨 [${this.channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}${attached}`);
+        return { id: `console-${this.channel}-${this.sent}` };
+    }
+}
+
+/**
+ * Appends each message as one JSON line to a file (NOTIFICATIONS_FILE) so tests
+ * can read back what would have been sent
+ */
+export class FileTransport extends NotificationTransport {
+    constructor(channel, { filePath = process.env.NOTIFICATIONS_FILE || DEFAULT_NOTIFICATIONS_FILE } = {}) {
+        super('file', channel);
+        this.filePath = filePath;
+        this.sent = 0;
+    }
+
+    async send({ to, subject, text, attachments = [] }) {
+        this.sent += 1;
+        const id = `file-${this.channel}-${Date.now()}-${this.sent}`;
+        await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        await fs.promises.appendFile(this.filePath, `${JSON.stringify({
+            id,
+            channel: this.channel,
+            to,
+            subject: subject || null,
+            text,
+            attachments,
+            sentAt: new Date().toISOString()
+        })}\n`);
+        return { id };
+    }
+}
+
+// EMAIL_TRANSPORT=console (default) | smtp | file
+export function createEmailTransport() {
+    switch (process.env.EMAIL_TRANSPORT || 'console') {
+        case 'smtp':
+            return new SmtpEmailTransport();
+        case 'console':
+            return new ConsoleTransport('email');
+        case 'file':
+            return new FileTransport('email');
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT "${process.env.EMAIL_TRANSPORT}" (expected smtp, console or file)`);
+    }
+}
+
+// SMS_TRANSPORT=console (default) | twilio | file
+export function createSmsTransport() {
+    switch (process.env.SMS_TRANSPORT || 'console') {
+        case 'twilio':
+            return new TwilioSmsTransport();
+        case 'console':
+            return new ConsoleTransport('sms');
+        case 'file':
+            return new FileTransport('sms');
+        default:
+            throw new Error(`Unknown SMS_TRANSPORT "${process.env.SMS_TRANSPORT}" (expected twilio, console or file)`);
+    }
+}
@@ -6,6 +6,8 @@
 import RestaurantService from './RestaurantService.js';
 import db from '../config/database.js';
 import EmbeddingService from './EmbeddingService.js';
+import llmProvider from './LLMProvider.js';
+import LanguageUtils from '../utils/languageUtils.js';
 
 class RAGService {
     constructor() {
@@ -228,12 +230,8 @@ Extract:
 
 Return ONLY JSON, no explanations:`;
 
-            // Use the existing AI infrastructure to avoid API key issues
-            const { askGemini } = await import('../services/AIService.js');
-            
-            // Use a dummy restaurant ID to avoid RAG dependency loops
-            const result = await askGemini(prompt, [], 1);
-            const text = result.response.replace(/```json\n?|\n?```/g, '').trim();
+            const response = await llmProvider.generateText(prompt);
+            const text = response.replace(/```json\n?|\n?```/g, '').trim();
             
             const parsed = JSON.parse(text);
             console.log('🧠 Enhanced AI extraction successful:', parsed);
@@ -264,18 +262,12 @@ Return ONLY JSON, no explanations:`;
                 requestedInfo: []
             };
             
-            // Date extraction
-            if (lowerQuery.includes('tonight') || lowerQuery.includes('today')) {
-                entities.date = TimezoneUtils.getCurrentAthensDate();
-            } else if (lowerQuery.includes('tomorrow')) {
-                entities.date = TimezoneUtils.getTomorrowAthensDate();
-            }
-            
-            // Time extraction using TimezoneUtils
+            // Date and time extraction using TimezoneUtils (any supported language)
+            entities.date = TimezoneUtils.parseUserDate(query);
             entities.time = TimezoneUtils.parseUserTime(query);
             
-            // Party size extraction
-            const partySizeMatch = query.match(/(\d+)\s*(people|person|guests?|party)/i);
+            // Party size extraction ("4 people", "4 άτομα", "4 Personen", "4 persone", "4 personnes")
+            const partySizeMatch = query.match(/(\d+)\s*(people|person|guests?|party|άτομα|ατόμων|personen|persone|personnes)/i);
             if (partySizeMatch) {
                 entities.partySize = parseInt(partySizeMatch[1]);
             }
@@ -284,7 +276,11 @@ Return ONLY JSON, no explanations:`;
             const menuKeywordPatterns = ['menu', 'food', 'dish', 'vegetarian', 'vegan', 'gluten', 'seafood', 'main', 'dessert', 'appetizer'];
             // Only detect menu keywords if it's a short, user-like query (not a long AI prompt)
             if (query.length < 200 && !query.toLowerCase().includes('you are') && !query.toLowerCase().includes('extract')) {
-                entities.menuKeywords = menuKeywordPatterns.filter(keyword => lowerQuery.includes(keyword));
+                entities.menuKeywords = [...new Set([
+                    ...menuKeywordPatterns.filter(keyword => lowerQuery.includes(keyword)),
+                    // Dishes named in Greek, German, Italian or French, by their English name
+                    ...LanguageUtils.toEnglishMenuTerms(query)
+                ])];
             } else {
                 entities.menuKeywords = [];
             }
@@ -547,8 +543,8 @@ Return ONLY JSON, no explanations:`;
         try {
             console.log(`🔍 Vector hybrid menu search for: "${query}" with filters:`, filters);
             
-            // Generate embedding for the query
-            const queryEmbedding = await EmbeddingService.generateEmbedding(query);
+            // Generate embedding for the query (with English names of translated dishes)
+            const queryEmbedding = await EmbeddingService.generateEmbedding(this.withEnglishMenuTerms(query));
             console.log(`🧠 Generated query embedding with ${queryEmbedding.length} dimensions`);
             
             // Build base query with vector similarity
@@ -659,7 +655,7 @@ Return ONLY JSON, no explanations:`;
                     category,
                     is_vegetarian,
                     is_vegan,
-                    is_gluten_free,
+                    is_gluten_free
                 FROM menu_item 
                 WHERE restaurant_id = $1 
             `;
@@ -699,18 +695,19 @@ Return ONLY JSON, no explanations:`;
                 return [];
             }
             
-            // Simple text matching as fallback
-            const queryLower = query.toLowerCase();
+            // Simple text matching as fallback; translated dish names match too
+            const queryLower = LanguageUtils.normalize(query);
+            const dishTerms = LanguageUtils.expandMenuTerms(query);
             const matchingItems = menuResult
                 .map(item => {
-                    const searchableText = `${item.name} ${item.description || ''} ${item.category || ''}`.toLowerCase();
+                    const searchableText = this.foldMenuText(`${item.name} ${item.description || ''} ${item.category || ''}`);
                     let relevanceScore = 0.1; // Base score
                     
                     if (searchableText.includes(queryLower)) {
                         relevanceScore = 0.6;
-                    } else if (item.name.toLowerCase().includes(queryLower)) {
+                    } else if (dishTerms.some(term => LanguageUtils.containsPhrase(this.foldMenuText(item.name), term))) {
                         relevanceScore = 0.5;
-                    } else if (item.category && item.category.toLowerCase().includes(queryLower)) {
+                    } else if (dishTerms.some(term => LanguageUtils.containsPhrase(searchableText, term))) {
                         relevanceScore = 0.3;
                     }
                     
@@ -732,6 +729,36 @@ Return ONLY JSON, no explanations:`;
         }
     }
 
+    /**
+     * Append the English names of dishes a guest wrote in another language
+     * ("έχετε μουσακά;" -> "έχετε μουσακά; (moussaka)") so embeddings of English menus match
+     */
+    withEnglishMenuTerms(query) {
+        const englishTerms = LanguageUtils.toEnglishMenuTerms(query);
+        return englishTerms.length > 0 ? `${query} (${englishTerms.join(', ')})` : query;
+    }
+
+    /**
+     * Normalized menu text plus its Latin transliteration, so Greek menus match
+     * Latin spellings ("Κλέφτικο" -> "κλεφτικο kleftiko")
+     */
+    foldMenuText(text) {
+        const normalized = LanguageUtils.normalize(text);
+        const transliterated = LanguageUtils.transliterate(text);
+        return transliterated === normalized ? normalized : `${normalized} ${transliterated}`;
+    }
+
+    /**
+     * Check whether a menu text answers a query in any supported language
+     */
+    matchesMenuQuery(query, text) {
+        const searchableText = this.foldMenuText(text);
+        if (searchableText.includes(LanguageUtils.normalize(query))) {
+            return true;
+        }
+        return LanguageUtils.expandMenuTerms(query).some(term => LanguageUtils.containsPhrase(searchableText, term));
+    }
+
     /**
      * Extract search terms from query for semantic matching
      */
@@ -1047,8 +1074,10 @@ Return ONLY JSON, no explanations:`;
         try {
             console.log(`🔍 Hybrid search on ${tableName} for: "${queryText}" with filters:`, filters);
             
-            // Generate embedding for the query
-            const queryEmbedding = await EmbeddingService.generateEmbedding(queryText);
+            // Generate embedding for the query; menu searches add the English names of translated dishes
+            const queryEmbedding = await EmbeddingService.generateEmbedding(
+                tableName === 'menu_item' ? this.withEnglishMenuTerms(queryText) : queryText
+            );
             const queryVector = EmbeddingService.embeddingToVector(queryEmbedding);
             
             // Build base query for each supported table
@@ -0,0 +1,270 @@
+import db from '../config/database.js';
+import RestaurantService from './RestaurantService.js';
+import DepositService from './DepositService.js';
+import BookingPolicyService, { BookingPolicyError } from './BookingPolicyService.js';
+
+// Longest series we book in one go (a month of nightly dinners)
+export const MAX_OCCURRENCES = 31;
+
+// RRULE weekday codes in Date.getUTCDay() order
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseISODate = (value) => new Date(`${value}T00:00:00Z`);
+const formatISODate = (date) => date.toISOString().split('T')[0];
+
+class RecurringReservationService {
+    // Parse an RRULE-style pattern such as 'FREQ=WEEKLY;BYDAY=FR;COUNT=6' or
+    // 'FREQ=DAILY;UNTIL=2026-08-16'. Supports FREQ (DAILY, WEEKLY), INTERVAL,
+    // COUNT, UNTIL and BYDAY; COUNT or UNTIL is required so a series always ends.
+    static parseRecurrence(recurrence) {
+        if (!recurrence || typeof recurrence !== 'string') {
+            throw new Error('Invalid recurrence: a pattern such as FREQ=WEEKLY;BYDAY=FR;COUNT=6 is required');
+        }
+
+        const parts = {};
+        for (const part of recurrence.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+            const [key, value] = part.split('=');
+            parts[key.trim().toUpperCase()] = (value || '').trim().toUpperCase();
+        }
+
+        const rule = {
+            freq: parts.FREQ,
+            interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+            count: parts.COUNT ? Number(parts.COUNT) : null,
+            until: null,
+            byDay: parts.BYDAY ? parts.BYDAY.split(',') : null
+        };
+
+        if (!['DAILY', 'WEEKLY'].includes(rule.freq)) {
+            throw new Error('Invalid recurrence: FREQ must be DAILY or WEEKLY');
+        }
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+            throw new Error('Invalid recurrence: INTERVAL must be a positive whole number');
+        }
+        if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+            throw new Error('Invalid recurrence: COUNT must be a positive whole number');
+        }
+        if (rule.count !== null && rule.count > MAX_OCCURRENCES) {
+            throw new Error(`Invalid recurrence: at most ${MAX_OCCURRENCES} dates can be booked at once`);
+        }
+        if (parts.UNTIL) {
+            // 20260816, 20260816T000000Z or 2026-08-16
+            const digits = parts.UNTIL.replace(/-/g, '').slice(0, 8);
+            if (!/^\d{8}$/.test(digits)) {
+                throw new Error('Invalid recurrence: UNTIL must be a date');
+            }
+            rule.until = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+        }
+        if (rule.count === null && rule.until === null) {
+            throw new Error('Invalid recurrence: COUNT or UNTIL is required');
+        }
+        if (rule.byDay && rule.byDay.some(day => !DAY_CODES.includes(day))) {
+            throw new Error('Invalid recurrence: BYDAY must list days as MO,TU,WE,TH,FR,SA,SU');
+        }
+
+        return rule;
+    }
+
+    // Dates (YYYY-MM-DD) of every occurrence, starting on startDate
+    static expandOccurrences(startDate, recurrence) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) {
+            throw new Error('Invalid recurrence: startDate must be a YYYY-MM-DD date');
+        }
+        const rule = this.parseRecurrence(recurrence);
+        const start = parseISODate(startDate);
+        const until = rule.until ? parseISODate(rule.until) : null;
+
+        // Weekly series repeat on the start date's weekday unless BYDAY says otherwise
+        const days = rule.byDay || (rule.freq === 'WEEKLY' ? [DAY_CODES[start.getUTCDay()]] : null);
+        // Weeks start on Monday, so INTERVAL=2 means every other Monday-Sunday week
+        const firstMonday = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+
+        const dates = [];
+        for (let time = start.getTime(); ; time += DAY_MS) {
+            if (until && time > until.getTime()) break;
+            if (rule.count !== null && dates.length >= rule.count) break;
+
+            const date = new Date(time);
+            const dayCode = DAY_CODES[date.getUTCDay()];
+            const matches = rule.freq === 'DAILY'
+                ? Math.round((time - start.getTime()) / DAY_MS) % rule.interval === 0 && (!days || days.includes(dayCode))
+                : Math.floor(Math.round((time - firstMonday) / DAY_MS) / 7) % rule.interval === 0 && days.includes(dayCode);
+
+            if (matches) {
+                dates.push(formatISODate(date));
+                if (dates.length > MAX_OCCURRENCES) {
+                    throw new Error(`Invalid recurrence: at most ${MAX_OCCURRENCES} dates can be booked at once`);
+                }
+            }
+        }
+
+        if (dates.length === 0) {
+            throw new Error('Invalid recurrence: the pattern has no dates');
+        }
+        return dates;
+    }
+
+    // Whether one occurrence could be booked: { date, available, code, reason }
+    static async checkOccurrence({ venueId, date, time, guests, tableType }) {
+        try {
+            await BookingPolicyService.assertBookingAllowed(venueId, { date, time, guests });
+        } catch (error) {
+            if (error instanceof BookingPolicyError) {
+                return { date, available: false, code: error.code, reason: error.message };
+            }
+            throw error;
+        }
+
+        if (!(await RestaurantService.isOpenAt(venueId, date, time))) {
+            return { date, available: false, code: 'OUTSIDE_OPENING_HOURS', reason: `The restaurant is not open at ${time} on ${date}.` };
+        }
+
+        // Deposits are paid per booking, so these dates have to be booked on their own
+        const deposit = await DepositService.calculateDeposit({ restaurantId: venueId, guests, date, tableType });
+        if (deposit) {
+            return { date, available: false, code: 'DEPOSIT_REQUIRED', reason: `A €${deposit.amount} deposit is needed on ${date}; please book this date on its own.` };
+        }
+
+        const available = await RestaurantService.isTableAvailable({
+            venueId,
+            tableType,
+            reservationDate: date,
+            reservationTime: time,
+            guests
+        });
+        if (!available) {
+            return { date, available: false, code: 'SLOT_UNAVAILABLE', reason: `No ${tableType} table is free at ${time} on ${date}.` };
+        }
+
+        return { date, available: true };
+    }
+
+    // Availability of every occurrence without booking anything
+    static async previewSeries({ venueId, startDate, time, guests, tableType, recurrence }) {
+        const dates = this.expandOccurrences(startDate, recurrence);
+        const occurrences = [];
+        for (const date of dates) {
+            occurrences.push(await this.checkOccurrence({ venueId, date, time, guests, tableType }));
+        }
+        return occurrences;
+    }
+
+    // Book every free occurrence as a normal reservation tied to one series.
+    // With skipConflicts = false nothing is booked unless every date is free.
+    // Returns { series, reservations, conflicts }; series is null when nothing was booked.
+    static async createSeries({
+        venueId,
+        reservationName,
+        reservationEmail,
+        reservationPhone,
+        startDate,
+        time,
+        guests,
+        tableType,
+        specialRequests = null,
+        recurrence,
+        skipConflicts = true
+    }) {
+        const occurrences = await this.previewSeries({ venueId, startDate, time, guests, tableType, recurrence });
+        const conflicts = occurrences.filter(o => !o.available);
+        const bookable = occurrences.filter(o => o.available);
+
+        if (bookable.length === 0 || (!skipConflicts && conflicts.length > 0)) {
+            return { series: null, reservations: [], conflicts };
+        }
+
+        const [series] = await db.query(`
+            INSERT INTO reservation_series (
+                restaurant_id, recurrence, start_date, reservation_time, guests, table_type,
+                reservation_name, reservation_email, reservation_phone
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [venueId, recurrence, startDate, time, guests, tableType, reservationName, reservationEmail, reservationPhone]);
+
+        const reservations = [];
+        for (const occurrence of bookable) {
+            try {
+                const reservation = await RestaurantService.createReservation({
+                    venueId,
+                    reservationName,
+                    reservationEmail,
+                    reservationPhone,
+                    date: occurrence.date,
+                    time,
+                    guests,
+                    tableType,
+                    specialRequests,
+                    seriesId: series.series_id
+                });
+                reservations.push({ ...reservation, reservation_date_iso: occurrence.date });
+            } catch (error) {
+                // Someone else took the table between the check and the booking
+                console.error(`❌ Series ${series.series_id}: could not book ${occurrence.date}:`, error.message);
+                conflicts.push({ date: occurrence.date, available: false, code: 'SLOT_UNAVAILABLE', reason: error.message });
+                if (!skipConflicts) {
+                    // The guest never saw these bookings: remove them without cancellation
+                    // emails, webhooks or waitlist offers
+                    await db.query('DELETE FROM reservation WHERE series_id = $1', [series.series_id]);
+                    await db.query('DELETE FROM reservation_series WHERE series_id = $1', [series.series_id]);
+                    return { series: null, reservations: [], conflicts };
+                }
+            }
+        }
+
+        conflicts.sort((a, b) => a.date.localeCompare(b.date));
+        console.log(`🔁 Series ${series.series_id}: booked ${reservations.length} dates, ${conflicts.length} conflicts`);
+        return { series, reservations, conflicts };
+    }
+
+    static async getSeries(seriesId) {
+        const [series] = await db.query('SELECT * FROM reservation_series WHERE series_id = $1', [seriesId]);
+        if (!series) return null;
+
+        const occurrences = await db.query(`
+            SELECT
+                reservation_id,
+                TO_CHAR(reservation_date, 'YYYY-MM-DD') as reservation_date,
+                TO_CHAR(reservation_time, 'HH24:MI') as reservation_time,
+                guests,
+                table_type,
+                status
+            FROM reservation
+            WHERE series_id = $1
+            ORDER BY reservation_date
+        `, [seriesId]);
+
+        return { ...series, occurrences };
+    }
+
+    // Cancel every upcoming occurrence the guest may still cancel online.
+    // Returns { cancelled, kept } where kept lists dates past the cancellation deadline.
+    static async cancelSeries(seriesId) {
+        const upcoming = await db.query(`
+            SELECT reservation_id, restaurant_id, status, TO_CHAR(reservation_date, 'YYYY-MM-DD') as reservation_date
+            FROM reservation
+            WHERE series_id = $1
+              AND reservation_date >= CURRENT_DATE
+              AND status IN ('pending', 'confirmed')
+            ORDER BY reservation_date
+        `, [seriesId]);
+
+        const cancelled = [];
+        const kept = [];
+        for (const reservation of upcoming) {
+            try {
+                await BookingPolicyService.assertChangeAllowed(reservation);
+                await RestaurantService.cancelReservation(reservation.reservation_id);
+                cancelled.push(reservation.reservation_date);
+            } catch (error) {
+                if (!(error instanceof BookingPolicyError)) throw error;
+                kept.push({ date: reservation.reservation_date, code: error.code, reason: error.message });
+            }
+        }
+
+        return { cancelled, kept };
+    }
+}
+
+export default RecurringReservationService;
@@ -213,6 +213,12 @@ class RestaurantRegistrationService {
                 `UPDATE owners SET restaurant_id = $1 WHERE id = $2`,
                 [restaurantId, ownerId]
             );
+
+            // Dashboard access comes from the staff list; the registering owner is its first owner
+            await client.query(
+                `INSERT INTO restaurant_staff (restaurant_id, owner_id, role) VALUES ($1, $2, 'owner')`,
+                [restaurantId, ownerId]
+            );
             
             await client.query('COMMIT');
             
@@ -1,6 +1,9 @@
 import db from '../config/database.js';
+import NotificationService from './NotificationService.js';
+import WebhookService from './WebhookService.js';
+import LiveUpdateService from './LiveUpdateService.js';
 
-function toISODate(dateString) {
+export function toISODate(dateString) {
   if (!dateString) return null;
   
   console.log(`📅 toISODate input: "${dateString}"`);
@@ -54,6 +57,93 @@ function toISODate(dateString) {
   return `${year}-${month}-${day}`;
 }
 
+// Run a query on a transaction client when given, otherwise on the pool
+async function queryRows(client, sql, params = []) {
+  if (!client) return db.query(sql, params);
+  const result = await client.query(sql, params);
+  return result.rows;
+}
+
+// Reservation lifecycle: which statuses each status may move to
+export const RESERVATION_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['seated', 'cancelled', 'no_show'],
+  seated: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Guests may only change or cancel bookings that have not started yet
+const MODIFIABLE_RESERVATION_STATUSES = ['pending', 'confirmed'];
+
+// Tables at most this far apart on the floor plan (tables.x_coordinate /
+// y_coordinate units) can be pushed together for one party
+export const TABLE_COMBINE_MAX_DISTANCE = 200;
+const MAX_COMBINED_TABLES = 3;
+
+function areTablesAdjacent(a, b) {
+  const dx = (a.x_coordinate || 0) - (b.x_coordinate || 0);
+  const dy = (a.y_coordinate || 0) - (b.y_coordinate || 0);
+  return Math.hypot(dx, dy) <= TABLE_COMBINE_MAX_DISTANCE;
+}
+
+// Every connected group of 2..MAX_COMBINED_TABLES adjacent tables.
+// Restaurants have a handful of tables per type, so brute force is fine.
+export function findCombinableGroups(tables) {
+  const groups = new Map();
+
+  const grow = (group) => {
+    if (group.length > 1) {
+      const key = group.map(t => t.table_id).sort((a, b) => a - b).join(',');
+      if (groups.has(key)) return;
+      groups.set(key, group);
+    }
+    if (group.length === MAX_COMBINED_TABLES) return;
+
+    for (const candidate of tables) {
+      if (!group.includes(candidate) && group.some(t => areTablesAdjacent(t, candidate))) {
+        grow([...group, candidate]);
+      }
+    }
+  };
+
+  tables.forEach(table => grow([table]));
+  return [...groups.values()];
+}
+
+// Tightest fit for a party: the smallest single table that seats everyone,
+// otherwise the adjacent group with the fewest spare seats (then fewest tables).
+// The largest table of a group becomes the reservation's table_id.
+export function pickBestFit(tables, partySize) {
+  const single = tables
+    .filter(t => t.capacity >= partySize)
+    .sort((a, b) => a.capacity - b.capacity || a.table_id - b.table_id)[0];
+  if (single) {
+    return { tableId: single.table_id, combinedTableIds: [], capacity: single.capacity };
+  }
+
+  const best = findCombinableGroups(tables)
+    .map(group => ({ group, capacity: group.reduce((sum, t) => sum + t.capacity, 0) }))
+    .filter(option => option.capacity >= partySize)
+    .sort((a, b) => a.capacity - b.capacity || a.group.length - b.group.length)[0];
+  if (!best) return null;
+
+  const [primary, ...others] = [...best.group].sort((a, b) => b.capacity - a.capacity || a.table_id - b.table_id);
+  return {
+    tableId: primary.table_id,
+    combinedTableIds: others.map(t => t.table_id).sort((a, b) => a - b),
+    capacity: best.capacity
+  };
+}
+
+// Largest party a set of tables can seat, alone or pushed together
+function getLargestSeating(tables) {
+  const singles = tables.map(t => t.capacity);
+  const groups = findCombinableGroups(tables).map(group => group.reduce((sum, t) => sum + t.capacity, 0));
+  return Math.max(0, ...singles, ...groups);
+}
+
 class RestaurantService {
     // Get all restaurants with their details
     static async getAllRestaurants() {
@@ -249,14 +339,16 @@ class RestaurantService {
         }
     }
 
-    // Get restaurant hours for a specific restaurant
+    // Get the weekly hours for a specific restaurant. A day can have several
+    // service periods (lunch and dinner); days without rows are closed.
     static async getRestaurantHours(restaurantId) {
         try {
             const query = `
                 SELECT 
                     day_of_week,
                     open_time,
-                    close_time
+                    close_time,
+                    service_name
                 FROM restaurant_hours
                 WHERE restaurant_id = $1
                 ORDER BY 
@@ -268,7 +360,8 @@ class RestaurantService {
                         WHEN 'Friday' THEN 5
                         WHEN 'Saturday' THEN 6
                         WHEN 'Sunday' THEN 7
-                    END;
+                    END,
+                    open_time;
             `;
             
             const result = await db.query(query, [restaurantId]);
@@ -279,6 +372,124 @@ class RestaurantService {
         }
     }
 
+    // Date-specific overrides (closures, private events, changed service) between
+    // two dates, one entry per date: { date, is_closed, note, periods }
+    static async getSpecialHours(restaurantId, fromDate = null, toDate = null) {
+        try {
+            const query = `
+                SELECT 
+                    TO_CHAR(special_date, 'YYYY-MM-DD') as date,
+                    BOOL_OR(is_closed) as is_closed,
+                    MAX(note) as note,
+                    COALESCE(
+                        JSON_AGG(
+                            JSON_BUILD_OBJECT('open_time', open_time, 'close_time', close_time, 'service_name', service_name)
+                            ORDER BY open_time
+                        ) FILTER (WHERE NOT is_closed),
+                        '[]'
+                    ) as periods
+                FROM special_hours
+                WHERE restaurant_id = $1
+                  AND special_date >= COALESCE($2::date, CURRENT_DATE)
+                  AND ($3::date IS NULL OR special_date <= $3::date)
+                GROUP BY special_date
+                ORDER BY special_date;
+            `;
+            
+            return await db.query(query, [restaurantId, fromDate, toDate]);
+        } catch (error) {
+            console.error('Error fetching special hours:', error);
+            throw error;
+        }
+    }
+
+    // Service periods that actually apply on a date: its special hours when it
+    // has any, otherwise the weekly hours for that weekday
+    static async getOpeningHoursForDate(restaurantId, date) {
+        try {
+            const periods = await db.query(`
+                SELECT open_time, close_time, service_name, is_special
+                FROM get_opening_periods($1, $2::date)
+            `, [restaurantId, date]);
+            
+            const [special] = await this.getSpecialHours(restaurantId, date, date);
+            
+            return {
+                date,
+                is_closed: periods.length === 0,
+                is_special: Boolean(special),
+                note: special ? special.note : null,
+                periods: periods.map(({ open_time, close_time, service_name }) => ({ open_time, close_time, service_name }))
+            };
+        } catch (error) {
+            console.error('Error fetching opening hours for date:', error);
+            throw error;
+        }
+    }
+
+    // Whether a booking at this date and time falls in one of the day's service periods
+    static async isOpenAt(restaurantId, date, time) {
+        const [result] = await db.query('SELECT is_open_at($1, $2::date, $3::time) as open', [restaurantId, date, time]);
+        return result.open;
+    }
+
+    // Replace the special hours for one date. Either closed all day or a list
+    // of service periods ({ openTime, closeTime, serviceName }).
+    static async setSpecialHours(restaurantId, date, { isClosed = false, periods = [], note = null }) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            throw new Error('date must be a YYYY-MM-DD date');
+        }
+        if (!isClosed && (!Array.isArray(periods) || periods.length === 0)) {
+            throw new Error('periods must list at least one service period when the restaurant is open');
+        }
+        const timePattern = /^\d{2}:\d{2}(:\d{2})?$/;
+        if (!isClosed && periods.some(p => !timePattern.test(p.openTime || '') || !timePattern.test(p.closeTime || ''))) {
+            throw new Error('periods must have openTime and closeTime in HH:MM format');
+        }
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                'DELETE FROM special_hours WHERE restaurant_id = $1 AND special_date = $2',
+                [restaurantId, date]
+            );
+
+            if (isClosed) {
+                await client.query(`
+                    INSERT INTO special_hours (restaurant_id, special_date, is_closed, note)
+                    VALUES ($1, $2, TRUE, $3)
+                `, [restaurantId, date, note]);
+            } else {
+                for (const period of periods) {
+                    await client.query(`
+                        INSERT INTO special_hours (restaurant_id, special_date, open_time, close_time, service_name, note)
+                        VALUES ($1, $2, $3, $4, $5, $6)
+                    `, [restaurantId, date, period.openTime, period.closeTime, period.serviceName || null, note]);
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`📅 Special hours set for restaurant ${restaurantId} on ${date}`);
+        return this.getOpeningHoursForDate(restaurantId, date);
+    }
+
+    // Remove the special hours for a date so the weekly hours apply again
+    static async deleteSpecialHours(restaurantId, date) {
+        const result = await db.query(
+            'DELETE FROM special_hours WHERE restaurant_id = $1 AND special_date = $2 RETURNING special_hours_id',
+            [restaurantId, date]
+        );
+        return result.length > 0;
+    }
+
     // Get menu items for a specific restaurant
     static async getMenuItems(restaurantId) {
         try {
@@ -404,10 +615,14 @@ class RestaurantService {
                     r.guests,
                     r.table_type,
                     r.table_id,
+                    r.combined_table_ids,
                     r.celebration_type,
                     r.cake,
                     r.flowers,
                     r.hotel_name,
+                    r.status,
+                    TO_CHAR(r.end_at, 'HH24:MI') as end_time,
+                    (EXTRACT(EPOCH FROM (r.end_at - r.start_at)) / 60)::int as duration_minutes,
                     t.table_name
                 FROM reservation r
                 LEFT JOIN tables t ON r.table_id = t.table_id
@@ -532,10 +747,14 @@ class RestaurantService {
     }
     
     // Check if a table of a given type is available for a venue on a specific date and optionally time
-    static async isTableAvailable({ venueId, tableType, reservationDate, reservationTime = null }) {
+    // With a time, the requested stay (start + turn time for the party) is checked against the
+    // start_at/end_at intervals of existing reservations.
+    // Pass excludeReservationId when re-checking a reservation that is being modified,
+    // and client when the check must run inside a booking transaction
+    static async isTableAvailable({ venueId, tableType, reservationDate, reservationTime = null, guests = null, excludeReservationId = null, client = null }) {
         try {
             // 1. Get max tables for this type from the table_type_counts view
-            const invRes = await db.query(
+            const invRes = await queryRows(client,
               'SELECT total_tables FROM table_type_counts WHERE restaurant_id = $1 AND table_type = $2',
               [venueId, tableType]
             );
@@ -544,58 +763,48 @@ class RestaurantService {
             }
             const maxTables = invRes[0].total_tables;
 
-            // 2. Get restaurant's minimum gap hours
-            const restaurantRes = await db.query(
-                'SELECT min_reservation_gap_hours FROM restaurant WHERE restaurant_id = $1',
-                [venueId]
-            );
-            const minGapHours = restaurantRes[0]?.min_reservation_gap_hours || 2;
-
             let reservedCount = 0;
 
             if (reservationTime) {
-                // 3. Time-specific availability check: count reservations that conflict with the gap window
+                // 2. Time-specific availability check: count reservations whose interval overlaps the requested stay
                 const requestedDateTime = `${reservationDate} ${reservationTime}`;
                 
-                // Fix: Check if the absolute time difference is less than the minimum gap
+                // Tables rather than reservations are counted, so back-to-back bookings on one table count once
+                // and a party on pushed-together tables counts every table it holds
                 const timeBasedQuery = `
                     SELECT COUNT(*) as count
-                    FROM reservation 
-                    WHERE restaurant_id = $1 
-                      AND table_type = $2 
-                      AND reservation_date = $3
-                      AND (
-                          -- Check if existing reservation is too close to the requested time
-                          ABS(EXTRACT(EPOCH FROM (reservation_date + reservation_time) - $4::timestamp)) / 3600 < $5
+                    FROM tables t
+                    WHERE t.restaurant_id = $1 
+                      AND t.table_type = $2 
+                      AND EXISTS (
+                          SELECT 1 FROM reservation r
+                          WHERE (r.table_id = t.table_id OR t.table_id = ANY(r.combined_table_ids))
+                            AND r.status NOT IN ('cancelled', 'no_show')
+                            AND ($5::int IS NULL OR r.reservation_id <> $5)
+                            AND r.start_at < $3::timestamp + make_interval(mins => get_turn_time_minutes($1, $4, $2, $3::time))
+                            AND r.end_at > $3::timestamp
                       )
                 `;
                 
-                console.log(`🔍 Debug query - requested time: ${requestedDateTime}, gap: ${minGapHours}h`);
-                console.log(`🔍 Debug query - conflict window: ${requestedDateTime} ± ${minGapHours} hours`);
-                
-                const timeRes = await db.query(timeBasedQuery, [venueId, tableType, reservationDate, requestedDateTime, minGapHours]);
+                const timeRes = await queryRows(client, timeBasedQuery, [venueId, tableType, requestedDateTime, guests, excludeReservationId]);
                 reservedCount = Number(timeRes[0].count);
                 
-                // Debug: Let's also see what reservations exist for this date/type
-                const debugQuery = `
-                    SELECT reservation_time, (reservation_date + reservation_time) as full_datetime
-                    FROM reservation 
+                console.log(`🔍 Time-based availability check: ${reservedCount}/${maxTables} ${tableType} tables busy during a stay from ${reservationTime} on ${reservationDate}`);
+            } else {
+                // 3. Date-only check: count all reservations for this type and date (legacy behavior)
+                const dateOnlyQuery = `
+                    SELECT COUNT(*) as count FROM reservation
                     WHERE restaurant_id = $1 AND table_type = $2 AND reservation_date = $3
+                      AND status NOT IN ('cancelled', 'no_show')
+                      AND ($4::int IS NULL OR reservation_id <> $4)
                 `;
-                const debugRes = await db.query(debugQuery, [venueId, tableType, reservationDate]);
-                console.log(`🔍 Debug: Existing ${tableType} reservations on ${reservationDate}:`, debugRes);
-                
-                console.log(`🔍 Time-based availability check: ${reservedCount}/${maxTables} ${tableType} tables have conflicts within ${minGapHours}h of ${reservationTime} on ${reservationDate}`);
-            } else {
-                // 4. Date-only check: count all reservations for this type and date (legacy behavior)
-                const dateOnlyQuery = 'SELECT COUNT(*) as count FROM reservation WHERE restaurant_id = $1 AND table_type = $2 AND reservation_date = $3';
-                const dateRes = await db.query(dateOnlyQuery, [venueId, tableType, reservationDate]);
+                const dateRes = await queryRows(client, dateOnlyQuery, [venueId, tableType, reservationDate, excludeReservationId]);
                 reservedCount = Number(dateRes[0].count);
                 
                 console.log(`🔍 Date-only availability check: ${reservedCount}/${maxTables} ${tableType} tables reserved for entire day ${reservationDate}`);
             }
 
-            // 5. Return true if we have available tables (no conflicts for time-based, or not fully booked for date-only)
+            // 4. Return true if we have available tables (no conflicts for time-based, or not fully booked for date-only)
             const available = reservedCount < maxTables;
             console.log(`${available ? '✅' : '❌'} ${tableType} tables ${available ? 'available' : 'unavailable'} - ${maxTables - reservedCount} tables free`);
             
@@ -606,57 +815,6 @@ class RestaurantService {
         }
     }
 
-    // New method to check reservation gap constraints
-    static async checkReservationGap(restaurantId, reservationDate, reservationTime) {
-        try {
-            // Get restaurant's minimum gap requirement
-            const restaurantQuery = 'SELECT min_reservation_gap_hours FROM restaurant WHERE restaurant_id = $1';
-            const restaurantRes = await db.query(restaurantQuery, [restaurantId]);
-            
-            if (restaurantRes.length === 0) {
-                return { available: false, reason: 'Restaurant not found' };
-            }
-            
-            const minGapHours = restaurantRes[0].min_reservation_gap_hours || 2;
-            
-            // Create the proposed reservation datetime
-            const proposedDateTime = `${reservationDate} ${reservationTime}`;
-            
-            // Check for conflicting reservations within the gap window
-            const gapCheckQuery = `
-                SELECT COUNT(*) as conflicts
-                FROM reservation 
-                WHERE restaurant_id = $1 
-                AND (
-                    -- Check if existing reservation conflicts with gap window
-                    (reservation_date + reservation_time) > ($2::timestamp - interval '${minGapHours} hours')
-                    AND (reservation_date + reservation_time) < ($2::timestamp + interval '${minGapHours} hours')
-                    AND (reservation_date + reservation_time) != $2::timestamp
-                )
-            `;
-            
-            const gapRes = await db.query(gapCheckQuery, [restaurantId, proposedDateTime]);
-            const conflicts = parseInt(gapRes[0].conflicts);
-            
-            console.log(`🕐 Gap check: ${conflicts} conflicting reservations within ${minGapHours} hours of ${proposedDateTime}`);
-            
-            if (conflicts > 0) {
-                return { 
-                    available: false, 
-                    reason: 'gap_conflict',
-                    message: `Reservation conflicts with minimum gap requirement of ${minGapHours} hours. Please choose a different time.`,
-                    minGapHours,
-                    conflicts
-                };
-            }
-            
-            return { available: true, minGapHours };
-        } catch (error) {
-            console.error('❌ Error checking reservation gap:', error);
-            return { available: false, reason: 'error', error: error.message };
-        }
-    }
-    
     static async createReservation({
       venueId,
       reservationName,
@@ -671,108 +829,182 @@ class RestaurantService {
       cakePrice = null,
       flowers = false,
       flowersPrice = null,
-      specialRequests = null
+      specialRequests = null,
+      status = 'confirmed',
+      seriesId = null
     }) {
-      // 1. Check table availability
-      const available = await RestaurantService.isTableAvailable({
-        venueId,
-        tableType,
-        reservationDate: toISODate(date)
-      });
-      if (!available) {
-        throw new Error('No tables of this type available for the selected date.');
-      }
+      const reservationDate = toISODate(date);
+      const client = await db.connect();
+      let reservation;
+
+      try {
+        await client.query('BEGIN');
+
+        // 1. Lock every table of this type so concurrent bookings for the same
+        //    type queue up here instead of both passing the availability check
+        await RestaurantService.lockTablesOfType(client, venueId, tableType);
 
-      // 2. Find and assign a specific table that doesn't have gap conflicts
-      const assignedTableId = await this.findAvailableTableWithGapCheck(
-        venueId, 
-        tableType, 
-        toISODate(date), 
-        time,
-        guests
-      );
-      
-      // Note: assignedTableId will be null, which is expected
-      // The database trigger will handle table assignment with proper gap checking
-
-      // 3. Insert reservation with assigned table_id
-      const query = `
-        INSERT INTO reservation (
-          reservation_name,
-          reservation_email,
-          reservation_phone,
-          reservation_date,
-          reservation_time,
+        // 2. Check table availability for the whole stay (sees any booking committed while we waited)
+        const available = await RestaurantService.isTableAvailable({
+          venueId,
+          tableType,
+          reservationDate,
+          reservationTime: time,
           guests,
-          table_type,
-          celebration_type,
+          client
+        });
+        if (!available) {
+          throw new Error('No tables of this type available for the selected time.');
+        }
+
+        // 3. Find the best-fitting table (or adjacent tables pushed together) free for this stay
+        const assignment = await this.findAvailableTableWithGapCheck(
+          venueId, 
+          tableType, 
+          reservationDate, 
+          time,
+          guests,
+          null,
+          client
+        );
+        
+        // If nothing fits, table_id stays null and the assign_available_table
+        // trigger makes the final call (and rejects the booking)
+
+        // 4. Insert reservation with assigned table_id
+        const query = `
+          INSERT INTO reservation (
+            reservation_name,
+            reservation_email,
+            reservation_phone,
+            reservation_date,
+            reservation_time,
+            guests,
+            table_type,
+            celebration_type,
+            cake,
+            cake_price,
+            flowers,
+            flowers_price,
+            restaurant_id,
+            table_id,
+            combined_table_ids,
+            status,
+            series_id
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+          RETURNING *;
+        `;
+        const values = [
+          reservationName,
+          reservationEmail,
+          reservationPhone,
+          reservationDate,
+          time,
+          guests,
+          tableType,
+          celebrationType,
           cake,
-          cake_price,
+          cakePrice,
           flowers,
-          flowers_price,
-          restaurant_id,
-          table_id
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
-        RETURNING *;
-      `;
-      const values = [
-        reservationName,
-        reservationEmail,
-        reservationPhone,
-        toISODate(date),
-        time,
-        guests,
-        tableType,
-        celebrationType,
-        cake,
-        cakePrice,
-        flowers,
-        flowersPrice,
-        venueId,
-        assignedTableId
-      ];
-      const result = await db.query(query, values);
-      return result[0];
+          flowersPrice,
+          venueId,
+          assignment?.tableId || null,
+          assignment?.combinedTableIds || [],
+          status,
+          seriesId
+        ];
+        const result = await client.query(query, values);
+        reservation = result.rows[0];
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // The booking is saved: a failure to announce it is logged, never turned into an error
+      try {
+        // Pending bookings (deposit or waitlist hold) are announced once they are confirmed
+        if (reservation.status === 'confirmed') {
+          await NotificationService.reservationConfirmed(reservation);
+        }
+        const created = WebhookService.reservationData(reservation);
+        await WebhookService.emit(reservation.restaurant_id, 'reservation.created', created);
+        LiveUpdateService.publish(reservation.restaurant_id, 'reservation.created', created);
+      } catch (error) {
+        console.error('❌ Error announcing new reservation:', error);
+      }
+      return reservation;
     }
 
-    // Find an available table of the specified type that doesn't have gap conflicts
-    static async findAvailableTableWithGapCheck(restaurantId, tableType, reservationDate, reservationTime, partySize) {
-        // KISS: Let the database trigger handle table assignment with proper gap checking
-        // The assign_available_table() trigger will automatically find the lowest table_id
-        // that meets all criteria including gap requirements
-        
-        console.log(`🔍 Using database trigger for table assignment: ${tableType} table for ${partySize} people on ${reservationDate} at ${reservationTime}`);
-        
-        // Return null to indicate no specific table_id should be pre-assigned
-        // The database trigger will handle the assignment automatically
-        return null;
+    // Lock the table rows of one type for the rest of the transaction. Bookings
+    // for the same type serialize on these locks; other types are unaffected.
+    static async lockTablesOfType(client, restaurantId, tableType) {
+        await client.query(
+            'SELECT table_id FROM tables WHERE restaurant_id = $1 AND table_type = $2 ORDER BY table_id FOR UPDATE',
+            [restaurantId, tableType]
+        );
     }
 
-    // Check if a specific table has gap conflicts for the proposed time
-    static async checkTableGapConflict(restaurantId, tableId, reservationDate, reservationTime, minGapHours) {
+    // Assignment engine: pick the tightest-fitting free table of the requested type,
+    // or join adjacent free tables when no single table seats the party.
+    // Returns { tableId, combinedTableIds, capacity } or null when nothing fits.
+    static async findAvailableTableWithGapCheck(restaurantId, tableType, reservationDate, reservationTime, partySize, excludeReservationId = null, client = null) {
+        const query = `
+            SELECT t.table_id, t.capacity, t.x_coordinate, t.y_coordinate
+            FROM tables t
+            WHERE t.restaurant_id = $1
+              AND t.table_type = $2
+              AND NOT EXISTS (
+                  SELECT 1 FROM reservation r
+                  WHERE (r.table_id = t.table_id OR t.table_id = ANY(r.combined_table_ids))
+                    AND r.status NOT IN ('cancelled', 'no_show')
+                    AND ($5::int IS NULL OR r.reservation_id <> $5)
+                    AND r.start_at < $3::timestamp + make_interval(mins => get_turn_time_minutes($1, $4, $2, $3::time))
+                    AND r.end_at > $3::timestamp
+              )
+            ORDER BY t.table_id;
+        `;
+        const freeTables = await queryRows(client, query, [
+            restaurantId,
+            tableType,
+            `${reservationDate} ${reservationTime}`,
+            partySize,
+            excludeReservationId
+        ]);
+        const assignment = pickBestFit(freeTables, partySize);
+
+        if (assignment) {
+            const tableIds = [assignment.tableId, ...assignment.combinedTableIds].join(' + ');
+            console.log(`🔍 Table assignment: ${tableType} table(s) ${tableIds} (${assignment.capacity} seats) for ${partySize} people on ${reservationDate} at ${reservationTime}`);
+        } else {
+            console.log(`🔍 Table assignment: no ${tableType} table(s) free for ${partySize} people on ${reservationDate} at ${reservationTime}`);
+        }
+        return assignment;
+    }
+
+    // Check if a specific table already has a reservation overlapping the proposed stay
+    static async checkTableGapConflict(restaurantId, tableId, reservationDate, reservationTime, partySize) {
         try {
-            console.log(`🔍 Gap check params: date="${reservationDate}", time="${reservationTime}"`);
             const proposedDateTime = `${reservationDate} ${reservationTime}`;
-            console.log(`🔍 Proposed datetime: "${proposedDateTime}"`);
             
-            // FIXED: Check for conflicting reservations using ABS to calculate actual time difference
-            const gapCheckQuery = `
+            const overlapQuery = `
                 SELECT COUNT(*) as conflicts
-                FROM reservation 
-                WHERE restaurant_id = $1 
-                  AND table_id = $2
-                  AND reservation_date = $3
-                  AND (
-                      -- Check if existing reservation conflicts with gap window using absolute time difference
-                      ABS(EXTRACT(EPOCH FROM ((reservation_date + reservation_time) - $4::timestamp))) < (${minGapHours} * 3600)
-                      AND (reservation_date + reservation_time) != $4::timestamp
-                  )
+                FROM reservation r
+                JOIN tables t ON t.table_id = $2
+                WHERE r.restaurant_id = $1 
+                  AND (r.table_id = $2 OR $2 = ANY(r.combined_table_ids))
+                  AND r.status NOT IN ('cancelled', 'no_show')
+                  AND r.start_at < $3::timestamp + make_interval(mins => get_turn_time_minutes($1, $4, t.table_type, $3::time))
+                  AND r.end_at > $3::timestamp
             `;
             
-            const gapRes = await db.query(gapCheckQuery, [restaurantId, tableId, reservationDate, proposedDateTime]);
-            const conflicts = parseInt(gapRes[0].conflicts);
+            const overlapRes = await db.query(overlapQuery, [restaurantId, tableId, proposedDateTime, partySize]);
+            const conflicts = parseInt(overlapRes[0].conflicts);
             
-            console.log(`🕐 Table ${tableId} gap check: ${conflicts} conflicting reservations within ${minGapHours} hours of ${proposedDateTime}`);
+            console.log(`🕐 Table ${tableId} overlap check: ${conflicts} reservations overlapping a stay from ${proposedDateTime}`);
             
             return conflicts > 0;
             
@@ -782,6 +1014,261 @@ class RestaurantService {
         }
     }
 
+    // Get a single reservation with its table and restaurant names
+    static async getReservationById(reservationId) {
+        try {
+            const query = `
+                SELECT 
+                    r.*,
+                    TO_CHAR(r.reservation_date, 'YYYY-MM-DD') as reservation_date_iso,
+                    t.table_name,
+                    rest.name as restaurant_name,
+                    w.hold_expires_at
+                FROM reservation r
+                LEFT JOIN tables t ON r.table_id = t.table_id
+                JOIN restaurant rest ON r.restaurant_id = rest.restaurant_id
+                LEFT JOIN waitlist w ON w.offered_reservation_id = r.reservation_id AND w.status = 'offered'
+                WHERE r.reservation_id = $1;
+            `;
+            const result = await db.query(query, [reservationId]);
+            return result[0] || null;
+        } catch (error) {
+            console.error('Error fetching reservation by ID:', error);
+            throw error;
+        }
+    }
+
+    // Find a reservation for a guest who identifies with the reservation code plus
+    // the email or phone used for the booking. Returns null on any mismatch so the
+    // caller cannot tell a wrong code from wrong contact details.
+    static async findReservationForGuest(restaurantId, { reservationCode, email, phone }) {
+        const reservationId = parseInt(String(reservationCode || '').replace(/\D/g, ''));
+        if (!reservationId || (!email && !phone)) {
+            return null;
+        }
+
+        const reservation = await this.getReservationById(reservationId);
+        if (!reservation || (restaurantId && reservation.restaurant_id !== parseInt(restaurantId))) {
+            return null;
+        }
+
+        const normalizePhone = (value) => String(value || '').replace(/\D/g, '');
+        const emailMatches = email && reservation.reservation_email.toLowerCase() === email.trim().toLowerCase();
+        const phoneMatches = phone && normalizePhone(phone).length > 0 && normalizePhone(reservation.reservation_phone) === normalizePhone(phone);
+
+        return emailMatches || phoneMatches ? reservation : null;
+    }
+
+    // Modify a guest reservation. Date, time, party size or table type changes
+    // re-run the availability check for the new stay and re-assign the table(s).
+    static async updateReservation(reservationId, changes = {}) {
+        const existing = await this.getReservationById(reservationId);
+        if (!existing) {
+            throw new Error('Reservation not found');
+        }
+        if (!MODIFIABLE_RESERVATION_STATUSES.includes(existing.status)) {
+            throw new Error(`Reservation cannot be modified once it is ${existing.status}`);
+        }
+
+        const currentDate = existing.reservation_date_iso;
+        const currentTime = String(existing.reservation_time).slice(0, 5);
+
+        const updated = {
+            reservationName: changes.reservationName || existing.reservation_name,
+            reservationPhone: changes.reservationPhone || existing.reservation_phone,
+            date: changes.date ? toISODate(changes.date) : currentDate,
+            time: changes.time ? String(changes.time).slice(0, 5) : currentTime,
+            guests: changes.guests ? parseInt(changes.guests) : existing.guests,
+            tableType: changes.tableType || existing.table_type
+        };
+
+        if (!updated.date) {
+            throw new Error('Invalid reservation date');
+        }
+        if (!updated.guests || updated.guests <= 0) {
+            throw new Error('guests must be a positive number');
+        }
+
+        const slotChanged = updated.date !== currentDate
+            || updated.time !== currentTime
+            || updated.guests !== existing.guests
+            || updated.tableType !== existing.table_type;
+
+        // Deposit rules depend on the party size, date and table type.
+        // Imported lazily because DepositService depends on this module.
+        if (updated.date !== currentDate || updated.guests !== existing.guests || updated.tableType !== existing.table_type) {
+            const { default: DepositService } = await import('./DepositService.js');
+            await DepositService.assertDepositUnchanged(existing, updated);
+        }
+
+        const client = await db.connect();
+        let reservation;
+
+        try {
+            await client.query('BEGIN');
+
+            let assignment = null;
+            if (slotChanged) {
+                console.log(`🔄 Re-checking availability for reservation ${reservationId}: ${updated.tableType} on ${updated.date} at ${updated.time}`);
+
+                // The interval overlap checks below replace the old min_reservation_gap_hours window.
+                // Same lock as createReservation so a move cannot race a new booking
+                await RestaurantService.lockTablesOfType(client, existing.restaurant_id, updated.tableType);
+
+                const available = await RestaurantService.isTableAvailable({
+                    venueId: existing.restaurant_id,
+                    tableType: updated.tableType,
+                    reservationDate: updated.date,
+                    reservationTime: updated.time,
+                    guests: updated.guests,
+                    excludeReservationId: reservationId,
+                    client
+                });
+                if (!available) {
+                    throw new Error('No tables of this type available for the selected time.');
+                }
+
+                assignment = await RestaurantService.findAvailableTableWithGapCheck(
+                    existing.restaurant_id,
+                    updated.tableType,
+                    updated.date,
+                    updated.time,
+                    updated.guests,
+                    reservationId,
+                    client
+                );
+            }
+
+            // When nothing fits, table_id is cleared and trg_assign_available_table rejects the change
+            const query = `
+                UPDATE reservation
+                SET 
+                    reservation_name = $2,
+                    reservation_phone = $3,
+                    reservation_date = $4,
+                    reservation_time = $5,
+                    guests = $6,
+                    table_type = $7,
+                    table_id = CASE WHEN $8::boolean THEN $9::int ELSE table_id END,
+                    combined_table_ids = CASE WHEN $8::boolean THEN $10::int[] ELSE combined_table_ids END
+                WHERE reservation_id = $1
+                RETURNING *;
+            `;
+            const result = await client.query(query, [
+                reservationId,
+                updated.reservationName,
+                updated.reservationPhone,
+                updated.date,
+                updated.time,
+                updated.guests,
+                updated.tableType,
+                slotChanged,
+                assignment?.tableId || null,
+                assignment?.combinedTableIds || []
+            ]);
+
+            reservation = result.rows[0];
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // The change is saved: a failure to announce it is logged, never turned into an error
+        if (slotChanged) {
+            try {
+                await NotificationService.reservationModified(existing, reservation);
+                const change = {
+                    ...WebhookService.reservationData(reservation),
+                    previous: {
+                        date: currentDate,
+                        time: currentTime,
+                        guests: existing.guests,
+                        table_type: existing.table_type
+                    }
+                };
+                await WebhookService.emit(existing.restaurant_id, 'reservation.updated', change);
+                LiveUpdateService.publish(existing.restaurant_id, 'reservation.updated', change);
+            } catch (error) {
+                console.error('❌ Error announcing reservation change:', error);
+            }
+        }
+        return reservation;
+    }
+
+    // Cancel a reservation, freeing its table for other guests
+    static async cancelReservation(reservationId) {
+        return this.updateReservationStatus(reservationId, 'cancelled');
+    }
+
+    // Move a reservation through its lifecycle (pending -> confirmed -> seated -> completed)
+    static async updateReservationStatus(reservationId, newStatus) {
+        const existing = await this.getReservationById(reservationId);
+        if (!existing) {
+            throw new Error('Reservation not found');
+        }
+
+        const allowed = RESERVATION_STATUS_TRANSITIONS[existing.status] || [];
+        if (!allowed.includes(newStatus)) {
+            throw new Error(`Invalid status transition from ${existing.status} to ${newStatus}`);
+        }
+
+        // Only from the status checked above: when two requests race (a guest and staff
+        // cancelling, a payment deadline and a Stripe webhook), one of them wins and the
+        // deposit, waitlist and notifications below run once
+        const result = await db.query(
+            'UPDATE reservation SET status = $2 WHERE reservation_id = $1 AND status = $3 RETURNING *',
+            [reservationId, newStatus, existing.status]
+        );
+        if (result.length === 0) {
+            const current = await this.getReservationById(reservationId);
+            throw new Error(`Invalid status transition from ${current ? current.status : existing.status} to ${newStatus}`);
+        }
+        console.log(`📋 Reservation ${reservationId} status: ${existing.status} -> ${newStatus}`);
+
+        // Release, refund or capture any deposit held for this booking.
+        // Imported lazily because DepositService depends on this module.
+        if (existing.deposit_status && existing.deposit_status !== 'none') {
+            try {
+                const { default: DepositService } = await import('./DepositService.js');
+                await DepositService.applyStatusChange(existing, newStatus);
+            } catch (error) {
+                console.error('❌ Error settling deposit after status change:', error);
+            }
+        }
+
+        // A cancellation frees the slot - offer it to the first matching waitlist guest.
+        // Imported lazily because WaitlistService depends on this module.
+        if (newStatus === 'cancelled') {
+            try {
+                const { default: WaitlistService } = await import('./WaitlistService.js');
+                await WaitlistService.promoteForCancelledReservation(result[0]);
+            } catch (error) {
+                console.error('❌ Error promoting waitlist after cancellation:', error);
+            }
+        }
+
+        // Tell the guest (and the owner, for a new booking). Failures are logged, not thrown.
+        try {
+            if (newStatus === 'confirmed' && existing.status === 'pending') {
+                await NotificationService.reservationConfirmed(result[0]);
+            } else if (newStatus === 'cancelled') {
+                await NotificationService.reservationCancelled(existing);
+            }
+            const eventType = newStatus === 'cancelled' ? 'reservation.cancelled' : 'reservation.status_changed';
+            const change = { ...WebhookService.reservationData(result[0]), previous_status: existing.status };
+            await WebhookService.emit(existing.restaurant_id, eventType, change);
+            LiveUpdateService.publish(existing.restaurant_id, eventType, change);
+        } catch (error) {
+            console.error('❌ Error announcing reservation status change:', error);
+        }
+
+        return result[0];
+    }
+
     // NEW: Create restaurant with Google Maps location data
     static async createRestaurantWithLocation(restaurantData) {
         try {
@@ -1027,7 +1514,9 @@ class RestaurantService {
         }
     }
     /**
-     * Get available table types for a specific time using the database function
+     * Get available table types for a specific time using the database function.
+     * Types where no single table seats the party are offered when adjacent
+     * tables can be pushed together instead.
      */
     static async getAvailableTableTypesForTime(params) {
         try {
@@ -1037,6 +1526,32 @@ class RestaurantService {
                 FROM get_available_table_types($1, $2, $3, $4)
             `;
             const result = await db.query(query, [restaurantId, reservationDate, reservationTime, guests]);
+
+            const typesQuery = `
+                SELECT table_type, MAX(table_price) as table_price
+                FROM tables
+                WHERE restaurant_id = $1 AND table_type IS NOT NULL
+                GROUP BY table_type
+                ORDER BY table_type
+            `;
+            const allTypes = await db.query(typesQuery, [restaurantId]);
+
+            for (const type of allTypes) {
+                if (result.some(r => r.table_type === type.table_type)) continue;
+
+                const assignment = await this.findAvailableTableWithGapCheck(
+                    restaurantId, type.table_type, reservationDate, reservationTime, guests
+                );
+                if (assignment && assignment.combinedTableIds.length > 0) {
+                    result.push({
+                        table_type: type.table_type,
+                        table_price: type.table_price,
+                        capacity: assignment.capacity,
+                        combined_tables: assignment.combinedTableIds.length + 1
+                    });
+                }
+            }
+
             return result;
         } catch (error) {
             console.error('Error fetching available table types for time:', error);
@@ -1058,7 +1573,39 @@ class RestaurantService {
             return 0;
         }
     }
-    
+
+    // Largest party each table type can seat, counting adjacent tables pushed together
+    static async getTableCapacities(restaurantId) {
+        const query = `
+            SELECT table_id, table_type, capacity, x_coordinate, y_coordinate
+            FROM tables
+            WHERE restaurant_id = $1
+            ORDER BY table_type ASC, table_id ASC
+        `;
+        const tables = await db.query(query, [restaurantId]);
+
+        const byType = new Map();
+        for (const table of tables) {
+            if (!byType.has(table.table_type)) byType.set(table.table_type, []);
+            byType.get(table.table_type).push(table);
+        }
+
+        return [...byType.entries()].map(([tableType, typeTables]) => ({
+            table_type: tableType,
+            max_capacity: getLargestSeating(typeTables)
+        }));
+    }
+
+    // Largest party the restaurant can seat on one table or adjacent tables of one type
+    static async getMaxPartySize(restaurantId) {
+        try {
+            const capacities = await this.getTableCapacities(restaurantId);
+            return Math.max(0, ...capacities.map(c => c.max_capacity));
+        } catch (error) {
+            console.error('Error fetching max party size:', error);
+            return 0;
+        }
+    }
 
 }
 
@@ -0,0 +1,143 @@
+import db from '../config/database.js';
+
+// Chat sessions nobody has touched for this long are forgotten
+const DEFAULT_TTL_MINUTES = 120;
+
+// Another request saved the session after this one loaded it
+export class SessionConflictError extends Error {
+    constructor(sessionId) {
+        super(`Session ${sessionId} was changed by another request`);
+        this.name = 'SessionConflictError';
+        this.code = 'SESSION_CONFLICT';
+    }
+}
+
+// Session state is stored as JSON in Postgres; copy through JSON in memory too
+// so both stores hand back the same shapes (no shared references, Dates as strings)
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+/**
+ * Session store interface shared by both implementations:
+ *   get(sessionId)                        -> { state, version } or null when missing/expired
+ *   save(sessionId, state, version)       -> new version; throws SessionConflictError if
+ *                                            the stored version is no longer `version`
+ *   delete(sessionId)
+ *   purgeExpired()                        -> number of sessions removed
+ * A session that has never been saved has version 0.
+ */
+
+// Process-local store for development and tests; lost on restart
+export class MemorySessionStore {
+    constructor({ ttlMinutes = DEFAULT_TTL_MINUTES } = {}) {
+        this.ttlMs = ttlMinutes * 60 * 1000;
+        this.sessions = new Map();
+    }
+
+    async get(sessionId) {
+        const entry = this.sessions.get(sessionId);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return { state: cloneState(entry.state), version: entry.version };
+    }
+
+    async save(sessionId, state, version = 0) {
+        const current = await this.get(sessionId);
+        if ((current ? current.version : 0) !== version) {
+            throw new SessionConflictError(sessionId);
+        }
+        this.sessions.set(sessionId, {
+            state: cloneState(state),
+            version: version + 1,
+            expiresAt: Date.now() + this.ttlMs
+        });
+        return version + 1;
+    }
+
+    async delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    async purgeExpired() {
+        let removed = 0;
+        for (const [sessionId, entry] of this.sessions) {
+            if (entry.expiresAt <= Date.now()) {
+                this.sessions.delete(sessionId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+// Shared store in the chat_session table; survives restarts and works across instances
+export class PostgresSessionStore {
+    constructor({ ttlMinutes = DEFAULT_TTL_MINUTES } = {}) {
+        this.ttlMinutes = ttlMinutes;
+    }
+
+    async get(sessionId) {
+        const rows = await db.query(`
+            SELECT state, version
+            FROM chat_session
+            WHERE session_id = $1 AND expires_at > NOW()
+        `, [sessionId]);
+        return rows[0] || null;
+    }
+
+    async save(sessionId, state, version = 0) {
+        // First save may only replace a row that has already expired;
+        // later saves only succeed while the row is still at the version we loaded
+        const rows = version === 0
+            ? await db.query(`
+                INSERT INTO chat_session (session_id, state, version, expires_at)
+                VALUES ($1, $2, 1, NOW() + make_interval(mins => $3))
+                ON CONFLICT (session_id) DO UPDATE SET
+                    state = EXCLUDED.state,
+                    version = 1,
+                    updated_at = NOW(),
+                    expires_at = EXCLUDED.expires_at
+                WHERE chat_session.expires_at <= NOW()
+                RETURNING version
+            `, [sessionId, JSON.stringify(state), this.ttlMinutes])
+            : await db.query(`
+                UPDATE chat_session
+                SET state = $2,
+                    version = version + 1,
+                    updated_at = NOW(),
+                    expires_at = NOW() + make_interval(mins => $4)
+                WHERE session_id = $1 AND version = $3 AND expires_at > NOW()
+                RETURNING version
+            `, [sessionId, JSON.stringify(state), version, this.ttlMinutes]);
+
+        if (rows.length === 0) {
+            throw new SessionConflictError(sessionId);
+        }
+        return rows[0].version;
+    }
+
+    async delete(sessionId) {
+        await db.query('DELETE FROM chat_session WHERE session_id = $1', [sessionId]);
+    }
+
+    async purgeExpired() {
+        const rows = await db.query('DELETE FROM chat_session WHERE expires_at <= NOW() RETURNING session_id');
+        return rows.length;
+    }
+}
+
+// SESSION_STORE=memory keeps sessions in this process only (default: postgres)
+export function createSessionStore() {
+    const ttlMinutes = parseInt(process.env.SESSION_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+    if (process.env.SESSION_STORE === 'memory') {
+        return new MemorySessionStore({ ttlMinutes });
+    }
+    return new PostgresSessionStore({ ttlMinutes });
+}
+
+// One store shared by every orchestrator in this process
+const sessionStore = createSessionStore();
+
+export default sessionStore;
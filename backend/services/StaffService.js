@@ -0,0 +1,364 @@
+import db from '../config/database.js';
+import AuthService from './AuthService.js';
+import NotificationService from './NotificationService.js';
+
+// Roles a member of a restaurant's staff can have, with the label the dashboard shows
+export const STAFF_ROLES = {
+    owner: 'Owner',
+    manager: 'Manager',
+    host: 'Host',
+    accountant: 'Accountant (read-only)'
+};
+
+/**
+ * What each role may do at its restaurant. Routes name the permission they need
+ * (requirePermission in middleware/auth.js); platform admins have every permission
+ * at every restaurant.
+ */
+export const PERMISSIONS = {
+    'dashboard.view': ['owner', 'manager', 'host', 'accountant'],
+    'analytics.view': ['owner', 'manager', 'accountant'],
+    'reservations.manage': ['owner', 'manager', 'host'],
+    'tables.manage': ['owner', 'manager', 'host'],
+    'chat.respond': ['owner', 'manager', 'host'],
+    'settings.manage': ['owner', 'manager'],
+    'staff.manage': ['owner']
+};
+
+export const PLATFORM_ADMIN_ROLE = 'admin';
+
+// Invitation links stop working after this many days
+export const INVITATION_DAYS = 7;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class StaffService {
+    /**
+     * ROLES AND PERMISSIONS
+     */
+
+    static can(role, permission) {
+        if (role === PLATFORM_ADMIN_ROLE) return true;
+        return Boolean(role) && (PERMISSIONS[permission] || []).includes(role);
+    }
+
+    static permissionsFor(role) {
+        return Object.keys(PERMISSIONS).filter(permission => StaffService.can(role, permission));
+    }
+
+    static validateRole(role) {
+        if (!STAFF_ROLES[role]) {
+            throw new Error(`role must be one of ${Object.keys(STAFF_ROLES).join(', ')}`);
+        }
+        return role;
+    }
+
+    /**
+     * The account's role at a restaurant: 'admin' for platform admins, the staff
+     * role for members and null for everyone else.
+     * @returns {Promise<Object|null>} - { role, permissions }, or null when the account does not exist
+     */
+    static async getAccess(ownerId, restaurantId) {
+        const [account] = await db.query(`
+            SELECT o.is_platform_admin, s.role
+            FROM owners o
+            LEFT JOIN restaurant_staff s ON s.owner_id = o.id AND s.restaurant_id = $2
+            WHERE o.id = $1
+        `, [ownerId, restaurantId]);
+
+        if (!account) return null;
+
+        const role = account.is_platform_admin ? PLATFORM_ADMIN_ROLE : account.role;
+        return { role: role || null, permissions: StaffService.permissionsFor(role) };
+    }
+
+    // Restaurants the account belongs to, with its role at each
+    static async listRestaurantsForAccount(ownerId) {
+        return db.query(`
+            SELECT s.restaurant_id, r.name, r.area, r.island, s.role
+            FROM restaurant_staff s
+            JOIN restaurant r ON r.restaurant_id = s.restaurant_id
+            WHERE s.owner_id = $1
+            ORDER BY r.name
+        `, [ownerId]);
+    }
+
+    // Which restaurant to open after login: the one the account registered, else its first
+    static async getDefaultRestaurantId(ownerId) {
+        const [row] = await db.query(`
+            SELECT COALESCE(
+                (SELECT o.restaurant_id FROM owners o WHERE o.id = $1),
+                (SELECT s.restaurant_id FROM restaurant_staff s WHERE s.owner_id = $1 ORDER BY s.created_at, s.staff_id LIMIT 1)
+            ) as restaurant_id
+        `, [ownerId]);
+        return row?.restaurant_id || null;
+    }
+
+    /**
+     * STAFF - called by the owner from restaurant settings
+     */
+
+    // Members and the invitations still waiting for an answer
+    static async listStaff(restaurantId) {
+        const members = await db.query(`
+            SELECT s.staff_id, s.owner_id, s.role, s.created_at,
+                   o.email, o.first_name, o.last_name
+            FROM restaurant_staff s
+            JOIN owners o ON o.id = s.owner_id
+            WHERE s.restaurant_id = $1
+            ORDER BY s.role, o.first_name, o.last_name
+        `, [restaurantId]);
+
+        const invitations = await db.query(`
+            SELECT invitation_id, email, role, expires_at, created_at
+            FROM staff_invitation
+            WHERE restaurant_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY created_at DESC
+        `, [restaurantId]);
+
+        return { members, invitations };
+    }
+
+    /**
+     * Invite someone by email. Inviting the same address again replaces the pending
+     * invitation (new role, new link, new expiry).
+     * The link only goes out in the email, so only the owner of the address can use it.
+     * @returns {Promise<Object>} - { invitation }
+     */
+    static async inviteStaff(restaurantId, { email, role }, invitedBy) {
+        const address = String(email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(address)) {
+            throw new Error('email must be a valid email address');
+        }
+        StaffService.validateRole(role);
+
+        const [member] = await db.query(`
+            SELECT s.staff_id
+            FROM restaurant_staff s
+            JOIN owners o ON o.id = s.owner_id
+            WHERE s.restaurant_id = $1 AND LOWER(o.email) = $2
+        `, [restaurantId, address]);
+        if (member) {
+            throw new Error('Already a member of staff');
+        }
+
+        const client = await db.connect();
+        let invitation;
+        try {
+            await client.query('BEGIN');
+            await client.query(`
+                UPDATE staff_invitation
+                SET status = 'revoked'
+                WHERE restaurant_id = $1 AND LOWER(email) = $2 AND status = 'pending'
+            `, [restaurantId, address]);
+            const result = await client.query(`
+                INSERT INTO staff_invitation (restaurant_id, email, role, invited_by, expires_at)
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+                RETURNING invitation_id, restaurant_id, email, role, expires_at, created_at
+            `, [restaurantId, address, role, invitedBy, INVITATION_DAYS]);
+            await client.query('COMMIT');
+            invitation = result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const link = StaffService.invitationLink(invitation.invitation_id);
+        await NotificationService.staffInvited(invitation, { link, invitedBy, roleLabel: STAFF_ROLES[role] });
+
+        return { invitation };
+    }
+
+    static invitationLink(invitationId) {
+        const baseUrl = (process.env.CLIENT_URL || 'http://localhost:8080').replace(/\/+$/, '');
+        const token = AuthService.generateStaffInvitationToken(invitationId);
+        return `${baseUrl}/accept-invitation?token=${encodeURIComponent(token)}`;
+    }
+
+    static async revokeInvitation(restaurantId, invitationId) {
+        const rows = await db.query(`
+            UPDATE staff_invitation
+            SET status = 'revoked'
+            WHERE restaurant_id = $1 AND invitation_id = $2 AND status = 'pending'
+            RETURNING invitation_id
+        `, [restaurantId, invitationId]);
+        return rows.length > 0;
+    }
+
+    // Change a member's role. A restaurant always keeps at least one owner.
+    static async updateRole(restaurantId, staffId, role) {
+        StaffService.validateRole(role);
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const member = await StaffService.lockMember(client, restaurantId, staffId);
+            if (member.role === 'owner' && role !== 'owner') {
+                await StaffService.assertAnotherOwner(client, restaurantId, staffId);
+            }
+
+            const result = await client.query(`
+                UPDATE restaurant_staff SET role = $3
+                WHERE restaurant_id = $1 AND staff_id = $2
+                RETURNING staff_id, owner_id, role
+            `, [restaurantId, staffId, role]);
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async removeMember(restaurantId, staffId) {
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            const member = await StaffService.lockMember(client, restaurantId, staffId);
+            if (member.role === 'owner') {
+                await StaffService.assertAnotherOwner(client, restaurantId, staffId);
+            }
+
+            await client.query('DELETE FROM restaurant_staff WHERE restaurant_id = $1 AND staff_id = $2', [restaurantId, staffId]);
+            await client.query('COMMIT');
+            return member;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Lock the restaurant's staff rows so two owners cannot demote each other at the same time
+    static async lockMember(client, restaurantId, staffId) {
+        const result = await client.query(`
+            SELECT staff_id, owner_id, role
+            FROM restaurant_staff
+            WHERE restaurant_id = $1
+            FOR UPDATE
+        `, [restaurantId]);
+        const member = result.rows.find(row => row.staff_id === staffId);
+        if (!member) {
+            throw new Error('Staff member not found');
+        }
+        return member;
+    }
+
+    static async assertAnotherOwner(client, restaurantId, staffId) {
+        const result = await client.query(`
+            SELECT COUNT(*)::int as owners
+            FROM restaurant_staff
+            WHERE restaurant_id = $1 AND role = 'owner' AND staff_id <> $2
+        `, [restaurantId, staffId]);
+        if (result.rows[0].owners === 0) {
+            throw new Error('A restaurant must keep at least one owner');
+        }
+    }
+
+    /**
+     * INVITATIONS - called by the person who was invited
+     */
+
+    // What the invitation page shows before the invitee accepts
+    static async getInvitation(token) {
+        const invitationId = AuthService.verifyStaffInvitationToken(token);
+        const [invitation] = await db.query(`
+            SELECT i.invitation_id, i.restaurant_id, i.email, i.role, i.status, i.expires_at,
+                   r.name as restaurant_name,
+                   EXISTS (SELECT 1 FROM owners o WHERE LOWER(o.email) = LOWER(i.email)) as has_account,
+                   (SELECT o.oauth_provider FROM owners o WHERE LOWER(o.email) = LOWER(i.email) LIMIT 1) as account_provider
+            FROM staff_invitation i
+            JOIN restaurant r ON r.restaurant_id = i.restaurant_id
+            WHERE i.invitation_id = $1
+        `, [invitationId]);
+
+        if (!invitation || invitation.status !== 'pending' || new Date(invitation.expires_at) <= new Date()) {
+            throw new Error('Invitation not found or no longer valid');
+        }
+        return invitation;
+    }
+
+    /**
+     * Join the restaurant. An existing account proves itself by being signed in
+     * (signedInOwnerId) or, for a password account, with its password; Google and
+     * Facebook accounts have no password and must be signed in. Otherwise an account
+     * is created with the invited email, which stays unverified: the link alone
+     * proves nothing about who opened it.
+     * @returns {Promise<Object>} - The account id, the invitation that was accepted and
+     * whether the password was checked
+     */
+    static async acceptInvitation(token, { password, firstName, lastName, phone }, signedInOwnerId = null) {
+        const invitation = await StaffService.getInvitation(token);
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                'SELECT id, password, oauth_provider FROM owners WHERE LOWER(email) = LOWER($1)',
+                [invitation.email]
+            );
+
+            let ownerId;
+            let passwordChecked = false;
+            if (existing.rows.length > 0) {
+                const account = existing.rows[0];
+                if (account.id !== signedInOwnerId) {
+                    if (account.oauth_provider !== 'local' || !account.password) {
+                        throw new Error('Sign in to accept this invitation');
+                    }
+                    if (!await AuthService.verifyPassword(password || '', account.password)) {
+                        throw new Error('Invalid credentials');
+                    }
+                    passwordChecked = true;
+                }
+                ownerId = account.id;
+            } else {
+                if (!firstName || !lastName) {
+                    throw new Error('firstName and lastName must be given for a new account');
+                }
+                if (!password || password.length < 8) {
+                    throw new Error('Password must be at least 8 characters');
+                }
+                const created = await client.query(`
+                    INSERT INTO owners (email, password, first_name, last_name, phone)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING id
+                `, [invitation.email, await AuthService.hashPassword(password), firstName, lastName, phone || null]);
+                ownerId = created.rows[0].id;
+            }
+
+            const accepted = await client.query(`
+                UPDATE staff_invitation
+                SET status = 'accepted', accepted_by = $2, accepted_at = CURRENT_TIMESTAMP
+                WHERE invitation_id = $1 AND status = 'pending'
+                RETURNING invitation_id
+            `, [invitation.invitation_id, ownerId]);
+            if (accepted.rows.length === 0) {
+                throw new Error('Invitation not found or no longer valid');
+            }
+
+            await client.query(`
+                INSERT INTO restaurant_staff (restaurant_id, owner_id, role, invited_by)
+                SELECT restaurant_id, $2, role, invited_by FROM staff_invitation WHERE invitation_id = $1
+                ON CONFLICT (restaurant_id, owner_id) DO UPDATE SET role = EXCLUDED.role
+            `, [invitation.invitation_id, ownerId]);
+
+            await client.query('COMMIT');
+            console.log(`👥 Account ${ownerId} joined restaurant ${invitation.restaurant_id} as ${invitation.role}`);
+            return { ownerId, invitation, passwordChecked };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+export default StaffService;
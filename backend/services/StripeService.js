@@ -9,7 +9,14 @@ function getStripe() {
         if (!process.env.STRIPE_SECRET_KEY) {
             throw new Error('STRIPE_SECRET_KEY is not set in environment variables');
         }
-        stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+        // STRIPE_API_HOST/PORT/PROTOCOL point the client at stripe-mock or a local fake
+        const config = {};
+        if (process.env.STRIPE_API_HOST) {
+            config.host = process.env.STRIPE_API_HOST;
+            config.port = process.env.STRIPE_API_PORT || 12111;
+            config.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+        }
+        stripe = new Stripe(process.env.STRIPE_SECRET_KEY, config);
     }
     return stripe;
 }
@@ -54,6 +61,18 @@ class StripeService {
             );
 
             switch (event.type) {
+                case 'payment_intent.amount_capturable_updated':
+                case 'payment_intent.succeeded':
+                case 'payment_intent.payment_failed':
+                case 'payment_intent.canceled':
+                case 'charge.refunded':
+                case 'setup_intent.succeeded':
+                case 'setup_intent.setup_failed': {
+                    // Reservation deposits - imported lazily because DepositService depends on this module
+                    const { default: DepositService } = await import('./DepositService.js');
+                    await DepositService.handlePaymentEvent(event);
+                    break;
+                }
                 case 'customer.subscription.created':
                 case 'customer.subscription.updated':
                     await this.updateSubscriptionStatus(event.data.object);
@@ -106,6 +125,140 @@ class StripeService {
         }
     }
 
+    // Authorize (but do not capture) a reservation deposit; amount is in euros
+    async createDepositIntent({ amount, currency = 'eur', reservationId, restaurantId, email, description }) {
+        try {
+            return await getStripe().paymentIntents.create({
+                amount: Math.round(amount * 100), // Convert to cents
+                currency,
+                capture_method: 'manual',
+                receipt_email: email,
+                description,
+                automatic_payment_methods: { enabled: true },
+                metadata: {
+                    platform: 'aichmi',
+                    purpose: 'reservation_deposit',
+                    reservation_id: String(reservationId),
+                    restaurant_id: String(restaurantId)
+                }
+            }, {
+                // Retrying a booking request must not authorize the card twice
+                idempotencyKey: `reservation-deposit-${reservationId}`
+            });
+        } catch (error) {
+            throw new Error(`Failed to create deposit payment intent: ${error.message}`);
+        }
+    }
+
+    // Save the guest's card for a deposit that may be charged later, off-session.
+    // Used when the booking is further ahead than a card authorization lasts.
+    async createDepositSetupIntent({ reservationId, restaurantId, email, name, description }) {
+        try {
+            const metadata = {
+                platform: 'aichmi',
+                purpose: 'reservation_deposit',
+                reservation_id: String(reservationId),
+                restaurant_id: String(restaurantId)
+            };
+            const customer = await getStripe().customers.create({ email, name, metadata }, {
+                idempotencyKey: `reservation-deposit-customer-${reservationId}`
+            });
+            return await getStripe().setupIntents.create({
+                customer: customer.id,
+                usage: 'off_session',
+                description,
+                automatic_payment_methods: { enabled: true },
+                metadata
+            }, {
+                idempotencyKey: `reservation-deposit-setup-${reservationId}`
+            });
+        } catch (error) {
+            throw new Error(`Failed to create deposit setup intent: ${error.message}`);
+        }
+    }
+
+    async retrieveSetupIntent(setupIntentId) {
+        try {
+            return await getStripe().setupIntents.retrieve(setupIntentId);
+        } catch (error) {
+            throw new Error(`Failed to retrieve setup intent: ${error.message}`);
+        }
+    }
+
+    async cancelSetupIntent(setupIntentId) {
+        try {
+            return await getStripe().setupIntents.cancel(setupIntentId);
+        } catch (error) {
+            throw new Error(`Failed to cancel setup intent: ${error.message}`);
+        }
+    }
+
+    // Remove a saved card from its customer, so it can no longer be charged
+    async detachPaymentMethod(paymentMethodId) {
+        try {
+            return await getStripe().paymentMethods.detach(paymentMethodId);
+        } catch (error) {
+            throw new Error(`Failed to detach payment method: ${error.message}`);
+        }
+    }
+
+    // Charge a deposit to the card saved by a SetupIntent; amount is in euros
+    async chargeSavedCard({ setupIntentId, amount, currency = 'eur', reservationId, description }) {
+        try {
+            const setupIntent = await getStripe().setupIntents.retrieve(setupIntentId);
+            return await getStripe().paymentIntents.create({
+                amount: Math.round(amount * 100), // Convert to cents
+                currency,
+                customer: setupIntent.customer,
+                payment_method: setupIntent.payment_method,
+                off_session: true,
+                confirm: true,
+                description,
+                metadata: {
+                    platform: 'aichmi',
+                    purpose: 'reservation_deposit',
+                    reservation_id: String(reservationId)
+                }
+            }, {
+                idempotencyKey: `reservation-deposit-charge-${reservationId}`
+            });
+        } catch (error) {
+            throw new Error(`Failed to charge saved card: ${error.message}`);
+        }
+    }
+
+    async retrievePaymentIntent(paymentIntentId) {
+        try {
+            return await getStripe().paymentIntents.retrieve(paymentIntentId);
+        } catch (error) {
+            throw new Error(`Failed to retrieve payment intent: ${error.message}`);
+        }
+    }
+
+    async capturePaymentIntent(paymentIntentId) {
+        try {
+            return await getStripe().paymentIntents.capture(paymentIntentId);
+        } catch (error) {
+            throw new Error(`Failed to capture payment intent: ${error.message}`);
+        }
+    }
+
+    async cancelPaymentIntent(paymentIntentId) {
+        try {
+            return await getStripe().paymentIntents.cancel(paymentIntentId);
+        } catch (error) {
+            throw new Error(`Failed to cancel payment intent: ${error.message}`);
+        }
+    }
+
+    async refundPaymentIntent(paymentIntentId) {
+        try {
+            return await getStripe().refunds.create({ payment_intent: paymentIntentId });
+        } catch (error) {
+            throw new Error(`Failed to refund payment intent: ${error.message}`);
+        }
+    }
+
     async createCheckoutSession(customerId, priceId, successUrl, cancelUrl) {
         try {
             return await getStripe().checkout.sessions.create({
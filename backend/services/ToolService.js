@@ -3,10 +3,10 @@
  * 
  * This service defines all tools that the AI orchestrator can call.
  * Each tool is a direct translation of the capabilities from the existing agents:
- * - TableAvailabilityAgent -> check_availability tool
+ * - TableAvailabilityAgent -> check_availability, join_waitlist tools
  * - MenuPricingAgent -> get_menu_items tool  
  * - RestaurantInfoAgent -> get_restaurant_info tool
- * - ReservationAgent -> create_reservation tool
+ * - ReservationAgent -> create_reservation, create_recurring_reservation, find_reservation, modify_reservation, cancel_reservation tools
  * - Fallback -> clarify_and_respond tool
  */
 
@@ -28,8 +28,7 @@ export const TOOL_DEFINITIONS = {
         partySize: {
           type: "integer",
           description: "Number of people for the reservation (required)",
-          minimum: 1,
-          maximum: 20
+          minimum: 1
         }
       },
       required: ["date", "time", "partySize"]
@@ -82,6 +81,10 @@ export const TOOL_DEFINITIONS = {
           description: "Specific information topic to retrieve",
           enum: ["hours", "address", "description", "general"],
           default: "general"
+        },
+        date: {
+          type: "string",
+          description: "Specific date in YYYY-MM-DD format when the guest asks about hours on a particular day (optional, topic 'hours' only)"
         }
       },
       required: ["topic"]
@@ -118,8 +121,7 @@ export const TOOL_DEFINITIONS = {
         partySize: {
           type: "integer",
           description: "Number of people for the reservation (required)",
-          minimum: 1,
-          maximum: 20
+          minimum: 1
         },
         tableType: {
           type: "string",
@@ -135,6 +137,182 @@ export const TOOL_DEFINITIONS = {
     }
   },
 
+  create_recurring_reservation: {
+    name: "create_recurring_reservation",
+    description: "Book the same table on several dates in one go, e.g. 'book us every night until Sunday' or 'every Friday for the next six weeks'. Each date is checked on its own: free dates are booked and dates that are taken or closed come back as conflicts with a reason. Only call this when you have name, email, phone, startDate, time, partySize, tableType and the repeat pattern.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Customer's full name (required)"
+        },
+        email: {
+          type: "string",
+          description: "Customer's email address (required)",
+          format: "email"
+        },
+        phone: {
+          type: "string",
+          description: "Customer's phone number (required)"
+        },
+        startDate: {
+          type: "string",
+          description: "First date of the series in YYYY-MM-DD format (required)"
+        },
+        time: {
+          type: "string",
+          description: "Reservation time in HH:MM format, the same on every date (required)"
+        },
+        partySize: {
+          type: "integer",
+          description: "Number of people (required)",
+          minimum: 1
+        },
+        tableType: {
+          type: "string",
+          description: "Selected table type (required)"
+        },
+        recurrence: {
+          type: "string",
+          description: "RRULE-style repeat pattern with COUNT or UNTIL (required). Examples: 'FREQ=DAILY;UNTIL=YYYY-MM-DD' for every night until a date, 'FREQ=WEEKLY;BYDAY=FR;COUNT=6' for six Fridays, 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=YYYY-MM-DD'"
+        },
+        specialRequests: {
+          type: "string",
+          description: "Any special requests or notes",
+          default: null
+        }
+      },
+      required: ["name", "email", "phone", "startDate", "time", "partySize", "tableType", "recurrence"]
+    }
+  },
+
+  join_waitlist: {
+    name: "join_waitlist",
+    description: "Put the guest on the waitlist when check_availability found no tables for their date, time and party size. Only call this after the guest has agreed to join the waitlist and given their name, email and phone. If a matching table frees up, it is held for the first guest on the waitlist for a limited time.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Customer's full name (required)"
+        },
+        email: {
+          type: "string",
+          description: "Customer's email address (required)",
+          format: "email"
+        },
+        phone: {
+          type: "string",
+          description: "Customer's phone number (required)"
+        },
+        date: {
+          type: "string",
+          description: "Requested date in YYYY-MM-DD format (required)"
+        },
+        time: {
+          type: "string",
+          description: "Requested time in HH:MM format (required)"
+        },
+        partySize: {
+          type: "integer",
+          description: "Number of people (required)",
+          minimum: 1
+        },
+        tableType: {
+          type: "string",
+          description: "Preferred table type, if the guest only wants one kind of table (omit for any table)"
+        }
+      },
+      required: ["name", "email", "phone", "date", "time", "partySize"]
+    }
+  },
+
+  find_reservation: {
+    name: "find_reservation",
+    description: "Look up an existing reservation so the guest can review it. Use this when a guest asks about a booking they already made. The guest must give their reservation code AND the email or phone used for the booking.",
+    parameters: {
+      type: "object",
+      properties: {
+        reservationCode: {
+          type: "string",
+          description: "Reservation code from the confirmation, e.g. '1234' or '#1234' (required)"
+        },
+        email: {
+          type: "string",
+          description: "Email address used for the booking (email or phone required)",
+          format: "email"
+        },
+        phone: {
+          type: "string",
+          description: "Phone number used for the booking (email or phone required)"
+        }
+      },
+      required: ["reservationCode"]
+    }
+  },
+
+  modify_reservation: {
+    name: "modify_reservation",
+    description: "Change the date, time or party size of an existing reservation, e.g. 'move my booking to 9pm'. Availability is re-checked before the change is saved. Requires the reservation code AND the email or phone used for the booking. Only include the fields the guest wants to change.",
+    parameters: {
+      type: "object",
+      properties: {
+        reservationCode: {
+          type: "string",
+          description: "Reservation code from the confirmation (required)"
+        },
+        email: {
+          type: "string",
+          description: "Email address used for the booking (email or phone required)",
+          format: "email"
+        },
+        phone: {
+          type: "string",
+          description: "Phone number used for the booking (email or phone required)"
+        },
+        date: {
+          type: "string",
+          description: "New reservation date in YYYY-MM-DD format"
+        },
+        time: {
+          type: "string",
+          description: "New reservation time in HH:MM format"
+        },
+        partySize: {
+          type: "integer",
+          description: "New number of people",
+          minimum: 1
+        }
+      },
+      required: ["reservationCode"]
+    }
+  },
+
+  cancel_reservation: {
+    name: "cancel_reservation",
+    description: "Cancel an existing reservation, e.g. 'cancel my table for Friday'. Only call this after the guest has clearly confirmed they want to cancel. Requires the reservation code AND the email or phone used for the booking.",
+    parameters: {
+      type: "object",
+      properties: {
+        reservationCode: {
+          type: "string",
+          description: "Reservation code from the confirmation (required)"
+        },
+        email: {
+          type: "string",
+          description: "Email address used for the booking (email or phone required)",
+          format: "email"
+        },
+        phone: {
+          type: "string",
+          description: "Phone number used for the booking (email or phone required)"
+        }
+      },
+      required: ["reservationCode"]
+    }
+  },
+
   get_celebration_packages: {
     name: "get_celebration_packages",
     description: "Retrieve celebration packages and special occasion services available at the restaurant. Use this when users ask about celebrations, special occasions, birthday packages, anniversary setups, or romantic celebrations.",
@@ -180,6 +358,25 @@ export const TOOL_DEFINITIONS = {
       },
       required: ["message"]
     }
+  },
+
+  request_human: {
+    name: "request_human",
+    description: "Hand the conversation over to the restaurant staff. Use this when the guest asks to speak to a person, has a complaint you cannot resolve, or needs something only the staff can decide. Tablio stops answering until the staff hand the conversation back.",
+    parameters: {
+      type: "object",
+      properties: {
+        reason: {
+          type: "string",
+          description: "Short note for the staff explaining what the guest needs"
+        },
+        message: {
+          type: "string",
+          description: "What to tell the guest while they wait for a member of staff"
+        }
+      },
+      required: ["reason"]
+    }
   }
 };
 
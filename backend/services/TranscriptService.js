@@ -0,0 +1,367 @@
+import db from '../config/database.js';
+import LiveUpdateService from './LiveUpdateService.js';
+
+// Tools that mean the guest was trying to book; an idle conversation that used
+// one of these without booking counts as abandoned rather than answered
+const BOOKING_TOOLS = ['check_availability', 'create_reservation', 'create_recurring_reservation', 'join_waitlist'];
+
+export const CONVERSATION_OUTCOMES = ['open', 'booked', 'abandoned', 'answered'];
+
+// Conversations with no new message for this long are closed
+export const CONVERSATION_IDLE_MINUTES = 60;
+
+class TranscriptService {
+    /**
+     * Store one guest message and Tablio's reply, with the agent and tool calls that produced it.
+     * Reservations and series booked during the exchange are linked to the conversation, and a
+     * handoff in the result puts the conversation in the staff queue.
+     * @param {Object} exchange - { sessionId, restaurantId, userMessage, result } where result is
+     *                            what the orchestrator returned for userMessage
+     * @returns {Promise<number>} - The conversation id
+     */
+    static async recordExchange({ sessionId, restaurantId, userMessage, result }) {
+        const toolCalls = result.orchestrator?.toolCalls || [];
+        const agent = result.orchestrator?.finalAgent || toolCalls[toolCalls.length - 1]?.agent || null;
+        const reservationIds = toolCalls.filter(call => call.reservationId).map(call => call.reservationId);
+        const seriesIds = toolCalls.filter(call => call.seriesId).map(call => call.seriesId);
+        const booked = reservationIds.length > 0 || seriesIds.length > 0;
+        const bookingStarted = toolCalls.some(call => BOOKING_TOOLS.includes(call.tool));
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+
+            // A guest writing again reopens the conversation; a booking is never undone by chatting on
+            const conversation = await client.query(`
+                INSERT INTO chat_conversation (restaurant_id, session_id, outcome, booking_started, message_count)
+                VALUES ($1, $2, CASE WHEN $3 THEN 'booked' ELSE 'open' END::chat_outcome_enum, $4, 2)
+                ON CONFLICT (session_id, restaurant_id) DO UPDATE SET
+                    outcome = CASE
+                        WHEN chat_conversation.outcome = 'booked' OR $3 THEN 'booked'
+                        ELSE 'open'
+                    END::chat_outcome_enum,
+                    booking_started = chat_conversation.booking_started OR EXCLUDED.booking_started,
+                    message_count = chat_conversation.message_count + 2,
+                    last_message_at = CURRENT_TIMESTAMP
+                RETURNING conversation_id
+            `, [restaurantId, sessionId, booked, bookingStarted]);
+            const conversationId = conversation.rows[0].conversation_id;
+
+            await client.query(`
+                INSERT INTO chat_message (conversation_id, sender, text)
+                VALUES ($1, 'user', $2)
+            `, [conversationId, userMessage]);
+            await client.query(`
+                INSERT INTO chat_message (conversation_id, sender, text, agent, tool_calls)
+                VALUES ($1, 'assistant', $2, $3, $4)
+            `, [conversationId, result.response || '', agent, JSON.stringify(toolCalls)]);
+
+            // The guest asked for a person: Tablio pauses until staff hand the conversation back
+            let handoffRequested = false;
+            if (result.handoff) {
+                const handoff = await client.query(`
+                    UPDATE chat_conversation
+                    SET handoff_status = 'requested',
+                        handoff_reason = $2,
+                        handoff_requested_at = CURRENT_TIMESTAMP
+                    WHERE conversation_id = $1 AND handoff_status IS NULL
+                    RETURNING conversation_id
+                `, [conversationId, result.handoff.reason || null]);
+                handoffRequested = handoff.rows.length > 0;
+            }
+
+            if (booked) {
+                await client.query(`
+                    UPDATE reservation
+                    SET conversation_id = $1
+                    WHERE restaurant_id = $2
+                      AND (reservation_id = ANY($3::int[]) OR series_id = ANY($4::int[]))
+                `, [conversationId, restaurantId, reservationIds, seriesIds]);
+            }
+
+            await client.query('COMMIT');
+
+            if (handoffRequested) {
+                LiveUpdateService.publish(restaurantId, 'chat.handoff_requested', {
+                    conversation_id: conversationId,
+                    handoff_reason: result.handoff.reason || null
+                });
+            }
+            return conversationId;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Inbox list for a restaurant, newest activity first
+    static async listConversations(restaurantId, { outcome = null, limit = 50, offset = 0 } = {}) {
+        if (outcome && !CONVERSATION_OUTCOMES.includes(outcome)) {
+            throw new Error(`outcome must be one of: ${CONVERSATION_OUTCOMES.join(', ')}`);
+        }
+
+        return db.query(`
+            SELECT
+                c.conversation_id,
+                c.session_id,
+                c.outcome,
+                c.message_count,
+                c.handoff_status,
+                c.started_at,
+                c.last_message_at,
+                (
+                    SELECT m.text FROM chat_message m
+                    WHERE m.conversation_id = c.conversation_id AND m.sender = 'user'
+                    ORDER BY m.created_at, m.message_id
+                    LIMIT 1
+                ) as first_message,
+                COALESCE(
+                    ARRAY_AGG(r.reservation_id ORDER BY r.reservation_date) FILTER (WHERE r.reservation_id IS NOT NULL),
+                    '{}'
+                ) as reservation_ids
+            FROM chat_conversation c
+            LEFT JOIN reservation r ON r.conversation_id = c.conversation_id
+            WHERE c.restaurant_id = $1
+              AND ($2::chat_outcome_enum IS NULL OR c.outcome = $2)
+            GROUP BY c.conversation_id
+            ORDER BY c.last_message_at DESC
+            LIMIT $3 OFFSET $4
+        `, [restaurantId, outcome, Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0]);
+    }
+
+    // Full transcript of one conversation, with the reservations it produced
+    static async getConversation(restaurantId, conversationId) {
+        const conversations = await db.query(`
+            SELECT
+                c.conversation_id,
+                c.session_id,
+                c.outcome,
+                c.booking_started,
+                c.message_count,
+                c.handoff_status,
+                c.handoff_reason,
+                c.handoff_requested_at,
+                o.first_name as handoff_staff_name,
+                c.started_at,
+                c.last_message_at
+            FROM chat_conversation c
+            LEFT JOIN owners o ON o.id = c.handoff_staff_id
+            WHERE c.restaurant_id = $1 AND c.conversation_id = $2
+        `, [restaurantId, conversationId]);
+
+        if (conversations.length === 0) {
+            return null;
+        }
+
+        const messages = await db.query(`
+            SELECT m.message_id, m.sender, m.text, m.agent, m.tool_calls, o.first_name as staff_name, m.created_at
+            FROM chat_message m
+            LEFT JOIN owners o ON o.id = m.staff_id
+            WHERE m.conversation_id = $1
+            ORDER BY m.created_at, m.message_id
+        `, [conversationId]);
+
+        const reservations = await db.query(`
+            SELECT
+                reservation_id,
+                reservation_name,
+                TO_CHAR(reservation_date, 'YYYY-MM-DD') as reservation_date,
+                reservation_time,
+                guests,
+                table_type,
+                status
+            FROM reservation
+            WHERE conversation_id = $1
+            ORDER BY reservation_date, reservation_time
+        `, [conversationId]);
+
+        return { ...conversations[0], messages, reservations };
+    }
+
+    // The conversation a reservation was booked in, if it was booked through Tablio
+    static async getConversationIdForReservation(restaurantId, reservationId) {
+        const rows = await db.query(
+            'SELECT conversation_id FROM reservation WHERE restaurant_id = $1 AND reservation_id = $2',
+            [restaurantId, reservationId]
+        );
+        return rows[0]?.conversation_id || null;
+    }
+
+    // Conversation counts per outcome over the last 30 days, for the dashboard tab
+    static async getSummary(restaurantId) {
+        const rows = await db.query(`
+            SELECT
+                COUNT(*) as total,
+                COUNT(*) FILTER (WHERE outcome = 'open') as open,
+                COUNT(*) FILTER (WHERE outcome = 'booked') as booked,
+                COUNT(*) FILTER (WHERE outcome = 'abandoned') as abandoned,
+                COUNT(*) FILTER (WHERE outcome = 'answered') as answered,
+                COUNT(*) FILTER (WHERE handoff_status = 'requested') as needs_staff
+            FROM chat_conversation
+            WHERE restaurant_id = $1 AND last_message_at >= CURRENT_TIMESTAMP - INTERVAL '30 days'
+        `, [restaurantId]);
+        return rows[0];
+    }
+
+    // Close conversations the guest walked away from (staff close their own handoffs)
+    static async closeIdleConversations(idleMinutes = CONVERSATION_IDLE_MINUTES) {
+        const rows = await db.query(`
+            UPDATE chat_conversation
+            SET outcome = CASE WHEN booking_started THEN 'abandoned' ELSE 'answered' END::chat_outcome_enum
+            WHERE outcome = 'open'
+              AND handoff_status IS NULL
+              AND last_message_at <= CURRENT_TIMESTAMP - make_interval(mins => $1)
+            RETURNING conversation_id
+        `, [idleMinutes]);
+        return rows.length;
+    }
+
+    // Handoff state of a guest's session, or null while Tablio is answering
+    static async getHandoff(sessionId, restaurantId) {
+        const rows = await db.query(`
+            SELECT c.conversation_id, c.handoff_status, o.first_name as staff_name
+            FROM chat_conversation c
+            LEFT JOIN owners o ON o.id = c.handoff_staff_id
+            WHERE c.session_id = $1 AND c.restaurant_id = $2 AND c.handoff_status IS NOT NULL
+        `, [sessionId, restaurantId]);
+
+        if (rows.length === 0) {
+            return null;
+        }
+        return {
+            conversationId: rows[0].conversation_id,
+            status: rows[0].handoff_status,
+            staffName: rows[0].staff_name
+        };
+    }
+
+    // A guest message that went to the staff instead of Tablio
+    static async recordGuestMessage(conversationId, text) {
+        await db.query(`
+            INSERT INTO chat_message (conversation_id, sender, text)
+            VALUES ($1, 'user', $2)
+        `, [conversationId, text]);
+        await db.query(`
+            UPDATE chat_conversation
+            SET message_count = message_count + 1, last_message_at = CURRENT_TIMESTAMP
+            WHERE conversation_id = $1
+        `, [conversationId]);
+    }
+
+    /**
+     * What the guest's chat window polls for during a handoff: the handoff state and
+     * the staff replies written after the last one it has shown.
+     */
+    static async getGuestUpdates(sessionId, restaurantId, afterMessageId = 0) {
+        const handoff = await TranscriptService.getHandoff(sessionId, restaurantId);
+
+        const messages = await db.query(`
+            SELECT m.message_id, m.text, o.first_name as staff_name, m.created_at
+            FROM chat_message m
+            JOIN chat_conversation c ON c.conversation_id = m.conversation_id
+            LEFT JOIN owners o ON o.id = m.staff_id
+            WHERE c.session_id = $1 AND c.restaurant_id = $2
+              AND m.sender = 'staff' AND m.message_id > $3
+            ORDER BY m.message_id
+        `, [sessionId, restaurantId, parseInt(afterMessageId) || 0]);
+
+        return { handoff, messages };
+    }
+
+    // Conversations waiting for or held by staff, oldest request first
+    static async listHandoffs(restaurantId) {
+        return db.query(`
+            SELECT
+                c.conversation_id,
+                c.handoff_status,
+                c.handoff_reason,
+                c.handoff_requested_at,
+                o.first_name as handoff_staff_name,
+                c.last_message_at
+            FROM chat_conversation c
+            LEFT JOIN owners o ON o.id = c.handoff_staff_id
+            WHERE c.restaurant_id = $1 AND c.handoff_status IS NOT NULL
+            ORDER BY c.handoff_requested_at
+        `, [restaurantId]);
+    }
+
+    // A staff member takes the conversation over from Tablio (requested or not)
+    static async takeOver(restaurantId, conversationId, staffId) {
+        const rows = await db.query(`
+            UPDATE chat_conversation
+            SET handoff_status = 'active',
+                handoff_staff_id = $3,
+                handoff_requested_at = COALESCE(handoff_requested_at, CURRENT_TIMESTAMP)
+            WHERE restaurant_id = $1 AND conversation_id = $2
+            RETURNING conversation_id
+        `, [restaurantId, conversationId, staffId]);
+        if (rows.length > 0) {
+            LiveUpdateService.publish(restaurantId, 'chat.handoff_updated', { conversation_id: conversationId, handoff_status: 'active' });
+        }
+        return rows.length > 0;
+    }
+
+    // Staff reply in the guest's thread; replying takes the conversation over
+    static async sendStaffMessage(restaurantId, conversationId, staffId, text) {
+        if (!text || !String(text).trim()) {
+            throw new Error('text must not be empty');
+        }
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+
+            const conversation = await client.query(`
+                UPDATE chat_conversation
+                SET handoff_status = 'active',
+                    handoff_staff_id = $3,
+                    handoff_requested_at = COALESCE(handoff_requested_at, CURRENT_TIMESTAMP),
+                    message_count = message_count + 1,
+                    last_message_at = CURRENT_TIMESTAMP
+                WHERE restaurant_id = $1 AND conversation_id = $2
+                RETURNING conversation_id
+            `, [restaurantId, conversationId, staffId]);
+
+            if (conversation.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const message = await client.query(`
+                INSERT INTO chat_message (conversation_id, sender, text, staff_id)
+                VALUES ($1, 'staff', $2, $3)
+                RETURNING message_id, sender, text, created_at
+            `, [conversationId, String(text).trim(), staffId]);
+
+            await client.query('COMMIT');
+            LiveUpdateService.publish(restaurantId, 'chat.handoff_updated', { conversation_id: conversationId, handoff_status: 'active' });
+            return message.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Staff are done: Tablio answers the guest again, with the session context it had before
+    static async handBack(restaurantId, conversationId) {
+        const rows = await db.query(`
+            UPDATE chat_conversation
+            SET handoff_status = NULL,
+                handoff_reason = NULL,
+                handoff_requested_at = NULL,
+                handoff_staff_id = NULL
+            WHERE restaurant_id = $1 AND conversation_id = $2 AND handoff_status IS NOT NULL
+            RETURNING conversation_id
+        `, [restaurantId, conversationId]);
+        if (rows.length > 0) {
+            LiveUpdateService.publish(restaurantId, 'chat.handoff_updated', { conversation_id: conversationId, handoff_status: null });
+        }
+        return rows.length > 0;
+    }
+}
+
+export default TranscriptService;
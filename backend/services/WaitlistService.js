@@ -0,0 +1,342 @@
+import db from '../config/database.js';
+import RestaurantService from './RestaurantService.js';
+import WebhookService from './WebhookService.js';
+import LiveUpdateService from './LiveUpdateService.js';
+
+// How long a promoted guest has to confirm the table held for them
+export const WAITLIST_HOLD_MINUTES = 30;
+
+// Online entries match a freed reservation this close to their requested time
+const WAITLIST_MATCH_WINDOW_MINUTES = 60;
+
+// Stop after this many waiting guests could not be seated in the freed slot
+const MAX_PROMOTION_ATTEMPTS = 5;
+
+// Waitlist lifecycle: which statuses each status may move to
+export const WAITLIST_STATUS_TRANSITIONS = {
+  waiting: ['offered', 'seated', 'cancelled'],
+  offered: ['booked', 'expired', 'cancelled'],
+  booked: [],
+  seated: [],
+  expired: [],
+  cancelled: []
+};
+
+class WaitlistService {
+    // Add a guest to the waitlist for a slot that is full
+    static async joinWaitlist({ restaurantId, guestName, guestEmail, guestPhone, partySize, date, time, tableType = null, notes = null }) {
+        if (!guestName || !guestPhone) {
+            throw new Error('Guest name and phone are required');
+        }
+        if (!guestEmail) {
+            throw new Error('Guest email is required to join the waitlist');
+        }
+        if (!partySize || partySize <= 0) {
+            throw new Error('partySize must be a positive number');
+        }
+        if (!date || !time) {
+            throw new Error('Date and time are required');
+        }
+
+        const query = `
+            INSERT INTO waitlist (
+                restaurant_id, guest_name, guest_email, guest_phone,
+                party_size, requested_date, requested_time, table_type, notes
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *;
+        `;
+        const result = await db.query(query, [
+            restaurantId, guestName, guestEmail, guestPhone,
+            partySize, date, time, tableType, notes
+        ]);
+
+        console.log(`📝 Waitlist: ${guestName} (party of ${partySize}) waiting for ${date} ${time} at restaurant ${restaurantId}`);
+        return this.getEntryById(result[0].waitlist_id);
+    }
+
+    // Add a walk-in party waiting for the next free table, with a quoted wait
+    static async addWalkIn({ restaurantId, guestName, guestPhone, partySize, tableType = null, notes = null }) {
+        if (!guestName || !guestPhone) {
+            throw new Error('Guest name and phone are required');
+        }
+        if (!partySize || partySize <= 0) {
+            throw new Error('partySize must be a positive number');
+        }
+
+        const quotedWaitMinutes = await this.quoteWaitMinutes(restaurantId, partySize, tableType);
+
+        const query = `
+            INSERT INTO waitlist (
+                restaurant_id, guest_name, guest_phone, party_size,
+                requested_date, requested_time, table_type, is_walk_in,
+                quoted_wait_minutes, notes
+            ) VALUES ($1, $2, $3, $4, CURRENT_DATE, LOCALTIME(0), $5, TRUE, $6, $7)
+            RETURNING *;
+        `;
+        const result = await db.query(query, [
+            restaurantId, guestName, guestPhone, partySize,
+            tableType, quotedWaitMinutes, notes
+        ]);
+
+        console.log(`🚶 Walk-in: ${guestName} (party of ${partySize}) quoted ${quotedWaitMinutes} min at restaurant ${restaurantId}`);
+        return this.getEntryById(result[0].waitlist_id);
+    }
+
+    // Estimate minutes until a table fitting the party frees up, counting the
+    // walk-ins already waiting ahead. Each booking on a table is walked in order
+    // until a gap long enough for one turn is found.
+    static async quoteWaitMinutes(restaurantId, partySize, tableType = null) {
+        const tablesQuery = `
+            SELECT
+                t.table_id,
+                get_turn_time_minutes($1, $2, t.table_type, LOCALTIME::time) as turn_minutes,
+                COALESCE(
+                    json_agg(json_build_object(
+                        'starts_in', EXTRACT(EPOCH FROM (r.start_at - NOW()::timestamp)) / 60,
+                        'ends_in', EXTRACT(EPOCH FROM (r.end_at - NOW()::timestamp)) / 60
+                    ) ORDER BY r.start_at) FILTER (WHERE r.reservation_id IS NOT NULL),
+                    '[]'
+                ) as bookings
+            FROM tables t
+            LEFT JOIN reservation r
+              ON (r.table_id = t.table_id OR t.table_id = ANY(r.combined_table_ids))
+              AND r.status NOT IN ('cancelled', 'no_show', 'completed')
+              AND r.end_at > NOW()::timestamp
+            WHERE t.restaurant_id = $1
+              AND t.capacity >= $2
+              AND ($3::text IS NULL OR t.table_type = $3)
+            GROUP BY t.table_id, t.table_type;
+        `;
+        const tables = await db.query(tablesQuery, [restaurantId, partySize, tableType]);
+        if (tables.length === 0) {
+            throw new Error(`No tables can seat a party of ${partySize}`);
+        }
+
+        const freeIn = tables.map(table => {
+            let minutes = 0;
+            for (const booking of table.bookings) {
+                if (booking.starts_in >= minutes + table.turn_minutes) break;
+                minutes = Math.max(minutes, booking.ends_in);
+            }
+            return { minutes, turn: table.turn_minutes };
+        }).sort((a, b) => a.minutes - b.minutes);
+
+        const [ahead] = await db.query(`
+            SELECT COUNT(*) as count FROM waitlist
+            WHERE restaurant_id = $1 AND is_walk_in = TRUE AND status = 'waiting'
+              AND requested_date = CURRENT_DATE AND party_size <= $2
+        `, [restaurantId, Math.max(partySize, 1)]);
+        const partiesAhead = Number(ahead.count);
+
+        // Parties ahead take the earliest tables; beyond that, wait whole turns
+        const slot = freeIn[partiesAhead % freeIn.length];
+        const rounds = Math.floor(partiesAhead / freeIn.length);
+        const minutes = slot.minutes + rounds * slot.turn;
+
+        return Math.max(0, Math.ceil(minutes / 5) * 5);
+    }
+
+    // Waitlist for one day with each waiting guest's place in the queue
+    static async listWaitlist(restaurantId, date = null) {
+        await this.expireHolds();
+
+        const query = `
+            SELECT
+                w.*,
+                TO_CHAR(w.requested_date, 'YYYY-MM-DD') as requested_date_iso,
+                CASE WHEN w.status = 'waiting' THEN
+                    ROW_NUMBER() OVER (PARTITION BY w.is_walk_in, w.status = 'waiting' ORDER BY w.created_at)
+                END as position
+            FROM waitlist w
+            WHERE w.restaurant_id = $1
+              AND w.requested_date = COALESCE($2::date, CURRENT_DATE)
+            ORDER BY w.is_walk_in DESC, w.created_at ASC;
+        `;
+        return db.query(query, [restaurantId, date]);
+    }
+
+    static async getEntryById(entryId) {
+        const query = `
+            SELECT
+                w.*,
+                TO_CHAR(w.requested_date, 'YYYY-MM-DD') as requested_date_iso,
+                CASE WHEN w.status = 'waiting' THEN (
+                    SELECT COUNT(*) + 1 FROM waitlist ahead
+                    WHERE ahead.restaurant_id = w.restaurant_id
+                      AND ahead.requested_date = w.requested_date
+                      AND ahead.is_walk_in = w.is_walk_in
+                      AND ahead.status = 'waiting'
+                      AND ahead.created_at < w.created_at
+                )::int END as position
+            FROM waitlist w
+            WHERE w.waitlist_id = $1;
+        `;
+        const result = await db.query(query, [entryId]);
+        return result[0] || null;
+    }
+
+    // Staff or guest status change. Cancelling an offered entry releases its held reservation.
+    static async updateEntryStatus(entryId, newStatus) {
+        const existing = await this.getEntryById(entryId);
+        if (!existing) {
+            throw new Error('Waitlist entry not found');
+        }
+
+        const allowed = WAITLIST_STATUS_TRANSITIONS[existing.status] || [];
+        if (!allowed.includes(newStatus)) {
+            throw new Error(`Invalid waitlist transition from ${existing.status} to ${newStatus}`);
+        }
+
+        await db.query('UPDATE waitlist SET status = $2 WHERE waitlist_id = $1', [entryId, newStatus]);
+        console.log(`📝 Waitlist entry ${entryId} status: ${existing.status} -> ${newStatus}`);
+
+        if (existing.status === 'offered' && existing.offered_reservation_id && ['cancelled', 'expired'].includes(newStatus)) {
+            await this.releaseHeldReservation(existing.offered_reservation_id);
+        }
+
+        return this.getEntryById(entryId);
+    }
+
+    // A reservation was cancelled: hold its slot for the first waiting online guest
+    // whose request matches. Returns the offered entry, or null when nobody fits.
+    static async promoteForCancelledReservation(reservation) {
+        if (!reservation) return null;
+
+        // The cancelled booking may itself have been a waitlist hold the guest declined
+        await db.query(
+            "UPDATE waitlist SET status = 'cancelled' WHERE offered_reservation_id = $1 AND status = 'offered'",
+            [reservation.reservation_id]
+        );
+
+        const candidatesQuery = `
+            SELECT
+                w.*,
+                TO_CHAR(w.requested_date, 'YYYY-MM-DD') as requested_date_iso,
+                r.table_type as freed_table_type
+            FROM waitlist w
+            JOIN reservation r ON r.reservation_id = $1
+            WHERE w.restaurant_id = r.restaurant_id
+              AND w.status = 'waiting'
+              AND w.is_walk_in = FALSE
+              AND w.requested_date = r.reservation_date
+              AND ABS(EXTRACT(EPOCH FROM (w.requested_time - r.reservation_time))) <= $2 * 60
+              AND (w.table_type IS NULL OR w.table_type = r.table_type)
+            ORDER BY w.created_at ASC
+            LIMIT $3;
+        `;
+        const candidates = await db.query(candidatesQuery, [
+            reservation.reservation_id,
+            WAITLIST_MATCH_WINDOW_MINUTES,
+            MAX_PROMOTION_ATTEMPTS
+        ]);
+
+        for (const entry of candidates) {
+            let held;
+            try {
+                held = await RestaurantService.createReservation({
+                    venueId: entry.restaurant_id,
+                    reservationName: entry.guest_name,
+                    reservationEmail: entry.guest_email,
+                    reservationPhone: entry.guest_phone,
+                    date: entry.requested_date_iso,
+                    time: String(entry.requested_time).slice(0, 5),
+                    guests: entry.party_size,
+                    tableType: entry.table_type || entry.freed_table_type,
+                    status: 'pending'
+                });
+            } catch (error) {
+                console.log(`⏭️ Waitlist entry ${entry.waitlist_id} does not fit the freed slot: ${error.message}`);
+                continue;
+            }
+
+            const offered = await db.query(`
+                UPDATE waitlist
+                SET status = 'offered',
+                    offered_reservation_id = $2,
+                    hold_expires_at = NOW() + make_interval(mins => $3)
+                WHERE waitlist_id = $1 AND status = 'waiting'
+                RETURNING *;
+            `, [entry.waitlist_id, held.reservation_id, WAITLIST_HOLD_MINUTES]);
+
+            if (offered.length === 0) {
+                // Another cancellation promoted this guest first - give the table back
+                await db.query("UPDATE reservation SET status = 'cancelled' WHERE reservation_id = $1", [held.reservation_id]);
+                const released = {
+                    ...WebhookService.reservationData({ ...held, status: 'cancelled' }),
+                    previous_status: held.status
+                };
+                await WebhookService.emit(held.restaurant_id, 'reservation.cancelled', released);
+                LiveUpdateService.publish(held.restaurant_id, 'reservation.cancelled', released);
+                continue;
+            }
+
+            console.log(`🎟️ Waitlist entry ${entry.waitlist_id} offered reservation ${held.reservation_id} for ${WAITLIST_HOLD_MINUTES} min`);
+            await WebhookService.emit(entry.restaurant_id, 'waitlist.promoted', {
+                waitlist_id: offered[0].waitlist_id,
+                guest_name: offered[0].guest_name,
+                party_size: offered[0].party_size,
+                hold_expires_at: offered[0].hold_expires_at,
+                freed_reservation_id: reservation.reservation_id,
+                reservation: WebhookService.reservationData(held)
+            });
+            return offered[0];
+        }
+
+        return null;
+    }
+
+    // Guest confirms the held reservation before the hold runs out
+    static async acceptOffer(reservationId) {
+        const [entry] = await db.query(`
+            SELECT waitlist_id, hold_expires_at < NOW() as hold_expired
+            FROM waitlist
+            WHERE offered_reservation_id = $1 AND status = 'offered'
+        `, [reservationId]);
+
+        // Other pending bookings (e.g. awaiting a deposit) are confirmed by their own flow
+        if (!entry) {
+            throw new Error('No waitlist hold for this reservation');
+        }
+
+        if (entry.hold_expired) {
+            await this.updateEntryStatus(entry.waitlist_id, 'expired');
+            throw new Error('Waitlist hold has expired');
+        }
+
+        const reservation = await RestaurantService.updateReservationStatus(reservationId, 'confirmed');
+        await db.query("UPDATE waitlist SET status = 'booked' WHERE waitlist_id = $1", [entry.waitlist_id]);
+        return reservation;
+    }
+
+    // Expire holds nobody confirmed in time; releasing each one offers it to the next guest
+    static async expireHolds() {
+        const expired = await db.query(`
+            SELECT waitlist_id FROM waitlist
+            WHERE status = 'offered' AND hold_expires_at < NOW()
+            ORDER BY hold_expires_at ASC
+        `);
+
+        for (const entry of expired) {
+            try {
+                await this.updateEntryStatus(entry.waitlist_id, 'expired');
+            } catch (error) {
+                console.error(`❌ Error expiring waitlist hold ${entry.waitlist_id}:`, error);
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`⌛ Expired ${expired.length} waitlist hold(s)`);
+        }
+        return expired.length;
+    }
+
+    // Cancel a still-pending held reservation (which promotes the next guest)
+    static async releaseHeldReservation(reservationId) {
+        const reservation = await RestaurantService.getReservationById(reservationId);
+        if (reservation && reservation.status === 'pending') {
+            await RestaurantService.updateReservationStatus(reservationId, 'cancelled');
+        }
+    }
+}
+
+export default WaitlistService;
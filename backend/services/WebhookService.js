@@ -0,0 +1,457 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import db from '../config/database.js';
+
+// Events a subscription can receive, with the label shown in restaurant settings
+export const WEBHOOK_EVENTS = {
+    'reservation.created': 'A reservation is made (confirmed, or pending a deposit or waitlist hold)',
+    'reservation.updated': 'Date, time, party size or table type of a reservation changes',
+    'reservation.status_changed': 'A reservation is confirmed, seated, completed or marked no-show',
+    'reservation.cancelled': 'A reservation is cancelled',
+    'table.status_changed': 'Staff change the status of a table',
+    'waitlist.promoted': 'A waitlist guest is offered a freed table'
+};
+
+// Sent only by "Send test event", whatever the subscription's events are
+export const TEST_EVENT = 'webhook.test';
+
+export const SIGNATURE_HEADER = 'X-TableTurn-Signature';
+
+// Minutes to wait before the next try after the 1st, 2nd, 3rd... failed attempt
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360];
+const STALE_LOCK_MINUTES = 10;
+const BATCH_SIZE = 20;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Receivers must be on the public internet: never this server, the private network
+// or the cloud metadata endpoint. IPv4-mapped IPv6 addresses match the IPv4 ranges;
+// NAT64, 6to4 and Teredo addresses embed an IPv4 address, so those ranges are blocked whole.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup for the delivery connections: the address is checked again when the
+// socket opens, so a host name cannot be re-pointed at a private address after
+// the subscription was saved
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const DELIVERY_AGENTS = {
+    'http:': new http.Agent({ lookup: lookupPublicAddress }),
+    'https:': new https.Agent({ lookup: lookupPublicAddress })
+};
+
+/**
+ * Outbound webhooks: owners register URLs for booking events, and every event is
+ * queued as one delivery per subscription, signed with the subscription's secret
+ * and retried with backoff until the receiver answers 2xx.
+ */
+class WebhookService {
+    /**
+     * SIGNING - receivers recompute the HMAC over "<timestamp>.<raw body>" with their
+     * secret and compare it to v1; the timestamp lets them reject old replays.
+     */
+    static sign(secret, timestamp, body) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    static generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    static retryDelayMinutes(attempts) {
+        return RETRY_DELAYS_MINUTES[Math.min(Math.max(attempts, 1), RETRY_DELAYS_MINUTES.length) - 1];
+    }
+
+    /**
+     * SUBSCRIPTIONS
+     */
+
+    // Checked URL and events for a new or edited subscription; errors say what "must" change
+    static async validateSubscription({ url, events }, { lookupImpl } = {}) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || ''));
+        } catch {
+            throw new Error('url must be a full http or https address');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('url must be a full http or https address');
+        }
+        if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+            throw new Error('url must use https');
+        }
+        await this.checkPublicUrl(parsed.toString(), { lookupImpl });
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('events must list at least one event');
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+        if (unknown.length > 0) {
+            throw new Error(`events must be from ${Object.keys(WEBHOOK_EVENTS).join(', ')} (got ${unknown.join(', ')})`);
+        }
+        return { url: parsed.toString(), events: [...new Set(events)] };
+    }
+
+    // Resolve the url's host and refuse it when any of its addresses is not public
+    static async checkPublicUrl(url, { lookupImpl = dns.promises.lookup } = {}) {
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        let addresses = [{ address: hostname }];
+        if (!net.isIP(hostname)) {
+            try {
+                addresses = await lookupImpl(hostname, { all: true });
+            } catch {
+                throw new Error('url must have a host name that resolves');
+            }
+        }
+        if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            throw new Error('url must point to a public address, not a private or local one');
+        }
+    }
+
+    static async listSubscriptions(restaurantId) {
+        return db.query(`
+            SELECT
+                s.*,
+                last.status as last_delivery_status,
+                last.created_at as last_delivery_at
+            FROM webhook_subscription s
+            LEFT JOIN LATERAL (
+                SELECT status, created_at FROM webhook_delivery d
+                WHERE d.subscription_id = s.subscription_id
+                ORDER BY d.created_at DESC
+                LIMIT 1
+            ) last ON TRUE
+            WHERE s.restaurant_id = $1
+            ORDER BY s.created_at
+        `, [restaurantId]);
+    }
+
+    static async createSubscription(restaurantId, { url, events, description = null }) {
+        const checked = await this.validateSubscription({ url, events });
+        const [subscription] = await db.query(`
+            INSERT INTO webhook_subscription (restaurant_id, url, description, events, secret)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [restaurantId, checked.url, description, checked.events, this.generateSecret()]);
+        console.log(`🪝 Webhook ${subscription.subscription_id} added for restaurant ${restaurantId}: ${checked.events.join(', ')}`);
+        return subscription;
+    }
+
+    // Change url, events, description or active; rotateSecret issues a new signing secret
+    static async updateSubscription(restaurantId, subscriptionId, changes = {}) {
+        const existing = await this.getSubscription(restaurantId, subscriptionId);
+        if (!existing) {
+            throw new Error('Webhook subscription not found');
+        }
+
+        const checked = await this.validateSubscription({
+            url: changes.url ?? existing.url,
+            events: changes.events ?? existing.events
+        });
+        const [subscription] = await db.query(`
+            UPDATE webhook_subscription
+            SET url = $3, events = $4, description = $5, active = $6, secret = $7
+            WHERE restaurant_id = $1 AND subscription_id = $2
+            RETURNING *
+        `, [
+            restaurantId,
+            subscriptionId,
+            checked.url,
+            checked.events,
+            changes.description !== undefined ? changes.description : existing.description,
+            changes.active !== undefined ? Boolean(changes.active) : existing.active,
+            changes.rotateSecret ? this.generateSecret() : existing.secret
+        ]);
+        return subscription;
+    }
+
+    static async deleteSubscription(restaurantId, subscriptionId) {
+        const deleted = await db.query(
+            'DELETE FROM webhook_subscription WHERE restaurant_id = $1 AND subscription_id = $2 RETURNING subscription_id',
+            [restaurantId, subscriptionId]
+        );
+        return deleted.length > 0;
+    }
+
+    static async getSubscription(restaurantId, subscriptionId) {
+        const [subscription] = await db.query(
+            'SELECT * FROM webhook_subscription WHERE restaurant_id = $1 AND subscription_id = $2',
+            [restaurantId, subscriptionId]
+        );
+        return subscription || null;
+    }
+
+    // The delivery log, newest first; optionally for one subscription
+    static async listDeliveries(restaurantId, { subscriptionId = null, limit = 50 } = {}) {
+        return db.query(`
+            SELECT
+                delivery_id, subscription_id, event_id, event_type, status, attempts, max_attempts,
+                run_at, response_status, last_error, delivered_at, created_at
+            FROM webhook_delivery
+            WHERE restaurant_id = $1 AND ($2::int IS NULL OR subscription_id = $2)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `, [restaurantId, subscriptionId, Math.min(parseInt(limit) || 50, 200)]);
+    }
+
+    /**
+     * EVENTS
+     */
+
+    // The JSON body every receiver gets
+    static buildEvent(eventType, restaurantId, data, { id = `evt_${crypto.randomUUID()}`, createdAt = new Date() } = {}) {
+        return {
+            id,
+            type: eventType,
+            created_at: createdAt.toISOString(),
+            restaurant_id: restaurantId,
+            data
+        };
+    }
+
+    /**
+     * Queue an event for every active subscription of the restaurant that wants it.
+     * Failures are logged and swallowed: a booking never fails because of a webhook.
+     */
+    static async emit(restaurantId, eventType, data) {
+        try {
+            const subscriptions = await db.query(
+                'SELECT subscription_id FROM webhook_subscription WHERE restaurant_id = $1 AND active = TRUE AND $2 = ANY(events)',
+                [restaurantId, eventType]
+            );
+            if (subscriptions.length === 0) return;
+
+            const event = this.buildEvent(eventType, restaurantId, data);
+            for (const { subscription_id: subscriptionId } of subscriptions) {
+                await this.enqueue(subscriptionId, restaurantId, event);
+            }
+            console.log(`🪝 Queued ${eventType} for ${subscriptions.length} webhook(s) of restaurant ${restaurantId}`);
+            this.kick();
+        } catch (error) {
+            console.error(`❌ Could not queue webhook event ${eventType}:`, error);
+        }
+    }
+
+    static async enqueue(subscriptionId, restaurantId, event) {
+        const [delivery] = await db.query(`
+            INSERT INTO webhook_delivery (subscription_id, restaurant_id, event_id, event_type, payload)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [subscriptionId, restaurantId, event.id, event.type, JSON.stringify(event)]);
+        return delivery;
+    }
+
+    /**
+     * Send a webhook.test event to one subscription right away and return the
+     * delivery, so the settings page can show whether the receiver answered.
+     * A failed test is not retried.
+     */
+    static async sendTestEvent(restaurantId, subscriptionId) {
+        const subscription = await this.getSubscription(restaurantId, subscriptionId);
+        if (!subscription) {
+            throw new Error('Webhook subscription not found');
+        }
+
+        const event = this.buildEvent(TEST_EVENT, restaurantId, {
+            message: 'Test event from TableTurn restaurant settings',
+            subscription_id: subscription.subscription_id
+        });
+        const [delivery] = await db.query(`
+            INSERT INTO webhook_delivery (subscription_id, restaurant_id, event_id, event_type, payload, status, attempts, max_attempts, locked_at)
+            VALUES ($1, $2, $3, $4, $5, 'sending', 1, 1, CURRENT_TIMESTAMP)
+            RETURNING *
+        `, [subscription.subscription_id, restaurantId, event.id, event.type, JSON.stringify(event)]);
+
+        await this.deliver({ ...delivery, url: subscription.url, secret: subscription.secret });
+        const [result] = await db.query('SELECT * FROM webhook_delivery WHERE delivery_id = $1', [delivery.delivery_id]);
+        return result;
+    }
+
+    /**
+     * SENDING - the worker, same shape as the notification queue: claim due
+     * deliveries (and ones a stopped worker left behind), post them, and schedule
+     * a retry for each failure. Returns { delivered, retried, failed }.
+     */
+    static async processDueJobs({ limit = BATCH_SIZE } = {}) {
+        const deliveries = await db.query(`
+            WITH claimed AS (
+                UPDATE webhook_delivery
+                SET status = 'sending', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+                WHERE delivery_id IN (
+                    SELECT delivery_id FROM webhook_delivery
+                    WHERE (status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+                       OR (status = 'sending' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+                    ORDER BY run_at
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            )
+            SELECT claimed.*, s.url, s.secret, s.active
+            FROM claimed
+            JOIN webhook_subscription s ON s.subscription_id = claimed.subscription_id
+        `, [limit, STALE_LOCK_MINUTES]);
+
+        const summary = { delivered: 0, retried: 0, failed: 0 };
+        for (const delivery of deliveries) {
+            summary[await this.deliver(delivery)] += 1;
+        }
+        if (deliveries.length > 0) {
+            console.log('🪝 Webhooks processed:', summary);
+        }
+        return summary;
+    }
+
+    // Run the worker now instead of waiting for the next interval
+    static kick() {
+        if (this.running) return;
+        this.running = true;
+        setImmediate(() => {
+            this.processDueJobs()
+                .catch(error => console.error('❌ Error delivering webhooks:', error))
+                .finally(() => {
+                    this.running = false;
+                });
+        });
+    }
+
+    /**
+     * POST one claimed delivery. Returns 'delivered', 'retried' or 'failed'.
+     * Redirects are not followed (a 3xx is a failed attempt), and only the status
+     * code of the answer is kept: the log never shows what the receiver sent back.
+     */
+    static async deliver(delivery, { fetchImpl = fetch, lookupImpl } = {}) {
+        // Deliveries queued before the owner paused the subscription are dropped, not retried
+        if (delivery.active === false) {
+            await db.query(`
+                UPDATE webhook_delivery SET status = 'failed', last_error = 'Subscription is paused' WHERE delivery_id = $1
+            `, [delivery.delivery_id]);
+            return 'failed';
+        }
+
+        let responseStatus = null;
+        try {
+            await this.checkPublicUrl(delivery.url, { lookupImpl });
+
+            const body = JSON.stringify(delivery.payload);
+            const timestamp = Math.floor(Date.now() / 1000);
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+            let response;
+            try {
+                response = await fetchImpl(delivery.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'TableTurn-Webhooks/1.0',
+                        'X-TableTurn-Event': delivery.event_type,
+                        'X-TableTurn-Delivery': String(delivery.delivery_id),
+                        [SIGNATURE_HEADER]: this.sign(delivery.secret, timestamp, body)
+                    },
+                    body,
+                    redirect: 'manual',
+                    agent: (parsedUrl) => DELIVERY_AGENTS[parsedUrl.protocol],
+                    signal: controller.signal
+                });
+            } finally {
+                clearTimeout(timeout);
+            }
+
+            responseStatus = response.status;
+            if (!response.ok) {
+                throw new Error(`Receiver answered ${response.status}`);
+            }
+
+            await db.query(`
+                UPDATE webhook_delivery
+                SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, response_status = $2, last_error = NULL
+                WHERE delivery_id = $1
+            `, [delivery.delivery_id, responseStatus]);
+            return 'delivered';
+        } catch (error) {
+            const message = error.name === 'AbortError' ? `No answer within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+
+            if (delivery.attempts >= delivery.max_attempts) {
+                await db.query(`
+                    UPDATE webhook_delivery
+                    SET status = 'failed', response_status = $2, last_error = $3
+                    WHERE delivery_id = $1
+                `, [delivery.delivery_id, responseStatus, message]);
+                console.error(`❌ Webhook delivery ${delivery.delivery_id} (${delivery.event_type}) failed after ${delivery.attempts} attempts: ${message}`);
+                return 'failed';
+            }
+
+            const delay = this.retryDelayMinutes(delivery.attempts);
+            await db.query(`
+                UPDATE webhook_delivery
+                SET status = 'queued', response_status = $2, last_error = $3,
+                    run_at = CURRENT_TIMESTAMP + make_interval(mins => $4)
+                WHERE delivery_id = $1
+            `, [delivery.delivery_id, responseStatus, message, delay]);
+            console.warn(`⚠️ Webhook delivery ${delivery.delivery_id} failed (attempt ${delivery.attempts}), retrying in ${delay} min: ${message}`);
+            return 'retried';
+        }
+    }
+
+    /**
+     * PAYLOADS - what receivers see of a reservation
+     */
+    static reservationData(reservation) {
+        const date = reservation.reservation_date_iso
+            || (reservation.reservation_date instanceof Date
+                ? [
+                    reservation.reservation_date.getFullYear(),
+                    String(reservation.reservation_date.getMonth() + 1).padStart(2, '0'),
+                    String(reservation.reservation_date.getDate()).padStart(2, '0')
+                ].join('-')
+                : String(reservation.reservation_date || '').slice(0, 10));
+
+        return {
+            reservation_id: reservation.reservation_id,
+            status: reservation.status,
+            name: reservation.reservation_name,
+            email: reservation.reservation_email,
+            phone: reservation.reservation_phone,
+            date,
+            time: String(reservation.reservation_time).slice(0, 5),
+            guests: reservation.guests,
+            table_type: reservation.table_type,
+            table_id: reservation.table_id ?? null,
+            combined_table_ids: reservation.combined_table_ids || [],
+            celebration_type: reservation.celebration_type ?? null,
+            cake: Boolean(reservation.cake),
+            flowers: Boolean(reservation.flowers),
+            deposit_status: reservation.deposit_status ?? null,
+            series_id: reservation.series_id ?? null
+        };
+    }
+}
+
+export default WebhookService;
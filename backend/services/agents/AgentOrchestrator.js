@@ -7,18 +7,20 @@
  */
 
 import { getAiPlan, consolidateFinalResponse } from '../AIService.js';
-import fetch from 'node-fetch';
 import TableAvailabilityAgent from './TableAvailabilityAgent.js';
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 import MenuPricingAgent from './MenuPricingAgent.js';
 import CelebrationAgent from './CelebrationAgent.js';
 import RestaurantInfoAgent from './RestaurantInfoAgent.js';
 import ReservationAgent from './ReservationAgent.js';
 import SupportContactAgent from './SupportContactAgent.js';
+import sessionStore, { SessionConflictError } from '../SessionStore.js';
+import llmProvider from '../LLMProvider.js';
+import LanguageUtils, { DEFAULT_LANGUAGE } from '../../utils/languageUtils.js';
+import BotConfigService, { BOT_MODULES } from '../BotConfigService.js';
+import GuardrailService from '../GuardrailService.js';
 
 class AgentOrchestrator {
-    constructor() {
+    constructor({ store = sessionStore } = {}) {
         // Initialize all specialized agents
         this.agents = {
             TableAvailabilityAgent: new TableAvailabilityAgent(),
@@ -29,8 +31,10 @@ class AgentOrchestrator {
             SupportContactAgent: new SupportContactAgent()
         };
         
-        // SESSION-LEVEL STATE MANAGEMENT: Store multiple conversation states by sessionId
-        this.sessionStates = new Map();
+        // SESSION-LEVEL STATE MANAGEMENT: Conversation states by sessionId, kept in a
+        // session store (Postgres by default) so they survive restarts and are shared
+        // between instances
+        this.sessionStore = store;
         
         console.log('🎭 AgentOrchestrator initialized with session-level state management');
         console.log('🎭 Available agents:', Object.keys(this.agents).length);
@@ -40,19 +44,21 @@ class AgentOrchestrator {
      */
     
     /**
-     * Get or create conversation state for a session
+     * Load or create conversation state for a session.
+     * Returns { state, version }; pass the version back to saveSessionState.
      */
-    getSessionState(sessionId) {
+    async getSessionState(sessionId) {
         if (!sessionId) {
             sessionId = 'default';
         }
         
-        if (!this.sessionStates.has(sessionId)) {
+        const stored = await this.sessionStore.get(sessionId);
+        if (!stored) {
             console.log(`🆕 Creating new session state for: ${sessionId}`);
-            this.sessionStates.set(sessionId, this.createNewSessionState());
+            return { state: this.createNewSessionState(), version: 0 };
         }
         
-        return this.sessionStates.get(sessionId);
+        return stored;
     }
     
     /**
@@ -71,17 +77,39 @@ class AgentOrchestrator {
             nextAgent: null,
             // NEW: Interrupted flow storage for resumption
             interruptedFlow: null,
-            interruptedAt: null
+            interruptedAt: null,
+            // Language the guest writes in (a LanguageUtils code); replies follow it
+            language: null
         };
     }
     
     /**
-     * Save session state (for future persistence to database/redis)
+     * Save session state if nobody else has saved it since it was loaded.
+     * When two turns of the same session overlap, the first save wins and the
+     * other turn's state changes are dropped rather than overwriting it.
      */
-    saveSessionState(sessionId, state) {
+    async saveSessionState(sessionId, state, version = 0) {
         if (!sessionId) sessionId = 'default';
-        this.sessionStates.set(sessionId, { ...state });
-        console.log(`💾 Session state saved for: ${sessionId}`);
+        try {
+            await this.sessionStore.save(sessionId, state, version);
+            console.log(`💾 Session state saved for: ${sessionId}`);
+            return true;
+        } catch (error) {
+            if (error instanceof SessionConflictError) {
+                console.warn(`⚠️ ${error.message}; keeping the newer state`);
+                return false;
+            }
+            console.error(`❌ Error saving session state for ${sessionId}:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Forget a session's conversation state
+     */
+    async clearSessionState(sessionId) {
+        await this.sessionStore.delete(sessionId || 'default');
+        console.log(`🧹 Session state cleared for: ${sessionId}`);
     }
     
     /**
@@ -128,20 +156,66 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
      * 1. Dispatch: AI determines which specialized agent should handle the request
      * 2. Execute: The specialized agent uses its own "Think -> Act -> Speak" loop
      * 3. Handoff: If the agent indicates task incompleteness, route to the next agent
+     * 
+     * onEvent(event, data), when given, receives progress as it happens for streaming:
+     * 'plan' (steps decided), 'agent' (step starting), 'tool_result' (step finished)
+     * and 'token' (a chunk of the final response text).
+     * 
+     * options.botConfig replaces the restaurant's saved Tablio settings (the dashboard
+     * preview tries unsaved ones); options.preview stops before a booking is made.
+     * 
+     * options.clientId (the guest's IP address on the chat routes) keys the flood and
+     * abuse limits; without it they follow the session.
+     * 
+     * Guardrails run on both ends: prompt-injection attempts, abuse and floods are
+     * answered before any agent runs, and the final reply is checked for contact
+     * details Tablio may not share - streamed tokens before they are sent, too.
      */
-    async processMessage(message, history = [], restaurantId = null, sessionId = null) {
+    async processMessage(message, history = [], restaurantId = null, sessionId = null, onEvent = null, options = {}) {
+        const emit = (event, data) => {
+            if (onEvent) onEvent(event, data);
+        };
+        
         try {
-            console.log('🎭 SESSION-AWARE PROCESSING:', { message, sessionId, restaurantId });
+            console.log('🎭 SESSION-AWARE PROCESSING:', { message: GuardrailService.redactPII(message), sessionId, restaurantId });
             
-            // STEP 1: LOAD SESSION STATE
-            const sessionState = this.getSessionState(sessionId);
+            // STEP 1: LOAD SESSION STATE (including any booking interrupted before a restart)
+            const { state: sessionState, version: sessionVersion } = await this.getSessionState(sessionId);
             const effectiveRestaurantId = restaurantId || 1;
+            const botConfig = options.botConfig || await this.loadBotConfig(effectiveRestaurantId);
             let originalCompleteMessage = message;
             let allToolResults = [];
             let executionPlan;
             let responseType = 'message';
             let additionalData = {};
             
+            // LANGUAGE: follow the language the guest is writing in. Replies too short to
+            // tell ("4", "ok", an email) keep the language of the session.
+            sessionState.language = LanguageUtils.detectLanguage(message) || sessionState.language || DEFAULT_LANGUAGE;
+            console.log(`🌍 Session language: ${sessionState.language}`);
+            
+            // INPUT GUARD: refuse injection attempts and abuse without calling a model, and
+            // pause clients that keep trying or flood the chat. Keyed on the client when the
+            // route knows it, so dropping the session id does not get round the limits.
+            const clientId = options.clientId || null;
+            const inputCheck = GuardrailService.checkInput(
+                message,
+                clientId ? GuardrailService.getClientGuard(clientId) : sessionState.guard,
+                { rateLimit: Boolean(clientId || sessionId) }
+            );
+            if (clientId) {
+                GuardrailService.saveClientGuard(clientId, inputCheck.guard);
+            } else {
+                sessionState.guard = inputCheck.guard;
+            }
+            // Failed reservation lookups are counted against the client, or the session without one
+            const guardClientId = clientId || (sessionId ? `session:${sessionId}` : null);
+            if (inputCheck.blocked) {
+                console.warn(`🛡️ Guardrail blocked a message (${inputCheck.reason}) in session ${sessionId}`);
+                await this.saveSessionState(sessionId, sessionState, sessionVersion);
+                return this.buildGuardrailResponse(inputCheck.reason, sessionId, sessionState);
+            }
+            
             // STEP 2: RESUME INTENT DETECTION
             const isResumeIntent = await this.detectResumeIntent(message);
             if (isResumeIntent && sessionState.interruptedFlow) {
@@ -225,33 +299,85 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
             } // End of normal flow processing
             
                         // MAIN EXECUTION LOOP: Execute the determined plan
+            // BOT MODULES: features the restaurant switched off are answered with a notice
+            // instead of running their agent
+            if (executionPlan && executionPlan.length > 0) {
+                const skippedSteps = [];
+                executionPlan = executionPlan.filter(step => {
+                    const notice = this.getSkippedStepNotice(step.agent_to_use, botConfig, options.preview);
+                    if (notice) skippedSteps.push({ step, notice });
+                    return !notice;
+                });
+                for (const { step, notice } of skippedSteps) {
+                    console.log(`🚫 Skipping ${step.agent_to_use}: ${notice.reason}`);
+                    allToolResults.push({
+                        agent: step.agent_to_use,
+                        tool: notice.tool,
+                        parameters: {},
+                        data: { success: true, message: notice.message },
+                        timestamp: new Date().toISOString(),
+                        step: step.step,
+                        query: step.sub_task_query
+                    });
+                }
+            }
+            
             if (executionPlan && executionPlan.length > 0) {
                 console.log('📋 PROJECT MANAGER: Execution plan created with', executionPlan.length, 'steps');
+                emit('plan', {
+                    steps: executionPlan.map(step => ({ step: step.step, agent: step.agent_to_use, task: step.sub_task_query }))
+                });
                 
                 for (const step of executionPlan) {
                     console.log(`🔄 Executing Step ${step.step}: ${step.agent_to_use} - "${step.sub_task_query}"`);
+                    emit('agent', { step: step.step, agent: step.agent_to_use, task: step.sub_task_query });
                     
                     const stepResult = await this.executeAgent(
                         step.agent_to_use, 
                         step.sub_task_query, 
                         history, 
                         effectiveRestaurantId,
-                        sessionState.globalContext
+                        sessionState.globalContext,
+                        guardClientId
                     );
                     
                     console.log(`📊 Step ${step.step} result:`, stepResult);
                     
+                    // The owner's own email and phone never reach the narrator, the session or the guest
+                    if (stepResult.toolResult) {
+                        stepResult.toolResult = GuardrailService.stripPrivateData(stepResult.toolResult);
+                    }
+
+                    // A booked series' token goes to the guest's browser with the reply, like a
+                    // reservation's manageToken, and never to the narrator or the session
+                    if (stepResult.toolResult?.seriesDetails?.seriesToken) {
+                        const { seriesToken, ...seriesDetails } = stepResult.toolResult.seriesDetails;
+                        stepResult.toolResult = { ...stepResult.toolResult, seriesDetails };
+                        additionalData = {
+                            ...additionalData,
+                            seriesDetails: { seriesId: seriesDetails.seriesId, seriesToken }
+                        };
+                    }
+
                     // Store tool result for Master Narrator consolidation
                     if (stepResult.toolResult) {
                         allToolResults.push({
                             agent: step.agent_to_use,
                             tool: stepResult.toolName || 'unknown_tool',
+                            parameters: stepResult.toolParameters || {},
                             data: stepResult.toolResult,
                             timestamp: stepResult.timestamp,
                             step: step.step,
                             query: step.sub_task_query
                         });
                         
+                        emit('tool_result', {
+                            step: step.step,
+                            agent: step.agent_to_use,
+                            tool: stepResult.toolName || 'unknown_tool',
+                            success: stepResult.toolResult.success !== false
+                        });
+                        
                         // Update global context in session state
                         sessionState.globalContext[step.agent_to_use] = stepResult.toolResult;
                         console.log('🌐 Updated session globalContext with', step.agent_to_use, 'result');
@@ -278,6 +404,28 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                 }
             }
             
+            // GREETING: the restaurant's own welcome replaces Tablio's when the guest says hello
+            const greeting = BotConfigService.renderTemplate(botConfig, 'greeting');
+            if (greeting) {
+                for (const result of allToolResults) {
+                    if (result.data?.success && result.data.responseType === 'greeting') {
+                        result.data = { ...result.data, message: greeting, fromTemplate: true };
+                    }
+                }
+            }
+            
+            // HANDOFF: the guest asked for a person. The narrator still tells them staff are
+            // coming; the chat route then pauses Tablio for this session until staff hand back.
+            // Session state is saved as usual so a booking in progress resumes afterwards.
+            const handoffRequest = allToolResults.find(result => result.data?.success && result.data.handoffRequested);
+            if (handoffRequest) {
+                responseType = 'handoff';
+                additionalData = {
+                    ...additionalData,
+                    handoff: { status: 'requested', reason: handoffRequest.data.reason }
+                };
+            }
+            
             // SPECIAL CASE: Check for successful reservation creation before Master Narrator
             for (const toolResult of allToolResults) {
                 if (toolResult.data && toolResult.data.success && toolResult.data.reservationDetails) {
@@ -288,8 +436,10 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                     const formattedReservationDetails = {
                         success: true,
                         reservationId: reservationData.reservationId,
+                        manageToken: reservationData.manageToken,
+                        deposit: reservationData.deposit || null,
                         restaurant: {
-                            name: 'Lofaki Restaurant' // Can be made dynamic later
+                            name: botConfig.restaurantName || 'Lofaki Restaurant'
                         },
                         customer: {
                             name: reservationData.name,
@@ -304,8 +454,23 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                         }
                     };
                     
+                    // The restaurant's own confirmation message, shown on the confirmation page
+                    const confirmationMessage = BotConfigService.renderTemplate(botConfig, 'reservation_confirmation', {
+                        name: reservationData.name,
+                        guests: reservationData.partySize,
+                        date: reservationData.date,
+                        time: reservationData.time,
+                        table_type: reservationData.tableType,
+                        reservation_id: reservationData.reservationId
+                    });
+                    if (confirmationMessage) {
+                        formattedReservationDetails.confirmationMessage = confirmationMessage;
+                    }
+                    
+                    await this.saveSessionState(sessionId, sessionState, sessionVersion);
+                    
                     return {
-                        response: 'Your reservation has been successfully created!',
+                        response: confirmationMessage || 'Your reservation has been successfully created!',
                         type: 'redirect',
                         reservationDetails: formattedReservationDetails,
                         orchestrator: {
@@ -317,6 +482,8 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                             globalContext: sessionState.globalContext,
                             isConsolidated: false,
                             toolResultsCount: allToolResults.length,
+                            toolCalls: this.summarizeToolCalls(allToolResults),
+                            language: sessionState.language,
                             timestamp: new Date().toISOString()
                         }
                     };
@@ -327,6 +494,16 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
             let masterResponse;
             let isConsolidated = false;
             
+            // OUTPUT GUARD: only the restaurant's own contact details and the guest's own may be
+            // in the reply. Streamed tokens pass through the same check before they are sent.
+            const outputGuard = {
+                toolResults: allToolResults,
+                guestText: [message, ...history.map(item => item.text || item.content || ''), JSON.stringify(sessionState.flowState || {})].join('\n')
+            };
+            const replyStream = onEvent
+                ? GuardrailService.createReplyRedactor(text => emit('token', { text }), outputGuard)
+                : null;
+
             if (allToolResults.length > 0) {
                 console.log('🎭 MASTER NARRATOR: Synthesizing all tool results into single response...');
                 try {
@@ -341,11 +518,15 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                             agentCount: allToolResults.length,
                             queryType: allToolResults.length > 1 ? 'multi-intent' : 'single-intent',
                             conversationHistory: history,
-                            currentContext: this.conversationState
+                            currentContext: this.conversationState,
+                            language: sessionState.language,
+                            responseStyle: botConfig.responseStyle
                         },
                         'master_narrator_consolidation',
-                        effectiveRestaurantId
+                        effectiveRestaurantId,
+                        replyStream ? (text) => replyStream.write(text) : null
                     );
+                    replyStream?.end();
                     
                     masterResponse = masterResult.response;
                     isConsolidated = true;
@@ -368,10 +549,15 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                 masterResponse = "I apologize, but I wasn't able to gather the information you requested. Please try again.";
                 isConsolidated = false;
             }
+            
+            const outputCheck = GuardrailService.redactReply(masterResponse, outputGuard);
+            if (outputCheck.redacted > 0) {
+                console.warn(`🛡️ Guardrail removed ${outputCheck.redacted} contact detail(s) from the reply in session ${sessionId}`);
+                masterResponse = outputCheck.text;
+            }
 
-            // Return comprehensive response with orchestration metadata
-                        // FINAL STEP: SAVE SESSION STATE
-            this.saveSessionState(sessionId, sessionState);
+            // FINAL STEP: SAVE SESSION STATE
+            await this.saveSessionState(sessionId, sessionState, sessionVersion);
             
             // Return comprehensive response with orchestration metadata
             return {
@@ -387,6 +573,8 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                     globalContext: sessionState.globalContext,
                     isConsolidated: false,
                     toolResultsCount: allToolResults.length,
+                    toolCalls: this.summarizeToolCalls(allToolResults),
+                    language: sessionState.language,
                     timestamp: new Date().toISOString()
                 }
             };
@@ -424,32 +612,13 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
             // Build the decomposition prompt
             const decompositionPrompt = this.buildDecompositionPrompt(message, history, restaurantId);
             
-            // Call Gemini for multi-step planning
-            const response = await fetch(
-                'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent',
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-goog-api-key': GEMINI_API_KEY
-                    },
-                    body: JSON.stringify({
-                        contents: [
-                            { role: "user", parts: [{ text: decompositionPrompt }] }
-                        ]
-                    })
-                }
-            );
-            
-            const data = await response.json();
-            const candidate = data?.candidates?.[0];
-            
-            if (!candidate?.content?.parts?.[0]?.text) {
-                console.error('❌ Invalid response from Gemini for execution planning:', data);
+            // Ask the model for a multi-step plan
+            const aiResponse = (await llmProvider.generateText(decompositionPrompt)).trim();
+            if (!aiResponse) {
+                console.error('❌ Empty response from the LLM provider for execution planning');
                 return this.getFallbackPlan(message);
             }
             
-            const aiResponse = candidate.content.parts[0].text.trim();
             console.log('🤖 Decomposition Response:', aiResponse);
             
             // Parse the JSON array response
@@ -504,7 +673,7 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
      * Calls the appropriate specialized agent and lets it handle the task
      * using its own "Think -> Act -> Speak" implementation.
      */
-    async executeAgent(agentName, message, history, restaurantId, globalContext = {}) {
+    async executeAgent(agentName, message, history, restaurantId, globalContext = {}, clientId = null) {
         try {
             console.log(`🤖 Executing specialized agent: ${agentName}`);
             
@@ -525,7 +694,8 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
                 restaurantId, 
                 { 
                     globalContext,
-                    orchestratorState: this.conversationState 
+                    orchestratorState: this.conversationState,
+                    clientId
                 }
             );
             
@@ -554,11 +724,11 @@ Respond with JSON: { "isResume": boolean, "confidence": "high|medium|low" }`;
         return `You are a project manager AI. Your job is to decompose a user's request into a sequence of steps, where each step is handled by a specialized agent (department).
 
 AVAILABLE AGENTS (DEPARTMENTS):
-- TableAvailabilityAgent: Handles table availability, booking dates/times, capacity questions, table types
+- TableAvailabilityAgent: Handles table availability, booking dates/times, capacity questions, table types, and joining the waitlist when a slot is full
 - MenuPricingAgent: Handles menu items, food questions, dietary requirements, pricing queries  
 - CelebrationAgent: Handles special occasions, celebrations, birthday packages, anniversary setups
 - RestaurantInfoAgent: Handles restaurant information, hours, location, contact details, owner info, general atmosphere
-- ReservationAgent: Handles final reservation creation when all details are collected
+- ReservationAgent: Handles final reservation creation when all details are collected, and looking up, changing or cancelling an EXISTING reservation
 - SupportContactAgent: Handles complaints, support issues, or requests outside restaurant scope
 
 RECENT CONVERSATION HISTORY:
@@ -573,6 +743,7 @@ DECOMPOSITION RULES:
 4. Order the steps logically (e.g., availability before reservation, info before menu)
 5. Do NOT create redundant steps - each agent should only appear once per query
 6. If the query has only one intent, create a single-step plan
+7. The user may write in Greek, German, Italian, French or English. Always write each sub_task_query in English, keeping dish names and people's names exactly as the user wrote them
 
 EXAMPLES:
 
@@ -593,6 +764,17 @@ Output: [
   { "step": 1, "agent_to_use": "TableAvailabilityAgent", "sub_task_query": "Check availability for tomorrow at 8pm for 4 people" }
 ]
 
+Input: "Please move my booking #1042 to 9pm, my email is anna@example.com"
+Output: [
+  { "step": 1, "agent_to_use": "ReservationAgent", "sub_task_query": "Move existing reservation #1042 (email anna@example.com) to 9pm" }
+]
+
+Input: "Θέλουμε τραπέζι για 4 αύριο στις 9. Έχετε μουσακά;"
+Output: [
+  { "step": 1, "agent_to_use": "TableAvailabilityAgent", "sub_task_query": "Check availability for tomorrow at 9pm for 4 people" },
+  { "step": 2, "agent_to_use": "MenuPricingAgent", "sub_task_query": "Do you have μουσακά?" }
+]
+
 Based on the user's request, create a step-by-step execution plan. For each step, specify the agent_to_use and the exact sub_task_query for that agent.
 
 Respond with ONLY a JSON array in this exact format:
@@ -609,6 +791,20 @@ Respond with ONLY a JSON array in this exact format:
         console.log('⚠️ Using fallback plan for:', message);
         
         // Simple heuristic-based fallback
+        // Changes to an existing booking go straight to the reservation specialist
+        if (/\b(cancel|modify|reschedule|move|change)\b.*\b(booking|reservation|table)\b/i.test(message)) {
+            return [
+                { step: 1, agent_to_use: 'ReservationAgent', sub_task_query: message }
+            ];
+        }
+        
+        // Waitlist requests need the slot details the availability specialist already checked
+        if (/\b(waitlist|wait list|waiting list)\b/i.test(message)) {
+            return [
+                { step: 1, agent_to_use: 'TableAvailabilityAgent', sub_task_query: message }
+            ];
+        }
+        
         if (message.toLowerCase().includes('menu') || message.toLowerCase().includes('food') || 
             message.toLowerCase().includes('dish') || message.toLowerCase().includes('eat')) {
             return [
@@ -643,6 +839,97 @@ Respond with ONLY a JSON array in this exact format:
         ];
     }
 
+    /**
+     * The restaurant's Tablio settings; the defaults when they cannot be loaded,
+     * so a settings problem never stops the chat
+     */
+    async loadBotConfig(restaurantId) {
+        try {
+            return await BotConfigService.getConfig(restaurantId);
+        } catch (error) {
+            console.warn(`⚠️ Using default Tablio settings for restaurant ${restaurantId}: ${error.message}`);
+            return BotConfigService.defaultConfig(restaurantId);
+        }
+    }
+
+    /**
+     * Why a planned step must not run: its module is switched off, or it would book a
+     * table from the dashboard preview. Returns { tool, reason, message } or null.
+     */
+    getSkippedStepNotice(agentName, botConfig, preview = false) {
+        const disabledModule = BotConfigService.getDisabledModule(botConfig, agentName);
+        if (disabledModule) {
+            return {
+                tool: 'module_disabled',
+                reason: `${disabledModule} is switched off`,
+                message: BOT_MODULES[disabledModule].disabledMessage
+            };
+        }
+        if (preview && agentName === 'ReservationAgent') {
+            const confirmation = BotConfigService.renderTemplate(botConfig, 'reservation_confirmation', {
+                name: 'Maria',
+                guests: 4,
+                date: new Date().toISOString().split('T')[0],
+                time: '20:00',
+                table_type: 'standard',
+                reservation_id: 1234
+            });
+            return {
+                tool: 'preview_booking',
+                reason: 'no bookings are made from the preview',
+                message: 'This is a preview, so no booking was made.'
+                    + (confirmation ? ` Guests who book would see: "${confirmation}"` : '')
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Reply to a message the input guard refused. No agent ran, so there are no
+     * tool calls; orchestrator.guardrail says why, for the chat inbox and the evals.
+     */
+    buildGuardrailResponse(reason, sessionId, sessionState) {
+        return {
+            response: GuardrailService.getBlockedMessage(reason, sessionState.language),
+            type: 'message',
+            guardrail: { reason },
+            orchestrator: {
+                architecture: 'session-aware-hybrid-v3',
+                sessionId: sessionId,
+                guardrail: reason,
+                isConsolidated: false,
+                toolResultsCount: 0,
+                toolCalls: [],
+                language: sessionState.language,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Compact record of the tools run for one message and the parameters they were
+     * called with, kept with the chat transcript and checked by the agent evals.
+     * Bookings carry their reservation or series id so they can be linked back.
+     */
+    summarizeToolCalls(allToolResults) {
+        return allToolResults.map(result => {
+            const call = {
+                step: result.step,
+                agent: result.agent,
+                tool: result.tool,
+                parameters: result.parameters || {},
+                success: Boolean(result.data?.success)
+            };
+            if (result.data?.reservationDetails?.reservationId) {
+                call.reservationId = result.data.reservationDetails.reservationId;
+            }
+            if (result.data?.seriesDetails?.seriesId) {
+                call.seriesId = result.data.seriesDetails.seriesId;
+            }
+            return call;
+        });
+    }
+
     /**
      * Detect if the response contains a direct question requiring user input
      */
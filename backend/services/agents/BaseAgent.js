@@ -3,16 +3,15 @@
  * Common functionality for all specialized agents
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import RAGService from '../RAGService.js';
+import llmProvider from '../LLMProvider.js';
 
 class BaseAgent {
     constructor(name, role, capabilities) {
         this.name = name;
         this.role = role;
         this.capabilities = capabilities;
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+        this.llm = llmProvider;
     }
 
     /**
@@ -23,7 +22,7 @@ class BaseAgent {
     }
 
     /**
-     * Generate AI response using Gemini with RAG context
+     * Generate AI response using the configured LLM provider with RAG context
      */
     async generateResponse(prompt, systemPrompt, ragData = null) {
         try {
@@ -37,8 +36,7 @@ class BaseAgent {
             
             enhancedPrompt += `\n\nUser message: ${prompt}`;
             
-            const result = await this.model.generateContent(enhancedPrompt);
-            return result.response.text();
+            return await this.llm.generateText(enhancedPrompt);
         } catch (error) {
             console.error(`❌ ${this.name} AI generation error:`, error);
             throw error;
@@ -71,6 +71,8 @@ class CelebrationAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: taskCompletionAnalysis.isComplete,
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -176,7 +178,7 @@ INSTRUCTIONS:
 6. Use clarify_and_respond only if you need more information for celebration planning
 7. CRITICAL: When using get_celebration_packages, the occasion_tags parameter MUST always be an array of strings, even if only one tag is found. For a user query of 'for an anniversary', the correct output is "parameters": { "occasion_tags": ["anniversary"] }, not "parameters": { "occasion_tags": "anniversary" }.
 
-Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+Call exactly one tool from YOUR ALLOWED TOOLS.`;
     }
 
     /**
@@ -81,6 +81,8 @@ class MenuPricingAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: taskCompletionAnalysis.isComplete,
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -200,7 +202,7 @@ INSTRUCTIONS:
 6. IMPORTANT: If the user asks about "these 5", "which of these", etc., and the conversation history shows menu items were previously listed, use get_menu_items with an appropriate query to answer their question
 7. Use clarify_and_respond only if you genuinely need more information AND the conversation history doesn't provide context
 
-Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+Call exactly one tool from YOUR ALLOWED TOOLS.`;
     }
 
     /**
@@ -311,10 +313,8 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                         if (params.is_vegetarian && !item.is_vegetarian) return false;
                         if (params.category && item.category !== params.category) return false;
                         
-                        // Simple text matching for query
-                        const query = params.query.toLowerCase();
-                        const itemText = `${item.name} ${item.description || ''}`.toLowerCase();
-                        return itemText.includes(query);
+                        // Simple text matching for query, in any supported language
+                        return RAGService.matchesMenuQuery(params.query, `${item.name} ${item.description || ''}`);
                     });
                 }
             }
@@ -9,17 +9,30 @@ import BaseAgent from './BaseAgent.js';
 import { getAiPlan, generateSpokenResponse } from '../AIService.js';
 import { validateToolParameters } from '../ToolService.js';
 import RestaurantService from '../RestaurantService.js';
+import AuthService from '../AuthService.js';
+import DepositService from '../DepositService.js';
+import BookingPolicyService, { BookingPolicyError } from '../BookingPolicyService.js';
+import RecurringReservationService from '../RecurringReservationService.js';
+import GuardrailService from '../GuardrailService.js';
 
 class ReservationAgent extends BaseAgent {
     constructor() {
         super(
             'ReservationAgent',
             'Reservation Booking Specialist',
-            ['reservation', 'book', 'booking', 'confirm', 'create']
+            ['reservation', 'book', 'booking', 'confirm', 'create', 'modify', 'cancel']
         );
         
         // Define specialized tools for this agent
-        this.allowedTools = ['create_reservation', 'clarify_and_respond', 'check_availability'];
+        this.allowedTools = [
+            'create_reservation',
+            'create_recurring_reservation',
+            'clarify_and_respond',
+            'check_availability',
+            'find_reservation',
+            'modify_reservation',
+            'cancel_reservation'
+        ];
     }
 
     /**
@@ -54,7 +67,7 @@ class ReservationAgent extends BaseAgent {
             
             // STEP 2: ACT - Execute the selected tool
             console.log('⚡ STEP 2: ACT - Executing tool...');
-            const toolResult = await this.executeTool(toolPlan.tool_to_call, toolPlan.parameters, effectiveRestaurantId);
+            const toolResult = await this.executeTool(toolPlan.tool_to_call, toolPlan.parameters, effectiveRestaurantId, context);
             
             console.log('📊 Tool result:', toolResult);
             
@@ -64,6 +77,8 @@ class ReservationAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: true, // Reservation agent usually completes the booking flow
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -194,6 +209,16 @@ CRITICAL DECISION RULES:
 
 6. **Missing Information**: Use clarify_and_respond if ANY required detail is missing from both the user message AND the booking context.
 
+7. **Existing Reservations**: If the user wants to look up, change ("move my booking to 9pm") or cancel ("cancel my table for Friday") a booking they ALREADY made:
+   - They must give the reservation code AND the email or phone used for the booking. If either is missing, use clarify_and_respond to ask for it.
+   - Use find_reservation to look it up, modify_reservation to change date/time/party size (only pass the fields that change), cancel_reservation to cancel.
+   - Only call cancel_reservation once the user has clearly confirmed the cancellation.
+   - NEVER use create_reservation or check_availability for an existing booking - modify_reservation re-checks availability itself.
+
+8. **Repeat Bookings**: If the user wants the same table on several dates ("book us every night until Sunday", "every Friday for six weeks"), use create_recurring_reservation instead of create_reservation once you have all the details (today is ${new Date().toISOString().split('T')[0]}):
+   - startDate is the first night; turn the rest into recurrence, e.g. "every night until Sunday" → FREQ=DAILY;UNTIL=<that Sunday's date>, "every Friday for six weeks" → FREQ=WEEKLY;BYDAY=FR;COUNT=6.
+   - Dates that are already taken come back as conflicts - tell the user which ones; do not retry them with create_reservation unless they ask.
+
 REQUIRED FIELDS FOR create_reservation:
 - name (customer's full name)
 - email (customer's email) 
@@ -210,7 +235,7 @@ INSTRUCTIONS:
 4. If you have ALL required fields, use create_reservation immediately
 5. Do NOT create a reservation without complete information
 
-Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+Call exactly one tool from YOUR ALLOWED TOOLS.`;
     }
 
     /**
@@ -261,10 +286,16 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
     }
 
     /**
-     * EXECUTE TOOL: Direct tool execution within this agent's domain
+     * EXECUTE TOOL: Direct tool execution within this agent's domain.
+     * context.clientId (from the orchestrator) counts the guest's failed reservation lookups.
      */
-    async executeTool(toolName, parameters, restaurantId) {
+    async executeTool(toolName, parameters, restaurantId, context = {}) {
         try {
+            // The model sometimes sends reservation codes as numbers
+            if (parameters && typeof parameters.reservationCode === 'number') {
+                parameters.reservationCode = String(parameters.reservationCode);
+            }
+            
             // Validate parameters
             const validation = validateToolParameters(toolName, parameters);
             if (!validation.success) {
@@ -281,6 +312,18 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 case 'create_reservation':
                     return await this.executeCreateReservation(parameters, restaurantId);
                     
+                case 'create_recurring_reservation':
+                    return await this.executeCreateRecurringReservation(parameters, restaurantId);
+                    
+                case 'find_reservation':
+                    return await this.executeFindReservation(parameters, restaurantId, context.clientId);
+                    
+                case 'modify_reservation':
+                    return await this.executeModifyReservation(parameters, restaurantId, context.clientId);
+                    
+                case 'cancel_reservation':
+                    return await this.executeCancelReservation(parameters, restaurantId, context.clientId);
+                    
                 case 'clarify_and_respond':
                     return await this.executeClarifyAndRespond(parameters);
                     
@@ -331,13 +374,21 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 specialRequests: params.specialRequests || null
             };
             
-            // Create the reservation
-            const createdReservation = await RestaurantService.createReservation(reservationData);
+            // Same online booking rules as the reservation form
+            await BookingPolicyService.assertBookingAllowed(restaurantId, {
+                date: params.date,
+                time: params.time,
+                guests: params.partySize
+            });
+            
+            // Create the reservation (pending until paid when a deposit rule applies)
+            const { reservation: createdReservation, deposit } = await DepositService.createReservationWithDeposit(reservationData);
             
             return {
                 success: true,
                 reservationDetails: {
                     reservationId: createdReservation.reservation_id,
+                    manageToken: AuthService.generateManageToken(createdReservation.reservation_id),
                     restaurant: restaurantId,
                     name: params.name,
                     email: params.email,
@@ -347,12 +398,135 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                     partySize: params.partySize,
                     tableType: params.tableType,
                     specialRequests: params.specialRequests,
+                    deposit,
                     success: true
                 }
             };
             
         } catch (error) {
             console.error('❌ Error creating reservation:', error);
+            return this.policyAwareError(error);
+        }
+    }
+
+    /**
+     * Execute create_recurring_reservation tool - books every free date and reports the rest
+     */
+    async executeCreateRecurringReservation(params, restaurantId) {
+        try {
+            console.log('🔁 Creating recurring reservation:', params);
+            
+            const { series, reservations, conflicts } = await RecurringReservationService.createSeries({
+                venueId: restaurantId,
+                reservationName: params.name,
+                reservationEmail: params.email,
+                reservationPhone: params.phone,
+                startDate: params.startDate,
+                time: params.time,
+                guests: params.partySize,
+                tableType: params.tableType,
+                specialRequests: params.specialRequests || null,
+                recurrence: params.recurrence
+            });
+            
+            return {
+                success: true,
+                seriesDetails: {
+                    seriesId: series ? series.series_id : null,
+                    seriesToken: series ? AuthService.generateSeriesToken(series.series_id) : null,
+                    name: params.name,
+                    time: params.time,
+                    partySize: params.partySize,
+                    tableType: params.tableType,
+                    booked: reservations.map(r => ({
+                        reservationCode: r.reservation_id,
+                        date: r.reservation_date_iso
+                    })),
+                    conflicts: conflicts.map(c => ({ date: c.date, code: c.code, reason: c.reason }))
+                }
+            };
+            
+        } catch (error) {
+            console.error('❌ Error creating recurring reservation:', error);
+            return this.policyAwareError(error);
+        }
+    }
+
+    /**
+     * Look up a guest's reservation - identity is the reservation code plus email or phone.
+     * Lookups that match nothing count against the client; after too many the agent stops looking.
+     */
+    async lookupGuestReservation(params, restaurantId, clientId = null) {
+        if (!params.email && !params.phone) {
+            return {
+                error: 'To find your booking I need the email or phone number you used, along with your reservation code.'
+            };
+        }
+        
+        if (GuardrailService.lookupsBlocked(clientId)) {
+            return {
+                error: 'Too many reservation lookups did not match. Please try again later or contact the restaurant directly.',
+                code: 'LOOKUP_LIMIT'
+            };
+        }
+        
+        const reservation = await RestaurantService.findReservationForGuest(restaurantId, params);
+        if (!reservation) {
+            GuardrailService.recordFailedLookup(clientId);
+            return {
+                error: 'I could not find a reservation matching that code and contact details. Please double-check your reservation code and the email or phone used for the booking.'
+            };
+        }
+        
+        return { reservation };
+    }
+
+    /**
+     * Tool failure result; booking policy violations carry their code so the
+     * narrator can tell the guest why (e.g. call the restaurant instead)
+     */
+    policyAwareError(error) {
+        if (error instanceof BookingPolicyError) {
+            return { success: false, error: error.message, code: error.code };
+        }
+        return { success: false, error: error.message };
+    }
+
+    /**
+     * Shape a reservation row for the narrator (no internal ids beyond the code)
+     */
+    summarizeReservation(reservation) {
+        return {
+            reservationCode: reservation.reservation_id,
+            name: reservation.reservation_name,
+            date: reservation.reservation_date_iso || reservation.reservation_date,
+            time: String(reservation.reservation_time).slice(0, 5),
+            partySize: reservation.guests,
+            tableType: reservation.table_type,
+            status: reservation.status
+        };
+    }
+
+    /**
+     * Execute find_reservation tool
+     */
+    async executeFindReservation(params, restaurantId, clientId = null) {
+        try {
+            console.log('🔎 Finding reservation:', params.reservationCode);
+            
+            const lookup = await this.lookupGuestReservation(params, restaurantId, clientId);
+            if (lookup.error) {
+                return { success: false, error: lookup.error, code: lookup.code };
+            }
+            
+            return {
+                success: true,
+                action: 'found',
+                reservation: this.summarizeReservation(lookup.reservation)
+            };
+            
+        } catch (error) {
+            console.error('❌ Error finding reservation:', error);
             return {
                 success: false,
                 error: error.message
@@ -360,6 +534,92 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
         }
     }
 
+    /**
+     * Execute modify_reservation tool - RestaurantService re-validates availability
+     */
+    async executeModifyReservation(params, restaurantId, clientId = null) {
+        try {
+            console.log('✏️ Modifying reservation:', params);
+            
+            const lookup = await this.lookupGuestReservation(params, restaurantId, clientId);
+            if (lookup.error) {
+                return { success: false, error: lookup.error, code: lookup.code };
+            }
+            
+            if (!params.date && !params.time && !params.partySize) {
+                return {
+                    success: false,
+                    error: 'Please tell me what you would like to change - the date, the time or the number of guests.'
+                };
+            }
+            
+            // Party size cannot exceed the largest table (or tables pushed together) at this restaurant
+            if (params.partySize) {
+                const maxCapacity = await RestaurantService.getMaxPartySize(restaurantId);
+                if (params.partySize > maxCapacity) {
+                    return {
+                        success: false,
+                        error: `Sorry, we can only accommodate up to ${maxCapacity} people.`
+                    };
+                }
+            }
+            
+            await BookingPolicyService.assertChangeAllowed(lookup.reservation);
+            await BookingPolicyService.assertBookingAllowed(restaurantId, {
+                date: params.date || lookup.reservation.reservation_date_iso,
+                time: params.time || String(lookup.reservation.reservation_time).slice(0, 5),
+                guests: params.partySize || lookup.reservation.guests
+            });
+            
+            await RestaurantService.updateReservation(lookup.reservation.reservation_id, {
+                date: params.date,
+                time: params.time,
+                guests: params.partySize
+            });
+            
+            const updated = await RestaurantService.getReservationById(lookup.reservation.reservation_id);
+            
+            return {
+                success: true,
+                action: 'modified',
+                previous: this.summarizeReservation(lookup.reservation),
+                reservation: this.summarizeReservation(updated)
+            };
+            
+        } catch (error) {
+            console.error('❌ Error modifying reservation:', error);
+            return this.policyAwareError(error);
+        }
+    }
+
+    /**
+     * Execute cancel_reservation tool
+     */
+    async executeCancelReservation(params, restaurantId, clientId = null) {
+        try {
+            console.log('🗑️ Cancelling reservation:', params.reservationCode);
+            
+            const lookup = await this.lookupGuestReservation(params, restaurantId, clientId);
+            if (lookup.error) {
+                return { success: false, error: lookup.error, code: lookup.code };
+            }
+            
+            await BookingPolicyService.assertChangeAllowed(lookup.reservation);
+            
+            const cancelled = await RestaurantService.cancelReservation(lookup.reservation.reservation_id);
+            
+            return {
+                success: true,
+                action: 'cancelled',
+                reservation: this.summarizeReservation({ ...lookup.reservation, status: cancelled.status })
+            };
+            
+        } catch (error) {
+            console.error('❌ Error cancelling reservation:', error);
+            return this.policyAwareError(error);
+        }
+    }
+
     /**
      * Execute check_availability tool - for handling date/time modifications
      */
@@ -370,8 +630,8 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
             // Import RestaurantService for availability checking
             const { default: RestaurantService } = await import('../RestaurantService.js');
             
-            // Pre-check: Verify party size doesn't exceed restaurant's maximum table capacity
-            const maxCapacity = await RestaurantService.getMaxTableCapacity(restaurantId);
+            // Pre-check: Verify party size doesn't exceed the largest table (or tables pushed together)
+            const maxCapacity = await RestaurantService.getMaxPartySize(restaurantId);
             if (params.partySize > maxCapacity) {
                 return {
                     success: true,
@@ -397,7 +657,9 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 const tableOptions = availableTableTypes.map(t => ({
                     tableType: t.table_type,
                     price: t.table_price || '0.00',
-                    capacity: t.capacity
+                    capacity: t.capacity,
+                    // Set when the party needs adjacent tables pushed together
+                    ...(t.combined_tables && { combinedTables: t.combined_tables })
                 }));
                 
                 return {
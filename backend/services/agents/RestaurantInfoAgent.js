@@ -72,6 +72,8 @@ class RestaurantInfoAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: taskCompletionAnalysis.isComplete,
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -172,6 +174,7 @@ ${recentHistory || 'None'}
 CRITICAL PARAMETER SELECTION RULES for get_restaurant_info:
 - If asking about OWNER info, contact details, phone, email → use topic: "general" (owner info is only available in general)
 - If asking about HOURS, opening times, when open/closed → use topic: "hours" 
+- If asking about hours on a SPECIFIC DAY (a date, "Easter Sunday", "next Friday") → use topic: "hours" and add date: "YYYY-MM-DD" (today is ${new Date().toISOString().split('T')[0]})
 - If asking about LOCATION, address, where is it → use topic: "address"
 - If asking about DESCRIPTION, what kind of restaurant → use topic: "description"
 - If asking multiple things or unclear → use topic: "general"
@@ -179,6 +182,7 @@ CRITICAL PARAMETER SELECTION RULES for get_restaurant_info:
 EXAMPLES OF PRECISE PARAMETER SELECTION:
 - "owner info?" → get_restaurant_info with topic: "general" (owner data only in general)
 - "what time do you open?" → get_restaurant_info with topic: "hours"
+- "are you open on 2027-05-02?" → get_restaurant_info with topic: "hours", date: "2027-05-02"
 - "where are you located?" → get_restaurant_info with topic: "address"
 - "tell me about the restaurant" → get_restaurant_info with topic: "description"
 
@@ -188,7 +192,7 @@ INSTRUCTIONS:
 3. Be surgical - choose the most targeted topic that will get exactly what the user wants
 4. If other agents have already handled related parts, focus on what's missing for restaurant information
 
-Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+Call exactly one tool from YOUR ALLOWED TOOLS.`;
     }
 
     /**
@@ -283,6 +287,11 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
             switch (params.topic) {
                 case 'hours':
                     result.hours = await RestaurantService.getRestaurantHours(restaurantId);
+                    result.specialHours = await this.getUpcomingSpecialHours(restaurantId);
+                    // "Are you open on Easter Sunday?" - the hours that apply on that date
+                    if (params.date) {
+                        result.dateHours = await RestaurantService.getOpeningHoursForDate(restaurantId, params.date);
+                    }
                     break;
                 case 'address':
                     result.address = {
@@ -298,6 +307,7 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 case 'general':
                 default:
                     result.hours = await RestaurantService.getRestaurantHours(restaurantId);
+                    result.specialHours = await this.getUpcomingSpecialHours(restaurantId);
                     result.address = {
                         full: restaurant.address,
                         area: restaurant.area,
@@ -319,6 +329,15 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
         }
     }
 
+    /**
+     * Special hours for the next few weeks (holiday closures, private events)
+     */
+    async getUpcomingSpecialHours(restaurantId) {
+        const until = new Date();
+        until.setDate(until.getDate() + 30);
+        return RestaurantService.getSpecialHours(restaurantId, null, until.toISOString().split('T')[0]);
+    }
+
     /**
      * Execute clarify_and_respond tool
      */
@@ -18,7 +18,7 @@ class SupportContactAgent extends BaseAgent {
         );
         
         // Define specialized tools for this agent
-        this.allowedTools = ['clarify_and_respond'];
+        this.allowedTools = ['clarify_and_respond', 'request_human'];
     }
 
     /**
@@ -63,6 +63,8 @@ class SupportContactAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: true, // Support agent handles edge cases and usually completes them
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -150,12 +152,13 @@ RECENT CONVERSATION HISTORY:
 ${recentHistory || 'None'}
 
 INSTRUCTIONS:
-1. You only have access to clarify_and_respond - use it for all support situations
+1. Use clarify_and_respond for support situations you can answer yourself
 2. Analyze the user's request and provide appropriate support response
 3. If this is a complaint, acknowledge it professionally 
 4. If this is a request outside restaurant scope, politely explain limitations
 5. If this is asking for help, provide helpful guidance
 6. Choose appropriate response_type: "clarification", "out_of_scope", "general_info", or "greeting"
+7. Use request_human when the guest asks for a person or manager, or has a complaint or problem only the staff can resolve. Give the staff a short reason.
 
 RESPONSE TYPE GUIDELINES:
 - "clarification" - when you need more info from the user
@@ -163,7 +166,7 @@ RESPONSE TYPE GUIDELINES:
 - "general_info" - when providing helpful general information
 - "greeting" - when responding to greetings or general hellos
 
-Respond ONLY with a JSON object: { "tool_to_call": "clarify_and_respond", "parameters": {"response_type": "...", "message": "..."} }`;
+Call clarify_and_respond with a response_type and your message, or request_human with a reason for the staff.`;
     }
 
     /**
@@ -217,6 +220,9 @@ Respond ONLY with a JSON object: { "tool_to_call": "clarify_and_respond", "param
                 case 'clarify_and_respond':
                     return await this.executeClarifyAndRespond(parameters);
                     
+                case 'request_human':
+                    return await this.executeRequestHuman(parameters);
+                    
                 default:
                     console.error('❌ Unknown tool for SupportContactAgent:', toolName);
                     return {
@@ -255,6 +261,21 @@ Respond ONLY with a JSON object: { "tool_to_call": "clarify_and_respond", "param
             };
         }
     }
+
+    /**
+     * Execute request_human tool. The orchestrator sees handoffRequested and
+     * the chat route pauses Tablio for this session until staff hand it back.
+     */
+    async executeRequestHuman(params) {
+        console.log('🙋 Guest handed over to staff:', params.reason);
+        
+        return {
+            success: true,
+            handoffRequested: true,
+            reason: params.reason,
+            message: params.message || "I've asked a member of our team to join this chat. They'll reply here shortly."
+        };
+    }
 }
 
 export default SupportContactAgent;
\ No newline at end of file
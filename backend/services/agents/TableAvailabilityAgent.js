@@ -10,17 +10,18 @@ import BaseAgent from './BaseAgent.js';
 import { getAiPlan, generateSpokenResponse } from '../AIService.js';
 import { validateToolParameters } from '../ToolService.js';
 import RestaurantService from '../RestaurantService.js';
+import WaitlistService, { WAITLIST_HOLD_MINUTES } from '../WaitlistService.js';
 
 class TableAvailabilityAgent extends BaseAgent {
     constructor() {
         super(
             'TableAvailabilityAgent',
             'Table Availability Specialist',
-            ['availability', 'capacity', 'table', 'booking', 'reservation', 'date', 'time']
+            ['availability', 'capacity', 'table', 'booking', 'reservation', 'date', 'time', 'waitlist']
         );
         
         // Define specialized tools for this agent
-        this.allowedTools = ['check_availability', 'clarify_and_respond'];
+        this.allowedTools = ['check_availability', 'join_waitlist', 'clarify_and_respond'];
     }
 
     /**
@@ -94,6 +95,8 @@ class TableAvailabilityAgent extends BaseAgent {
             // Build silent data collector response object (NO response text)
             const agentResponse = {
                 toolResult: toolResult, // The raw, factual data from the "Act" step
+                toolName: toolPlan.tool_to_call,
+                toolParameters: toolPlan.parameters,
                 isTaskComplete: taskCompletionAnalysis.isComplete,
                 agent: this.name,
                 timestamp: new Date().toISOString()
@@ -224,9 +227,10 @@ INSTRUCTIONS:
 3. Do NOT attempt to handle parts of the query that are outside your scope (like menu items or celebrations)
 4. If other agents have already handled related parts, focus on what's missing for table availability
 5. Use check_availability for any request involving dates, times, party sizes, or table booking
-6. Use clarify_and_respond only if you need more information for availability checking
+6. If availability was already checked and nothing was free, offer the waitlist. Use join_waitlist only once the guest has agreed and given name, email and phone, reusing the date, time and party size from the conversation
+7. Use clarify_and_respond only if you need more information for availability checking or joining the waitlist
 
-Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`;
+Call exactly one tool from YOUR ALLOWED TOOLS.`;
     }
 
     /**
@@ -280,6 +284,9 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 case 'check_availability':
                     return await this.executeCheckAvailability(parameters, restaurantId);
                     
+                case 'join_waitlist':
+                    return await this.executeJoinWaitlist(parameters, restaurantId);
+                    
                 case 'clarify_and_respond':
                     return await this.executeClarifyAndRespond(parameters);
                     
@@ -307,8 +314,29 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
         try {
             console.log('🔍 Checking availability:', params);
             
-            // Pre-check: Verify party size doesn't exceed restaurant's maximum table capacity
-            const maxCapacity = await RestaurantService.getMaxTableCapacity(restaurantId);
+            // Pre-check: The time must fall in one of the day's service periods (special hours included)
+            const isOpen = await RestaurantService.isOpenAt(restaurantId, params.date, params.time);
+            if (!isOpen) {
+                const dayHours = await RestaurantService.getOpeningHoursForDate(restaurantId, params.date);
+                const periods = dayHours.periods
+                    .map(p => `${String(p.open_time).slice(0, 5)}-${String(p.close_time).slice(0, 5)}`)
+                    .join(' and ');
+                return {
+                    success: true,
+                    available: false,
+                    message: dayHours.is_closed
+                        ? `Sorry, we are closed on ${params.date}${dayHours.note ? ` (${dayHours.note})` : ''}.`
+                        : `Sorry, ${params.time} is outside our opening hours on ${params.date}. We are open ${periods}.`,
+                    date: params.date,
+                    time: params.time,
+                    partySize: params.partySize,
+                    openingPeriods: dayHours.periods,
+                    reason: dayHours.is_closed ? 'closed' : 'outside_opening_hours'
+                };
+            }
+            
+            // Pre-check: Verify party size doesn't exceed the largest table (or tables pushed together)
+            const maxCapacity = await RestaurantService.getMaxPartySize(restaurantId);
             if (params.partySize > maxCapacity) {
                 return {
                     success: true,
@@ -334,7 +362,9 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                 const tableOptions = availableTableTypes.map(t => ({
                     tableType: t.table_type,
                     price: t.table_price || '0.00',
-                    capacity: t.capacity
+                    capacity: t.capacity,
+                    // Set when the party needs adjacent tables pushed together
+                    ...(t.combined_tables && { combinedTables: t.combined_tables })
                 }));
                 
                 return {
@@ -353,7 +383,9 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
                     message: `No tables available for ${params.partySize} people on ${params.date} at ${params.time}`,
                     date: params.date,
                     time: params.time,
-                    partySize: params.partySize
+                    partySize: params.partySize,
+                    // The guest can be offered a spot on the waitlist for this slot
+                    waitlistAvailable: true
                 };
             }
             
@@ -366,6 +398,44 @@ Respond ONLY with a JSON object: { "tool_to_call": "...", "parameters": {...} }`
         }
     }
 
+    /**
+     * Execute join_waitlist tool - queue the guest for a full slot
+     */
+    async executeJoinWaitlist(params, restaurantId) {
+        try {
+            console.log('📝 Joining waitlist:', params);
+            
+            const entry = await WaitlistService.joinWaitlist({
+                restaurantId,
+                guestName: params.name,
+                guestEmail: params.email,
+                guestPhone: params.phone,
+                partySize: params.partySize,
+                date: params.date,
+                time: params.time,
+                tableType: params.tableType || null
+            });
+            
+            return {
+                success: true,
+                waitlisted: true,
+                waitlistId: entry.waitlist_id,
+                position: entry.position,
+                holdMinutes: WAITLIST_HOLD_MINUTES,
+                date: params.date,
+                time: params.time,
+                partySize: params.partySize
+            };
+            
+        } catch (error) {
+            console.error('❌ Error joining waitlist:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Execute clarify_and_respond tool
      */
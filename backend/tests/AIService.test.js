@@ -0,0 +1,87 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * TOOL PLANNING TESTS
+ * getAiPlan runs against the scripted fake provider; each test puts its own
+ * rules in front of the default script.
+ */
+
+process.env.LLM_PROVIDER = 'fake';
+const { getAiPlan, generateSpokenResponse } = await import('../services/AIService.js');
+const { default: llm, DEFAULT_FAKE_SCRIPT } = await import('../services/LLMProvider.js');
+
+const plan = (tool_to_call, parameters) => JSON.stringify({ tool_to_call, parameters });
+
+function useScript(script) {
+    llm.rules = [...script, ...DEFAULT_FAKE_SCRIPT];
+    llm.calls = [];
+}
+
+describe('getAiPlan', () => {
+    beforeEach(() => useScript([]));
+
+    test('returns a valid tool call as the plan', async () => {
+        useScript([{ match: /lamb chops/, response: plan('get_menu_items', { query: 'lamb chops' }) }]);
+
+        const result = await getAiPlan('Are the lamb chops gluten-free?');
+        assert.deepEqual(result, { tool_to_call: 'get_menu_items', parameters: { query: 'lamb chops' } });
+        assert.equal(llm.calls.length, 1);
+    });
+
+    test('sends an invalid call back with its errors and uses the repaired call', async () => {
+        useScript([
+            { match: /That call was rejected[\s\S]*Missing required parameter: query/, response: plan('get_menu_items', { query: 'desserts' }) },
+            { match: /desserts/, response: plan('get_menu_items', { category: 'Dessert' }) }
+        ]);
+
+        const result = await getAiPlan('Which desserts do you have?');
+        assert.deepEqual(result.parameters, { query: 'desserts' });
+        assert.equal(llm.calls.length, 2);
+        assert.equal(llm.calls[1].messages[1].role, 'assistant');
+    });
+
+    test('only accepts tools from the allowed tool belt', async () => {
+        useScript([{ match: /opening hours/, response: plan('get_restaurant_info', { topic: 'hours' }) }]);
+
+        const result = await getAiPlan('What are your opening hours?', [], { allowedTools: ['get_menu_items', 'clarify_and_respond'] });
+        assert.equal(result.tool_to_call, 'clarify_and_respond');
+        assert.equal(llm.calls.length, 3);
+        assert.match(llm.calls[2].messages.at(-1).content, /Unknown function: get_restaurant_info/);
+    });
+
+    test('asks again when the model answers in plain text', async () => {
+        useScript([
+            { match: /That call was rejected/, response: plan('clarify_and_respond', { message: 'How can I help?' }) },
+            { match: /hello there/, response: 'Hello! How can I help?' }
+        ]);
+
+        const result = await getAiPlan('hello there');
+        assert.deepEqual(result, { tool_to_call: 'clarify_and_respond', parameters: { message: 'How can I help?' } });
+    });
+});
+
+describe('generateSpokenResponse', () => {
+    beforeEach(() => useScript([]));
+
+    test('answers in the language the guest writes in', async () => {
+        useScript([{ match: /LANGUAGE: The guest is writing in Greek/, response: 'Ναι, έχουμε μουσακά.' }]);
+
+        const result = await generateSpokenResponse('Έχετε μουσακά;', { success: true, items: [] }, 'get_menu_items');
+        assert.equal(result.response, 'Ναι, έχουμε μουσακά.');
+    });
+
+    test('keeps the session language for replies too short to tell', async () => {
+        useScript([{ match: /writing in German/, response: 'Perfekt, für 4 Personen.' }]);
+
+        const result = await generateSpokenResponse('4', { allToolResults: [], language: 'de' }, 'master_narrator_consolidation');
+        assert.equal(result.response, 'Perfekt, für 4 Personen.');
+    });
+
+    test('English guests get the prompt without a language rule', async () => {
+        useScript([{ match: /Tool Result/, response: 'We open at 18:00.' }]);
+
+        await generateSpokenResponse('When do you open?', { success: true }, 'get_restaurant_info');
+        assert.doesNotMatch(llm.calls[0].messages[0].content, /LANGUAGE:/);
+    });
+});
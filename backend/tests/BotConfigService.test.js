@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import BotConfigService from '../services/BotConfigService.js';
+
+/**
+ * TABLIO SETTINGS TESTS
+ * Checking dashboard settings and applying them to the config the agents read;
+ * none of these touch the database.
+ */
+
+const config = (settings = {}) => BotConfigService.applySettings(
+    BotConfigService.defaultConfig(1, 'Lofaki Restaurant'),
+    BotConfigService.validateSettings(settings)
+);
+
+describe('validateSettings', () => {
+    test('accepts known styles, modules and templates', () => {
+        assert.deepEqual(
+            BotConfigService.validateSettings({
+                responseStyle: 'concise',
+                modules: { celebration: false },
+                templates: { greeting: '  Welcome to {restaurant}!  ', reservation_confirmation: '' }
+            }),
+            {
+                responseStyle: 'concise',
+                modules: { celebration: false },
+                templates: { greeting: 'Welcome to {restaurant}!', reservation_confirmation: null }
+            }
+        );
+    });
+
+    test('rejects unknown styles and modules', () => {
+        assert.throws(() => BotConfigService.validateSettings({ responseStyle: 'grumpy' }), /responseStyle must be one of/);
+        assert.throws(() => BotConfigService.validateSettings({ modules: { karaoke: true } }), /modules must only contain/);
+        assert.throws(() => BotConfigService.validateSettings({ modules: { menu_inquiry: 'no' } }), /must be true or false/);
+    });
+
+    test('rejects variables a template cannot use', () => {
+        assert.throws(
+            () => BotConfigService.validateSettings({ templates: { greeting: 'Hello {name}' } }),
+            /templates.greeting must only use the variables \{restaurant\} \(found \{name\}\)/
+        );
+        assert.throws(
+            () => BotConfigService.validateSettings({ templates: { greeting: 'x'.repeat(501) } }),
+            /at most 500 characters/
+        );
+    });
+});
+
+describe('applying settings', () => {
+    test('an empty template goes back to the default message', () => {
+        const saved = config({ templates: { greeting: 'Hi from {restaurant}' } });
+        const cleared = BotConfigService.applySettings(saved, BotConfigService.validateSettings({ templates: { greeting: '' } }));
+        assert.deepEqual(cleared.templates, {});
+        assert.equal(cleared.responseStyle, 'friendly_professional');
+    });
+
+    test('switched-off modules name the agents they stop', () => {
+        const settings = config({ modules: { menu_inquiry: false } });
+        assert.equal(BotConfigService.getDisabledModule(settings, 'MenuPricingAgent'), 'menu_inquiry');
+        assert.equal(BotConfigService.getDisabledModule(settings, 'RestaurantInfoAgent'), null);
+        assert.ok(BotConfigService.isAgentEnabled(settings, 'SupportContactAgent'));
+    });
+});
+
+describe('renderTemplate', () => {
+    test('fills in the variables and the restaurant name', () => {
+        const settings = config({
+            templates: { reservation_confirmation: 'Thanks {name}, {guests} guests at {restaurant} on {date} at {time}.' }
+        });
+        assert.equal(
+            BotConfigService.renderTemplate(settings, 'reservation_confirmation', {
+                name: 'Maria', guests: 4, date: '2026-06-12', time: '20:30'
+            }),
+            'Thanks Maria, 4 guests at Lofaki Restaurant on 2026-06-12 at 20:30.'
+        );
+    });
+
+    test('uses the default message without a template or with the greeting switched off', () => {
+        assert.equal(BotConfigService.renderTemplate(config(), 'greeting'), null);
+        const switchedOff = config({ modules: { greeting: false }, templates: { greeting: 'Welcome to {restaurant}!' } });
+        assert.equal(BotConfigService.renderTemplate(switchedOff, 'greeting'), null);
+    });
+});
@@ -0,0 +1,125 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import CalendarService from '../services/CalendarService.js';
+
+/**
+ * CALENDAR TESTS
+ * The .ics text guests download and owners subscribe to: Athens wall-clock
+ * times, escaping and line folding, what a feed event tells the staff, and the
+ * secret that opens a restaurant's feed.
+ */
+
+const now = new Date(Date.UTC(2026, 5, 1, 9, 0));
+
+const reservation = {
+    reservation_id: 42,
+    reservation_name: 'Μαρία Παπαδοπούλου',
+    reservation_email: 'maria@example.com',
+    reservation_phone: '6971234567',
+    reservation_date_iso: '2026-06-12',
+    reservation_time: '23:30:00',
+    guests: 4,
+    table_type: 'outdoor',
+    table_id: 7,
+    table_name: 'Terrace 2',
+    celebration_type: 'birthday',
+    cake: true,
+    flowers: false,
+    hotel_name: null,
+    status: 'confirmed',
+    duration_minutes: 90
+};
+
+describe('buildEvent', () => {
+    test('places the booking at Athens time and runs past midnight when it has to', () => {
+        const lines = CalendarService.buildEvent(reservation, { summary: 'Table at Lofaki', now });
+
+        assert.ok(lines.includes('UID:reservation-42@tableturn'));
+        assert.ok(lines.includes('DTSTAMP:20260601T090000Z'));
+        assert.ok(lines.includes('DTSTART;TZID=Europe/Athens:20260612T233000'));
+        assert.ok(lines.includes('DTEND;TZID=Europe/Athens:20260613T010000'));
+    });
+
+    test('falls back to two hours without an end time', () => {
+        const lines = CalendarService.buildEvent({ ...reservation, duration_minutes: null }, { summary: 'x', now });
+        assert.ok(lines.includes('DTEND;TZID=Europe/Athens:20260613T013000'));
+    });
+});
+
+describe('buildCalendar', () => {
+    test('escapes text, folds long lines and ends every line with CRLF', () => {
+        const event = CalendarService.buildEvent(reservation, {
+            summary: 'Dinner; cake, flowers',
+            description: `Line one\n${'Καλή όρεξη '.repeat(10)}`,
+            now
+        });
+        const ics = CalendarService.buildCalendar([event]);
+
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(ics.includes('BEGIN:VTIMEZONE\r\nTZID:Europe/Athens'));
+        assert.ok(ics.includes('SUMMARY:Dinner\\; cake\\, flowers'));
+        assert.ok(ics.includes('DESCRIPTION:Line one\\nΚαλή'));
+
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, line);
+        }
+        // Unfolding gives back the original text, Greek characters intact
+        assert.ok(ics.replace(/\r\n /g, '').includes('Καλή όρεξη '.repeat(10).trim()));
+    });
+});
+
+describe('buildFeedEvent', () => {
+    test('shows staff the guest, the table and the celebration', () => {
+        const ics = CalendarService.buildCalendar([CalendarService.buildFeedEvent(reservation)]).replace(/\r\n /g, '');
+
+        assert.ok(ics.includes('SUMMARY:Μαρία Παπαδοπούλου (4) - Terrace 2 🎉 birthday'));
+        assert.ok(ics.includes('Table: Terrace 2 (outdoor)\\nCelebration: birthday\\nCake ordered\\nPhone: 6971234567'));
+        assert.ok(ics.includes('STATUS:CONFIRMED'));
+    });
+
+    test('marks bookings waiting for a deposit as tentative', () => {
+        const lines = CalendarService.buildFeedEvent({ ...reservation, status: 'pending', celebration_type: null, cake: false });
+        assert.ok(lines.includes('STATUS:TENTATIVE'));
+        assert.ok(lines.includes('SUMMARY:Μαρία Παπαδοπούλου (4) - Terrace 2'));
+    });
+});
+
+describe('feed secret', () => {
+    // calendar_feed_secret by restaurant_id, in place of the restaurant table
+    const secrets = new Map([[1, null]]);
+    const originalQuery = db.query;
+
+    before(() => {
+        db.query = async (sql, [restaurantId, secret]) => {
+            if (!secrets.has(restaurantId)) return [];
+            if (sql.includes('COALESCE')) {
+                secrets.set(restaurantId, secrets.get(restaurantId) ?? secret);
+            } else if (sql.includes('SET calendar_feed_secret')) {
+                secrets.set(restaurantId, secret);
+            }
+            return [{ calendar_feed_secret: secrets.get(restaurantId) }];
+        };
+    });
+    after(() => { db.query = originalQuery; });
+
+    test('is created once and then handed out again', async () => {
+        const secret = await CalendarService.getFeedSecret(1);
+        assert.match(secret, /^[0-9a-f]{48}$/);
+        assert.equal(await CalendarService.getFeedSecret(1), secret);
+        assert.equal(await CalendarService.getFeedSecret(2), null);
+    });
+
+    test('opens only its own restaurant\'s feed, until it is rotated', async () => {
+        const secret = await CalendarService.getFeedSecret(1);
+        assert.equal(await CalendarService.verifyFeedSecret(1, secret), true);
+        assert.equal(await CalendarService.verifyFeedSecret(2, secret), false);
+        assert.equal(await CalendarService.verifyFeedSecret(1, 'not-a-token'), false);
+
+        const rotated = await CalendarService.rotateFeedSecret(1);
+        assert.notEqual(rotated, secret);
+        assert.equal(await CalendarService.verifyFeedSecret(1, secret), false);
+        assert.equal(await CalendarService.verifyFeedSecret(1, rotated), true);
+    });
+});
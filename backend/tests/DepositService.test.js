@@ -0,0 +1,247 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import StripeService from '../services/StripeService.js';
+import RestaurantService from '../services/RestaurantService.js';
+import DepositService, { AUTHORIZATION_WINDOW_DAYS } from '../services/DepositService.js';
+
+/**
+ * DEPOSIT TESTS
+ * Which rule sets the deposit, whether the card is authorized or saved, and what
+ * happens to the money when a booking is cancelled, completed, missed or changed. Stripe
+ * and the database are replaced by fakes that record what was asked of them.
+ */
+
+const originals = {
+    query: db.query,
+    updateReservationStatus: RestaurantService.updateReservationStatus
+};
+
+// Stripe calls in order, e.g. ['capture pi_1']
+let stripeCalls;
+// Statements run against the fake database
+let queries;
+// What the fake database answers, by a fragment of the SQL
+let answers;
+
+const fakeStripe = {
+    capturePaymentIntent: async (id) => { stripeCalls.push(`capture ${id}`); },
+    cancelPaymentIntent: async (id) => { stripeCalls.push(`cancel ${id}`); },
+    refundPaymentIntent: async (id) => { stripeCalls.push(`refund ${id}`); },
+    cancelSetupIntent: async (id) => { stripeCalls.push(`cancel ${id}`); },
+    detachPaymentMethod: async (id) => { stripeCalls.push(`detach ${id}`); },
+    chargeSavedCard: async ({ setupIntentId, amount }) => {
+        stripeCalls.push(`charge ${setupIntentId} ${amount}`);
+        return { id: 'pi_offsession' };
+    }
+};
+
+beforeEach(() => {
+    stripeCalls = [];
+    queries = [];
+    answers = {};
+    Object.assign(StripeService, fakeStripe);
+    db.query = async (sql, params = []) => {
+        queries.push({ sql, params });
+        const fragment = Object.keys(answers).find(key => sql.includes(key));
+        return fragment ? answers[fragment] : [];
+    };
+});
+
+after(() => {
+    db.query = originals.query;
+    RestaurantService.updateReservationStatus = originals.updateReservationStatus;
+    // The fakes shadow the real methods on the StripeService instance
+    for (const name of Object.keys(fakeStripe)) {
+        delete StripeService[name];
+    }
+});
+
+// The deposit_status the service last wrote
+const writtenStatus = () => {
+    const update = queries.filter(query => query.sql.includes('SET deposit_status')).pop();
+    return update ? update.params[1] : null;
+};
+
+const held = (overrides = {}) => ({
+    reservation_id: 42,
+    deposit_amount: '30.00',
+    deposit_status: 'authorized',
+    payment_intent_id: 'pi_1',
+    setup_intent_id: null,
+    ...overrides
+});
+
+describe('calculateDeposit', () => {
+    test('returns the amount and rule of the best match, rounded to cents', async () => {
+        answers['FROM deposit_rules'] = [{ rule_id: 3, amount: '24.999' }];
+
+        const deposit = await DepositService.calculateDeposit({ restaurantId: 1, guests: 4, date: '2026-06-12', tableType: 'anniversary' });
+
+        assert.deepEqual(deposit, { amount: 25, ruleId: 3 });
+        assert.deepEqual(queries[0].params, [1, 4, '2026-06-12', 'anniversary', null, null]);
+    });
+
+    test('is null without a matching rule or for a zero amount', async () => {
+        assert.equal(await DepositService.calculateDeposit({ restaurantId: 1, guests: 2, date: '2026-06-12', tableType: 'standard' }), null);
+
+        answers['FROM deposit_rules'] = [{ rule_id: 4, amount: '0.00' }];
+        assert.equal(await DepositService.calculateDeposit({ restaurantId: 1, guests: 2, date: '2026-06-12', tableType: 'standard' }), null);
+    });
+});
+
+describe('depositMode', () => {
+    const now = new Date(Date.UTC(2026, 5, 1, 12, 0));
+    const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    test('authorizes the card for bookings inside the authorization window', () => {
+        assert.equal(DepositService.depositMode({ start_at: inDays(2) }, now), 'payment');
+        assert.equal(DepositService.depositMode({ start_at: inDays(AUTHORIZATION_WINDOW_DAYS) }, now), 'payment');
+    });
+
+    test('saves the card for bookings further ahead than an authorization lasts', () => {
+        assert.equal(DepositService.depositMode({ start_at: inDays(AUTHORIZATION_WINDOW_DAYS + 1) }, now), 'setup');
+        assert.equal(DepositService.depositMode({ start_at: inDays(90) }, now), 'setup');
+    });
+});
+
+describe('applyStatusChange', () => {
+    test('captures an authorized deposit on a no-show', async () => {
+        await DepositService.applyStatusChange(held(), 'no_show');
+        assert.deepEqual(stripeCalls, ['capture pi_1']);
+        assert.equal(writtenStatus(), 'captured');
+    });
+
+    test('charges a saved card on a no-show and keeps the new payment intent', async () => {
+        await DepositService.applyStatusChange(held({ deposit_status: 'card_saved', payment_intent_id: null, setup_intent_id: 'seti_1' }), 'no_show');
+
+        assert.deepEqual(stripeCalls, ['charge seti_1 30']);
+        const saved = queries.find(query => query.sql.includes('SET payment_intent_id'));
+        assert.deepEqual(saved.params, [42, 'pi_offsession']);
+        assert.equal(writtenStatus(), 'captured');
+    });
+
+    test('releases the hold when cancelled before the refund cutoff', async () => {
+        answers.refundable = [{ refundable: true }];
+        await DepositService.applyStatusChange(held(), 'cancelled');
+        assert.deepEqual(stripeCalls, ['cancel pi_1']);
+        assert.equal(writtenStatus(), 'released');
+    });
+
+    test('keeps the deposit when cancelled after the cutoff', async () => {
+        answers.refundable = [{ refundable: false }];
+        await DepositService.applyStatusChange(held(), 'cancelled');
+        assert.deepEqual(stripeCalls, ['capture pi_1']);
+
+        stripeCalls = [];
+        await DepositService.applyStatusChange(held({ deposit_status: 'card_saved', payment_intent_id: null, setup_intent_id: 'seti_1' }), 'cancelled');
+        assert.deepEqual(stripeCalls, ['charge seti_1 30']);
+    });
+
+    test('lets go of a saved card without asking Stripe, and cancels an unfinished setup', async () => {
+        answers.refundable = [{ refundable: true }];
+        await DepositService.applyStatusChange(held({ deposit_status: 'card_saved', payment_intent_id: null, setup_intent_id: 'seti_1' }), 'cancelled');
+        assert.deepEqual(stripeCalls, []);
+        assert.equal(writtenStatus(), 'released');
+
+        await DepositService.applyStatusChange(held({ deposit_status: 'requires_payment', payment_intent_id: null, setup_intent_id: 'seti_2' }), 'cancelled');
+        assert.deepEqual(stripeCalls, ['cancel seti_2']);
+    });
+
+    test('refunds a captured deposit cancelled in time, and releases on completion', async () => {
+        answers.refundable = [{ refundable: true }];
+        await DepositService.applyStatusChange(held({ deposit_status: 'captured' }), 'cancelled');
+        await DepositService.applyStatusChange(held(), 'completed');
+        assert.deepEqual(stripeCalls, ['refund pi_1', 'cancel pi_1']);
+    });
+
+    test('leaves the status alone when Stripe refuses, and ignores bookings without a deposit', async () => {
+        StripeService.capturePaymentIntent = async () => { throw new Error('Failed to capture payment intent: expired'); };
+        await DepositService.applyStatusChange(held(), 'no_show');
+        assert.equal(writtenStatus(), null);
+
+        await DepositService.applyStatusChange(held({ deposit_status: 'none', payment_intent_id: null }), 'no_show');
+        await DepositService.applyStatusChange(held({ deposit_status: 'captured' }), 'no_show');
+        assert.equal(queries.length, 0);
+    });
+});
+
+describe('releaseUnpaidHolds', () => {
+    test('cancels every pending booking past its payment deadline', async () => {
+        answers['deposit_due_at < NOW()'] = [{ reservation_id: 7 }, { reservation_id: 8 }];
+        const cancelled = [];
+        RestaurantService.updateReservationStatus = async (reservationId, status) => {
+            cancelled.push([reservationId, status]);
+            if (reservationId === 7) throw new Error('Invalid status transition from cancelled to cancelled');
+        };
+
+        assert.equal(await DepositService.releaseUnpaidHolds(), 2);
+        assert.deepEqual(cancelled, [[7, 'cancelled'], [8, 'cancelled']]);
+    });
+});
+
+describe('handlePaymentEvent', () => {
+    const event = (type, object) => ({ type, data: { object } });
+
+    test('confirms a pending booking once the card is authorized', async () => {
+        answers['FROM reservation WHERE'] = [{ reservation_id: 42, status: 'pending', deposit_status: 'requires_payment' }];
+        const confirmed = [];
+        RestaurantService.updateReservationStatus = async (reservationId, status) => { confirmed.push([reservationId, status]); };
+
+        await DepositService.handlePaymentEvent(event('payment_intent.amount_capturable_updated', { id: 'pi_1' }));
+
+        assert.equal(writtenStatus(), 'authorized');
+        assert.deepEqual(confirmed, [[42, 'confirmed']]);
+        assert.deepEqual(stripeCalls, []);
+    });
+
+    test('gives back an authorization that arrives after the booking was cancelled', async () => {
+        answers['FROM reservation WHERE'] = [{ reservation_id: 42, status: 'cancelled', deposit_status: 'released' }];
+        RestaurantService.updateReservationStatus = async () => { throw new Error('should not change the booking'); };
+
+        await DepositService.handlePaymentEvent(event('payment_intent.amount_capturable_updated', { id: 'pi_1' }));
+
+        assert.deepEqual(stripeCalls, ['cancel pi_1']);
+        assert.equal(writtenStatus(), 'released');
+    });
+
+    test('detaches a card saved after the booking was cancelled', async () => {
+        answers['FROM reservation WHERE'] = [{ reservation_id: 42, status: 'cancelled', deposit_status: 'released' }];
+
+        await DepositService.handlePaymentEvent(event('setup_intent.succeeded', { id: 'seti_1', payment_method: 'pm_1' }));
+
+        assert.deepEqual(stripeCalls, ['detach pm_1']);
+        assert.equal(writtenStatus(), 'released');
+    });
+});
+
+describe('assertDepositUnchanged', () => {
+    const booking = (overrides = {}) => ({ restaurant_id: 1, deposit_status: 'none', deposit_amount: null, ...overrides });
+
+    test('lets a change through when the same deposit (or none) applies', async () => {
+        await DepositService.assertDepositUnchanged(booking(), { guests: 3, date: '2026-06-12', tableType: 'standard' });
+
+        answers['FROM deposit_rules'] = [{ rule_id: 4, amount: '150.00' }];
+        await DepositService.assertDepositUnchanged(
+            booking({ deposit_status: 'authorized', deposit_amount: '150.00' }),
+            { guests: 10, date: '2026-06-13', tableType: 'standard' }
+        );
+    });
+
+    test('refuses a party that grows into a deposit rule, or out of the deposit it paid', async () => {
+        answers['FROM deposit_rules'] = [{ rule_id: 4, amount: '150.00' }];
+        await assert.rejects(
+            DepositService.assertDepositUnchanged(booking(), { guests: 10, date: '2026-06-12', tableType: 'standard' }),
+            { code: 'DEPOSIT_CHANGE_REQUIRED', message: /deposit of €150\.00/ }
+        );
+
+        answers['FROM deposit_rules'] = [];
+        await assert.rejects(
+            DepositService.assertDepositUnchanged(
+                booking({ deposit_status: 'authorized', deposit_amount: '150.00' }),
+                { guests: 2, date: '2026-06-12', tableType: 'standard' }
+            ),
+            { code: 'DEPOSIT_CHANGE_REQUIRED' }
+        );
+    });
+});
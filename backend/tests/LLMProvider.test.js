@@ -0,0 +1,249 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    FakeLLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    loadFakeScript
+} from '../services/LLMProvider.js';
+
+/**
+ * LLM PROVIDER TESTS
+ * Run offline: the HTTP adapters get a stub fetch that records the request
+ * and answers with a canned body.
+ */
+
+function stubFetch({ json, sse, status = 200 }) {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, init, body: JSON.parse(init.body) });
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            json: async () => json,
+            body: (async function* () {
+                for (const event of sse || []) {
+                    yield Buffer.from(`data: ${event}\n\n`);
+                }
+            })()
+        };
+    };
+    return { fetchImpl, requests };
+}
+
+describe('FakeLLMProvider', () => {
+    test('first matching rule wins and calls are recorded', async () => {
+        const llm = new FakeLLMProvider({
+            script: [
+                { match: /menu/, response: 'first' },
+                { match: /menu/, response: 'second' }
+            ],
+            includeDefaults: false
+        });
+
+        assert.equal(await llm.generateText('show me the menu'), 'first');
+        assert.equal(await llm.generateText('something else'), '');
+        assert.equal(llm.calls.length, 2);
+        assert.equal(llm.calls[0].messages[0].content, 'show me the menu');
+    });
+
+    test('function responses receive the prompt and the match', async () => {
+        const llm = new FakeLLMProvider({
+            script: [{ match: /party of (\d+)/, response: (prompt, match) => `table for ${match[1]}` }]
+        });
+        assert.equal(await llm.generateText('a party of 6 please'), 'table for 6');
+    });
+
+    test('decomposition routes the request by keyword', async () => {
+        const llm = new FakeLLMProvider();
+        const plan = JSON.parse(await llm.generateText(
+            'You are a project manager AI.\nUSER\'S REQUEST: "Do you have vegetarian dishes and when do you open?"\n'
+        ));
+        assert.deepEqual(plan.map(step => step.agent_to_use), ['MenuPricingAgent', 'RestaurantInfoAgent']);
+        assert.equal(plan[0].step, 1);
+    });
+
+    test('agent prompts get a tool plan from their own tool belt', async () => {
+        const llm = new FakeLLMProvider();
+        const plan = JSON.parse(await llm.generateText(
+            'You are an expert orchestrator.\nUSER MESSAGE: "You are a table availability specialist agent.\n'
+            + 'YOUR SPECIFIC TASK: "Table for 4 people on 2026-12-20 at 19:30"\n"'
+        ));
+        assert.equal(plan.tool_to_call, 'check_availability');
+        assert.deepEqual(plan.parameters, { date: '2026-12-20', time: '19:30', partySize: 4 });
+    });
+
+    test('asking for a person is handed to staff by the support agent', async () => {
+        const llm = new FakeLLMProvider();
+        const [step] = JSON.parse(await llm.generateText(
+            'You are a project manager AI.\nUSER\'S REQUEST: "Can I speak to a person about my booking?"\n'
+        ));
+        assert.equal(step.agent_to_use, 'SupportContactAgent');
+
+        const plan = JSON.parse(await llm.generateText(
+            `You are a customer support specialist agent.\nYOUR SPECIFIC TASK: "${step.sub_task_query}"\n`
+        ));
+        assert.equal(plan.tool_to_call, 'request_human');
+        assert.equal(plan.parameters.reason, 'Can I speak to a person about my booking?');
+    });
+
+    test('the narrator repeats clarifying messages from the tool results', async () => {
+        const llm = new FakeLLMProvider();
+        const toolResult = { allToolResults: [{ data: { success: true, message: 'Which date works for you?' } }] };
+        const text = await llm.generateText(
+            'Your ONLY job is to translate the provided "Tool Result"\n'
+            + 'User\'s Original Question: "Book me a table"\n\n'
+            + `--- TOOL RESULT (The Ground Truth) ---\n${JSON.stringify(toolResult, null, 2)}\n--- END OF TOOL RESULT ---`
+        );
+        assert.equal(text, 'Here is what I found about "Book me a table". Which date works for you?');
+    });
+
+    test('streaming sends the reply word by word', async () => {
+        const llm = new FakeLLMProvider({ script: [{ match: /hi/, response: 'Hello there friend' }] });
+        const chunks = [];
+        const text = await llm.streamText('hi', chunk => chunks.push(chunk));
+        assert.equal(text, 'Hello there friend');
+        assert.deepEqual(chunks, ['Hello ', 'there ', 'friend']);
+    });
+
+    test('scripts load from JSON files', () => {
+        const file = path.join(os.tmpdir(), `fake-llm-script-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify([{ match: 'OPENING', response: { tool_to_call: 'get_restaurant_info' } }]));
+        try {
+            const [rule] = loadFakeScript(file);
+            assert.ok(rule.match.test('opening hours'));
+            assert.equal(rule.response, '{"tool_to_call":"get_restaurant_info"}');
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
+
+describe('GeminiProvider', () => {
+    test('maps assistant turns to the model role', async () => {
+        const { fetchImpl, requests } = stubFetch({ json: { candidates: [{ content: { parts: [{ text: 'Hi' }, { text: '!' }] } }] } });
+        const llm = new GeminiProvider({ apiKey: 'key', model: 'gemini-test', fetchImpl });
+
+        const text = await llm.generateText([
+            { role: 'user', content: 'hello' },
+            { role: 'assistant', content: 'hey' }
+        ], { temperature: 0 });
+
+        assert.equal(text, 'Hi!');
+        assert.match(requests[0].url, /gemini-test:generateContent$/);
+        assert.equal(requests[0].init.headers['X-goog-api-key'], 'key');
+        assert.deepEqual(requests[0].body.contents.map(c => c.role), ['user', 'model']);
+        assert.equal(requests[0].body.generationConfig.temperature, 0);
+    });
+
+    test('streams text from server-sent events', async () => {
+        const { fetchImpl, requests } = stubFetch({
+            sse: [
+                JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Good ' }] } }] }),
+                JSON.stringify({ candidates: [{ content: { parts: [{ text: 'evening' }] } }] })
+            ]
+        });
+        const llm = new GeminiProvider({ apiKey: 'key', fetchImpl });
+        const chunks = [];
+
+        assert.equal(await llm.streamText('hi', chunk => chunks.push(chunk)), 'Good evening');
+        assert.deepEqual(chunks, ['Good ', 'evening']);
+        assert.match(requests[0].url, /:streamGenerateContent\?alt=sse$/);
+    });
+
+    test('throws when the API answers with an error status', async () => {
+        const { fetchImpl } = stubFetch({ json: {}, status: 429 });
+        const llm = new GeminiProvider({ apiKey: 'key', fetchImpl });
+        await assert.rejects(llm.generateText('hi'), /status 429/);
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    test('posts chat completions to the configured server', async () => {
+        const { fetchImpl, requests } = stubFetch({ json: { choices: [{ message: { content: 'Kalimera' } }] } });
+        const llm = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8081/v1/', model: 'local', fetchImpl });
+
+        assert.equal(await llm.generateText('hello', { maxTokens: 50 }), 'Kalimera');
+        assert.equal(requests[0].url, 'http://localhost:8081/v1/chat/completions');
+        assert.equal(requests[0].init.headers.Authorization, undefined);
+        assert.deepEqual(requests[0].body.messages, [{ role: 'user', content: 'hello' }]);
+        assert.equal(requests[0].body.max_tokens, 50);
+    });
+
+    test('streams deltas until [DONE]', async () => {
+        const { fetchImpl } = stubFetch({
+            sse: [
+                JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] }),
+                JSON.stringify({ choices: [{ delta: { content: 'Yia ' } }] }),
+                JSON.stringify({ choices: [{ delta: { content: 'sou' } }] }),
+                '[DONE]'
+            ]
+        });
+        const llm = new OpenAICompatibleProvider({ apiKey: 'secret', fetchImpl });
+        const chunks = [];
+
+        assert.equal(await llm.streamText('hi', chunk => chunks.push(chunk)), 'Yia sou');
+        assert.deepEqual(chunks, ['Yia ', 'sou']);
+    });
+});
+
+describe('callTool', () => {
+    const tools = [{
+        name: 'get_menu_items',
+        description: 'Find dishes',
+        parameters: {
+            type: 'object',
+            properties: { query: { type: 'string' }, is_vegan: { type: 'boolean', default: false } },
+            required: ['query']
+        }
+    }];
+
+    test('Gemini declares the tools and reads the function call', async () => {
+        const { fetchImpl, requests } = stubFetch({
+            json: { candidates: [{ content: { parts: [{ functionCall: { name: 'get_menu_items', args: { query: 'fish' } } }] } }] }
+        });
+        const llm = new GeminiProvider({ apiKey: 'key', fetchImpl });
+
+        assert.deepEqual(await llm.callTool('fish?', tools), { name: 'get_menu_items', args: { query: 'fish' } });
+        const [declaration] = requests[0].body.tools[0].functionDeclarations;
+        assert.equal(declaration.name, 'get_menu_items');
+        assert.equal(declaration.parameters.properties.is_vegan.default, undefined);
+        assert.equal(requests[0].body.toolConfig.functionCallingConfig.mode, 'ANY');
+    });
+
+    test('OpenAI-compatible servers get tools and return JSON-string arguments', async () => {
+        const { fetchImpl, requests } = stubFetch({
+            json: { choices: [{ message: { tool_calls: [{ function: { name: 'get_menu_items', arguments: '{"query":"fish"}' } }] } }] }
+        });
+        const llm = new OpenAICompatibleProvider({ fetchImpl });
+
+        assert.deepEqual(await llm.callTool('fish?', tools), { name: 'get_menu_items', args: { query: 'fish' } });
+        assert.equal(requests[0].body.tools[0].type, 'function');
+        assert.equal(requests[0].body.tool_choice, 'required');
+    });
+
+    test('unparseable arguments come back as null args', async () => {
+        const { fetchImpl } = stubFetch({
+            json: { choices: [{ message: { tool_calls: [{ function: { name: 'get_menu_items', arguments: '{"query":' } }] } }] }
+        });
+        const llm = new OpenAICompatibleProvider({ fetchImpl });
+        assert.equal((await llm.callTool('fish?', tools)).args, null);
+    });
+
+    test('the fake answers with a JSON plan that becomes a tool call', async () => {
+        const llm = new FakeLLMProvider({
+            script: [{ match: /fish/, response: '{ "tool_to_call": "get_menu_items", "parameters": { "query": "fish" } }' }]
+        });
+
+        assert.deepEqual(await llm.callTool('fish?', tools), { name: 'get_menu_items', args: { query: 'fish' } });
+        assert.match(llm.calls[0].messages[0].content, /AVAILABLE FUNCTIONS:\nget_menu_items: Find dishes/);
+    });
+
+    test('a text answer is returned without a tool name', async () => {
+        const llm = new FakeLLMProvider({ script: [{ match: /hi/, response: 'Hello!' }] });
+        assert.deepEqual(await llm.callTool('hi', tools), { name: null, text: 'Hello!' });
+    });
+});
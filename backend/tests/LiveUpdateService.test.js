@@ -0,0 +1,126 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import LiveUpdateService from '../services/LiveUpdateService.js';
+import StaffService from '../services/StaffService.js';
+
+/**
+ * LIVE UPDATE TESTS
+ * Which dashboards hear about a change, what the message looks like, and which
+ * sockets are turned away before they can subscribe or dropped once they have.
+ */
+
+const originalGetAccess = StaffService.getAccess;
+after(() => { StaffService.getAccess = originalGetAccess; });
+
+// Stands in for a ws socket: OPEN is readyState 1
+const fakeSocket = (readyState = 1, details = {}) => ({
+    readyState,
+    sent: [],
+    closedWith: null,
+    ...details,
+    send(message) { this.sent.push(JSON.parse(message)); },
+    close(code, reason) { this.closedWith = { code, reason }; }
+});
+
+describe('publish', () => {
+    test('reaches every open dashboard of the restaurant and no other', () => {
+        const host = fakeSocket();
+        const bar = fakeSocket();
+        const otherRestaurant = fakeSocket();
+        LiveUpdateService.subscribe(901, host);
+        LiveUpdateService.subscribe(901, bar);
+        LiveUpdateService.subscribe(902, otherRestaurant);
+
+        try {
+            const sent = LiveUpdateService.publish('901', 'table.status_changed', { table_id: 7, status: 'occupied' });
+
+            assert.equal(sent, 2);
+            assert.equal(otherRestaurant.sent.length, 0);
+            const [message] = host.sent;
+            assert.equal(message.type, 'table.status_changed');
+            assert.equal(message.restaurant_id, 901);
+            assert.deepEqual(message.data, { table_id: 7, status: 'occupied' });
+            assert.ok(!Number.isNaN(Date.parse(message.sent_at)));
+            assert.deepEqual(bar.sent, host.sent);
+        } finally {
+            LiveUpdateService.unsubscribe(901, host);
+            LiveUpdateService.unsubscribe(901, bar);
+            LiveUpdateService.unsubscribe(902, otherRestaurant);
+        }
+    });
+
+    test('skips closing sockets and drops ones that fail to send', () => {
+        const closing = fakeSocket(2);
+        const broken = { readyState: 1, send() { throw new Error('socket hang up'); } };
+        LiveUpdateService.subscribe(903, closing);
+        LiveUpdateService.subscribe(903, broken);
+
+        try {
+            assert.equal(LiveUpdateService.publish(903, 'reservation.created', {}), 0);
+            assert.equal(closing.sent.length, 0);
+            assert.equal(LiveUpdateService.connectionCount(903), 1);
+        } finally {
+            LiveUpdateService.unsubscribe(903, closing);
+        }
+        assert.equal(LiveUpdateService.connectionCount(903), 0);
+    });
+
+    test('with nobody listening it is a no-op', () => {
+        assert.equal(LiveUpdateService.publish(904, 'chat.handoff_requested', { conversation_id: 1 }), 0);
+    });
+});
+
+describe('authorize', () => {
+    test('refuses a socket without a valid access token', async () => {
+        await assert.rejects(LiveUpdateService.authorize(null, 1), { status: 401, message: 'Access token required' });
+        await assert.rejects(LiveUpdateService.authorize('not-a-token', 1), { status: 401 });
+    });
+});
+
+describe('recheckAccess', () => {
+    const now = Date.now();
+    const inMinutes = (minutes) => now + minutes * 60 * 1000;
+
+    test('closes sockets whose token expired or whose account left the staff', async () => {
+        const roles = { 1: 'host', 2: 'manager', 3: 'owner' };
+        const lookups = [];
+        StaffService.getAccess = async (ownerId, restaurantId) => {
+            lookups.push([ownerId, restaurantId]);
+            return roles[ownerId] ? { role: roles[ownerId] } : null;
+        };
+
+        const host = fakeSocket(1, { ownerId: 1, expiresAt: inMinutes(10) });
+        const hostTablet = fakeSocket(1, { ownerId: 1, expiresAt: inMinutes(5) });
+        const expired = fakeSocket(1, { ownerId: 3, expiresAt: inMinutes(-1) });
+        const removed = fakeSocket(1, { ownerId: 4, expiresAt: inMinutes(10) });
+        for (const socket of [host, hostTablet, expired, removed]) {
+            LiveUpdateService.subscribe(905, socket);
+        }
+
+        try {
+            assert.equal(await LiveUpdateService.recheckAccess(now), 2);
+
+            assert.deepEqual(expired.closedWith, { code: 4001, reason: 'Token expired' });
+            assert.deepEqual(removed.closedWith, { code: 4003, reason: 'Access revoked' });
+            assert.equal(host.closedWith, null);
+            assert.equal(hostTablet.closedWith, null);
+            assert.equal(LiveUpdateService.connectionCount(905), 2);
+            // One lookup per account, none for the expired token
+            assert.deepEqual(lookups, [[1, 905], [4, 905]]);
+            assert.equal(LiveUpdateService.publish(905, 'reservation.created', {}), 2);
+        } finally {
+            LiveUpdateService.unsubscribe(905, host);
+            LiveUpdateService.unsubscribe(905, hostTablet);
+        }
+    });
+
+    test('closes sockets of an account whose role no longer opens the dashboard', async () => {
+        StaffService.getAccess = async () => ({ role: 'chef' });
+        const socket = fakeSocket(1, { ownerId: 2, expiresAt: inMinutes(10) });
+        LiveUpdateService.subscribe(906, socket);
+
+        assert.equal(await LiveUpdateService.recheckAccess(now), 1);
+        assert.equal(socket.closedWith.code, 4003);
+        assert.equal(LiveUpdateService.connectionCount(906), 0);
+    });
+});
@@ -0,0 +1,139 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import NotificationService, { NOTIFICATION_TEMPLATES } from '../services/NotificationService.js';
+import { FileTransport, TwilioSmsTransport, createEmailTransport } from '../services/NotificationTransport.js';
+
+/**
+ * NOTIFICATION TESTS
+ * What guests and owners are sent for each booking event, how failed sends are
+ * retried, and the transports that deliver (or record) the messages.
+ */
+
+const variables = {
+    name: 'Maria',
+    restaurant: 'Lofaki',
+    date: 'June 12, 2026',
+    time: '20:30',
+    guests: 4,
+    table_type: 'outdoor',
+    reservation_id: 42,
+    manage_link: 'http://localhost:8080/manage-reservation/42?token=abc',
+    email: 'maria@example.com',
+    phone: '6971234567',
+    restaurant_message: ''
+};
+
+describe('renderNotification', () => {
+    test('every kind has an email, and every guest kind an SMS', () => {
+        const emailOnly = ['owner_new_booking', 'staff_invitation'];
+        for (const kind of Object.keys(NOTIFICATION_TEMPLATES)) {
+            assert.ok(NotificationService.renderNotification(kind, 'email', variables).subject, kind);
+            if (!emailOnly.includes(kind)) {
+                assert.ok(NotificationService.renderNotification(kind, 'sms', variables).text, kind);
+            }
+        }
+        for (const kind of emailOnly) {
+            assert.equal(NotificationService.renderNotification(kind, 'sms', variables), null, kind);
+        }
+    });
+
+    test('the staff invitation names the restaurant, the role and the link', () => {
+        const { subject, text } = NotificationService.renderNotification('staff_invitation', 'email', {
+            ...variables,
+            invited_by: 'Nikos Papadakis',
+            role: 'Host',
+            invite_link: 'http://localhost:5173/accept-invitation?token=abc',
+            expires: 'June 19, 2026'
+        });
+        assert.equal(subject, 'Join Lofaki on TableTurn');
+        assert.match(text, /Nikos Papadakis has invited you/);
+        assert.match(text, /Host/);
+        assert.ok(text.includes('accept-invitation?token=abc'));
+    });
+
+    test('the confirmation carries the booking details and the manage link', () => {
+        const { subject, text } = NotificationService.renderNotification('confirmation', 'email', variables);
+        assert.equal(subject, 'Your table at Lofaki is booked');
+        assert.match(text, /table for 4 at Lofaki on June 12, 2026 at 20:30 is confirmed/);
+        assert.match(text, /#42/);
+        assert.ok(text.includes(variables.manage_link));
+    });
+
+    test('a change shows the previous slot, and missing values render empty', () => {
+        const { text } = NotificationService.renderNotification('modification', 'email', {
+            ...variables,
+            previous_date: 'June 11, 2026',
+            previous_time: '19:00',
+            previous_guests: 2
+        });
+        assert.match(text, /it was for 2 on June 11, 2026 at 19:00/);
+
+        const { text: sms } = NotificationService.renderNotification('reminder_2h', 'sms', { ...variables, guests: null });
+        assert.equal(sms, 'Lofaki: we look forward to seeing you today at 20:30 for .');
+    });
+});
+
+describe('retries', () => {
+    test('wait longer after each failed attempt', () => {
+        assert.deepEqual([1, 2, 3, 4, 5, 9].map(attempts => NotificationService.retryDelayMinutes(attempts)), [1, 5, 15, 60, 60, 60]);
+    });
+});
+
+describe('transports', () => {
+    test('the file transport appends one JSON line per message', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-')), 'sent.log');
+        const transport = new FileTransport('email', { filePath });
+
+        await transport.send({ to: 'maria@example.com', subject: 'Hello', text: 'First' });
+        const { id } = await transport.send({
+            to: 'maria@example.com',
+            subject: 'Hello',
+            text: 'Second',
+            attachments: [{ filename: 'booking.ics', content: 'BEGIN:VCALENDAR', contentType: 'text/calendar' }]
+        });
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(lines.length, 2);
+        assert.equal(lines[1].id, id);
+        assert.deepEqual(
+            { channel: lines[1].channel, to: lines[1].to, subject: lines[1].subject, text: lines[1].text },
+            { channel: 'email', to: 'maria@example.com', subject: 'Hello', text: 'Second' }
+        );
+        assert.deepEqual(lines[0].attachments, []);
+        assert.equal(lines[1].attachments[0].filename, 'booking.ics');
+    });
+
+    test('the Twilio transport posts the message and throws when it is refused', async () => {
+        const requests = [];
+        const fetchImpl = async (url, options) => {
+            requests.push({ url, options });
+            return requests.length === 1
+                ? { ok: true, status: 201, json: async () => ({ sid: 'SM123' }) }
+                : { ok: false, status: 400, json: async () => ({ message: 'Invalid To number' }) };
+        };
+        const transport = new TwilioSmsTransport({ accountSid: 'AC1', authToken: 'secret', from: '+3021000000', fetchImpl });
+
+        assert.deepEqual(await transport.send({ to: '+306971234567', text: 'See you at 20:30' }), { id: 'SM123' });
+        assert.equal(requests[0].url, 'https://api.twilio.com/2010-04-01/Accounts/AC1/Messages.json');
+        assert.equal(
+            new URLSearchParams(requests[0].options.body).toString(),
+            new URLSearchParams({ To: '+306971234567', From: '+3021000000', Body: 'See you at 20:30' }).toString()
+        );
+
+        await assert.rejects(transport.send({ to: '123', text: 'x' }), /status 400: Invalid To number/);
+    });
+
+    test('an unknown transport name is a configuration error', () => {
+        const previous = process.env.EMAIL_TRANSPORT;
+        process.env.EMAIL_TRANSPORT = 'pigeon';
+        try {
+            assert.throws(() => createEmailTransport(), /Unknown EMAIL_TRANSPORT "pigeon"/);
+        } finally {
+            if (previous === undefined) delete process.env.EMAIL_TRANSPORT;
+            else process.env.EMAIL_TRANSPORT = previous;
+        }
+    });
+});
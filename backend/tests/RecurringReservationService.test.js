@@ -0,0 +1,166 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import RestaurantService from '../services/RestaurantService.js';
+import RecurringReservationService, { MAX_OCCURRENCES } from '../services/RecurringReservationService.js';
+
+/**
+ * RECURRING RESERVATION TESTS
+ * Which dates an RRULE-style pattern expands to: weeks run Monday to Sunday, so
+ * INTERVAL=2 means every other calendar week, not every fourteen days from the
+ * start. A series that must be booked in full is taken back without a word to
+ * the guest when one of its dates fails. The database is a fake.
+ */
+
+const originals = {
+    query: db.query,
+    previewSeries: RecurringReservationService.previewSeries,
+    createReservation: RestaurantService.createReservation,
+    cancelReservation: RestaurantService.cancelReservation,
+    log: console.log,
+    error: console.error
+};
+
+const expand = (startDate, recurrence) => RecurringReservationService.expandOccurrences(startDate, recurrence);
+
+before(() => {
+    console.log = () => {};
+    console.error = () => {};
+});
+
+after(() => {
+    db.query = originals.query;
+    RecurringReservationService.previewSeries = originals.previewSeries;
+    RestaurantService.createReservation = originals.createReservation;
+    RestaurantService.cancelReservation = originals.cancelReservation;
+    console.log = originals.log;
+    console.error = originals.error;
+});
+
+describe('parseRecurrence', () => {
+    test('reads UNTIL as a plain date, a basic date or a UTC date-time', () => {
+        for (const until of ['2026-08-16', '20260816', '20260816T000000Z']) {
+            const rule = RecurringReservationService.parseRecurrence(`FREQ=DAILY;UNTIL=${until}`);
+            assert.equal(rule.until, '2026-08-16');
+        }
+    });
+
+    test('accepts an RRULE: prefix and lowercase parts', () => {
+        assert.deepEqual(RecurringReservationService.parseRecurrence('RRULE:freq=weekly;byday=fr;count=6'), {
+            freq: 'WEEKLY',
+            interval: 1,
+            count: 6,
+            until: null,
+            byDay: ['FR']
+        });
+    });
+
+    test('refuses patterns that never end or cannot be read', () => {
+        for (const recurrence of [
+            'FREQ=WEEKLY;BYDAY=FR',
+            'FREQ=MONTHLY;COUNT=3',
+            'FREQ=DAILY;INTERVAL=0;COUNT=3',
+            'FREQ=DAILY;UNTIL=soon',
+            'FREQ=WEEKLY;BYDAY=FRI;COUNT=3',
+            ''
+        ]) {
+            assert.throws(() => RecurringReservationService.parseRecurrence(recurrence), /Invalid recurrence/, recurrence);
+        }
+    });
+});
+
+describe('expandOccurrences', () => {
+    test('repeats a weekly series on the start date\'s weekday', () => {
+        // 2026-06-12 is a Friday
+        assert.deepEqual(expand('2026-06-12', 'FREQ=WEEKLY;UNTIL=2026-07-03'), ['2026-06-12', '2026-06-19', '2026-06-26', '2026-07-03']);
+    });
+
+    test('counts INTERVAL in Monday-to-Sunday weeks', () => {
+        // Friday 12 June is in the week of Monday 8 June; Monday 22 June opens the next week in the series
+        assert.deepEqual(expand('2026-06-12', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4'), ['2026-06-12', '2026-06-22', '2026-06-26', '2026-07-06']);
+
+        // Starting on Sunday 14 June: that week has no Monday or Friday left and the next is skipped
+        assert.deepEqual(expand('2026-06-14', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=4'), ['2026-06-22', '2026-06-26', '2026-07-06', '2026-07-10']);
+    });
+
+    test('keeps only the BYDAY days of a daily series', () => {
+        assert.deepEqual(expand('2026-06-12', 'FREQ=DAILY;BYDAY=SA,SU;COUNT=4'), ['2026-06-13', '2026-06-14', '2026-06-20', '2026-06-21']);
+
+        // Every third day from the start, and only when that falls on a weekend
+        assert.deepEqual(expand('2026-06-12', 'FREQ=DAILY;INTERVAL=3;BYDAY=SA,SU;UNTIL=20260705'), ['2026-06-21', '2026-06-27']);
+    });
+
+    test(`books at most ${MAX_OCCURRENCES} dates at once`, () => {
+        assert.equal(expand('2026-06-01', 'FREQ=DAILY;UNTIL=2026-07-01').length, MAX_OCCURRENCES);
+        assert.throws(() => expand('2026-06-01', 'FREQ=DAILY;UNTIL=2026-07-02'), /at most 31 dates/);
+        assert.throws(() => expand('2026-06-01', `FREQ=DAILY;COUNT=${MAX_OCCURRENCES + 1}`), /at most 31 dates/);
+    });
+
+    test('refuses a start that is not an ISO date or a pattern with no dates', () => {
+        assert.throws(() => expand('June 12', 'FREQ=DAILY;COUNT=2'), /startDate must be a YYYY-MM-DD date/);
+        assert.throws(() => expand('2026-06-12', 'FREQ=DAILY;UNTIL=2026-06-11'), /the pattern has no dates/);
+    });
+});
+
+describe('createSeries', () => {
+    // Statements run against the fake database
+    let queries;
+    // Reservations cancelled through RestaurantService
+    let cancelled;
+
+    beforeEach(() => {
+        queries = [];
+        cancelled = [];
+        db.query = async (sql, params) => {
+            queries.push({ sql: sql.trim().split(/\s+/).slice(0, 3).join(' '), params });
+            return sql.includes('INSERT INTO reservation_series') ? [{ series_id: 7 }] : [];
+        };
+        RecurringReservationService.previewSeries = async () => [
+            { date: '2026-06-12', available: true },
+            { date: '2026-06-19', available: true },
+            { date: '2026-06-26', available: true }
+        ];
+        let booked = 0;
+        RestaurantService.createReservation = async ({ date }) => {
+            if (date === '2026-06-26') throw new Error('No available table found');
+            return { reservation_id: 100 + (++booked), series_id: 7 };
+        };
+        RestaurantService.cancelReservation = async (reservationId) => { cancelled.push(reservationId); };
+    });
+
+    const book = (skipConflicts) => RecurringReservationService.createSeries({
+        venueId: 1,
+        reservationName: 'Maria',
+        reservationEmail: 'maria@example.com',
+        reservationPhone: '6971234567',
+        startDate: '2026-06-12',
+        time: '20:00',
+        guests: 2,
+        tableType: 'standard',
+        recurrence: 'FREQ=WEEKLY;COUNT=3',
+        skipConflicts
+    });
+
+    test('an all-or-nothing series that loses a date is removed quietly', async () => {
+        const { series, reservations, conflicts } = await book(false);
+
+        assert.equal(series, null);
+        assert.deepEqual(reservations, []);
+        assert.deepEqual(conflicts.map(conflict => conflict.date), ['2026-06-26']);
+        // Deleted, not cancelled: no cancellation emails, webhooks or waitlist offers
+        assert.deepEqual(cancelled, []);
+        assert.deepEqual(queries.slice(1), [
+            { sql: 'DELETE FROM reservation', params: [7] },
+            { sql: 'DELETE FROM reservation_series', params: [7] }
+        ]);
+    });
+
+    test('otherwise the free dates stay booked and the lost one is reported', async () => {
+        const { series, reservations, conflicts } = await book(true);
+
+        assert.equal(series.series_id, 7);
+        assert.deepEqual(reservations.map(reservation => reservation.reservation_date_iso), ['2026-06-12', '2026-06-19']);
+        assert.deepEqual(conflicts.map(conflict => conflict.code), ['SLOT_UNAVAILABLE']);
+        assert.equal(queries.length, 1);
+    });
+});
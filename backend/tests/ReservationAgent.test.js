@@ -0,0 +1,239 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import RestaurantService from '../services/RestaurantService.js';
+import DepositService from '../services/DepositService.js';
+import GuardrailService, { GUARD_LIMITS } from '../services/GuardrailService.js';
+import ReservationAgent from '../services/agents/ReservationAgent.js';
+
+/**
+ * RESERVATION AGENT TESTS
+ * The chat tools that find, change and cancel a guest's existing booking: the
+ * guest must give the reservation code with the booking's email or phone, the
+ * booking policy still applies, and a client that keeps guessing is stopped.
+ * The database is a fake that answers by a fragment of the SQL.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'agent-test-secret';
+
+const originals = {
+    query: db.query,
+    updateReservation: RestaurantService.updateReservation,
+    cancelReservation: RestaurantService.cancelReservation,
+    getMaxPartySize: RestaurantService.getMaxPartySize,
+    createReservationWithDeposit: DepositService.createReservationWithDeposit,
+    log: console.log,
+    error: console.error
+};
+
+const agent = new ReservationAgent();
+
+// What the fake database answers, by a fragment of the SQL
+let answers;
+// Changes asked of RestaurantService, e.g. ['cancel 42']
+let changes;
+// A fresh client per test, so failed lookups do not carry over
+let clientId;
+let clients = 0;
+// Dates the booking policy was checked for
+let policyDates;
+
+const booking = (overrides = {}) => ({
+    reservation_id: 42,
+    restaurant_id: 1,
+    reservation_name: 'Maria',
+    reservation_email: 'maria@example.com',
+    reservation_phone: '697 123 4567',
+    reservation_date_iso: '2026-06-12',
+    reservation_time: '20:00:00',
+    guests: 2,
+    table_type: 'standard',
+    status: 'confirmed',
+    ...overrides
+});
+
+before(() => {
+    console.log = () => {};
+    console.error = () => {};
+});
+
+beforeEach(() => {
+    clientId = `test-client-${++clients}`;
+    changes = [];
+    policyDates = [];
+    answers = {
+        'FROM reservation r': [booking()],
+        'FROM booking_policy': [],
+        'as too_soon': [{ too_soon: false, too_far: false, blacked_out: false }]
+    };
+    db.query = async (sql, params) => {
+        if (sql.includes('as too_soon')) policyDates.push(params[0]);
+        const fragment = Object.keys(answers).find(key => sql.includes(key));
+        return fragment ? answers[fragment] : [];
+    };
+    RestaurantService.getMaxPartySize = async () => 12;
+    RestaurantService.updateReservation = async (reservationId, change) => {
+        changes.push(`update ${reservationId} ${change.guests}`);
+        answers['FROM reservation r'] = [booking({ guests: change.guests })];
+    };
+    RestaurantService.cancelReservation = async (reservationId) => {
+        changes.push(`cancel ${reservationId}`);
+        return { status: 'cancelled' };
+    };
+});
+
+after(() => {
+    db.query = originals.query;
+    RestaurantService.updateReservation = originals.updateReservation;
+    RestaurantService.cancelReservation = originals.cancelReservation;
+    RestaurantService.getMaxPartySize = originals.getMaxPartySize;
+    DepositService.createReservationWithDeposit = originals.createReservationWithDeposit;
+    console.log = originals.log;
+    console.error = originals.error;
+});
+
+describe('find_reservation', () => {
+    test('finds a booking by its code and the email or phone it was made with', async () => {
+        const byEmail = await agent.executeFindReservation({ reservationCode: '#42', email: ' Maria@Example.com ' }, 1, clientId);
+        assert.equal(byEmail.success, true);
+        assert.deepEqual(byEmail.reservation, {
+            reservationCode: 42,
+            name: 'Maria',
+            date: '2026-06-12',
+            time: '20:00',
+            partySize: 2,
+            tableType: 'standard',
+            status: 'confirmed'
+        });
+
+        const byPhone = await agent.executeFindReservation({ reservationCode: '42', phone: '6971234567' }, 1, clientId);
+        assert.equal(byPhone.success, true);
+    });
+
+    test('says the same thing for a wrong code, wrong contact details or another restaurant', async () => {
+        const wrongEmail = await agent.executeFindReservation({ reservationCode: '42', email: 'eleni@example.com' }, 1, clientId);
+        const otherRestaurant = await agent.executeFindReservation({ reservationCode: '42', email: 'maria@example.com' }, 2, clientId);
+        answers['FROM reservation r'] = [];
+        const wrongCode = await agent.executeFindReservation({ reservationCode: '43', email: 'maria@example.com' }, 1, clientId);
+
+        for (const result of [wrongEmail, otherRestaurant, wrongCode]) {
+            assert.equal(result.success, false);
+            assert.match(result.error, /could not find a reservation matching/);
+        }
+    });
+
+    test('asks for an email or phone before looking anything up', async () => {
+        const result = await agent.executeFindReservation({ reservationCode: '42' }, 1, clientId);
+        assert.equal(result.success, false);
+        assert.match(result.error, /email or phone number you used/);
+    });
+
+    test('stops looking after too many lookups that matched nothing', async () => {
+        for (let attempt = 0; attempt < GUARD_LIMITS.maxFailedLookups; attempt++) {
+            const result = await agent.executeFindReservation({ reservationCode: String(100 + attempt), email: 'eleni@example.com' }, 1, clientId);
+            assert.equal(result.code, undefined);
+        }
+
+        // Even the right details are refused now, for this client only
+        const blocked = await agent.executeFindReservation({ reservationCode: '42', email: 'maria@example.com' }, 1, clientId);
+        assert.equal(blocked.success, false);
+        assert.equal(blocked.code, 'LOOKUP_LIMIT');
+        assert.equal((await agent.executeFindReservation({ reservationCode: '42', email: 'maria@example.com' }, 1, 'another-client')).success, true);
+
+        // ...until the window has passed
+        const later = Date.now() + (GUARD_LIMITS.lookupWindowMinutes + 1) * 60 * 1000;
+        assert.equal(GuardrailService.lookupsBlocked(clientId, later), false);
+    });
+});
+
+describe('modify_reservation', () => {
+    test('changes the party size of a matching booking and reports before and after', async () => {
+        const result = await agent.executeModifyReservation({ reservationCode: '42', email: 'maria@example.com', partySize: 4 }, 1, clientId);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(changes, ['update 42 4']);
+        assert.equal(result.previous.partySize, 2);
+        assert.equal(result.reservation.partySize, 4);
+    });
+
+    test('changes nothing for a mismatch or a party larger than the restaurant seats', async () => {
+        const mismatch = await agent.executeModifyReservation({ reservationCode: '42', phone: '6900000000', partySize: 4 }, 1, clientId);
+        assert.equal(mismatch.success, false);
+
+        const tooLarge = await agent.executeModifyReservation({ reservationCode: '42', email: 'maria@example.com', partySize: 20 }, 1, clientId);
+        assert.match(tooLarge.error, /up to 12 people/);
+        assert.deepEqual(changes, []);
+    });
+
+    test('refuses a change the booking policy does not allow online', async () => {
+        answers['FROM booking_policy'] = [{ restaurant_id: 1, min_notice_minutes: 0, max_online_party_size: 6, cancellation_deadline_hours: 0, blackout_dates: [] }];
+
+        const result = await agent.executeModifyReservation({ reservationCode: '42', email: 'maria@example.com', partySize: 8 }, 1, clientId);
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'PARTY_TOO_LARGE_FOR_ONLINE');
+        assert.deepEqual(changes, []);
+    });
+});
+
+describe('cancel_reservation', () => {
+    test('cancels a matching booking', async () => {
+        const result = await agent.executeCancelReservation({ reservationCode: '42', email: 'maria@example.com' }, 1, clientId);
+
+        assert.equal(result.success, true);
+        assert.equal(result.reservation.status, 'cancelled');
+        assert.deepEqual(changes, ['cancel 42']);
+    });
+
+    test('leaves a booking past the cancellation deadline alone', async () => {
+        answers['FROM booking_policy'] = [{ restaurant_id: 1, min_notice_minutes: 0, cancellation_deadline_hours: 24, blackout_dates: [] }];
+        answers.past_deadline = [{ past_deadline: true }];
+
+        const result = await agent.executeCancelReservation({ reservationCode: '42', email: 'maria@example.com' }, 1, clientId);
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'CANCELLATION_DEADLINE_PASSED');
+        assert.deepEqual(changes, []);
+    });
+
+    test('a pending hold can always be let go', async () => {
+        answers['FROM reservation r'] = [booking({ status: 'pending' })];
+        answers['FROM booking_policy'] = [{ restaurant_id: 1, cancellation_deadline_hours: 24, blackout_dates: [] }];
+        answers.past_deadline = [{ past_deadline: true }];
+
+        const result = await agent.executeCancelReservation({ reservationCode: '42', phone: '697 123 4567' }, 1, clientId);
+        assert.equal(result.success, true);
+    });
+});
+
+describe('create_reservation', () => {
+    const request = (date) => ({
+        name: 'Maria',
+        email: 'maria@example.com',
+        phone: '6971234567',
+        date,
+        time: '20:00',
+        partySize: 2,
+        tableType: 'standard'
+    });
+
+    test('checks the booking policy for the date the guest wrote, as a calendar date', async () => {
+        DepositService.createReservationWithDeposit = async () => ({ reservation: booking(), deposit: null });
+        const year = new Date().getFullYear();
+
+        const result = await agent.executeCreateReservation(request(`December 30, ${year + 1}`), 1);
+
+        assert.equal(result.success, true);
+        assert.deepEqual(policyDates, [`${year + 1}-12-30`]);
+    });
+
+    test('refuses a date it cannot read before asking the database', async () => {
+        DepositService.createReservationWithDeposit = async () => { throw new Error('should not book'); };
+
+        const result = await agent.executeCreateReservation(request('32/13'), 1);
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /date must be a valid date/);
+        assert.deepEqual(policyDates, []);
+    });
+});
@@ -0,0 +1,261 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import RestaurantService, { findCombinableGroups, pickBestFit, TABLE_COMBINE_MAX_DISTANCE } from '../services/RestaurantService.js';
+import NotificationService from '../services/NotificationService.js';
+import WebhookService from '../services/WebhookService.js';
+import WaitlistService from '../services/WaitlistService.js';
+
+/**
+ * RESTAURANT SERVICE TESTS
+ * Booking and changing reservations against a fake database: once a transaction
+ * has committed, a failing email or webhook must not undo what the guest was told.
+ * A status change only applies from the status it was checked against, so two
+ * requests racing to cancel settle the booking once.
+ * Availability compares the party's stay with the start_at/end_at of other bookings;
+ * the turn-time rules themselves live in SQL and are covered by turn-times.spec.js.
+ * Table assignment picks the tightest single table, or pushes adjacent ones together.
+ */
+
+const originals = {
+    query: db.query,
+    connect: db.connect,
+    reservationConfirmed: NotificationService.reservationConfirmed,
+    reservationModified: NotificationService.reservationModified,
+    reservationCancelled: NotificationService.reservationCancelled,
+    promoteForCancelledReservation: WaitlistService.promoteForCancelledReservation,
+    emit: WebhookService.emit,
+    log: console.log,
+    error: console.error
+};
+
+// Statements run on the transaction client, in order
+let statements;
+// Webhook events queued, e.g. ['reservation.created']
+let emitted;
+
+const reservationRow = {
+    reservation_id: 42,
+    restaurant_id: 1,
+    reservation_name: 'Maria',
+    reservation_email: 'maria@example.com',
+    reservation_phone: '6971234567',
+    reservation_date: '2026-06-12',
+    reservation_date_iso: '2026-06-12',
+    reservation_time: '20:00:00',
+    guests: 2,
+    table_type: 'standard',
+    table_id: 5,
+    combined_table_ids: [],
+    status: 'confirmed'
+};
+
+const fakeClient = {
+    query: async (sql) => {
+        statements.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+        if (sql.includes('table_type_counts')) return { rows: [{ total_tables: 2 }] };
+        if (sql.includes('COUNT(*)')) return { rows: [{ count: '0' }] };
+        if (sql.includes('NOT EXISTS')) return { rows: [{ table_id: 5, capacity: 2, x_coordinate: 0, y_coordinate: 0 }] };
+        if (sql.includes('INSERT INTO reservation')) return { rows: [reservationRow] };
+        if (sql.includes('UPDATE reservation')) return { rows: [{ ...reservationRow, guests: 3 }] };
+        return { rows: [] };
+    },
+    release: () => {}
+};
+
+before(() => {
+    console.log = () => {};
+    console.error = () => {};
+});
+
+beforeEach(() => {
+    statements = [];
+    emitted = [];
+    db.connect = async () => fakeClient;
+    db.query = async (sql) => (sql.includes('FROM reservation r') ? [reservationRow] : []);
+    WebhookService.emit = async (restaurantId, eventType) => { emitted.push(eventType); };
+});
+
+after(() => {
+    Object.assign(db, { query: originals.query, connect: originals.connect });
+    NotificationService.reservationConfirmed = originals.reservationConfirmed;
+    NotificationService.reservationModified = originals.reservationModified;
+    NotificationService.reservationCancelled = originals.reservationCancelled;
+    WaitlistService.promoteForCancelledReservation = originals.promoteForCancelledReservation;
+    WebhookService.emit = originals.emit;
+    console.log = originals.log;
+    console.error = originals.error;
+});
+
+describe('after the commit', () => {
+    test('a new booking stands even when its confirmation cannot be sent', async () => {
+        NotificationService.reservationConfirmed = async () => { throw new Error('SMTP down'); };
+
+        const reservation = await RestaurantService.createReservation({
+            venueId: 1,
+            reservationName: 'Maria',
+            reservationEmail: 'maria@example.com',
+            reservationPhone: '6971234567',
+            date: '2026-06-12',
+            time: '20:00',
+            guests: 2,
+            tableType: 'standard'
+        });
+
+        assert.equal(reservation.reservation_id, 42);
+        assert.ok(statements.includes('COMMIT'));
+        assert.ok(!statements.includes('ROLLBACK'));
+    });
+
+    test('a changed booking stands even when its webhooks fail', async () => {
+        NotificationService.reservationModified = async () => {};
+        WebhookService.emit = async () => { throw new Error('queue unavailable'); };
+
+        const reservation = await RestaurantService.updateReservation(42, { guests: 3 });
+
+        assert.equal(reservation.guests, 3);
+        assert.ok(statements.includes('COMMIT'));
+        assert.ok(!statements.includes('ROLLBACK'));
+    });
+
+    test('a booking that fails before the commit is rolled back and announced nowhere', async () => {
+        NotificationService.reservationConfirmed = async () => { emitted.push('confirmation'); };
+        db.connect = async () => ({
+            ...fakeClient,
+            query: async (sql) => {
+                if (sql.includes('INSERT INTO reservation')) throw new Error('No available table found');
+                return fakeClient.query(sql);
+            }
+        });
+
+        await assert.rejects(RestaurantService.createReservation({
+            venueId: 1, date: '2026-06-12', time: '20:00', guests: 2, tableType: 'standard'
+        }), /No available table found/);
+        assert.ok(statements.includes('ROLLBACK'));
+        assert.deepEqual(emitted, []);
+    });
+});
+
+describe('updateReservationStatus', () => {
+    // The row as the database holds it; the guarded UPDATE only matches its current status
+    let stored;
+
+    beforeEach(() => {
+        stored = { ...reservationRow };
+        db.query = async (sql, params) => {
+            if (sql.includes('FROM reservation r')) return [{ ...stored }];
+            if (sql.includes('UPDATE reservation SET status')) {
+                if (stored.status !== params[2]) return [];
+                stored.status = params[1];
+                return [{ ...stored }];
+            }
+            return [];
+        };
+        NotificationService.reservationCancelled = async () => { emitted.push('cancellation email'); };
+        WaitlistService.promoteForCancelledReservation = async () => { emitted.push('waitlist promoted'); };
+    });
+
+    test('moves the booking on and announces it once', async () => {
+        const updated = await RestaurantService.updateReservationStatus(42, 'cancelled');
+
+        assert.equal(updated.status, 'cancelled');
+        assert.deepEqual(emitted, ['waitlist promoted', 'cancellation email', 'reservation.cancelled']);
+    });
+
+    test('of two cancellations at the same time, only one settles the booking', async () => {
+        const results = await Promise.allSettled([
+            RestaurantService.updateReservationStatus(42, 'cancelled'),
+            RestaurantService.updateReservationStatus(42, 'cancelled')
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        const refused = results.find(result => result.status === 'rejected');
+        assert.match(refused.reason.message, /Invalid status transition from cancelled to cancelled/);
+        assert.deepEqual(emitted, ['waitlist promoted', 'cancellation email', 'reservation.cancelled']);
+    });
+});
+
+describe('isTableAvailable', () => {
+    const check = (busyTables, seen) => {
+        db.query = async (sql, params) => {
+            if (sql.includes('table_type_counts')) return [{ total_tables: 3 }];
+            seen.push({ sql, params });
+            return [{ count: String(busyTables) }];
+        };
+        return RestaurantService.isTableAvailable({
+            venueId: 1,
+            tableType: 'grass',
+            reservationDate: '2026-06-12',
+            reservationTime: '20:00',
+            guests: 5,
+            excludeReservationId: 42
+        });
+    };
+
+    test('checks the stay the party would have against existing start_at/end_at intervals', async () => {
+        const seen = [];
+        assert.equal(await check(2, seen), true);
+
+        const [{ sql, params }] = seen;
+        assert.deepEqual(params, [1, 'grass', '2026-06-12 20:00', 5, 42]);
+        // Half-open intervals: a stay may start exactly when another ends
+        assert.match(sql, /r\.start_at < \$3::timestamp \+ make_interval\(mins => get_turn_time_minutes\(\$1, \$4, \$2, \$3::time\)\)/);
+        assert.match(sql, /r\.end_at > \$3::timestamp/);
+    });
+
+    test('is false once every table of the type is busy during the stay', async () => {
+        assert.equal(await check(3, []), false);
+    });
+});
+
+describe('table assignment', () => {
+    const table = (tableId, capacity, x, y = 0) => ({ table_id: tableId, capacity, x_coordinate: x, y_coordinate: y });
+
+    test('the tightest single table wins', () => {
+        const tables = [table(1, 8, 0), table(2, 4, 500), table(3, 6, 1000), table(4, 4, 1500)];
+
+        assert.deepEqual(pickBestFit(tables, 4), { tableId: 2, combinedTableIds: [], capacity: 4 });
+        assert.deepEqual(pickBestFit(tables, 5), { tableId: 3, combinedTableIds: [], capacity: 6 });
+    });
+
+    test('two adjacent 4-tops seat a party of 7, the larger or lower-numbered one holding the booking', () => {
+        const tables = [table(5, 4, 0), table(3, 4, 150), table(9, 2, 1000)];
+
+        assert.deepEqual(pickBestFit(tables, 7), { tableId: 3, combinedTableIds: [5], capacity: 8 });
+    });
+
+    test('prefers the group with the fewest spare seats, then the fewest tables', () => {
+        // 4 + 4 would leave two seats empty; 4 + 2 seats six exactly
+        const pairs = [table(1, 4, 0), table(2, 4, 150), table(3, 2, 300)];
+        assert.deepEqual(pickBestFit(pairs, 6), { tableId: 2, combinedTableIds: [3], capacity: 6 });
+
+        // 4 + 2 and 2 + 2 + 2 both seat six exactly; two tables are less to move than three
+        const row = [table(1, 4, 0), table(2, 2, 150), table(3, 2, 300), table(4, 2, 450)];
+        assert.deepEqual(pickBestFit(row, 6), { tableId: 1, combinedTableIds: [2], capacity: 6 });
+    });
+
+    test('tables further apart than the adjacency limit are never combined', () => {
+        const apart = [table(1, 4, 0), table(2, 4, TABLE_COMBINE_MAX_DISTANCE + 1)];
+        const touching = [table(1, 4, 0), table(2, 4, TABLE_COMBINE_MAX_DISTANCE)];
+
+        assert.deepEqual(findCombinableGroups(apart), []);
+        assert.equal(pickBestFit(apart, 7), null);
+        assert.equal(findCombinableGroups(touching).length, 1);
+        assert.deepEqual(pickBestFit(touching, 7), { tableId: 1, combinedTableIds: [2], capacity: 8 });
+    });
+
+    test('groups grow through neighbours up to three tables', () => {
+        // A row of four tables, each 150 from the next: 1-2-3-4
+        const row = [table(1, 2, 0), table(2, 2, 150), table(3, 2, 300), table(4, 2, 450)];
+        const groups = findCombinableGroups(row).map(group => group.map(t => t.table_id).sort().join(','));
+
+        assert.deepEqual(groups.sort(), ['1,2', '1,2,3', '2,3', '2,3,4', '3,4']);
+        assert.deepEqual(pickBestFit(row, 6), { tableId: 1, combinedTableIds: [2, 3], capacity: 6 });
+        assert.equal(pickBestFit(row, 7), null);
+    });
+
+    test('is null when nothing fits or no table is free', () => {
+        assert.equal(pickBestFit([table(1, 2, 0), table(2, 2, 100)], 5), null);
+        assert.equal(pickBestFit([], 2), null);
+    });
+});
@@ -0,0 +1,121 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import { MemorySessionStore, PostgresSessionStore, SessionConflictError } from '../services/SessionStore.js';
+
+/**
+ * SESSION STORE TESTS
+ * Chat sessions expire after their TTL, and a save only succeeds against the
+ * version it loaded, so two requests in the same chat cannot overwrite each other.
+ * Both stores are run through the same cases; the Postgres one against a fake
+ * chat_session table that answers its statements the way the database would.
+ */
+
+// Stand-in for the chat_session table; expiresAt is in ms
+const table = new Map();
+const minutesFromNow = (minutes) => Date.now() + minutes * 60 * 1000;
+
+const fakeQuery = async (sql, params = []) => {
+    const [sessionId] = params;
+    const row = table.get(sessionId);
+    const live = row && row.expiresAt > Date.now();
+
+    if (sql.includes('SELECT state, version')) {
+        return live ? [{ state: JSON.parse(JSON.stringify(row.state)), version: row.version }] : [];
+    }
+    if (sql.includes('INSERT INTO chat_session')) {
+        // ON CONFLICT ... WHERE chat_session.expires_at <= NOW()
+        if (live) return [];
+        table.set(sessionId, { state: JSON.parse(params[1]), version: 1, expiresAt: minutesFromNow(params[2]) });
+        return [{ version: 1 }];
+    }
+    if (sql.includes('UPDATE chat_session')) {
+        if (!live || row.version !== params[2]) return [];
+        table.set(sessionId, { state: JSON.parse(params[1]), version: row.version + 1, expiresAt: minutesFromNow(params[3]) });
+        return [{ version: row.version + 1 }];
+    }
+    if (sql.includes('expires_at <= NOW()')) {
+        const expired = [...table].filter(([, entry]) => entry.expiresAt <= Date.now()).map(([id]) => id);
+        expired.forEach(id => table.delete(id));
+        return expired.map(id => ({ session_id: id }));
+    }
+    if (sql.includes('DELETE FROM chat_session')) {
+        table.delete(sessionId);
+        return [];
+    }
+    throw new Error(`Unexpected statement: ${sql}`);
+};
+
+const originalQuery = db.query;
+before(() => { db.query = fakeQuery; });
+after(() => { db.query = originalQuery; });
+
+const stores = [
+    {
+        name: 'MemorySessionStore',
+        create: () => new MemorySessionStore({ ttlMinutes: 30 }),
+        expire: (store, sessionId) => { store.sessions.get(sessionId).expiresAt = Date.now() - 1; }
+    },
+    {
+        name: 'PostgresSessionStore',
+        create: () => { table.clear(); return new PostgresSessionStore({ ttlMinutes: 30 }); },
+        expire: (store, sessionId) => { table.get(sessionId).expiresAt = Date.now() - 1; }
+    }
+];
+
+for (const { name, create, expire } of stores) {
+    describe(name, () => {
+        test('hands back what was saved, with the next version', async () => {
+            const store = create();
+            assert.equal(await store.get('chat-1'), null);
+
+            assert.equal(await store.save('chat-1', { step: 'date', guests: 4 }, 0), 1);
+            assert.deepEqual(await store.get('chat-1'), { state: { step: 'date', guests: 4 }, version: 1 });
+
+            assert.equal(await store.save('chat-1', { step: 'time', guests: 4 }, 1), 2);
+            assert.deepEqual(await store.get('chat-1'), { state: { step: 'time', guests: 4 }, version: 2 });
+        });
+
+        test('refuses a save from a request that loaded an older version', async () => {
+            const store = create();
+            await store.save('chat-2', { step: 'date' }, 0);
+            await store.save('chat-2', { step: 'time' }, 1);
+
+            await assert.rejects(store.save('chat-2', { step: 'stale' }, 1), SessionConflictError);
+            // Two first messages in a new chat: only one creates the session
+            await assert.rejects(store.save('chat-2', { step: 'new' }, 0), { code: 'SESSION_CONFLICT' });
+            assert.deepEqual((await store.get('chat-2')).state, { step: 'time' });
+        });
+
+        test('forgets a session after its TTL', async () => {
+            const store = create();
+            await store.save('chat-3', { step: 'date' }, 0);
+            expire(store, 'chat-3');
+
+            assert.equal(await store.get('chat-3'), null);
+            // The request that loaded it before it expired can no longer save it
+            await assert.rejects(store.save('chat-3', { step: 'time' }, 1), SessionConflictError);
+        });
+
+        test('starts again at version 0 over an expired session', async () => {
+            const store = create();
+            await store.save('chat-4', { step: 'date' }, 0);
+            await store.save('chat-4', { step: 'time' }, 1);
+            expire(store, 'chat-4');
+
+            assert.equal(await store.save('chat-4', { step: 'fresh' }, 0), 1);
+            assert.deepEqual(await store.get('chat-4'), { state: { step: 'fresh' }, version: 1 });
+        });
+
+        test('purges expired sessions and deletes on request', async () => {
+            const store = create();
+            await store.save('chat-5', {}, 0);
+            await store.save('chat-6', {}, 0);
+            expire(store, 'chat-5');
+
+            assert.equal(await store.purgeExpired(), 1);
+            await store.delete('chat-6');
+            assert.equal(await store.get('chat-6'), null);
+        });
+    });
+}
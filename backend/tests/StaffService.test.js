@@ -0,0 +1,172 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../config/database.js';
+import StaffService, { STAFF_ROLES, PERMISSIONS } from '../services/StaffService.js';
+import AuthService from '../services/AuthService.js';
+import NotificationService from '../services/NotificationService.js';
+
+/**
+ * STAFF TESTS
+ * What each role may do at its restaurant, and the invitations that add people
+ * to a restaurant's staff. Accepting runs against a fake database that holds one
+ * pending invitation and, per test, the account that already uses its email.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'staff-test-secret';
+
+const originals = {
+    query: db.query,
+    connect: db.connect,
+    staffInvited: NotificationService.staffInvited
+};
+
+// The owners row with the invited email, if any
+let account;
+// Statements run inside the accept transaction
+let statements;
+// What the invitation email was sent with
+let emailed;
+
+const invitationRow = {
+    invitation_id: 17,
+    restaurant_id: 3,
+    email: 'eleni@example.com',
+    role: 'host',
+    status: 'pending',
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    restaurant_name: 'Lofaki Taverna',
+    has_account: false
+};
+
+beforeEach(() => {
+    account = null;
+    statements = [];
+    emailed = null;
+    db.query = async (sql) => (sql.includes('FROM staff_invitation i') ? [invitationRow] : []);
+    db.connect = async () => ({
+        query: async (sql, params = []) => {
+            statements.push({ sql, params });
+            if (sql.includes('FROM owners')) return { rows: account ? [account] : [] };
+            if (sql.includes('INSERT INTO owners')) return { rows: [{ id: 99 }] };
+            if (sql.includes('INSERT INTO staff_invitation')) {
+                return { rows: [{ ...invitationRow, email: params[1], role: params[2] }] };
+            }
+            if (sql.includes("SET status = 'accepted'")) return { rows: [{ invitation_id: 17 }] };
+            return { rows: [] };
+        },
+        release: () => {}
+    });
+    NotificationService.staffInvited = async (invitation, details) => { emailed = details; };
+});
+
+after(() => {
+    db.query = originals.query;
+    db.connect = originals.connect;
+    NotificationService.staffInvited = originals.staffInvited;
+});
+
+const token = () => new URL(StaffService.invitationLink(17)).searchParams.get('token');
+
+describe('permissions', () => {
+    test('owners can do everything at their restaurant', () => {
+        assert.deepEqual(StaffService.permissionsFor('owner'), Object.keys(PERMISSIONS));
+    });
+
+    test('managers run the restaurant but cannot change its staff', () => {
+        assert.ok(StaffService.can('manager', 'settings.manage'));
+        assert.ok(StaffService.can('manager', 'analytics.view'));
+        assert.equal(StaffService.can('manager', 'staff.manage'), false);
+    });
+
+    test('hosts work the floor without analytics or settings', () => {
+        assert.deepEqual(StaffService.permissionsFor('host'), [
+            'dashboard.view', 'reservations.manage', 'tables.manage', 'chat.respond'
+        ]);
+    });
+
+    test('accountants only read', () => {
+        assert.deepEqual(StaffService.permissionsFor('accountant'), ['dashboard.view', 'analytics.view']);
+    });
+
+    test('platform admins have every permission, no role has none', () => {
+        assert.deepEqual(StaffService.permissionsFor('admin'), Object.keys(PERMISSIONS));
+        assert.deepEqual(StaffService.permissionsFor(null), []);
+        assert.equal(StaffService.can('host', 'no.such.permission'), false);
+    });
+
+    test('every role a permission names is a staff role', () => {
+        for (const roles of Object.values(PERMISSIONS)) {
+            for (const role of roles) {
+                assert.ok(STAFF_ROLES[role], role);
+            }
+        }
+    });
+});
+
+describe('invitations', () => {
+    test('only staff roles can be given', () => {
+        assert.equal(StaffService.validateRole('host'), 'host');
+        assert.throws(() => StaffService.validateRole('admin'), /role must be one of owner, manager, host, accountant/);
+        assert.throws(() => StaffService.validateRole(undefined), /role must/);
+    });
+
+    test('a bad email or role is refused before anything is saved', async () => {
+        await assert.rejects(StaffService.inviteStaff(1, { email: 'not-an-email', role: 'host' }, 1), /email must/);
+        await assert.rejects(StaffService.inviteStaff(1, { email: 'eleni@example.com', role: 'chef' }, 1), /role must/);
+    });
+
+    test('the link token carries the invitation and nothing else opens it', () => {
+        const link = StaffService.invitationLink(17);
+        assert.match(link, /\/accept-invitation\?token=/);
+        const token = new URL(link).searchParams.get('token');
+        assert.equal(AuthService.verifyStaffInvitationToken(token), 17);
+
+        const waitlistToken = AuthService.generateWaitlistToken(17);
+        assert.throws(() => AuthService.verifyStaffInvitationToken(waitlistToken), /Invalid invitation token/);
+    });
+});
+
+describe('accepting an invitation', () => {
+    test('the link goes out by email only, not back to whoever invited', async () => {
+        const result = await StaffService.inviteStaff(3, { email: 'Eleni@Example.com', role: 'host' }, 1);
+
+        assert.deepEqual(Object.keys(result), ['invitation']);
+        assert.equal(result.invitation.email, 'eleni@example.com');
+        assert.match(emailed.link, /\/accept-invitation\?token=/);
+    });
+
+    test('a password account proves itself with its password', async () => {
+        account = { id: 5, password: await AuthService.hashPassword('secret123'), oauth_provider: 'local' };
+
+        await assert.rejects(StaffService.acceptInvitation(token(), { password: 'wrong-one' }), /Invalid credentials/);
+
+        const accepted = await StaffService.acceptInvitation(token(), { password: 'secret123' });
+        assert.equal(accepted.ownerId, 5);
+        assert.equal(accepted.passwordChecked, true);
+    });
+
+    test('a Google or Facebook account must be signed in as itself', async () => {
+        account = { id: 6, password: null, oauth_provider: 'google' };
+
+        await assert.rejects(StaffService.acceptInvitation(token(), {}), /Sign in to accept this invitation/);
+        await assert.rejects(StaffService.acceptInvitation(token(), {}, 7), /Sign in to accept this invitation/);
+
+        const accepted = await StaffService.acceptInvitation(token(), {}, 6);
+        assert.equal(accepted.ownerId, 6);
+        assert.equal(accepted.passwordChecked, false);
+        assert.ok(statements.some(({ sql }) => sql.includes('INSERT INTO restaurant_staff')));
+    });
+
+    test('a new account is created unverified and not signed in', async () => {
+        await assert.rejects(
+            StaffService.acceptInvitation(token(), { password: 'secret123', firstName: 'Eleni' }),
+            /firstName and lastName must/
+        );
+
+        const accepted = await StaffService.acceptInvitation(token(), { password: 'secret123', firstName: 'Eleni', lastName: 'K' });
+        assert.equal(accepted.ownerId, 99);
+        assert.equal(accepted.passwordChecked, false);
+        const insert = statements.find(({ sql }) => sql.includes('INSERT INTO owners'));
+        assert.doesNotMatch(insert.sql, /email_verified/);
+    });
+});
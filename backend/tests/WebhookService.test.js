@@ -0,0 +1,202 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import db from '../config/database.js';
+import WebhookService, { WEBHOOK_EVENTS, isPublicAddress } from '../services/WebhookService.js';
+
+/**
+ * WEBHOOK TESTS
+ * What a receiver gets and how it checks the signature, which subscriptions are
+ * accepted, and how long failed deliveries wait before the next try. Host names
+ * resolve through a fake lookup, so nothing here needs DNS.
+ */
+
+// Host name -> the addresses the fake DNS answers with
+const DNS = {
+    'pos.example.com': ['93.184.216.34'],
+    'example.com': ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'],
+    'intranet.example.com': ['10.0.0.12'],
+    'rebound.example.com': ['93.184.216.34', '127.0.0.1']
+};
+const lookupImpl = async (hostname) => {
+    if (!DNS[hostname]) throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+    return DNS[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+};
+
+describe('signatures', () => {
+    test('a receiver can verify the body with its secret', () => {
+        const secret = WebhookService.generateSecret();
+        const body = JSON.stringify({ id: 'evt_1', type: 'reservation.created' });
+        const header = WebhookService.sign(secret, 1781000000, body);
+
+        const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+        const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+        assert.equal(t, '1781000000');
+        assert.ok(crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)));
+    });
+
+    test('another secret or a changed body gives another signature', () => {
+        const body = '{"id":"evt_1"}';
+        const signature = WebhookService.sign('whsec_a', 1781000000, body);
+        assert.notEqual(WebhookService.sign('whsec_b', 1781000000, body), signature);
+        assert.notEqual(WebhookService.sign('whsec_a', 1781000000, '{"id":"evt_2"}'), signature);
+    });
+
+    test('secrets are random and recognisable', () => {
+        const secret = WebhookService.generateSecret();
+        assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+        assert.notEqual(WebhookService.generateSecret(), secret);
+    });
+});
+
+describe('validateSubscription', () => {
+    test('accepts an http(s) url and known events, without duplicates', async () => {
+        assert.deepEqual(
+            await WebhookService.validateSubscription({
+                url: 'https://pos.example.com/hooks',
+                events: ['reservation.created', 'reservation.created', 'waitlist.promoted']
+            }, { lookupImpl }),
+            { url: 'https://pos.example.com/hooks', events: ['reservation.created', 'waitlist.promoted'] }
+        );
+    });
+
+    test('rejects bad urls and unknown or missing events', async () => {
+        const events = Object.keys(WEBHOOK_EVENTS);
+        const validate = (subscription) => WebhookService.validateSubscription(subscription, { lookupImpl });
+        await assert.rejects(validate({ url: 'not a url', events }), /url must/);
+        await assert.rejects(validate({ url: 'ftp://example.com', events }), /url must/);
+        await assert.rejects(validate({ url: 'https://example.com', events: [] }), /events must/);
+        await assert.rejects(
+            validate({ url: 'https://example.com', events: ['reservation.eaten'] }),
+            /events must .*got reservation.eaten/
+        );
+    });
+
+    test('rejects receivers on this server or the private network', async () => {
+        const events = ['reservation.created'];
+        const validate = (url) => WebhookService.validateSubscription({ url, events }, { lookupImpl });
+        for (const url of [
+            'http://127.0.0.1:9/hooks',
+            'http://2130706433/hooks',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/hooks',
+            'http://[::ffff:10.0.0.1]/hooks',
+            'https://intranet.example.com/hooks',
+            'https://rebound.example.com/hooks'
+        ]) {
+            await assert.rejects(validate(url), /url must point to a public address/, url);
+        }
+        await assert.rejects(validate('https://nowhere.example.com/hooks'), /url must have a host name that resolves/);
+    });
+
+    test('tells public addresses from private ones', () => {
+        assert.ok(isPublicAddress('93.184.216.34'));
+        assert.ok(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946'));
+        for (const address of ['10.1.2.3', '172.20.0.1', '192.168.1.10', '100.64.0.1', '0.0.0.0', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost']) {
+            assert.equal(isPublicAddress(address), false, address);
+        }
+    });
+
+    test('treats IPv6 addresses that carry an IPv4 address as private', () => {
+        // 6to4 and NAT64 for 127.0.0.1 and 10.0.0.1, and a Teredo address
+        for (const address of ['2002:7f00:1::', '2002:a00:1::1', '64:ff9b::7f00:1', '64:ff9b:1::a00:1', '2001:0:4136:e378:8000:63bf:3fff:fdd2']) {
+            assert.equal(isPublicAddress(address), false, address);
+        }
+        assert.ok(isPublicAddress('2001:4860:4860::8888'));
+    });
+});
+
+describe('events', () => {
+    test('carry an id, the type, the restaurant and the data', () => {
+        const event = WebhookService.buildEvent('table.status_changed', 3, { table_id: 7, status: 'occupied' }, {
+            id: 'evt_fixed',
+            createdAt: new Date(Date.UTC(2026, 5, 12, 18, 0))
+        });
+        assert.deepEqual(event, {
+            id: 'evt_fixed',
+            type: 'table.status_changed',
+            created_at: '2026-06-12T18:00:00.000Z',
+            restaurant_id: 3,
+            data: { table_id: 7, status: 'occupied' }
+        });
+    });
+
+    test('describe a reservation with its local date and HH:MM time', () => {
+        const data = WebhookService.reservationData({
+            reservation_id: 42,
+            status: 'confirmed',
+            reservation_name: 'Maria',
+            reservation_email: 'maria@example.com',
+            reservation_phone: '6971234567',
+            reservation_date: new Date(2026, 5, 12),
+            reservation_time: '20:30:00',
+            guests: 4,
+            table_type: 'outdoor',
+            table_id: 7,
+            combined_table_ids: [],
+            celebration_type: 'birthday',
+            cake: true,
+            flowers: null
+        });
+        assert.equal(data.date, '2026-06-12');
+        assert.equal(data.time, '20:30');
+        assert.equal(data.flowers, false);
+        assert.equal(data.series_id, null);
+    });
+});
+
+describe('retries', () => {
+    test('back off from a minute to six hours', () => {
+        assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempts => WebhookService.retryDelayMinutes(attempts)), [1, 5, 30, 120, 360, 360]);
+    });
+});
+
+describe('deliver', () => {
+    // Statements the delivery ran, for the status it saved
+    let statements;
+    const originalQuery = db.query;
+    before(() => {
+        db.query = async (sql, params) => { statements.push({ sql, params }); return []; };
+    });
+    after(() => { db.query = originalQuery; });
+
+    const delivery = (overrides = {}) => ({
+        delivery_id: 5,
+        event_type: 'reservation.created',
+        payload: { id: 'evt_1' },
+        url: 'https://pos.example.com/hooks',
+        secret: 'whsec_a',
+        attempts: 1,
+        max_attempts: 1,
+        ...overrides
+    });
+
+    test('keeps the status code, never the body, and does not follow redirects', async () => {
+        statements = [];
+        let options;
+        const fetchImpl = async (url, init) => {
+            options = init;
+            return { ok: true, status: 202, text: async () => 'internal details' };
+        };
+
+        assert.equal(await WebhookService.deliver(delivery(), { fetchImpl, lookupImpl }), 'delivered');
+        assert.equal(options.redirect, 'manual');
+        assert.deepEqual(statements[0].params, [5, 202]);
+        assert.doesNotMatch(statements[0].sql, /response_body/);
+
+        statements = [];
+        const redirect = async () => ({ ok: false, status: 302, text: async () => '' });
+        assert.equal(await WebhookService.deliver(delivery(), { fetchImpl: redirect, lookupImpl }), 'failed');
+        assert.deepEqual(statements[0].params, [5, 302, 'Receiver answered 302']);
+    });
+
+    test('does not send to a host that now resolves to a private address', async () => {
+        statements = [];
+        let called = false;
+        const fetchImpl = async () => { called = true; };
+
+        assert.equal(await WebhookService.deliver(delivery({ url: 'https://intranet.example.com/hooks' }), { fetchImpl, lookupImpl }), 'failed');
+        assert.equal(called, false);
+        assert.match(statements[0].params[2], /url must point to a public address/);
+    });
+});
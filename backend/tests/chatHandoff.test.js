@@ -0,0 +1,218 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import db from '../config/database.js';
+import chatRoutes from '../routes/chat.js';
+import AgentOrchestrator from '../services/agents/AgentOrchestrator.js';
+import LiveUpdateService from '../services/LiveUpdateService.js';
+
+/**
+ * CHAT HANDOFF TESTS
+ * A guest who asks for a person is queued for the staff; while staff hold the
+ * conversation the guest's messages go to them and Tablio stays quiet, on the JSON
+ * and the streaming route alike. A guest who closes the chat mid-reply is still
+ * queued. Real HTTP against the chat routes, with a fake database and orchestrator.
+ */
+
+const originals = {
+    query: db.query,
+    connect: db.connect,
+    processMessage: AgentOrchestrator.prototype.processMessage,
+    publish: LiveUpdateService.publish,
+    log: console.log,
+    error: console.error
+};
+let server;
+let baseUrl;
+
+// Statements run against the fake database, e.g. { sql: 'INSERT INTO chat_message', params }
+let statements;
+// The handoff row getHandoff finds for the session, or null when Tablio is answering
+let handoffRow;
+// Messages the orchestrator was asked to answer
+let answered;
+// Live updates sent to the dashboard, e.g. ['chat.handoff_requested']
+let published;
+// Errors the routes logged
+let errors;
+
+const SESSION_ID = 'guest-session-1';
+
+const record = (sql, params) => {
+    statements.push({ sql: sql.trim().split(/\s+/).slice(0, 3).join(' '), params });
+};
+
+const handoffResult = {
+    response: "I've asked a member of our team to join this chat.",
+    type: 'handoff',
+    handoff: { status: 'requested', reason: 'Guest wants to talk about an allergy' },
+    orchestrator: { finalAgent: 'support', toolCalls: [{ agent: 'support', tool: 'request_human', success: true }] }
+};
+
+before(async () => {
+    console.log = () => {};
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/chat', chatRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+    statements = [];
+    handoffRow = null;
+    answered = [];
+    published = [];
+    errors = [];
+    console.error = (...args) => { errors.push(args.join(' ')); };
+
+    db.query = async (sql, params) => {
+        record(sql, params);
+        if (sql.includes('handoff_status IS NOT NULL')) return handoffRow ? [handoffRow] : [];
+        if (sql.includes("m.sender = 'staff'")) {
+            return [{ message_id: 12, text: 'Hi, this is Eleni. Which allergy?', staff_name: 'Eleni', created_at: '2026-06-12T18:00:00Z' }];
+        }
+        return [];
+    };
+    db.connect = async () => ({
+        query: async (sql, params) => {
+            record(sql, params);
+            if (sql.includes('INSERT INTO chat_conversation')) return { rows: [{ conversation_id: 5 }] };
+            if (sql.includes("SET handoff_status = 'requested'")) return { rows: [{ conversation_id: 5 }] };
+            return { rows: [] };
+        },
+        release: () => {}
+    });
+    LiveUpdateService.publish = (restaurantId, type) => { published.push(type); };
+    AgentOrchestrator.prototype.processMessage = async (message) => {
+        answered.push(message);
+        return handoffResult;
+    };
+});
+
+after(async () => {
+    Object.assign(db, { query: originals.query, connect: originals.connect });
+    AgentOrchestrator.prototype.processMessage = originals.processMessage;
+    LiveUpdateService.publish = originals.publish;
+    console.log = originals.log;
+    console.error = originals.error;
+    await new Promise(resolve => server.close(resolve));
+});
+
+const post = (path, body, options = {}) => fetch(`${baseUrl}/api/chat${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    ...options
+});
+
+// The transcript is written after the reply has gone out
+const until = async (condition) => {
+    for (let waited = 0; !condition(); waited += 5) {
+        if (waited > 1000) throw new Error('timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+const committed = () => statements.some(({ sql }) => sql === 'COMMIT');
+
+describe('entering a handoff', () => {
+    test('queues the conversation for staff with the guest\'s reason', async () => {
+        const res = await post('', { message: 'Can I speak to someone?', restaurantId: 1, sessionId: SESSION_ID });
+        const data = await res.json();
+
+        assert.equal(data.type, 'handoff');
+        assert.deepEqual(data.handoff, handoffResult.handoff);
+
+        await until(committed);
+        const queued = statements.find(({ sql }) => sql === 'UPDATE chat_conversation SET');
+        assert.deepEqual(queued.params, [5, 'Guest wants to talk about an allergy']);
+        assert.deepEqual(published, ['chat.handoff_requested']);
+    });
+
+    test('a conversation already with staff is not queued twice', async () => {
+        db.connect = async () => ({
+            query: async (sql, params) => {
+                record(sql, params);
+                return { rows: sql.includes('INSERT INTO chat_conversation') ? [{ conversation_id: 5 }] : [] };
+            },
+            release: () => {}
+        });
+
+        await (await post('', { message: 'Hello?', restaurantId: 1, sessionId: SESSION_ID })).json();
+
+        await until(committed);
+        assert.deepEqual(published, []);
+    });
+});
+
+describe('while staff hold the conversation', () => {
+    beforeEach(() => {
+        handoffRow = { conversation_id: 5, handoff_status: 'active', staff_name: 'Eleni' };
+    });
+
+    test('the guest\'s message goes to the staff and Tablio stays quiet', async () => {
+        const res = await post('', { message: 'It is a nut allergy', restaurantId: 1, sessionId: SESSION_ID });
+        const data = await res.json();
+
+        assert.equal(data.response, null);
+        assert.equal(data.type, 'handoff');
+        assert.deepEqual(data.handoff, { status: 'active', staffName: 'Eleni' });
+        assert.deepEqual(answered, []);
+
+        const saved = statements.find(({ sql }) => sql === 'INSERT INTO chat_message');
+        assert.deepEqual(saved.params, [5, 'It is a nut allergy']);
+    });
+
+    test('the streaming route passes it on the same way in a single done event', async () => {
+        const body = await (await post('/stream', { message: 'It is a nut allergy', restaurantId: 1, sessionId: SESSION_ID })).text();
+
+        const [frame, ...rest] = body.split('\n\n').filter(Boolean);
+        assert.deepEqual(rest, []);
+        assert.match(frame, /^event: done\n/);
+        assert.equal(JSON.parse(frame.split('\ndata: ')[1]).handoff.staffName, 'Eleni');
+        assert.deepEqual(answered, []);
+    });
+
+    test('the guest\'s window picks up the staff replies', async () => {
+        const res = await fetch(`${baseUrl}/api/chat/session/${SESSION_ID}/staff?restaurantId=1&after=11`);
+        const data = await res.json();
+
+        assert.deepEqual(data.handoff, { conversationId: 5, status: 'active', staffName: 'Eleni' });
+        assert.deepEqual(data.messages.map(message => message.text), ['Hi, this is Eleni. Which allergy?']);
+        assert.deepEqual(statements.find(({ sql }) => sql === "SELECT m.message_id, m.text,").params, [SESSION_ID, 1, 11]);
+    });
+
+    test('without a session the guest is answered by Tablio', async () => {
+        await (await post('', { message: 'When do you open?', restaurantId: 1 })).json();
+
+        assert.deepEqual(answered, ['When do you open?']);
+    });
+});
+
+describe('the guest leaving during the stream', () => {
+    test('the reply is finished and the handoff still reaches the staff', async () => {
+        let finished;
+        const replyDone = new Promise(resolve => { finished = resolve; });
+        AgentOrchestrator.prototype.processMessage = async (message, history, restaurantId, sessionId, onEvent) => {
+            onEvent('token', { text: "I've asked " });
+            // The guest closes the chat while the rest is still being written
+            await new Promise(resolve => setTimeout(resolve, 50));
+            onEvent('token', { text: 'a member of our team to join this chat.' });
+            finished();
+            return handoffResult;
+        };
+
+        const controller = new AbortController();
+        const res = await post('/stream', { message: 'Can I speak to someone?', restaurantId: 1, sessionId: SESSION_ID }, { signal: controller.signal });
+        const { value } = await res.body.getReader().read();
+        assert.match(new TextDecoder().decode(value), /^event: token\n/);
+        controller.abort();
+
+        await replyDone;
+        await until(committed);
+        assert.deepEqual(published, ['chat.handoff_requested']);
+        assert.deepEqual(errors, []);
+    });
+});
@@ -0,0 +1,91 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import chatRoutes from '../routes/chat.js';
+import AgentOrchestrator from '../services/agents/AgentOrchestrator.js';
+
+/**
+ * CHAT STREAM TESTS
+ * POST /api/chat/stream over a real HTTP connection: the guest reads progress,
+ * the reply in chunks and the final result from the Server-Sent Events body.
+ * The orchestrator is replaced so no model is called.
+ */
+
+const originals = {
+    processMessage: AgentOrchestrator.prototype.processMessage,
+    log: console.log,
+    error: console.error
+};
+let server;
+let baseUrl;
+
+before(async () => {
+    // The route logs every message; keep the test runner's output to its own report
+    console.log = () => {};
+    console.error = () => {};
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/chat', chatRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    AgentOrchestrator.prototype.processMessage = originals.processMessage;
+    console.log = originals.log;
+    console.error = originals.error;
+    await new Promise(resolve => server.close(resolve));
+});
+
+const parseEvents = (body) => body.split('\n\n').filter(Boolean).map(frame => {
+    const [eventLine, dataLine] = frame.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+const postStream = (body) => fetch(`${baseUrl}/api/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+    body: JSON.stringify(body)
+});
+
+describe('POST /api/chat/stream', () => {
+    test('streams the agents\' events and ends with the full result', async () => {
+        AgentOrchestrator.prototype.processMessage = async (message, history, restaurantId, sessionId, onEvent) => {
+            // Long enough that the request body has been read and closed meanwhile
+            await new Promise(resolve => setTimeout(resolve, 20));
+            onEvent('agent', { agent: 'info' });
+            onEvent('token', { text: 'We open ' });
+            onEvent('token', { text: 'at 18:00.' });
+            return { response: 'We open at 18:00.', type: 'text' };
+        };
+
+        const res = await postStream({ message: 'When do you open?' });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+        const events = parseEvents(await res.text());
+        assert.deepEqual(events.map(({ event }) => event), ['agent', 'token', 'token', 'done']);
+        assert.equal(events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join(''), 'We open at 18:00.');
+
+        const done = events.at(-1).data;
+        assert.equal(done.response, 'We open at 18:00.');
+        assert.equal(done.multiAgent, true);
+        assert.ok(done.timestamp);
+    });
+
+    test('reports a failure as an error event', async () => {
+        AgentOrchestrator.prototype.processMessage = async () => {
+            throw new Error('model unavailable');
+        };
+
+        const events = parseEvents(await (await postStream({ message: 'Hello' })).text());
+        assert.deepEqual(events, [{ event: 'error', data: { error: 'Failed to get AI response' } }]);
+    });
+
+    test('needs a message', async () => {
+        const res = await postStream({});
+        assert.equal(res.status, 400);
+    });
+});
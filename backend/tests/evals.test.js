@@ -0,0 +1,119 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * AGENT EVAL TESTS
+ * Every golden conversation in evals/conversations is replayed on the fake
+ * provider and must pass; the checks the runner relies on are tested first.
+ * The database and the embedding model are replaced so the run is the same on
+ * every machine: conversations that need reservation rows are skipped here and
+ * checked by npm run eval against a real database.
+ */
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.SESSION_STORE = 'memory';
+const {
+    EvalRunner,
+    loadConversations,
+    resolveTemplates,
+    matchesExpected,
+    recordLLMCalls,
+    createReplay
+} = await import('../evals/EvalRunner.js');
+const { FakeLLMProvider } = await import('../services/LLMProvider.js');
+const { default: db } = await import('../config/database.js');
+const { default: EmbeddingService } = await import('../services/EmbeddingService.js');
+
+const originals = {
+    query: db.query,
+    execute: db.execute,
+    connect: db.connect,
+    log: console.log,
+    warn: console.warn,
+    error: console.error
+};
+
+before(() => {
+    // Every statement fails the way an unreachable database does; the agents
+    // already answer around that
+    const unavailable = async () => { throw new Error('No database in the eval tests'); };
+    db.query = unavailable;
+    db.execute = unavailable;
+    db.connect = unavailable;
+    // Semantic search gets a fixed vector instead of calling Gemini
+    EmbeddingService.generateEmbedding = async () => new Array(EmbeddingService.embeddingDimensions).fill(0);
+
+    // The agents log every step; keep the test runner's output to its own report
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+});
+
+after(() => {
+    Object.assign(db, { query: originals.query, execute: originals.execute, connect: originals.connect });
+    // The fake shadows the real method on the EmbeddingService instance
+    delete EmbeddingService.generateEmbedding;
+    Object.assign(console, { log: originals.log, warn: originals.warn, error: originals.error });
+});
+
+describe('eval checks', () => {
+    test('date placeholders resolve from today', () => {
+        assert.deepEqual(
+            resolveTemplates({ date: '{{date+7}}', turns: ['{{today}} or {{tomorrow}}'] }, '2026-12-28'),
+            { date: '2027-01-04', turns: ['2026-12-28 or 2026-12-29'] }
+        );
+    });
+
+    test('expected objects match on the keys they list', () => {
+        assert.ok(matchesExpected({ partySize: 4 }, { partySize: 4, time: '20:00' }));
+        assert.ok(!matchesExpected({ partySize: 4 }, { partySize: 5 }));
+        assert.ok(!matchesExpected(['MenuPricingAgent'], ['MenuPricingAgent', 'RestaurantInfoAgent']));
+    });
+
+    test('database values match their plain JSON form', () => {
+        assert.ok(matchesExpected('20:00', '20:00:00'));
+        assert.ok(matchesExpected(45, '45.00'));
+        assert.ok(matchesExpected('2026-12-20', new Date(2026, 11, 20)));
+        assert.ok(!matchesExpected('2026-12-21', new Date(2026, 11, 20)));
+    });
+
+    test('recorded responses replay in the order they were asked', async () => {
+        const live = new FakeLLMProvider({
+            script: [
+                { match: /menu/, response: '{ "tool_to_call": "get_menu_items", "parameters": { "query": "fish" } }' },
+                { match: /thanks/, response: 'You are welcome!' }
+            ],
+            includeDefaults: false
+        });
+        const tools = [{ name: 'get_menu_items', description: 'Find dishes', parameters: { type: 'object', properties: {} } }];
+
+        const recorder = recordLLMCalls(live);
+        await live.callTool('menu please', tools);
+        await live.generateText('thanks');
+        recorder.stop();
+        assert.deepEqual(recorder.exchanges.map(exchange => exchange.method), ['callTool', 'generateText']);
+
+        const replay = createReplay(recorder.exchanges);
+        const replayed = new FakeLLMProvider({ script: [replay.rule], includeDefaults: false });
+        assert.deepEqual(await replayed.callTool('anything', tools), { name: 'get_menu_items', args: { query: 'fish' } });
+        assert.equal(await replayed.generateText('anything'), 'You are welcome!');
+        assert.equal(replay.remaining.length, 0);
+    });
+});
+
+describe('golden conversations', async () => {
+    const runner = new EvalRunner();
+
+    for (const conversation of loadConversations()) {
+        test(conversation.id, async (t) => {
+            const result = await runner.runConversation(conversation);
+            if (result.status === 'skipped') {
+                t.skip(result.reason);
+                return;
+            }
+
+            const failed = [...result.turns.flatMap(turn => turn.checks), ...result.checks].filter(item => !item.passed);
+            assert.deepEqual(failed, []);
+        });
+    }
+});
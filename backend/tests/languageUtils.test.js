@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import LanguageUtils from '../utils/languageUtils.js';
+
+/**
+ * LANGUAGE TESTS
+ * Detection, text folding and the dish glossary used by menu search.
+ */
+
+describe('detectLanguage', () => {
+    test('recognises each supported chat language', () => {
+        assert.equal(LanguageUtils.detectLanguage('Θέλουμε ένα τραπέζι αύριο στις 9'), 'el');
+        assert.equal(LanguageUtils.detectLanguage('Can we book a table for 4 tomorrow?'), 'en');
+        assert.equal(LanguageUtils.detectLanguage('Wir möchten einen Tisch für 4 Personen'), 'de');
+        assert.equal(LanguageUtils.detectLanguage('Vorrei prenotare un tavolo per stasera'), 'it');
+        assert.equal(LanguageUtils.detectLanguage('Je voudrais réserver une table pour ce soir'), 'fr');
+    });
+
+    test('returns null when a reply is too short to tell', () => {
+        assert.equal(LanguageUtils.detectLanguage('4'), null);
+        assert.equal(LanguageUtils.detectLanguage('ok'), null);
+        assert.equal(LanguageUtils.detectLanguage('anna@example.com'), null);
+    });
+});
+
+describe('text folding', () => {
+    test('normalize drops accents, punctuation and the final sigma', () => {
+        assert.equal(LanguageUtils.normalize('Παρασκευή βράδυ!'), 'παρασκευη βραδυ');
+        assert.equal(LanguageUtils.normalize('Μουσακάς'), 'μουσακασ');
+        assert.equal(LanguageUtils.normalize("Côtelettes d'agneau"), 'cotelettes d agneau');
+    });
+
+    test('transliterate writes Greek dish names in Latin letters', () => {
+        assert.equal(LanguageUtils.transliterate('Κλέφτικο'), 'kleftiko');
+        assert.equal(LanguageUtils.transliterate('Ντολμάδες'), 'dolmades');
+        assert.equal(LanguageUtils.transliterate('Τζατζίκι'), 'tzatziki');
+    });
+});
+
+describe('menu glossary', () => {
+    test('finds every name of a dish mentioned in any language', () => {
+        const terms = LanguageUtils.expandMenuTerms('Έχετε μουσακά;');
+        assert.ok(terms.includes('moussaka'));
+        assert.ok(terms.includes('μουσακασ'));
+    });
+
+    test('gives the English names of translated dishes', () => {
+        assert.deepEqual(LanguageUtils.toEnglishMenuTerms('Habt ihr Oktopus?'), ['octopus']);
+        assert.deepEqual(LanguageUtils.toEnglishMenuTerms('Avete piatti senza glutine?'), ['gluten-free']);
+        assert.deepEqual(LanguageUtils.toEnglishMenuTerms('What time do you open?'), []);
+    });
+});
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import TimezoneUtils from '../utils/timezoneUtils.js';
+
+/**
+ * DATE AND TIME PARSING TESTS
+ * Guests write dates and times in Greek, English, German, Italian and French.
+ */
+
+const weekdayOf = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+describe('parseUserDate', () => {
+    test('understands "tomorrow" in every supported language', () => {
+        const tomorrow = TimezoneUtils.getTomorrowAthensDate();
+        for (const input of ['αύριο στις 9', 'tomorrow at 8pm', 'morgen um 20 Uhr', 'domani alle 21', 'demain à 20h']) {
+            assert.equal(TimezoneUtils.parseUserDate(input), tomorrow, input);
+        }
+    });
+
+    test('reads weekday names inside a sentence', () => {
+        for (const input of ['Παρασκευή βράδυ', 'this Friday', 'am Freitag', 'venerdì sera', 'vendredi soir']) {
+            const date = TimezoneUtils.parseUserDate(input);
+            assert.equal(weekdayOf(date), 5, input);
+        }
+    });
+
+    test('reads day and month names, including Greek genitive months', () => {
+        assert.match(TimezoneUtils.parseUserDate('20 Δεκεμβρίου'), /-12-20$/);
+        assert.match(TimezoneUtils.parseUserDate('am 20. Dezember'), /-12-20$/);
+        assert.match(TimezoneUtils.parseUserDate('August 3rd'), /-08-03$/);
+    });
+
+    test('does not mistake "après-demain" for "demain"', () => {
+        const today = new Date(`${TimezoneUtils.getCurrentAthensDate()}T12:00:00Z`);
+        const expected = new Date(today.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        assert.equal(TimezoneUtils.parseUserDate('après-demain'), expected);
+    });
+});
+
+describe('parseUserTime', () => {
+    test('reads "at" in every supported language', () => {
+        assert.equal(TimezoneUtils.parseUserTime('αύριο στις 9'), '21:00');
+        assert.equal(TimezoneUtils.parseUserTime('um 20 Uhr'), '20:00');
+        assert.equal(TimezoneUtils.parseUserTime('alle 21:30'), '21:30');
+        assert.equal(TimezoneUtils.parseUserTime('à 20h30'), '20:30');
+    });
+
+    test('uses the part of the day to place the hour', () => {
+        assert.equal(TimezoneUtils.parseUserTime('στις 9 το πρωί'), '09:00');
+        assert.equal(TimezoneUtils.parseUserTime('στις 2 το μεσημέρι'), '14:00');
+        assert.equal(TimezoneUtils.parseUserTime('stasera alle 8'), '20:00');
+    });
+
+    test('leaves a part of the day without an hour to the agent', () => {
+        assert.equal(TimezoneUtils.parseUserTime('Παρασκευή βράδυ'), null);
+    });
+});
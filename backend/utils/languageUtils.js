@@ -0,0 +1,207 @@
+/**
+ * Language utilities for AICHMI system
+ * Detects the language a guest writes in and folds Greek, German, Italian and
+ * French text so it can be matched against English keywords and menu names
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = {
+    el: 'Greek',
+    en: 'English',
+    de: 'German',
+    it: 'Italian',
+    fr: 'French'
+};
+
+// Common words per language (accent-free, lowercase). Greek is detected by its script.
+const LANGUAGE_HINTS = {
+    en: [
+        'the', 'and', 'is', 'are', 'you', 'your', 'have', 'what', 'when', 'do', 'can', 'please', 'with',
+        'at', 'my', 'we', 'book', 'people', 'tomorrow', 'tonight', 'today', 'hi', 'hello', 'thanks',
+        'thank', 'yes', 'no', 'want', 'would', 'like', 'menu', 'of', 'for'
+    ],
+    de: [
+        'und', 'der', 'die', 'das', 'ist', 'ich', 'wir', 'sie', 'ein', 'einen', 'tisch', 'fur', 'haben',
+        'habt', 'morgen', 'heute', 'bitte', 'personen', 'uhr', 'um', 'mit', 'gibt', 'es', 'hallo', 'guten',
+        'abend', 'danke', 'ja', 'nein', 'mochte', 'mochten', 'reservieren', 'speisekarte'
+    ],
+    it: [
+        'il', 'di', 'un', 'una', 'per', 'sono', 'siamo', 'tavolo', 'avete', 'domani', 'stasera', 'oggi',
+        'persone', 'alle', 'grazie', 'ciao', 'buonasera', 'buongiorno', 'vorrei', 'prenotare', 'con',
+        'che', 'si', 'menu', 'piatti'
+    ],
+    fr: [
+        'le', 'les', 'et', 'est', 'je', 'nous', 'vous', 'une', 'pour', 'avez', 'demain', 'ce', 'soir',
+        'aujourd', 'personnes', 'merci', 'bonjour', 'bonsoir', 'voudrais', 'reserver', 'avec', 'des',
+        'du', 'oui', 'carte', 'plats'
+    ]
+};
+
+// Letters that only show up in one of the Latin-script languages
+const LANGUAGE_LETTERS = {
+    de: /[äöüß]/,
+    fr: /[çéèêëœ]/,
+    it: /[ìò]/
+};
+
+const GREEK_LETTER = /[\u0370-\u03ff\u1f00-\u1fff]/g;
+
+const GREEK_DIGRAPHS = [
+    ['ου', 'ou'], ['μπ', 'b'], ['ντ', 'd'], ['γκ', 'g'], ['γγ', 'ng'], ['τσ', 'ts'], ['τζ', 'tz']
+];
+
+const GREEK_LETTERS = {
+    α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+    ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+/**
+ * Dish and ingredient names guests use in each language. The first entry of a
+ * group is the English name menus and embeddings are most likely to use.
+ */
+const MENU_GLOSSARY = [
+    ['moussaka', 'μουσακάς', 'μουσακά'],
+    ['souvlaki', 'σουβλάκι', 'σουβλάκια'],
+    ['gyros', 'γύρος', 'γύρο', 'gyro'],
+    ['tzatziki', 'τζατζίκι'],
+    ['greek salad', 'χωριάτικη', 'horiatiki', 'griechischer salat', 'insalata greca', 'salade grecque'],
+    ['spanakopita', 'σπανακόπιτα', 'spinach pie'],
+    ['tiropita', 'τυρόπιτα', 'cheese pie'],
+    ['dolmades', 'ντολμάδες', 'ντολμαδάκια', 'dolmadakia', 'stuffed vine leaves'],
+    ['pastitsio', 'παστίτσιο'],
+    ['kleftiko', 'κλέφτικο'],
+    ['stifado', 'στιφάδο'],
+    ['gemista', 'γεμιστά', 'stuffed tomatoes'],
+    ['keftedes', 'κεφτέδες', 'κεφτεδάκια', 'meatballs', 'frikadellen', 'polpette', 'boulettes'],
+    ['saganaki', 'σαγανάκι'],
+    ['fava', 'φάβα'],
+    ['horta', 'χόρτα', 'greens'],
+    ['baklava', 'μπακλαβάς'],
+    ['loukoumades', 'λουκουμάδες'],
+    ['galaktoboureko', 'γαλακτομπούρεκο'],
+    ['feta', 'φέτα'],
+    ['octopus', 'χταπόδι', 'oktopus', 'krake', 'polpo', 'poulpe'],
+    ['calamari', 'καλαμάρι', 'καλαμαράκια', 'squid', 'tintenfisch', 'calamars'],
+    ['shrimp', 'γαρίδες', 'γαρίδα', 'prawns', 'garnelen', 'gamberi', 'crevettes'],
+    ['sea bass', 'λαβράκι', 'wolfsbarsch', 'branzino', 'spigola', 'loup de mer'],
+    ['sea bream', 'τσιπούρα', 'dorade', 'orata', 'daurade'],
+    ['seafood', 'θαλασσινά', 'meeresfrüchte', 'frutti di mare', 'fruits de mer'],
+    ['fish', 'ψάρι', 'ψάρια', 'fisch', 'pesce', 'poisson'],
+    ['lamb chops', 'παϊδάκια', 'lammkoteletts', 'costolette di agnello', "côtelettes d'agneau"],
+    ['lamb', 'αρνί', 'αρνάκι', 'lamm', 'agnello', 'agneau'],
+    ['chicken', 'κοτόπουλο', 'hähnchen', 'huhn', 'pollo', 'poulet'],
+    ['pork', 'χοιρινό', 'schwein', 'maiale', 'porc'],
+    ['beef', 'μοσχάρι', 'rind', 'manzo', 'boeuf'],
+    ['salad', 'σαλάτα', 'salat', 'insalata', 'salade'],
+    ['cheese', 'τυρί', 'käse', 'formaggio', 'fromage'],
+    ['bread', 'ψωμί', 'brot', 'pane', 'pain'],
+    ['wine', 'κρασί', 'wein', 'vino', 'vin'],
+    ['dessert', 'γλυκό', 'γλυκά', 'επιδόρπιο', 'nachtisch', 'dolce', 'dolci'],
+    ['vegetarian', 'χορτοφαγικό', 'χορτοφαγικά', 'vegetarisch', 'vegetariano', 'végétarien'],
+    ['vegan', 'vegano', 'végétalien'],
+    ['gluten-free', 'χωρίς γλουτένη', 'glutenfrei', 'senza glutine', 'sans gluten']
+];
+
+export class LanguageUtils {
+    /**
+     * Lowercase, drop accents and punctuation, and collapse whitespace
+     * ("Παρασκευή βράδυ!" -> "παρασκευη βραδυ")
+     */
+    static normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ς/g, 'σ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Check whether a phrase appears as whole words in normalized text
+     */
+    static containsPhrase(normalizedText, phrase) {
+        return ` ${normalizedText} `.includes(` ${phrase} `);
+    }
+
+    /**
+     * Detect the language of a guest message.
+     * Returns a SUPPORTED_LANGUAGES code, or null when the message is too short
+     * or ambiguous to tell ("4", "ok", an email address).
+     */
+    static detectLanguage(text) {
+        const raw = String(text || '').toLowerCase();
+        const letters = raw.replace(/[^\p{L}]/gu, '');
+        if (!letters) return null;
+
+        const greekLetters = (raw.match(GREEK_LETTER) || []).length;
+        if (greekLetters / letters.length >= 0.3) return 'el';
+
+        const words = this.normalize(raw).split(' ');
+        const scores = {};
+        for (const [language, hints] of Object.entries(LANGUAGE_HINTS)) {
+            scores[language] = words.filter(word => hints.includes(word)).length;
+        }
+        for (const [language, pattern] of Object.entries(LANGUAGE_LETTERS)) {
+            if (pattern.test(raw)) scores[language] += 2;
+        }
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const [[best, bestScore], [, runnerUpScore]] = ranked;
+        if (bestScore === 0 || bestScore === runnerUpScore) return null;
+        return best;
+    }
+
+    /**
+     * English name of a language code, used in prompts ("Reply in Greek")
+     */
+    static getLanguageName(code) {
+        return SUPPORTED_LANGUAGES[code] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+    }
+
+    /**
+     * Write Greek text in Latin letters so "Κλέφτικο" matches "kleftiko"
+     */
+    static transliterate(text) {
+        let result = this.normalize(text);
+        for (const [greek, latin] of GREEK_DIGRAPHS) {
+            result = result.split(greek).join(latin);
+        }
+        return result.replace(/[α-ω]/g, letter => GREEK_LETTERS[letter] || letter);
+    }
+
+    /**
+     * Find the glossary dishes mentioned in a query.
+     * Returns every name of each dish found (normalized), so both Greek and
+     * English menu entries can be matched.
+     */
+    static expandMenuTerms(query) {
+        const normalizedQuery = this.normalize(query);
+        const transliteratedQuery = this.transliterate(query);
+        const terms = new Set();
+
+        for (const group of MENU_GLOSSARY) {
+            const variants = group.map(name => this.normalize(name));
+            const mentioned = variants.some(variant =>
+                this.containsPhrase(normalizedQuery, variant) || this.containsPhrase(transliteratedQuery, variant)
+            );
+            if (mentioned) variants.forEach(variant => terms.add(variant));
+        }
+
+        return [...terms];
+    }
+
+    /**
+     * English names of the glossary dishes mentioned in a query
+     * ("έχετε μουσακά;" -> ['moussaka'])
+     */
+    static toEnglishMenuTerms(query) {
+        const mentioned = new Set(this.expandMenuTerms(query));
+        return MENU_GLOSSARY
+            .filter(group => mentioned.has(this.normalize(group[0])))
+            .map(group => group[0]);
+    }
+}
+
+export default LanguageUtils;
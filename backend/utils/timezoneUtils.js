@@ -5,9 +5,58 @@
 
 import { formatInTimeZone, fromZonedTime, toZonedTime } from 'date-fns-tz';
 import { parseISO, addDays, addWeeks, startOfDay, endOfDay, parse } from 'date-fns';
+import LanguageUtils from './languageUtils.js';
 
 const ATHENS_TIMEZONE = 'Europe/Athens';
 
+// Relative day phrases in every supported chat language, as days from today.
+// All names are written the way LanguageUtils.normalize leaves them: no accents, final ς as σ.
+const RELATIVE_DAY_OFFSETS = {
+    'today': 0, 'tonight': 0, 'σημερα': 0, 'αποψε': 0, 'heute': 0, 'oggi': 0, 'stasera': 0,
+    'aujourd hui': 0, 'ce soir': 0,
+    'tomorrow': 1, 'αυριο': 1, 'morgen': 1, 'domani': 1, 'demain': 1,
+    'day after tomorrow': 2, 'μεθαυριο': 2, 'ubermorgen': 2, 'dopodomani': 2, 'apres demain': 2,
+    'next week': 7, 'την επομενη εβδομαδα': 7, 'nachste woche': 7, 'la prossima settimana': 7,
+    'la semaine prochaine': 7
+};
+
+// Weekday names by Date#getDay() index
+const WEEKDAY_NAMES = [
+    ['sunday', 'κυριακη', 'sonntag', 'domenica', 'dimanche'],
+    ['monday', 'δευτερα', 'montag', 'lunedi', 'lundi'],
+    ['tuesday', 'τριτη', 'dienstag', 'martedi', 'mardi'],
+    ['wednesday', 'τεταρτη', 'mittwoch', 'mercoledi', 'mercredi'],
+    ['thursday', 'πεμπτη', 'donnerstag', 'giovedi', 'jeudi'],
+    ['friday', 'παρασκευη', 'freitag', 'venerdi', 'vendredi'],
+    ['saturday', 'σαββατο', 'samstag', 'sabato', 'samedi']
+];
+
+// Month names by index; Greek dates use the genitive ("20 Δεκεμβρίου")
+const MONTH_NAMES = [
+    ['january', 'ιανουαριου', 'ιανουαριοσ', 'januar', 'gennaio', 'janvier'],
+    ['february', 'φεβρουαριου', 'φεβρουαριοσ', 'februar', 'febbraio', 'fevrier'],
+    ['march', 'μαρτιου', 'μαρτιοσ', 'marz', 'marzo', 'mars'],
+    ['april', 'απριλιου', 'απριλιοσ', 'aprile', 'avril'],
+    ['may', 'μαιου', 'μαιοσ', 'mai', 'maggio'],
+    ['june', 'ιουνιου', 'ιουνιοσ', 'juni', 'giugno', 'juin'],
+    ['july', 'ιουλιου', 'ιουλιοσ', 'juli', 'luglio', 'juillet'],
+    ['august', 'αυγουστου', 'αυγουστοσ', 'agosto', 'aout'],
+    ['september', 'σεπτεμβριου', 'σεπτεμβριοσ', 'settembre', 'septembre'],
+    ['october', 'οκτωβριου', 'οκτωβριοσ', 'oktober', 'ottobre', 'octobre'],
+    ['november', 'νοεμβριου', 'νοεμβριοσ', 'novembre'],
+    ['december', 'δεκεμβριου', 'δεκεμβριοσ', 'dezember', 'dicembre', 'decembre']
+];
+
+// Parts of the day that settle whether "9" means 09:00 or 21:00
+const DAY_PERIODS = {
+    pm: [
+        'evening', 'afternoon', 'night', 'tonight', 'βραδυ', 'αποψε', 'απογευμα', 'νυχτα',
+        'abend', 'abends', 'nachmittag', 'nachmittags', 'sera', 'stasera', 'pomeriggio', 'soir', 'apres midi'
+    ],
+    am: ['morning', 'πρωι', 'morgens', 'vormittag', 'vormittags', 'mattina', 'matin'],
+    noon: ['noon', 'lunch', 'μεσημερι', 'mittag', 'mittags', 'pranzo', 'midi']
+};
+
 export class TimezoneUtils {
     /**
      * Get current date/time in Athens timezone
@@ -40,37 +89,23 @@ export class TimezoneUtils {
     }
 
     /**
-     * Get date for relative terms (today, tomorrow, next week, etc.)
+     * Get date for relative terms (today, tomorrow, next week, weekday names, etc.)
+     * in any supported chat language ("αύριο", "Freitag", "stasera")
      */
     static getRelativeDate(relativeTerm) {
-        const today = this.getCurrentAthensTime();
-        const lowerTerm = relativeTerm.toLowerCase();
+        const term = LanguageUtils.normalize(relativeTerm);
+
+        if (term in RELATIVE_DAY_OFFSETS) {
+            const today = this.getCurrentAthensTime();
+            return formatInTimeZone(addDays(today, RELATIVE_DAY_OFFSETS[term]), ATHENS_TIMEZONE, 'yyyy-MM-dd');
+        }
 
-        switch (lowerTerm) {
-            case 'today':
-            case 'tonight':
-                return formatInTimeZone(today, ATHENS_TIMEZONE, 'yyyy-MM-dd');
-            case 'tomorrow':
-                return formatInTimeZone(addDays(today, 1), ATHENS_TIMEZONE, 'yyyy-MM-dd');
-            case 'next week':
-                return formatInTimeZone(addWeeks(today, 1), ATHENS_TIMEZONE, 'yyyy-MM-dd');
-            case 'monday':
-                return this.getNextWeekday(1); // Monday
-            case 'tuesday':
-                return this.getNextWeekday(2); // Tuesday
-            case 'wednesday':
-                return this.getNextWeekday(3); // Wednesday
-            case 'thursday':
-                return this.getNextWeekday(4); // Thursday
-            case 'friday':
-                return this.getNextWeekday(5); // Friday
-            case 'saturday':
-                return this.getNextWeekday(6); // Saturday
-            case 'sunday':
-                return this.getNextWeekday(0); // Sunday
-            default:
-                return null;
+        const weekday = WEEKDAY_NAMES.findIndex(names => names.includes(term));
+        if (weekday !== -1) {
+            return this.getNextWeekday(weekday);
         }
+
+        return null;
     }
 
     /**
@@ -208,10 +243,12 @@ export class TimezoneUtils {
     }
 
     /**
-     * Parse user date input and convert to YYYY-MM-DD format
+     * Parse user date input and convert to YYYY-MM-DD format.
+     * Understands whole sentences in Greek, English, German, Italian and French
+     * ("αύριο στις 9", "Παρασκευή βράδυ", "am 20. Dezember").
      */
     static parseUserDate(userInput) {
-        const input = userInput.toLowerCase().trim();
+        const input = LanguageUtils.normalize(userInput);
         
         // Handle relative terms
         const relativeDate = this.getRelativeDate(input);
@@ -219,20 +256,17 @@ export class TimezoneUtils {
             return relativeDate;
         }
         
-        // Handle "3 august", "august 3", "3rd august" patterns
-        const monthNames = [
-            'january', 'february', 'march', 'april', 'may', 'june',
-            'july', 'august', 'september', 'october', 'november', 'december'
-        ];
-        
-        // Pattern: "3 august" or "august 3"
-        const datePattern = /(\d{1,2})(?:st|nd|rd|th)?\s+(january|february|march|april|may|june|july|august|september|october|november|december)|(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2})(?:st|nd|rd|th)?/i;
+        // Pattern: "3 august", "august 3", "3rd august", "20 δεκεμβριου", "20 dezember"
+        const monthPattern = MONTH_NAMES.flat().join('|');
+        const datePattern = new RegExp(
+            `(?:^| )(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${monthPattern})(?= |$)|(?:^| )(${monthPattern}) (\\d{1,2})(?:st|nd|rd|th)?(?= |$)`
+        );
         const match = input.match(datePattern);
         
         if (match) {
             const day = match[1] || match[4];
             const month = match[2] || match[3];
-            const monthIndex = monthNames.indexOf(month.toLowerCase());
+            const monthIndex = MONTH_NAMES.findIndex(names => names.includes(month));
             
             if (monthIndex !== -1 && day) {
                 const currentYear = parseInt(this.getCurrentYear());
@@ -251,6 +285,29 @@ export class TimezoneUtils {
             }
         }
         
+        // Relative terms and weekday names inside a sentence; longer phrases first
+        // so "apres demain" is not read as "demain"
+        const relativeTerms = [...Object.keys(RELATIVE_DAY_OFFSETS), ...WEEKDAY_NAMES.flat()]
+            .sort((a, b) => b.length - a.length);
+        const term = relativeTerms.find(candidate => LanguageUtils.containsPhrase(input, candidate));
+        if (term) {
+            return this.getRelativeDate(term);
+        }
+        
+        return null;
+    }
+
+    /**
+     * Find the part of the day a message mentions ("το βράδυ", "am Abend")
+     * Returns 'am', 'pm', 'noon' or null
+     */
+    static getDayPeriod(userInput) {
+        const input = LanguageUtils.normalize(userInput);
+        for (const [period, phrases] of Object.entries(DAY_PERIODS)) {
+            if (phrases.some(phrase => LanguageUtils.containsPhrase(input, phrase))) {
+                return period;
+            }
+        }
         return null;
     }
 
@@ -266,10 +323,14 @@ export class TimezoneUtils {
         const timePatterns = [
             // Pattern 1: Explicit pm/am (highest priority)
             /(\d{1,2})(?::(\d{2}))?\s*(pm|am)/i,
-            // Pattern 2: "at" followed by time
-            /at\s+(\d{1,2})(?::(\d{2}))?(?:\s*(pm|am))?/i,
-            // Pattern 3: o'clock
-            /(\d{1,2})\s*o'?clock/i
+            // Pattern 2: "at" followed by time, in any supported language ("στις 9", "um 20", "alle 21", "à 20h30")
+            /(?:\bat|στις|\bum|\balle|à)\s+(\d{1,2})(?:[:.h](\d{2}))?(?:\s*(pm|am))?/i,
+            // Pattern 3: o'clock / Uhr
+            /(\d{1,2})(?::(\d{2}))?\s*(?:o'?clock|uhr)/i,
+            // Pattern 4: French "20h" / "20h30"
+            /(\d{1,2})h(\d{2})?(?![a-z])/i,
+            // Pattern 5: 24-hour "21:30"
+            /(\d{1,2}):(\d{2})/
         ];
         
         for (const pattern of timePatterns) {
@@ -279,15 +340,22 @@ export class TimezoneUtils {
             if (match) {
                 let hour = parseInt(match[1]);
                 const minute = match[2] || '00';
-                const period = match[3]?.toLowerCase();
+                const period = match[3]?.toLowerCase() || this.getDayPeriod(input);
                 console.log('🔍 DEBUG parsed components:', { hour, minute, period });
                 
-                // Handle 12-hour to 24-hour conversion
-                if (period === 'pm' && hour !== 12) {
+                // Handle 12-hour to 24-hour conversion ("21:30" is already 24-hour)
+                if (hour > 12) {
+                    console.log('🔍 DEBUG 24-hour time, no conversion needed');
+                } else if (period === 'pm' && hour !== 12) {
                     hour += 12;
                 } else if (period === 'am' && hour === 12) {
                     hour = 0;
-                } else if (!period && hour <= 12) {
+                } else if (period === 'noon') {
+                    // "στις 2 το μεσημέρι" is 14:00, "12 το μεσημέρι" stays 12:00
+                    if (hour <= 5) {
+                        hour += 12;
+                    }
+                } else if (!period) {
                     // If no period specified and hour is reasonable for PM, assume PM for dinner times
                     if (hour >= 6 && hour <= 11) {
                         hour += 12;
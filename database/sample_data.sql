@@ -2,14 +2,22 @@
 -- This file provides realistic test data for the restaurant reservation system
 
 -- Clear existing data
+DELETE FROM waitlist;
 DELETE FROM reservation;
+DELETE FROM reservation_series;
+DELETE FROM turn_time_rules;
+DELETE FROM deposit_rules;
+DELETE FROM booking_policy;
 DELETE FROM response_templates;
 DELETE FROM bot_config;
 DELETE FROM bot_modules;
 DELETE FROM menu_item;
 DELETE FROM tables;
+DELETE FROM staff_invitation;
+DELETE FROM restaurant_staff;
 DELETE FROM refresh_tokens;
 DELETE FROM owners;
+DELETE FROM special_hours;
 DELETE FROM restaurant_hours;
 DELETE FROM restaurant;
 
@@ -60,28 +68,60 @@ INSERT INTO restaurant_hours (restaurant_id, day_of_week, open_time, close_time)
 (3, 'Thursday', '17:00:00', '23:00:00'),
 (3, 'Friday', '17:00:00', '23:30:00'),
 (3, 'Saturday', '17:00:00', '23:30:00'),
-(3, 'Sunday', '17:00:00', '23:00:00'),
+(3, 'Sunday', '17:00:00', '23:00:00');
+
+-- Rhodes Castle View (ID 4) - Split lunch and dinner service
+INSERT INTO restaurant_hours (restaurant_id, day_of_week, open_time, close_time, service_name) VALUES
+(4, 'Monday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Monday', '18:30:00', '22:00:00', 'Dinner'),
+(4, 'Tuesday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Tuesday', '18:30:00', '22:00:00', 'Dinner'),
+(4, 'Wednesday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Wednesday', '18:30:00', '22:00:00', 'Dinner'),
+(4, 'Thursday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Thursday', '18:30:00', '22:00:00', 'Dinner'),
+(4, 'Friday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Friday', '18:30:00', '23:00:00', 'Dinner'),
+(4, 'Saturday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Saturday', '18:30:00', '23:00:00', 'Dinner'),
+(4, 'Sunday', '11:00:00', '15:30:00', 'Lunch'),
+(4, 'Sunday', '18:30:00', '22:00:00', 'Dinner');
 
--- Rhodes Castle View (ID 4) - All day service
-(4, 'Monday', '11:00:00', '22:00:00'),
-(4, 'Tuesday', '11:00:00', '22:00:00'),
-(4, 'Wednesday', '11:00:00', '22:00:00'),
-(4, 'Thursday', '11:00:00', '22:00:00'),
-(4, 'Friday', '11:00:00', '23:00:00'),
-(4, 'Saturday', '11:00:00', '23:00:00'),
-(4, 'Sunday', '11:00:00', '22:00:00');
+-- =====================================
+-- 2b. SPECIAL HOURS
+-- =====================================
+
+-- Date-specific overrides of the weekly hours
+INSERT INTO special_hours (restaurant_id, special_date, open_time, close_time, is_closed, service_name, note) VALUES
+-- Mykonos Paradise: closed for a private event
+(2, CURRENT_DATE + INTERVAL '30 days', NULL, NULL, TRUE, NULL, 'Closed for a private event'),
+-- Santorini Sunset Taverna: closed on Orthodox Easter Sunday
+(3, '2027-05-02', NULL, NULL, TRUE, NULL, 'Closed for Orthodox Easter'),
+(3, '2028-04-16', NULL, NULL, TRUE, NULL, 'Closed for Orthodox Easter'),
+-- Rhodes Castle View: lunch only, the evening is a wedding party
+(4, CURRENT_DATE + INTERVAL '10 days', '11:00:00', '15:30:00', FALSE, 'Lunch', 'Lunch only - private wedding party in the evening');
 
 -- =====================================
 -- 3. OWNERS
 -- =====================================
 
-INSERT INTO owners (email, password, first_name, last_name, phone, restaurant_id, stripe_customer_id, subscription_status, oauth_provider, email_verified) VALUES
--- Admin user (ID 1 - Sotiris)
-('sotiriskavadakis@gmail.com', '$2b$10$JH5kwtPDscy1Rgpk8Ac24eYnJhtbeotDQh2VI6YDgr3W6HfgqoTou', 'Sotiris', 'Kavadakis', '+30-694-9999999', NULL, NULL, NULL, 'local', TRUE),
-('vasilis@lofaki.gr', '$2b$10$example_hash_1', 'Vasilis', 'Manias', '+30-694-1234567', 1, 'cus_stripe_lofaki123', 'active', 'local', TRUE),
-('maria@paradiserestaurant.gr', '$2b$10$example_hash_2', 'Maria', 'Papadopoulos', '+30-694-2345678', 2, 'cus_stripe_paradise456', 'active', 'google', TRUE),
-('nikos@sunsetaverna.gr', '$2b$10$example_hash_3', 'Nikos', 'Stavros', '+30-694-3456789', 3, 'cus_stripe_sunset789', 'active', 'local', TRUE),
-('dimitris@castleview.gr', '$2b$10$example_hash_4', 'Dimitris', 'Kostas', '+30-694-4567890', 4, NULL, NULL, 'local', FALSE);
+INSERT INTO owners (email, password, first_name, last_name, phone, restaurant_id, is_platform_admin, stripe_customer_id, subscription_status, oauth_provider, email_verified) VALUES
+-- Platform admin (Sotiris)
+('sotiriskavadakis@gmail.com', '$2b$10$JH5kwtPDscy1Rgpk8Ac24eYnJhtbeotDQh2VI6YDgr3W6HfgqoTou', 'Sotiris', 'Kavadakis', '+30-694-9999999', NULL, TRUE, NULL, NULL, 'local', TRUE),
+('vasilis@lofaki.gr', '$2b$10$example_hash_1', 'Vasilis', 'Manias', '+30-694-1234567', 1, FALSE, 'cus_stripe_lofaki123', 'active', 'local', TRUE),
+('maria@paradiserestaurant.gr', '$2b$10$example_hash_2', 'Maria', 'Papadopoulos', '+30-694-2345678', 2, FALSE, 'cus_stripe_paradise456', 'active', 'google', TRUE),
+('nikos@sunsetaverna.gr', '$2b$10$example_hash_3', 'Nikos', 'Stavros', '+30-694-3456789', 3, FALSE, 'cus_stripe_sunset789', 'active', 'local', TRUE),
+('dimitris@castleview.gr', '$2b$10$example_hash_4', 'Dimitris', 'Kostas', '+30-694-4567890', 4, FALSE, NULL, NULL, 'local', FALSE),
+-- Lofaki's host, who has no restaurant of their own
+('eleni@lofaki.gr', '$2b$10$example_hash_5', 'Eleni', 'Georgiou', '+30-694-5678901', NULL, FALSE, NULL, NULL, 'local', TRUE);
+
+-- Every owner runs the restaurant they registered; Vasilis also co-owns Rhodes Castle View
+INSERT INTO restaurant_staff (restaurant_id, owner_id, role)
+SELECT restaurant_id, id, 'owner' FROM owners WHERE restaurant_id IS NOT NULL;
+
+INSERT INTO restaurant_staff (restaurant_id, owner_id, role, invited_by) VALUES
+(1, 6, 'host', 2),
+(4, 2, 'owner', 5);
 
 -- =====================================
 -- 4. TABLES
@@ -136,6 +176,38 @@ INSERT INTO tables (table_name, table_type, table_price, capacity, restaurant_id
 -- Anniversary tables (C section)
 ('C1', 'anniversary', 50.00, 8, 4, 180, 740, 'available');
 
+-- =====================================
+-- 5. TURN-TIME RULES
+-- =====================================
+
+-- Lofaki Restaurant: quicker lunch turns, long dinners for big parties.
+-- Restaurants without rules fall back to min_reservation_gap_hours.
+INSERT INTO turn_time_rules (restaurant_id, min_party_size, max_party_size, table_type, day_part, duration_minutes) VALUES
+(1, 1, 2, NULL, NULL, 90),
+(1, 3, 7, NULL, NULL, 120),
+(1, 8, NULL, NULL, NULL, 150),
+(1, 1, 4, NULL, 'lunch', 75),
+(1, 1, NULL, 'anniversary', 'dinner', 180);
+
+-- =====================================
+-- 6. DEPOSIT RULES
+-- =====================================
+
+-- Lofaki Restaurant: anniversary tables need a deposit covering the table and add-ons,
+-- and large parties pay per guest. Other restaurants take no deposit.
+INSERT INTO deposit_rules (restaurant_id, min_party_size, max_party_size, table_type, valid_from, valid_to, flat_amount, amount_per_guest, include_extras) VALUES
+(1, 1, NULL, 'anniversary', NULL, NULL, 0.00, 10.00, TRUE),
+(1, 12, NULL, NULL, NULL, NULL, 0.00, 15.00, FALSE);
+
+-- =====================================
+-- 6b. BOOKING POLICIES
+-- =====================================
+
+-- Lofaki Restaurant: 2 hours notice, up to ~13 months ahead, parties over 16 call
+-- the restaurant, no online changes in the last 4 hours, closed for a private event.
+INSERT INTO booking_policy (restaurant_id, min_notice_minutes, max_days_ahead, max_online_party_size, cancellation_deadline_hours, blackout_dates) VALUES
+(1, 120, 400, 16, 4, ARRAY[(CURRENT_DATE + INTERVAL '45 days')::date]);
+
 -- =====================================
 -- 7. MENU ITEMS
 -- =====================================
@@ -1,14 +1,28 @@
 -- Enable pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
 
+DROP TABLE IF EXISTS staff_invitation CASCADE;
+DROP TABLE IF EXISTS restaurant_staff CASCADE;
+DROP TABLE IF EXISTS notification_job CASCADE;
+DROP TABLE IF EXISTS webhook_delivery CASCADE;
+DROP TABLE IF EXISTS webhook_subscription CASCADE;
 DROP TABLE IF EXISTS response_templates CASCADE;
 DROP TABLE IF EXISTS restaurant_hours CASCADE;
+DROP TABLE IF EXISTS special_hours CASCADE;
+DROP TABLE IF EXISTS turn_time_rules CASCADE;
+DROP TABLE IF EXISTS deposit_rules CASCADE;
+DROP TABLE IF EXISTS booking_policy CASCADE;
+DROP TABLE IF EXISTS waitlist CASCADE;
 DROP TABLE IF EXISTS reservation CASCADE;
+DROP TABLE IF EXISTS reservation_series CASCADE;
+DROP TABLE IF EXISTS chat_message CASCADE;
+DROP TABLE IF EXISTS chat_conversation CASCADE;
 DROP TABLE IF EXISTS tables CASCADE;
 DROP TABLE IF EXISTS refresh_tokens CASCADE;
 DROP TABLE IF EXISTS owners CASCADE;
 DROP TABLE IF EXISTS restaurant CASCADE;
 DROP TABLE IF EXISTS bot_modules CASCADE;
+DROP TABLE IF EXISTS chat_session CASCADE;
 DROP TABLE IF EXISTS bot_config CASCADE;
 DROP TABLE IF EXISTS menu_item CASCADE;
 DROP TABLE IF EXISTS table_inventory CASCADE;
@@ -18,10 +32,20 @@ DROP VIEW IF EXISTS fully_booked_dates CASCADE;
 
 DROP TYPE IF EXISTS subscription_status_enum CASCADE;
 DROP TYPE IF EXISTS oauth_provider_enum CASCADE;
+DROP TYPE IF EXISTS reservation_status_enum CASCADE;
+DROP TYPE IF EXISTS waitlist_status_enum CASCADE;
+DROP TYPE IF EXISTS deposit_status_enum CASCADE;
+DROP TYPE IF EXISTS chat_outcome_enum CASCADE;
+DROP TYPE IF EXISTS staff_role_enum CASCADE;
 
 -- Create ENUM types for PostgreSQL
 CREATE TYPE subscription_status_enum AS ENUM ('active', 'canceled', 'past_due', 'unpaid');
 CREATE TYPE oauth_provider_enum AS ENUM ('google', 'facebook', 'local');
+CREATE TYPE reservation_status_enum AS ENUM ('pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show');
+CREATE TYPE waitlist_status_enum AS ENUM ('waiting', 'offered', 'booked', 'seated', 'expired', 'cancelled');
+CREATE TYPE deposit_status_enum AS ENUM ('none', 'requires_payment', 'authorized', 'card_saved', 'captured', 'released', 'refunded', 'failed');
+CREATE TYPE chat_outcome_enum AS ENUM ('open', 'booked', 'abandoned', 'answered');
+CREATE TYPE staff_role_enum AS ENUM ('owner', 'manager', 'host', 'accountant');
 
 CREATE TABLE restaurant (
     restaurant_id SERIAL PRIMARY KEY,
@@ -36,9 +60,13 @@ CREATE TABLE restaurant (
     description TEXT,
     cuisine VARCHAR(100),
     min_reservation_gap_hours INT DEFAULT 2 CHECK (min_reservation_gap_hours >= 0),
+    deposit_refund_cutoff_hours INT NOT NULL DEFAULT 24 CHECK (deposit_refund_cutoff_hours >= 0), -- cancel earlier than this for the deposit back
+    calendar_feed_secret TEXT, -- key of the calendar feed link; set when first asked for, replaced to cut off old links
     embedding vector(768)
 );
 
+-- Weekly hours. A weekday can have several service periods (split lunch and
+-- dinner service); a weekday with no rows is closed.
 CREATE TABLE restaurant_hours (
     hours_id SERIAL PRIMARY KEY,
     restaurant_id INT NOT NULL,
@@ -47,6 +75,68 @@ CREATE TABLE restaurant_hours (
     )),
     open_time TIME NOT NULL,
     close_time TIME NOT NULL,
+    service_name VARCHAR(50), -- e.g. 'Lunch', 'Dinner'
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+-- Date-specific hours that replace the weekly hours for that date: holiday
+-- closures (Orthodox Easter), private events or a different service. A date
+-- with an is_closed row is closed; otherwise its rows are that day's periods.
+CREATE TABLE special_hours (
+    special_hours_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    special_date DATE NOT NULL,
+    open_time TIME,
+    close_time TIME,
+    is_closed BOOLEAN NOT NULL DEFAULT FALSE,
+    service_name VARCHAR(50),
+    note VARCHAR(255), -- shown to guests, e.g. 'Closed for Easter'
+    CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL)),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+-- How long a party holds its table, e.g. 90 min for 2 guests, 150 min for 8+.
+-- NULL table_type / day_part / max_party_size mean "any". When no rule matches,
+-- min_reservation_gap_hours is used as the turn time.
+CREATE TABLE turn_time_rules (
+    rule_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    min_party_size INT NOT NULL DEFAULT 1 CHECK (min_party_size > 0),
+    max_party_size INT CHECK (max_party_size IS NULL OR max_party_size >= min_party_size),
+    table_type TEXT,
+    day_part VARCHAR(10) CHECK (day_part IN ('lunch', 'dinner')),
+    duration_minutes INT NOT NULL CHECK (duration_minutes > 0),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+-- Deposit taken at booking: flat_amount + amount_per_guest x guests, plus the
+-- table_price and cake/flowers add-ons when include_extras is set. NULL
+-- table_type / date range / max_party_size mean "any"; the most specific rule wins.
+CREATE TABLE deposit_rules (
+    rule_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    min_party_size INT NOT NULL DEFAULT 1 CHECK (min_party_size > 0),
+    max_party_size INT CHECK (max_party_size IS NULL OR max_party_size >= min_party_size),
+    table_type TEXT,
+    valid_from DATE,
+    valid_to DATE CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to >= valid_from),
+    flat_amount NUMERIC(8,2) NOT NULL DEFAULT 0 CHECK (flat_amount >= 0),
+    amount_per_guest NUMERIC(8,2) NOT NULL DEFAULT 0 CHECK (amount_per_guest >= 0),
+    include_extras BOOLEAN NOT NULL DEFAULT FALSE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+-- Online booking rules, one row per restaurant (no row = no limits beyond opening hours).
+-- NULL max_days_ahead / max_online_party_size mean "no limit". Guests cannot cancel
+-- or change a booking online within cancellation_deadline_hours of its start.
+CREATE TABLE booking_policy (
+    restaurant_id INT PRIMARY KEY,
+    min_notice_minutes INT NOT NULL DEFAULT 0 CHECK (min_notice_minutes >= 0),
+    max_days_ahead INT CHECK (max_days_ahead IS NULL OR max_days_ahead >= 0),
+    max_online_party_size INT CHECK (max_online_party_size IS NULL OR max_online_party_size > 0),
+    cancellation_deadline_hours INT NOT NULL DEFAULT 0 CHECK (cancellation_deadline_hours >= 0),
+    blackout_dates DATE[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
 );
 
@@ -57,7 +147,8 @@ CREATE TABLE owners ( -- they are our app users
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     phone VARCHAR(20) UNIQUE,
-    restaurant_id INT,
+    restaurant_id INT, -- the restaurant the account registered; dashboard access comes from restaurant_staff
+    is_platform_admin BOOLEAN NOT NULL DEFAULT FALSE, -- TableTurn staff: every restaurant, every permission
     stripe_customer_id VARCHAR(255),
     stripe_subscription_id VARCHAR(255),
     subscription_status subscription_status_enum DEFAULT NULL,
@@ -81,6 +172,9 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_owners_updated_at BEFORE UPDATE ON owners
 FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_booking_policy_updated_at BEFORE UPDATE ON booking_policy
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TABLE refresh_tokens (
     id SERIAL PRIMARY KEY,
     token VARCHAR(500) NOT NULL,
@@ -120,6 +214,60 @@ CREATE TABLE menu_item (
     embedding vector(768)
 );
 
+-- A recurring booking ("every Friday at 20:00 for 6 weeks", "each night of our
+-- stay"). Every occurrence is an ordinary reservation row with this series_id.
+CREATE TABLE reservation_series (
+    series_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    recurrence TEXT NOT NULL, -- RRULE-style, e.g. 'FREQ=WEEKLY;BYDAY=FR;COUNT=6'
+    start_date DATE NOT NULL,
+    reservation_time TIME NOT NULL,
+    guests INT NOT NULL CHECK (guests > 0),
+    table_type TEXT NOT NULL,
+    reservation_name TEXT NOT NULL,
+    reservation_email TEXT NOT NULL,
+    reservation_phone TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+-- One guest conversation with Tablio, kept for the owner's chat inbox. An open
+-- conversation that goes idle is closed as 'abandoned' if the guest started
+-- booking and 'answered' otherwise.
+-- handoff_status is set when the guest asked for a person ('requested') and
+-- while a staff member holds the conversation ('active'); Tablio stays quiet
+-- until staff hand it back.
+CREATE TABLE chat_conversation (
+    conversation_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    session_id TEXT NOT NULL,
+    outcome chat_outcome_enum NOT NULL DEFAULT 'open',
+    booking_started BOOLEAN NOT NULL DEFAULT FALSE, -- a booking tool was used
+    message_count INT NOT NULL DEFAULT 0,
+    handoff_status TEXT CHECK (handoff_status IN ('requested', 'active')),
+    handoff_reason TEXT,
+    handoff_requested_at TIMESTAMP,
+    handoff_staff_id INT, -- staff member holding the conversation
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE,
+    FOREIGN KEY (handoff_staff_id) REFERENCES owners(id) ON DELETE SET NULL,
+    UNIQUE(session_id, restaurant_id)
+);
+
+CREATE TABLE chat_message (
+    message_id SERIAL PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    sender TEXT NOT NULL CHECK (sender IN ('user', 'assistant', 'staff')),
+    text TEXT NOT NULL,
+    agent TEXT, -- agent that produced an assistant reply
+    tool_calls JSONB NOT NULL DEFAULT '[]', -- [{ step, agent, tool, success, reservationId?, seriesId? }]
+    staff_id INT, -- author of a staff reply
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES chat_conversation(conversation_id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES owners(id) ON DELETE SET NULL
+);
+
 CREATE TABLE reservation (
     reservation_id SERIAL PRIMARY KEY,
     reservation_name TEXT NOT NULL,
@@ -136,11 +284,58 @@ CREATE TABLE reservation (
     flowers BOOLEAN DEFAULT FALSE,
     flowers_price NUMERIC(5,2) CHECK (flowers_price >= 0),
     table_id INT, -- for specific table reservations
+    combined_table_ids INT[] NOT NULL DEFAULT '{}', -- adjacent tables pushed together with table_id for large parties
     restaurant_id INT NOT NULL,
+    status reservation_status_enum NOT NULL DEFAULT 'confirmed',
+    start_at TIMESTAMP, -- set by trg_apply_reservation_interval
+    end_at TIMESTAMP,   -- start_at + turn time for this party
+    deposit_amount NUMERIC(8,2) NOT NULL DEFAULT 0 CHECK (deposit_amount >= 0),
+    deposit_status deposit_status_enum NOT NULL DEFAULT 'none',
+    payment_intent_id TEXT UNIQUE, -- Stripe PaymentIntent holding the deposit (manual capture)
+    setup_intent_id TEXT UNIQUE, -- Stripe SetupIntent saving the card instead, for bookings further ahead than an authorization lasts
+    deposit_due_at TIMESTAMP, -- an unpaid deposit booking is cancelled and its table released after this
+    series_id INT, -- set for occurrences of a recurring booking
+    conversation_id INT, -- set when the booking was made in a chat with Tablio
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (table_id) REFERENCES tables(table_id),
+    FOREIGN KEY (series_id) REFERENCES reservation_series(series_id) ON DELETE SET NULL,
+    FOREIGN KEY (conversation_id) REFERENCES chat_conversation(conversation_id) ON DELETE SET NULL,
     FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
 );
 
+CREATE TRIGGER update_reservation_updated_at BEFORE UPDATE ON reservation
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Guests waiting for a full slot (online) or for the next free table (walk-ins).
+-- When a matching reservation is cancelled the first waiting guest is 'offered'
+-- a pending reservation that is held until hold_expires_at.
+CREATE TABLE waitlist (
+    waitlist_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    guest_name TEXT NOT NULL,
+    guest_email TEXT CHECK (guest_email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$'),
+    guest_phone TEXT NOT NULL,
+    party_size INT NOT NULL CHECK (party_size > 0),
+    requested_date DATE NOT NULL,
+    requested_time TIME NOT NULL,
+    table_type TEXT, -- NULL means any table type
+    is_walk_in BOOLEAN NOT NULL DEFAULT FALSE,
+    quoted_wait_minutes INT CHECK (quoted_wait_minutes >= 0),
+    status waitlist_status_enum NOT NULL DEFAULT 'waiting',
+    offered_reservation_id INT,
+    hold_expires_at TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE,
+    FOREIGN KEY (offered_reservation_id) REFERENCES reservation(reservation_id) ON DELETE SET NULL,
+    -- Online entries get a held reservation on promotion, which needs an email
+    CHECK (is_walk_in OR guest_email IS NOT NULL)
+);
+
+CREATE TRIGGER update_waitlist_updated_at BEFORE UPDATE ON waitlist
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- for example create automated response for greeting or for reservation confirmation
 CREATE TABLE response_templates (
     id SERIAL PRIMARY KEY,
@@ -177,18 +372,202 @@ CREATE TABLE bot_modules (
     UNIQUE(restaurant_id, module_name)  -- Fixed: allows same module for different restaurants
 );
 
+-- Chat conversation state (booking in progress, interrupted flow) by session id.
+-- version is bumped on every save so overlapping requests cannot overwrite each other.
+CREATE TABLE chat_session (
+    session_id TEXT PRIMARY KEY,
+    state JSONB NOT NULL,
+    version INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Outgoing guest emails and SMS (confirmation, reminders, changes, cancellation) and
+-- owner alerts. Jobs are sent once run_at has passed; a failed send is retried with a
+-- growing delay until max_attempts. The message is written when it is sent, so a
+-- reminder always shows the booking as it is by then.
+CREATE TABLE notification_job (
+    job_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    reservation_id INT,
+    kind TEXT NOT NULL CHECK (kind IN ('confirmation', 'reminder_24h', 'reminder_2h', 'modification', 'cancellation', 'owner_new_booking', 'staff_invitation')),
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+    recipient TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}', -- extra template values, e.g. the booking before a change
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP, -- when a worker picked the job up
+    last_error TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE,
+    FOREIGN KEY (reservation_id) REFERENCES reservation(reservation_id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER update_notification_job_updated_at BEFORE UPDATE ON notification_job
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Owner-registered URLs that receive booking events (POS, CRM). secret signs every delivery.
+CREATE TABLE webhook_subscription (
+    subscription_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    url TEXT NOT NULL,
+    description TEXT,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    secret TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER update_webhook_subscription_updated_at BEFORE UPDATE ON webhook_subscription
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One event for one subscription: queued, retried with backoff, and kept as the delivery log
+CREATE TABLE webhook_delivery (
+    delivery_id SERIAL PRIMARY KEY,
+    subscription_id INT NOT NULL,
+    restaurant_id INT NOT NULL,
+    event_id TEXT NOT NULL, -- the same for every subscription that receives the event
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'delivered', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 6,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    response_status INT, -- HTTP status of the last attempt
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES webhook_subscription(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE
+);
+
+CREATE TRIGGER update_webhook_delivery_updated_at BEFORE UPDATE ON webhook_delivery
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Who can open a restaurant's dashboard and as what. An account can belong to several restaurants.
+CREATE TABLE restaurant_staff (
+    staff_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    owner_id INT NOT NULL, -- the account (owners holds every login, staff included)
+    role staff_role_enum NOT NULL,
+    invited_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (restaurant_id, owner_id),
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE,
+    FOREIGN KEY (owner_id) REFERENCES owners(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES owners(id) ON DELETE SET NULL
+);
+
+CREATE TRIGGER update_restaurant_staff_updated_at BEFORE UPDATE ON restaurant_staff
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Emailed invitations to join a restaurant's staff; the link carries a token for invitation_id
+CREATE TABLE staff_invitation (
+    invitation_id SERIAL PRIMARY KEY,
+    restaurant_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    role staff_role_enum NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by INT,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_by INT,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (restaurant_id) REFERENCES restaurant(restaurant_id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES owners(id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_by) REFERENCES owners(id) ON DELETE SET NULL
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_owners_email ON owners(email);
 CREATE INDEX IF NOT EXISTS idx_owners_stripe_customer ON owners(stripe_customer_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_owner ON refresh_tokens(owner_id);
 CREATE INDEX IF NOT EXISTS idx_reservation_venue ON reservation(restaurant_id);
 CREATE INDEX IF NOT EXISTS idx_reservation_date ON reservation(reservation_date);
+CREATE INDEX IF NOT EXISTS idx_reservation_status ON reservation(status);
+CREATE INDEX IF NOT EXISTS idx_reservation_table_interval ON reservation(table_id, start_at, end_at);
+CREATE INDEX IF NOT EXISTS idx_reservation_combined_tables ON reservation USING GIN (combined_table_ids);
+CREATE INDEX IF NOT EXISTS idx_reservation_series ON reservation(series_id);
+CREATE INDEX IF NOT EXISTS idx_reservation_conversation ON reservation(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_reservation_deposit_due ON reservation(deposit_due_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_turn_time_rules_restaurant ON turn_time_rules(restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_restaurant_hours_day ON restaurant_hours(restaurant_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_special_hours_date ON special_hours(restaurant_id, special_date);
+CREATE INDEX IF NOT EXISTS idx_waitlist_restaurant_date ON waitlist(restaurant_id, requested_date, status);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offered_reservation ON waitlist(offered_reservation_id);
+CREATE INDEX IF NOT EXISTS idx_chat_session_expires ON chat_session(expires_at);
+CREATE INDEX IF NOT EXISTS idx_chat_conversation_restaurant ON chat_conversation(restaurant_id, last_message_at);
+CREATE INDEX IF NOT EXISTS idx_chat_conversation_handoff ON chat_conversation(restaurant_id) WHERE handoff_status IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_chat_message_conversation ON chat_message(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_job_due ON notification_job(run_at) WHERE status IN ('queued', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notification_job_reservation ON notification_job(reservation_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_subscription_restaurant ON webhook_subscription(restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_due ON webhook_delivery(run_at) WHERE status IN ('queued', 'sending');
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_subscription ON webhook_delivery(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_restaurant_staff_owner ON restaurant_staff(owner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_invitation_pending ON staff_invitation(restaurant_id, LOWER(email)) WHERE status = 'pending';
 
 -- Create vector indexes for similarity search
 CREATE INDEX IF NOT EXISTS idx_restaurant_embedding ON restaurant USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
 CREATE INDEX IF NOT EXISTS idx_tables_embedding ON tables USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);  
 CREATE INDEX IF NOT EXISTS idx_menu_item_embedding ON menu_item USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
 
+-- Service periods for a date: the special hours when the date has any (none
+-- when it is closed), otherwise the weekly hours for that weekday.
+CREATE OR REPLACE FUNCTION get_opening_periods(p_restaurant_id INT, p_date DATE)
+RETURNS TABLE(open_time TIME, close_time TIME, service_name VARCHAR, is_special BOOLEAN) AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM special_hours AS sh
+        WHERE sh.restaurant_id = p_restaurant_id AND sh.special_date = p_date
+    ) THEN
+        RETURN QUERY
+        SELECT sh.open_time, sh.close_time, sh.service_name, TRUE
+        FROM special_hours AS sh
+        WHERE sh.restaurant_id = p_restaurant_id
+          AND sh.special_date = p_date
+          AND NOT EXISTS (
+              SELECT 1 FROM special_hours AS closed
+              WHERE closed.restaurant_id = p_restaurant_id
+                AND closed.special_date = p_date
+                AND closed.is_closed
+          )
+        ORDER BY sh.open_time;
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT rh.open_time, rh.close_time, rh.service_name, FALSE
+    FROM restaurant_hours AS rh
+    WHERE rh.restaurant_id = p_restaurant_id
+      AND rh.day_of_week = TRIM(TO_CHAR(p_date, 'Day'))
+    ORDER BY rh.open_time;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- True when the time falls in one of the date's service periods
+CREATE OR REPLACE FUNCTION is_open_at(p_restaurant_id INT, p_date DATE, p_time TIME)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM get_opening_periods(p_restaurant_id, p_date) AS op
+        WHERE CASE WHEN op.close_time < op.open_time
+                   -- Overnight hours wrap past midnight
+                   THEN p_time >= op.open_time OR p_time <= op.close_time
+                   ELSE p_time BETWEEN op.open_time AND op.close_time
+              END
+    );
+$$ LANGUAGE sql STABLE;
+
 CREATE VIEW table_type_counts AS
 SELECT 
     restaurant_id,
@@ -211,10 +590,13 @@ FROM
     reservation
 WHERE 
     reservation_date >= CURRENT_DATE
+    AND status IN ('pending', 'confirmed')
 ORDER BY 
     reservation_date, reservation_time;
 
 
+-- A date is fully booked when the reservations on it hold every table for the
+-- whole opening window, measured in table-minutes rather than booking counts.
 CREATE VIEW fully_booked_dates AS
 WITH restaurant_capacity AS (
     SELECT 
@@ -227,18 +609,36 @@ daily_reservations AS (
     SELECT 
         restaurant_id,
         reservation_date,
-        COUNT(*) as total_reservations
+        -- A party on pushed-together tables holds every one of them
+        SUM(EXTRACT(EPOCH FROM (end_at - start_at)) / 60 * (1 + cardinality(combined_table_ids))) as booked_minutes
     FROM reservation
     WHERE reservation_date >= CURRENT_DATE
+      AND status NOT IN ('cancelled', 'no_show')
     GROUP BY restaurant_id, reservation_date
 ),
+opening_windows AS (
+    -- Every service period of the day, special hours included
+    SELECT 
+        dr.restaurant_id,
+        dr.reservation_date,
+        -- Overnight hours (close before open) wrap past midnight
+        SUM(CASE WHEN op.close_time > op.open_time
+                 THEN EXTRACT(EPOCH FROM (op.close_time - op.open_time)) / 60
+                 ELSE 1440 - EXTRACT(EPOCH FROM (op.open_time - op.close_time)) / 60
+            END) as open_minutes
+    FROM daily_reservations dr
+    CROSS JOIN LATERAL get_opening_periods(dr.restaurant_id, dr.reservation_date) op
+    GROUP BY dr.restaurant_id, dr.reservation_date
+),
 fully_booked_days AS (
     SELECT 
         dr.restaurant_id,
         dr.reservation_date
     FROM daily_reservations dr
     JOIN restaurant_capacity rc ON dr.restaurant_id = rc.restaurant_id
-    WHERE dr.total_reservations >= rc.total_tables
+    JOIN opening_windows ow ON ow.restaurant_id = dr.restaurant_id
+        AND ow.reservation_date = dr.reservation_date
+    WHERE dr.booked_minutes >= rc.total_tables * ow.open_minutes
 )
 SELECT 
     r.restaurant_id,
@@ -249,34 +649,85 @@ LEFT JOIN fully_booked_days fbd ON r.restaurant_id = fbd.restaurant_id
 GROUP BY r.restaurant_id, r.name
 ORDER BY r.restaurant_id;
 
+-- Turn time in minutes for a party. The most specific rule wins: a matching
+-- table type first, then a matching day part (lunch before 17:00, dinner after),
+-- then the rule for the largest parties.
+CREATE OR REPLACE FUNCTION get_turn_time_minutes(
+    p_restaurant_id INT,
+    p_guests INT,
+    p_table_type TEXT,
+    p_time TIME
+)
+RETURNS INT AS $$
+DECLARE
+    rule_minutes INT;
+    gap_hours INT;
+    v_day_part TEXT;
+BEGIN
+    v_day_part := CASE WHEN p_time < TIME '17:00' THEN 'lunch' ELSE 'dinner' END;
+
+    SELECT ttr.duration_minutes INTO rule_minutes
+    FROM turn_time_rules AS ttr
+    WHERE ttr.restaurant_id = p_restaurant_id
+      AND COALESCE(p_guests, 1) >= ttr.min_party_size
+      AND (ttr.max_party_size IS NULL OR COALESCE(p_guests, 1) <= ttr.max_party_size)
+      AND (ttr.table_type IS NULL OR ttr.table_type = p_table_type)
+      AND (ttr.day_part IS NULL OR ttr.day_part = v_day_part)
+    ORDER BY
+        (ttr.table_type IS NOT NULL) DESC,
+        (ttr.day_part IS NOT NULL) DESC,
+        ttr.min_party_size DESC
+    LIMIT 1;
+
+    IF rule_minutes IS NOT NULL THEN
+        RETURN rule_minutes;
+    END IF;
+
+    SELECT COALESCE(min_reservation_gap_hours, 2) INTO gap_hours
+    FROM restaurant WHERE restaurant_id = p_restaurant_id;
+
+    RETURN COALESCE(gap_hours, 2) * 60;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Stamp start_at/end_at on a reservation. An explicit end_at on insert is kept
+-- (manual table occupation from the dashboard sets its own duration).
+CREATE OR REPLACE FUNCTION apply_reservation_interval()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.start_at := NEW.reservation_date + NEW.reservation_time;
+
+    IF TG_OP = 'INSERT' AND NEW.end_at IS NOT NULL AND NEW.end_at > NEW.start_at THEN
+        RETURN NEW;
+    END IF;
+
+    NEW.end_at := NEW.start_at + make_interval(
+        mins => get_turn_time_minutes(NEW.restaurant_id, NEW.guests, NEW.table_type, NEW.reservation_time)
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- This simple trigger remains, as it's a separate concern.
+-- The time must fall in one of the day's service periods (special hours first).
 CREATE OR REPLACE FUNCTION check_reservation_time()
 RETURNS TRIGGER AS $$
 DECLARE
-    opening TIME;
-    closing TIME;
-    day_name TEXT;
+    periods_text TEXT;
 BEGIN
-    day_name := TRIM(TO_CHAR(NEW.reservation_date, 'Day'));
-    SELECT open_time, close_time INTO opening, closing
-    FROM restaurant_hours
-    WHERE restaurant_id = NEW.restaurant_id AND day_of_week = day_name;
-
-    IF NOT FOUND THEN
-        RAISE EXCEPTION 'Restaurant is closed on %s', day_name;
+    IF is_open_at(NEW.restaurant_id, NEW.reservation_date, NEW.reservation_time) THEN
+        RETURN NEW;
     END IF;
 
-    -- Handle overnight hours properly
-    IF closing < opening THEN
-        IF NOT (NEW.reservation_time >= opening OR NEW.reservation_time <= closing) THEN
-            RAISE EXCEPTION 'Reservation time % is outside opening hours (% - %)', NEW.reservation_time, opening, closing;
-        END IF;
-    ELSE
-        IF NOT (NEW.reservation_time BETWEEN opening AND closing) THEN
-            RAISE EXCEPTION 'Reservation time % is outside opening hours (% - %)', NEW.reservation_time, opening, closing;
-        END IF;
+    SELECT string_agg(TO_CHAR(op.open_time, 'HH24:MI') || ' - ' || TO_CHAR(op.close_time, 'HH24:MI'), ', ' ORDER BY op.open_time)
+    INTO periods_text
+    FROM get_opening_periods(NEW.restaurant_id, NEW.reservation_date) AS op;
+
+    IF periods_text IS NULL THEN
+        RAISE EXCEPTION 'Restaurant is closed on % (%)', TRIM(TO_CHAR(NEW.reservation_date, 'Day')), NEW.reservation_date;
     END IF;
-    RETURN NEW;
+
+    RAISE EXCEPTION 'Reservation time % is outside opening hours (%)', NEW.reservation_time, periods_text;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -286,13 +737,18 @@ CREATE OR REPLACE FUNCTION assign_available_table()
 RETURNS TRIGGER AS $$
 DECLARE
     found_table_id INT;
-    min_gap INT;
 BEGIN
     -- This trigger only runs if a table_id has NOT been pre-assigned.
+    -- RestaurantService pre-assigns best-fit and pushed-together tables; this is the single-table fallback.
+    -- Step 1: NEW.start_at/end_at were already set by trg_apply_reservation_interval.
     IF NEW.table_id IS NULL THEN
-        -- Step 1: Get the minimum reservation gap for this specific restaurant.
-        SELECT COALESCE(min_reservation_gap_hours, 2) INTO min_gap
-        FROM restaurant WHERE restaurant_id = NEW.restaurant_id;
+        -- Lock the candidate tables so concurrent bookings for the same type run
+        -- one after another. The query below takes a fresh snapshot, so it sees
+        -- any reservation committed while we waited for the lock.
+        PERFORM 1 FROM tables
+        WHERE restaurant_id = NEW.restaurant_id AND table_type = NEW.table_type
+        ORDER BY table_id
+        FOR UPDATE;
 
         -- Step 2: Find the best available table that meets all criteria.
         SELECT t.table_id INTO found_table_id
@@ -303,9 +759,11 @@ BEGIN
             AND t.capacity >= NEW.guests
             AND NOT EXISTS (
                 SELECT 1 FROM reservation AS r
-                WHERE r.table_id = t.table_id
-                  AND r.reservation_date = NEW.reservation_date
-                  AND ABS(EXTRACT(EPOCH FROM (r.reservation_time - NEW.reservation_time))) < (min_gap * 3600)
+                WHERE (r.table_id = t.table_id OR t.table_id = ANY(r.combined_table_ids))
+                  AND r.reservation_id <> NEW.reservation_id
+                  AND r.status NOT IN ('cancelled', 'no_show')
+                  AND r.start_at < NEW.end_at
+                  AND r.end_at > NEW.start_at
             )
         ORDER BY t.capacity ASC, t.table_id ASC
         LIMIT 1;
@@ -331,10 +789,14 @@ CREATE OR REPLACE FUNCTION get_available_table_types(
 )
 RETURNS TABLE(table_type TEXT, table_price NUMERIC, capacity INT) AS $$
 DECLARE
-    min_gap INT;
+    requested_start TIMESTAMP;
 BEGIN
-    SELECT COALESCE(min_reservation_gap_hours, 2) INTO min_gap
-    FROM restaurant WHERE restaurant_id = p_restaurant_id;
+    requested_start := p_reservation_date + p_reservation_time;
+
+    -- Nothing is available outside the day's service periods
+    IF NOT is_open_at(p_restaurant_id, p_reservation_date, p_reservation_time) THEN
+        RETURN;
+    END IF;
 
     RETURN QUERY
     SELECT DISTINCT ON (t.table_type)
@@ -347,9 +809,12 @@ BEGIN
         AND t.capacity >= p_guests
         AND NOT EXISTS (
             SELECT 1 FROM reservation AS r
-            WHERE r.table_id = t.table_id
-              AND r.reservation_date = p_reservation_date
-              AND ABS(EXTRACT(EPOCH FROM (r.reservation_time - p_reservation_time))) < (min_gap * 3600)
+            WHERE (r.table_id = t.table_id OR t.table_id = ANY(r.combined_table_ids))
+              AND r.status NOT IN ('cancelled', 'no_show')
+              AND r.start_at < requested_start + make_interval(
+                  mins => get_turn_time_minutes(p_restaurant_id, p_guests, t.table_type, p_reservation_time)
+              )
+              AND r.end_at > requested_start
         )
     ORDER BY t.table_type, t.capacity ASC;
 END;
@@ -357,16 +822,26 @@ $$ LANGUAGE plpgsql;
 
 
 -- === TRIGGERS ===
+-- BEFORE triggers fire in alphabetical order of their names, so the interval is
+-- stamped before a table is assigned against it.
+
+-- Trigger to compute start_at/end_at from the date, time and turn-time rules.
+CREATE TRIGGER trg_apply_reservation_interval
+    BEFORE INSERT OR UPDATE OF reservation_date, reservation_time, guests, table_type ON reservation
+    FOR EACH ROW
+    EXECUTE FUNCTION apply_reservation_interval();
 
 -- Trigger to check if the reservation is within opening hours.
+-- Also runs when a guest moves an existing reservation to a new date/time.
 CREATE TRIGGER trg_check_reservation_time
-    BEFORE INSERT ON reservation
+    BEFORE INSERT OR UPDATE OF reservation_date, reservation_time ON reservation
     FOR EACH ROW
     EXECUTE FUNCTION check_reservation_time();
 
 -- The main trigger to validate availability and assign a table.
+-- Modifications clear table_id so a table is re-assigned for the new slot.
 CREATE TRIGGER trg_assign_available_table
-    BEFORE INSERT ON reservation
+    BEFORE INSERT OR UPDATE OF table_id ON reservation
     FOR EACH ROW
     WHEN (NEW.table_id IS NULL)
     EXECUTE FUNCTION assign_available_table();
@@ -397,12 +872,13 @@ BEGIN
             SELECT DISTINCT t.table_id, t.restaurant_id, r.min_reservation_gap_hours
             FROM tables t
             JOIN restaurant r ON t.restaurant_id = r.restaurant_id
-            LEFT JOIN reservation res ON t.table_id = res.table_id
+            LEFT JOIN reservation res ON (t.table_id = res.table_id OR t.table_id = ANY(res.combined_table_ids))
             WHERE t.status = 'reserved'
               AND r.min_reservation_gap_hours = gap_hours
               AND (
                   res.table_id IS NULL 
-                  OR (res.reservation_date + res.reservation_time + (COALESCE(r.min_reservation_gap_hours, 2) || ' hours')::INTERVAL) < NOW()
+                  OR res.status IN ('cancelled', 'no_show', 'completed')
+                  OR res.end_at < NOW()
               )
         LOOP
             -- Reset table status to available
@@ -441,14 +917,15 @@ BEGIN
     -- Default gap to 2 hours if not set
     gap_hours := COALESCE(gap_hours, 2);
     
-    -- Check for active reservations within the gap window around NOW()
+    -- Check for active reservations: from gap hours before arrival until the party leaves
     SELECT COUNT(*)
     INTO active_reservation_count
     FROM reservation
-    WHERE table_id = p_table_id
+    WHERE (table_id = p_table_id OR p_table_id = ANY(combined_table_ids))
       AND restaurant_id = p_restaurant_id
-      AND (reservation_date + reservation_time - (gap_hours || ' hours')::INTERVAL) <= curr_time
-      AND (reservation_date + reservation_time + (gap_hours || ' hours')::INTERVAL) >= curr_time;
+      AND status IN ('pending', 'confirmed', 'seated')
+      AND (start_at - (gap_hours || ' hours')::INTERVAL) <= curr_time
+      AND end_at >= curr_time;
     
     -- Get current stored status (for manually set occupied status)
     SELECT status INTO current_stored_status
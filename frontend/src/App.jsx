@@ -9,8 +9,10 @@ import BrowseRestaurants from './components/BrowseRestaurants';
 import Reservation from './components/Reservation'; 
 import ChatWithTablio from './components/ChatWithTablio';
 import Confirmation from './components/Confirmation';
+import ManageReservation from './components/ManageReservation';
 import Subscriptions from './components/Subscriptions';
 import Login from './components/Login';
+import AcceptInvitation from './components/AcceptInvitation';
 import Dashboard from './components/Dashboard';
 import AdminDashboardSelector from './components/AdminDashboardSelector';
 import SimpleRestaurantForm from './components/SimpleRestaurantForm';
@@ -34,9 +36,11 @@ function App() {
         <Route path="/reservation/:restaurantId" element={<PageTransition><Reservation /></PageTransition>} />
         <Route path="/chat/:restaurantId?" element={<PageTransition><ChatWithTablio /></PageTransition>} />
         <Route path="/confirmation" element={<PageTransition><Confirmation /></PageTransition>} />
+        <Route path="/manage-reservation/:reservationId" element={<PageTransition><ManageReservation /></PageTransition>} />
         <Route path="/about" element={<PageTransition><About /></PageTransition>} />
         <Route path="/subscriptions" element={<PageTransition><Subscriptions /></PageTransition>} />
         <Route path="/login" element={<PageTransition><Login /></PageTransition>} />
+        <Route path="/accept-invitation" element={<PageTransition><AcceptInvitation /></PageTransition>} />
         <Route path="/dashboard" element={<PageTransition><AdminDashboardSelector /></PageTransition>} />
         <Route path="/dashboard/:restaurantId" element={<PageTransition><Dashboard /></PageTransition>} />
         <Route path="/restaurant-setup" element={<PageTransition><SimpleRestaurantForm /></PageTransition>} />
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import '../styles/Forms.css';
+
+// Landing page of the link in a staff invitation email
+function AcceptInvitation() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [invitation, setInvitation] = useState(null);
+    const [formData, setFormData] = useState({
+        firstName: '',
+        lastName: '',
+        phone: '',
+        password: ''
+    });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    // Set once a new account has joined; it signs in with its new password next
+    const [joined, setJoined] = useState(false);
+    const accessToken = localStorage.getItem('accessToken');
+
+    useEffect(() => {
+        const fetchInvitation = async () => {
+            try {
+                const response = await fetch(`/api/auth/invitation?token=${encodeURIComponent(token || '')}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.error || 'Invitation not found or no longer valid');
+                }
+
+                setInvitation(data);
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchInvitation();
+    }, [token]);
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSubmitting(true);
+
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            // A signed-in account accepts as itself
+            if (accessToken) {
+                headers.Authorization = `Bearer ${accessToken}`;
+            }
+            const response = await fetch('/api/auth/invitation/accept', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ token, ...formData })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.code === 'SIGN_IN_REQUIRED'
+                    ? `Sign in to TableTurn as ${invitation.email} first, then open this link again`
+                    : data.error || 'Failed to accept invitation');
+            }
+
+            if (data.signInRequired) {
+                setJoined(true);
+                return;
+            }
+
+            // Accepted with the account's password: store its tokens
+            if (data.accessToken) {
+                localStorage.setItem('accessToken', data.accessToken);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                localStorage.setItem('user', JSON.stringify(data.owner));
+            }
+
+            // The selector lists every restaurant the account now works at
+            window.location.href = '/dashboard';
+
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const needsPassword = !invitation || !invitation.hasAccount || invitation.accountProvider === 'local';
+
+    if (loading) {
+        return <div className="auth-page"><div className="auth-container">Loading invitation...</div></div>;
+    }
+
+    return (
+        <div className="auth-page">
+            <div className="auth-container">
+                <div className="auth-card">
+                    {!invitation ? (
+                        <>
+                            <div className="auth-header">
+                                <h1>Invitation Not Found</h1>
+                                <p>{error}. Ask the restaurant to send you a new invitation.</p>
+                            </div>
+                            <div className="auth-back">
+                                <Link to="/">← Back to Home</Link>
+                            </div>
+                        </>
+                    ) : joined ? (
+                        <>
+                            <div className="auth-header">
+                                <h1>You joined {invitation.restaurantName}</h1>
+                                <p>Your account is ready. Sign in with your new password to open the dashboard.</p>
+                            </div>
+                            <div className="auth-back">
+                                <Link to="/login">Sign in</Link>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div className="auth-header">
+                                <h1>Join {invitation.restaurantName}</h1>
+                                <p>
+                                    You have been invited as <strong>{invitation.roleLabel}</strong> ({invitation.email}).
+                                    {!invitation.hasAccount
+                                        ? ' Create your TableTurn account to accept.'
+                                        : needsPassword
+                                            ? ' Sign in with your TableTurn password to accept.'
+                                            : ' Sign in to TableTurn with this account, then accept.'}
+                                </p>
+                            </div>
+
+                            <form onSubmit={handleSubmit} className="auth-form">
+                                {error && <div className="auth-error">{error}</div>}
+
+                                {!invitation.hasAccount && (
+                                    <>
+                                        <div className="form-group">
+                                            <label htmlFor="firstName">First Name</label>
+                                            <input
+                                                type="text"
+                                                id="firstName"
+                                                name="firstName"
+                                                value={formData.firstName}
+                                                onChange={handleChange}
+                                                required
+                                            />
+                                        </div>
+
+                                        <div className="form-group">
+                                            <label htmlFor="lastName">Last Name</label>
+                                            <input
+                                                type="text"
+                                                id="lastName"
+                                                name="lastName"
+                                                value={formData.lastName}
+                                                onChange={handleChange}
+                                                required
+                                            />
+                                        </div>
+
+                                        <div className="form-group">
+                                            <label htmlFor="phone">Phone (optional)</label>
+                                            <input
+                                                type="tel"
+                                                id="phone"
+                                                name="phone"
+                                                value={formData.phone}
+                                                onChange={handleChange}
+                                            />
+                                        </div>
+                                    </>
+                                )}
+
+                                {needsPassword && (
+                                    <div className="form-group">
+                                        <label htmlFor="password">Password</label>
+                                        <input
+                                            type="password"
+                                            id="password"
+                                            name="password"
+                                            value={formData.password}
+                                            onChange={handleChange}
+                                            required
+                                            minLength={invitation.hasAccount ? undefined : 8}
+                                            placeholder={invitation.hasAccount ? 'Enter your password' : 'At least 8 characters'}
+                                        />
+                                    </div>
+                                )}
+
+                                <button
+                                    type="submit"
+                                    className="auth-submit"
+                                    disabled={submitting}
+                                >
+                                    {submitting ? 'Joining...' : 'Accept Invitation'}
+                                </button>
+                            </form>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AcceptInvitation;
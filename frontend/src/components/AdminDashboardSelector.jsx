@@ -31,13 +31,17 @@ function AdminDashboardSelector() {
                 const data = await response.json();
                 setUserInfo(data);
 
-                // Check if user is admin
-                if (data.role !== 'admin') {
-                    setError('Access denied. Admin access required.');
+                // Staff pick from the restaurants they work at, with their role at each
+                if (!data.isPlatformAdmin) {
+                    if (data.restaurants.length === 0) {
+                        setError('Access denied. Your account is not on the staff of any restaurant yet.');
+                        return;
+                    }
+                    setRestaurants(data.restaurants);
                     return;
                 }
                 
-                // Fetch all restaurants
+                // Admins see every restaurant
                 const restaurantsResponse = await fetch('/api/restaurants');
                 if (!restaurantsResponse.ok) {
                     throw new Error('Failed to fetch restaurants');
@@ -77,11 +81,11 @@ function AdminDashboardSelector() {
     return (
         <div className="admin-selector-container">
             <div className="admin-selector-header">
-                <h1>Admin Dashboard</h1>
+                <h1>{userInfo?.isPlatformAdmin ? 'Admin Dashboard' : 'Your Restaurants'}</h1>
                 <p>Select a restaurant to view its dashboard</p>
                 {userInfo && (
                     <div className="admin-info">
-                        <span className="admin-badge">Admin View</span>
+                        {userInfo.isPlatformAdmin && <span className="admin-badge">Admin View</span>}
                         <button 
                             onClick={() => {
                                 localStorage.removeItem('accessToken');
@@ -120,7 +124,8 @@ function AdminDashboardSelector() {
                         <div className="restaurant-info">
                             <h3>{restaurant.name}</h3>
                             <p className="restaurant-location">{restaurant.area}, {restaurant.island}</p>
-                            <p className="restaurant-cuisine">{restaurant.cuisine}</p>
+                            {restaurant.cuisine && <p className="restaurant-cuisine">{restaurant.cuisine}</p>}
+                            {restaurant.role && <span className="role-badge">{restaurant.role}</span>}
                         </div>
                         <div className="view-dashboard-btn">
                             View Dashboard →
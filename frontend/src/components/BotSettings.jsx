@@ -0,0 +1,309 @@
+import { useState, useEffect } from 'react';
+import '../styles/BotSettings.css';
+
+const TEMPLATE_LABELS = {
+    greeting: 'Greeting',
+    reservation_confirmation: 'Booking confirmation'
+};
+
+const TEMPLATE_PLACEHOLDERS = {
+    greeting: "Γεια σας! Welcome to {restaurant}. I'm Tablio, how can I help?",
+    reservation_confirmation: 'Thank you {name}! Your table for {guests} on {date} at {time} is booked.'
+};
+
+// Sample booking the confirmation template is shown with
+const SAMPLE_BOOKING = {
+    name: 'Maria',
+    guests: 4,
+    date: '2026-06-12',
+    time: '20:30',
+    table_type: 'terrace',
+    reservation_id: 1234
+};
+
+const newPreviewSession = () => Math.random().toString(36).slice(2, 10);
+
+function BotSettings({ restaurantId }) {
+    const [options, setOptions] = useState(null);
+    const [restaurantName, setRestaurantName] = useState('');
+    const [responseStyle, setResponseStyle] = useState('');
+    const [modules, setModules] = useState({});
+    const [templates, setTemplates] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [saved, setSaved] = useState(false);
+    const [previewMessages, setPreviewMessages] = useState([]);
+    const [previewInput, setPreviewInput] = useState('');
+    const [previewSessionId, setPreviewSessionId] = useState(newPreviewSession);
+    const [previewLoading, setPreviewLoading] = useState(false);
+
+    const getAuthHeaders = () => {
+        const token = localStorage.getItem('accessToken');
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    };
+
+    const applyConfig = (config) => {
+        setRestaurantName(config.restaurantName || '');
+        setResponseStyle(config.responseStyle);
+        setModules(config.modules);
+        setTemplates(config.templates);
+    };
+
+    useEffect(() => {
+        if (!restaurantId) return;
+
+        const fetchSettings = async () => {
+            try {
+                setError(null);
+                const response = await fetch(`/api/restaurants/${restaurantId}/bot-settings`, {
+                    headers: getAuthHeaders()
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to fetch Tablio settings');
+                }
+
+                setOptions(data.options);
+                applyConfig(data);
+            } catch (err) {
+                console.error('Error fetching Tablio settings:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchSettings();
+    }, [restaurantId]);
+
+    // What the page holds now; empty templates go back to the default message
+    const draftSettings = () => ({
+        responseStyle,
+        modules,
+        templates: Object.fromEntries(
+            Object.keys(options.templateVariables).map(name => [name, templates[name] || null])
+        )
+    });
+
+    const updateTemplate = (name, text) => {
+        setTemplates(current => ({ ...current, [name]: text }));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/bot-settings`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(draftSettings())
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save Tablio settings');
+            }
+
+            applyConfig(data);
+            setSaved(true);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const fillTemplate = (template, variables) => template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        variables[name] === undefined ? placeholder : String(variables[name])
+    ));
+
+    const greetingPreview = () => {
+        if (modules.greeting === false || !templates.greeting) return null;
+        return fillTemplate(templates.greeting, { restaurant: restaurantName });
+    };
+
+    const resetPreview = () => {
+        setPreviewMessages([]);
+        setPreviewSessionId(newPreviewSession());
+    };
+
+    const handlePreviewSend = async (e) => {
+        e.preventDefault();
+        const text = previewInput.trim();
+        if (!text) return;
+
+        const userMsg = { sender: 'user', text };
+        const history = [...previewMessages, userMsg];
+        setPreviewMessages(history);
+        setPreviewInput('');
+        setPreviewLoading(true);
+
+        try {
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/bot-settings/preview`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({
+                    message: text,
+                    history,
+                    sessionId: previewSessionId,
+                    settings: draftSettings()
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to get a preview reply');
+            }
+
+            setPreviewMessages(current => [...current, {
+                sender: 'ai',
+                text: String(data.response || ''),
+                tools: (data.orchestrator?.toolCalls || []).map(call => call.tool)
+            }]);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setPreviewLoading(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="bot-settings-loading">Loading Tablio settings...</div>;
+    }
+
+    if (!options) {
+        return <div className="bot-settings-error">Error: {error}</div>;
+    }
+
+    const greeting = greetingPreview();
+
+    return (
+        <div className="bot-settings-container">
+            <div className="bot-settings-header">
+                <h3>🤖 Tablio Settings</h3>
+                <div className="bot-settings-actions">
+                    {saved && <span className="bot-settings-saved">Saved</span>}
+                    <button className="bot-settings-save-btn" onClick={handleSave} disabled={saving}>
+                        {saving ? 'Saving...' : 'Save settings'}
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="bot-settings-error">Error: {error}</div>}
+
+            <div className="bot-settings-layout">
+                <div className="bot-settings-form">
+                    <section className="bot-settings-section">
+                        <h4>Tone</h4>
+                        <select
+                            value={responseStyle}
+                            onChange={(e) => {
+                                setResponseStyle(e.target.value);
+                                setSaved(false);
+                            }}
+                        >
+                            {Object.entries(options.responseStyles).map(([style, label]) => (
+                                <option key={style} value={style}>{label}</option>
+                            ))}
+                        </select>
+                    </section>
+
+                    <section className="bot-settings-section">
+                        <h4>What Tablio handles</h4>
+                        {Object.entries(options.modules).map(([module, label]) => (
+                            <label key={module} className="bot-settings-module">
+                                <input
+                                    type="checkbox"
+                                    checked={modules[module] !== false}
+                                    onChange={(e) => {
+                                        setModules(current => ({ ...current, [module]: e.target.checked }));
+                                        setSaved(false);
+                                    }}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </section>
+
+                    {Object.entries(options.templateVariables).map(([name, variables]) => (
+                        <section key={name} className="bot-settings-section">
+                            <h4>{TEMPLATE_LABELS[name] || name}</h4>
+                            <textarea
+                                rows={3}
+                                maxLength={500}
+                                placeholder={TEMPLATE_PLACEHOLDERS[name]}
+                                value={templates[name] || ''}
+                                onChange={(e) => updateTemplate(name, e.target.value)}
+                            />
+                            <div className="bot-settings-variables">
+                                {variables.map(variable => (
+                                    <button
+                                        key={variable}
+                                        type="button"
+                                        className="bot-settings-variable"
+                                        onClick={() => updateTemplate(name, `${templates[name] || ''}{${variable}}`)}
+                                    >
+                                        {`{${variable}}`}
+                                    </button>
+                                ))}
+                            </div>
+                            {name === 'reservation_confirmation' && templates[name] && (
+                                <p className="bot-settings-sample">
+                                    {fillTemplate(templates[name], { ...SAMPLE_BOOKING, restaurant: restaurantName })}
+                                </p>
+                            )}
+                            {!templates[name] && <p className="bot-settings-hint">Leave empty to use Tablio&apos;s own message.</p>}
+                        </section>
+                    ))}
+                </div>
+
+                <div className="bot-settings-preview">
+                    <div className="bot-settings-preview-header">
+                        <h4>Preview</h4>
+                        <button type="button" className="bot-settings-variable" onClick={resetPreview}>
+                            Start over
+                        </button>
+                    </div>
+                    <p className="bot-settings-hint">Try your changes before saving. No bookings are made here.</p>
+                    <div className="bot-settings-preview-messages">
+                        {greeting && <div className="bot-settings-message ai">{greeting}</div>}
+                        {previewMessages.map((message, index) => (
+                            <div key={index} className={`bot-settings-message ${message.sender}`}>
+                                {message.text}
+                                {message.tools && message.tools.length > 0 && (
+                                    <div className="bot-settings-message-meta">{message.tools.join(' · ')}</div>
+                                )}
+                            </div>
+                        ))}
+                        {previewLoading && <div className="bot-settings-message ai">...</div>}
+                    </div>
+                    <form className="bot-settings-preview-form" onSubmit={handlePreviewSend}>
+                        <input
+                            type="text"
+                            placeholder="Ask Tablio something..."
+                            value={previewInput}
+                            onChange={(e) => setPreviewInput(e.target.value)}
+                        />
+                        <button type="submit" className="bot-settings-save-btn" disabled={previewLoading || !previewInput.trim()}>
+                            Send
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default BotSettings;
@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from 'react';
+import '../styles/ChatInbox.css';
+
+const OUTCOME_LABELS = {
+    open: 'Open',
+    booked: 'Booked',
+    abandoned: 'Abandoned',
+    answered: 'Answered'
+};
+
+const HANDOFF_LABELS = {
+    requested: 'Needs staff',
+    active: 'With staff'
+};
+
+// canRespond: whether this staff role may take over and reply
+function ChatInbox({ restaurantId, conversationId = null, liveVersion = 0, canRespond = true }) {
+    const [conversations, setConversations] = useState([]);
+    const [outcome, setOutcome] = useState('');
+    const [selectedId, setSelectedId] = useState(conversationId);
+    const [transcript, setTranscript] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reply, setReply] = useState('');
+    const [sending, setSending] = useState(false);
+
+    const getAuthHeaders = () => {
+        const token = localStorage.getItem('accessToken');
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    };
+
+    const fetchConversations = useCallback(async () => {
+        try {
+            setError(null);
+            const params = new URLSearchParams();
+            if (outcome) params.append('outcome', outcome);
+
+            const response = await fetch(`/api/restaurants/${restaurantId}/conversations?${params}`, {
+                headers: getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Failed to fetch conversations: ${response.status}`);
+            }
+
+            const data = await response.json();
+            setConversations(Array.isArray(data) ? data : []);
+        } catch (err) {
+            console.error('Error fetching conversations:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [restaurantId, outcome]);
+
+    useEffect(() => {
+        if (!restaurantId) return;
+        fetchConversations();
+
+        // New chats and handoff requests arrive while the inbox is open
+        const interval = setInterval(fetchConversations, 30000);
+        return () => clearInterval(interval);
+    }, [restaurantId, fetchConversations]);
+
+    // A handoff was requested, taken over or handed back on another device
+    useEffect(() => {
+        if (restaurantId && liveVersion > 0) fetchConversations();
+    }, [restaurantId, liveVersion, fetchConversations]);
+
+    // Opened from a reservation on the live dashboard
+    useEffect(() => {
+        if (conversationId) setSelectedId(conversationId);
+    }, [conversationId]);
+
+    const fetchTranscript = useCallback(async () => {
+        if (!selectedId) {
+            setTranscript(null);
+            return;
+        }
+
+        try {
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/conversations/${selectedId}`, {
+                headers: getAuthHeaders()
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to fetch conversation');
+            }
+
+            setTranscript(data);
+        } catch (err) {
+            setError(err.message);
+            setTranscript(null);
+        }
+    }, [restaurantId, selectedId]);
+
+    useEffect(() => {
+        fetchTranscript();
+    }, [fetchTranscript]);
+
+    // Keep up with the guest while staff hold the conversation
+    const handoffStatus = transcript?.handoff_status;
+    useEffect(() => {
+        if (!handoffStatus) return;
+        const interval = setInterval(fetchTranscript, 5000);
+        return () => clearInterval(interval);
+    }, [handoffStatus, fetchTranscript]);
+
+    const handoffAction = async (action, body = null) => {
+        try {
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/conversations/${selectedId}/${action}`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update conversation');
+            }
+
+            await Promise.all([fetchTranscript(), fetchConversations()]);
+            return true;
+        } catch (err) {
+            setError(err.message);
+            return false;
+        }
+    };
+
+    const handleReply = async (e) => {
+        e.preventDefault();
+        if (!reply.trim()) return;
+
+        setSending(true);
+        if (await handoffAction('messages', { text: reply })) {
+            setReply('');
+        }
+        setSending(false);
+    };
+
+    const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    const formatTime = (timeString) => (timeString ? String(timeString).slice(0, 5) : '');
+
+    if (loading) {
+        return <div className="inbox-loading">Loading conversations...</div>;
+    }
+
+    const renderMessage = (message) => (
+        <div key={message.message_id} className={`inbox-message ${message.sender}`}>
+            <div className="inbox-message-text">{message.text}</div>
+            <div className="inbox-message-meta">
+                <span>{formatDateTime(message.created_at)}</span>
+                {message.agent && <span className="inbox-agent">{message.agent}</span>}
+                {message.sender === 'staff' && <span className="inbox-agent">{message.staff_name || 'Staff'}</span>}
+                {(message.tool_calls || []).map(call => (
+                    <span
+                        key={`${call.step}-${call.tool}`}
+                        className={`inbox-tool ${call.success ? 'succeeded' : 'failed'}`}
+                        title={call.agent}
+                    >
+                        {call.tool}
+                        {call.reservationId && ` #${call.reservationId}`}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="inbox-container">
+            <div className="inbox-header">
+                <h3>💬 Chat Inbox</h3>
+                <div className="inbox-controls">
+                    <select value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+                        <option value="">All conversations</option>
+                        {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                    <button className="inbox-refresh-btn" onClick={fetchConversations}>Refresh</button>
+                </div>
+            </div>
+
+            {error && <div className="inbox-error">Error: {error}</div>}
+
+            <div className="inbox-layout">
+                <div className="inbox-list">
+                    {conversations.length === 0 ? (
+                        <p className="inbox-empty">No conversations yet.</p>
+                    ) : (
+                        conversations.map(conversation => (
+                            <button
+                                key={conversation.conversation_id}
+                                className={`inbox-list-item ${conversation.conversation_id === selectedId ? 'selected' : ''}`}
+                                onClick={() => setSelectedId(conversation.conversation_id)}
+                            >
+                                <div className="inbox-list-top">
+                                    <span className={`inbox-outcome ${conversation.outcome}`}>
+                                        {OUTCOME_LABELS[conversation.outcome] || conversation.outcome}
+                                    </span>
+                                    {conversation.handoff_status && (
+                                        <span className={`inbox-handoff ${conversation.handoff_status}`}>
+                                            {HANDOFF_LABELS[conversation.handoff_status]}
+                                        </span>
+                                    )}
+                                    <span className="inbox-list-time">{formatDateTime(conversation.last_message_at)}</span>
+                                </div>
+                                <div className="inbox-list-preview">{conversation.first_message || '—'}</div>
+                                <div className="inbox-list-meta">{conversation.message_count} messages</div>
+                            </button>
+                        ))
+                    )}
+                </div>
+
+                <div className="inbox-transcript">
+                    {!transcript ? (
+                        <p className="inbox-empty">Pick a conversation to read the transcript.</p>
+                    ) : (
+                        <>
+                            <div className="inbox-transcript-header">
+                                <span className={`inbox-outcome ${transcript.outcome}`}>
+                                    {OUTCOME_LABELS[transcript.outcome] || transcript.outcome}
+                                </span>
+                                <span>Started {formatDateTime(transcript.started_at)}</span>
+                            </div>
+                            {transcript.handoff_status ? (
+                                <div className={`inbox-handoff-bar ${transcript.handoff_status}`}>
+                                    <span>
+                                        {transcript.handoff_status === 'requested'
+                                            ? `🙋 The guest asked for a person${transcript.handoff_reason ? `: ${transcript.handoff_reason}` : ''}`
+                                            : `👤 ${transcript.handoff_staff_name || 'Staff'} is chatting with the guest. Tablio is paused.`}
+                                    </span>
+                                    {canRespond && (
+                                        <div className="inbox-handoff-actions">
+                                            {transcript.handoff_status === 'requested' && (
+                                                <button className="inbox-takeover-btn" onClick={() => handoffAction('takeover')}>
+                                                    Take over
+                                                </button>
+                                            )}
+                                            <button className="inbox-release-btn" onClick={() => handoffAction('release')}>
+                                                Hand back to Tablio
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ) : (
+                                <div className="inbox-handoff-bar">
+                                    <span>Tablio is answering this guest.</span>
+                                    {canRespond && (
+                                        <button className="inbox-takeover-btn" onClick={() => handoffAction('takeover')}>
+                                            Take over
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                            {transcript.reservations.length > 0 && (
+                                <div className="inbox-reservations">
+                                    {transcript.reservations.map(reservation => (
+                                        <div key={reservation.reservation_id} className="inbox-reservation">
+                                            📅 #{reservation.reservation_id} {reservation.reservation_name} ·{' '}
+                                            {reservation.reservation_date} {formatTime(reservation.reservation_time)} ·{' '}
+                                            Party of {reservation.guests} · {reservation.status}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="inbox-messages">
+                                {transcript.messages.map(renderMessage)}
+                            </div>
+                            {transcript.handoff_status && canRespond && (
+                                <form className="inbox-reply-form" onSubmit={handleReply}>
+                                    <input
+                                        type="text"
+                                        placeholder="Reply to the guest..."
+                                        value={reply}
+                                        onChange={(e) => setReply(e.target.value)}
+                                    />
+                                    <button type="submit" className="inbox-refresh-btn" disabled={sending || !reply.trim()}>
+                                        {sending ? 'Sending...' : 'Send'}
+                                    </button>
+                                </form>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ChatInbox;
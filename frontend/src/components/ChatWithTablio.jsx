@@ -373,6 +373,78 @@ function AnimatedText({ text, delay = 0 }) {
     );
 }
 
+// Status line shown while each agent works on a streamed reply
+const AGENT_STATUS = {
+    TableAvailabilityAgent: 'Checking availability...',
+    MenuPricingAgent: 'Looking through the menu...',
+    CelebrationAgent: 'Finding celebration packages...',
+    RestaurantInfoAgent: 'Looking up restaurant details...',
+    ReservationAgent: 'Working on your reservation...',
+    SupportContactAgent: 'Finding the right contact...'
+};
+
+// Parse one Server-Sent Events frame ("event: name\ndata: {...}")
+function parseSseFrame(frame) {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    }
+    if (dataLines.length === 0) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+// Send a message to the streaming chat route, passing progress events to onEvent.
+// Resolves with the final result, or null when streaming is not available
+// (the message was not processed, so the caller can use the JSON route instead).
+async function streamChat(body, onEvent) {
+    let res;
+    try {
+        res = await fetch('/api/chat/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        console.warn('Streaming chat request failed:', error);
+        return null;
+    }
+
+    if (!res.ok || !res.body || !(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        return null;
+    }
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+            const parsed = parseSseFrame(frame);
+            if (!parsed) continue;
+            if (parsed.event === 'done') return parsed.data;
+            if (parsed.event === 'error') throw new Error(parsed.data.error || 'Streaming chat failed');
+            onEvent(parsed);
+        }
+    }
+    throw new Error('Chat stream ended before the response was complete');
+}
+
+// One chat session per browser tab, so a booking in progress survives reloads and server restarts
+function getChatSessionId() {
+    let sessionId = sessionStorage.getItem('tablioSessionId');
+    if (!sessionId) {
+        sessionId = crypto.randomUUID();
+        sessionStorage.setItem('tablioSessionId', sessionId);
+    }
+    return sessionId;
+}
+
 function ChatWithTablio() {
     const { restaurantId } = useParams();
     const navigate = useNavigate();
@@ -382,13 +454,24 @@ function ChatWithTablio() {
     ]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(false);
+    const [sessionId] = useState(getChatSessionId);
+    const [streamStatus, setStreamStatus] = useState(null);
+    const [streamText, setStreamText] = useState('');
+    const [handoff, setHandoff] = useState(null);
+    const lastStaffMessageId = useRef(0);
     const chatHistoryRef = useRef(null);
 
     useEffect(() => {
         if (restaurantId && restaurantId !== 'undefined' && restaurantId !== 'null') {
             fetch(`/api/restaurants/${restaurantId}/info`)
                 .then(res => res.json())
-                .then(data => setRestaurantName(data.name || restaurantId))
+                .then(data => {
+                    setRestaurantName(data.name || restaurantId);
+                    // The owner's own greeting from the Tablio settings
+                    if (data.chat_greeting) {
+                        setMessages(msgs => (msgs.length === 1 ? [{ ...msgs[0], text: data.chat_greeting }] : msgs));
+                    }
+                })
                 .catch(() => setRestaurantName(restaurantId));
         } else {
             // If no restaurant selected, redirect to browse restaurants
@@ -396,11 +479,45 @@ function ChatWithTablio() {
         }
     }, [restaurantId, navigate]);
 
+    // When the guest asked for a person, staff reply from the dashboard and their
+    // messages are picked up here; handoff goes back to null once Tablio takes over again
+    const isHandedOff = Boolean(handoff);
+    useEffect(() => {
+        if (!restaurantId || restaurantId === 'undefined' || restaurantId === 'null') return;
+
+        const fetchStaffReplies = async () => {
+            try {
+                const res = await fetch(`/api/chat/session/${sessionId}/staff?restaurantId=${restaurantId}&after=${lastStaffMessageId.current}`);
+                if (!res.ok) return;
+
+                const data = await res.json();
+                if (data.messages.length > 0) {
+                    lastStaffMessageId.current = data.messages[data.messages.length - 1].message_id;
+                    setMessages(msgs => [...msgs, ...data.messages.map(message => ({
+                        sender: 'staff',
+                        text: message.text,
+                        staffName: message.staff_name,
+                        timestamp: new Date(message.created_at)
+                    }))]);
+                }
+                setHandoff(data.handoff);
+            } catch (err) {
+                console.error('Error fetching staff replies:', err);
+            }
+        };
+
+        fetchStaffReplies();
+        if (!isHandedOff) return;
+
+        const interval = setInterval(fetchStaffReplies, 5000);
+        return () => clearInterval(interval);
+    }, [restaurantId, sessionId, isHandedOff]);
+
     useEffect(() => {
         if (chatHistoryRef.current) {
             chatHistoryRef.current.scrollTop = chatHistoryRef.current.scrollHeight;
         }
-    }, [messages]);
+    }, [messages, streamText]);
 
     const handleSend = async (e) => {
         e.preventDefault();
@@ -410,24 +527,40 @@ function ChatWithTablio() {
         setMessages(msgs => [...msgs, userMsg]);
         setInput('');
         setLoading(true);
+        setStreamStatus(null);
+        setStreamText('');
         
         try {
-            const res = await fetch('/api/chat', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    message: input,
-                    restaurantId: restaurantId ? Number(restaurantId) : null,
-                    restaurantName,
-                    history: [...messages, userMsg]
-                })
+            const requestBody = {
+                message: input,
+                restaurantId: restaurantId ? Number(restaurantId) : null,
+                restaurantName,
+                sessionId,
+                history: [...messages, userMsg]
+            };
+            
+            // Stream progress and the reply as it is written; fall back to the JSON route
+            let data = await streamChat(requestBody, ({ event, data: eventData }) => {
+                if (event === 'agent') {
+                    setStreamStatus(AGENT_STATUS[eventData.agent] || 'Working on it...');
+                } else if (event === 'token') {
+                    setStreamText(text => text + eventData.text);
+                }
             });
             
-            if (!res.ok) {
-                throw new Error(`HTTP error! status: ${res.status}`);
+            if (!data) {
+                const res = await fetch('/api/chat', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(requestBody)
+                });
+                
+                if (!res.ok) {
+                    throw new Error(`HTTP error! status: ${res.status}`);
+                }
+                
+                data = await res.json();
             }
-            
-            const data = await res.json();
             console.log('Received data from backend:', data); // Debug log
             console.log('Response text:', data.response); // Debug the specific response text
             console.log('Response type:', typeof data.response); // Debug the type
@@ -435,6 +568,14 @@ function ChatWithTablio() {
             console.log('Multi-agent info:', data.multiAgent); // Debug multi-agent data
             console.log('Orchestrator info:', data.orchestrator); // Debug orchestrator data
             
+            // Handed over to staff: Tablio is quiet and staff replies arrive by polling
+            if (data.type === 'handoff') {
+                setHandoff(data.handoff);
+                if (!data.response) {
+                    return;
+                }
+            }
+            
             // Validate response before adding to chat
             const responseText = String(data.response || data.text || 'Sorry, I received an empty response.');
             console.log('Final response text to display:', responseText);
@@ -477,6 +618,10 @@ function ChatWithTablio() {
             console.log('Message text type:', typeof responseText);
             setMessages(msgs => {
                 const newMessage = { sender: 'ai', text: responseText, timestamp: new Date() };
+                // A recurring booking: its token lets the guest view or cancel the series later
+                if (data.seriesDetails?.seriesToken) {
+                    newMessage.series = data.seriesDetails;
+                }
                 console.log('New message object:', newMessage);
                 const newMessages = [...msgs, newMessage];
                 console.log('New messages array:', newMessages);
@@ -494,6 +639,8 @@ function ChatWithTablio() {
                     const confirmationData = {
                         restaurantName: data.reservationDetails.restaurant.name,
                         reservationId: data.reservationDetails.reservationId,
+                        manageToken: data.reservationDetails.manageToken,
+                        deposit: data.reservationDetails.deposit,
                         customerName: data.reservationDetails.customer.name,
                         customerEmail: data.reservationDetails.customer.email,
                         customerPhone: data.reservationDetails.customer.phone,
@@ -501,6 +648,7 @@ function ChatWithTablio() {
                         time: data.reservationDetails.reservation.time,
                         guests: data.reservationDetails.reservation.partySize,
                         tableType: data.reservationDetails.reservation.tableType,
+                        confirmationMessage: data.reservationDetails.confirmationMessage,
                         success: true
                     };
 
@@ -524,6 +672,28 @@ function ChatWithTablio() {
             setMessages(msgs => [...msgs, { sender: 'ai', text: 'Sorry, there was an error contacting the AI.', timestamp: new Date() }]);
         } finally {
             setLoading(false);
+            setStreamStatus(null);
+            setStreamText('');
+        }
+    };
+
+    const cancelSeries = async (series) => {
+        try {
+            const res = await fetch(`/api/reservation/series/${series.seriesId}`, {
+                method: 'DELETE',
+                headers: { 'x-series-token': series.seriesToken }
+            });
+            const result = await res.json();
+            if (!res.ok) {
+                throw new Error(result.error || `HTTP error! status: ${res.status}`);
+            }
+            const kept = result.kept.length > 0
+                ? ` ${result.kept.length} date(s) past the cancellation deadline were kept.`
+                : '';
+            setMessages(msgs => [...msgs, { sender: 'ai', text: `${result.message}.${kept}`, timestamp: new Date() }]);
+        } catch (err) {
+            console.error('Error cancelling series:', err);
+            setMessages(msgs => [...msgs, { sender: 'ai', text: 'Sorry, the series could not be cancelled. Please contact the restaurant directly.', timestamp: new Date() }]);
         }
     };
 
@@ -550,7 +720,9 @@ function ChatWithTablio() {
                         <h1 className="premium-chat-title">Tablio Assistant</h1>
                         <div className="chat-status">
                             <span className="status-dot"></span>
-                            Online - Ready to help
+                            {!handoff && 'Online - Ready to help'}
+                            {handoff?.status === 'requested' && 'Waiting for a member of staff...'}
+                            {handoff?.status === 'active' && `${handoff.staffName || 'A member of staff'} from the restaurant is chatting with you`}
                         </div>
                     </div>
                 </div>
@@ -572,11 +744,28 @@ function ChatWithTablio() {
                         >
                             <div className={`premium-message ${msg.sender}`}>
                                 <div className="message-content">
+                                    {msg.sender === 'staff' && (
+                                        <div className="staff-name">{msg.staffName || 'Restaurant staff'}</div>
+                                    )}
                                     {msg.sender === 'ai' ? (
                                         <AnimatedText text={msg.text} delay={200} />
                                     ) : (
                                         <div>{msg.text}</div>
                                     )}
+                                    {msg.series && (
+                                        <div className="series-links">
+                                            <a
+                                                href={`/api/reservation/series/${msg.series.seriesId}?token=${encodeURIComponent(msg.series.seriesToken)}`}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                            >
+                                                View these dates
+                                            </a>
+                                            <button type="button" onClick={() => cancelSeries(msg.series)}>
+                                                Cancel these dates
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
                                 <div className="message-timestamp">
                                     {formatTime(msg.timestamp)}
@@ -587,10 +776,28 @@ function ChatWithTablio() {
                                     <div className="ai-avatar">A</div>
                                 </div>
                             )}
+                            {msg.sender === 'staff' && (
+                                <div className="message-avatar">
+                                    <div className="ai-avatar staff-avatar">{(msg.staffName || 'S').charAt(0)}</div>
+                                </div>
+                            )}
                         </div>
                     ))}
                     
-                    {loading && (
+                    {loading && streamText && (
+                        <div className="premium-message-wrapper ai">
+                            <div className="premium-message ai streaming">
+                                <div className="message-content">
+                                    <div>{streamText}</div>
+                                </div>
+                            </div>
+                            <div className="message-avatar">
+                                <div className="ai-avatar">A</div>
+                            </div>
+                        </div>
+                    )}
+                    
+                    {loading && !streamText && (
                         <div className="premium-message-wrapper ai">
                             <div className="premium-message ai typing">
                                 <div className="typing-indicator">
@@ -599,7 +806,7 @@ function ChatWithTablio() {
                                         <span></span>
                                         <span></span>
                                     </div>
-                                    <div className="typing-text">Tablio is typing...</div>
+                                    <div className="typing-text">{streamStatus || 'Tablio is typing...'}</div>
                                 </div>
                             </div>
                             <div className="message-avatar">
@@ -1,10 +1,12 @@
 import { useLocation, useNavigate } from 'react-router-dom';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import DepositPayment from './DepositPayment';
 import '../styles/Confirmation.css';
 
 function Confirmation() {
   const { state } = useLocation();
   const navigate = useNavigate();
+  const [depositPaid, setDepositPaid] = useState(false);
 
   useEffect(() => {
     // Debug log to see what state we're getting
@@ -43,8 +45,26 @@ function Confirmation() {
             {!state.restaurantName && (
               <p>Your table has been successfully booked.</p>
             )}
+            {state.confirmationMessage && (
+              <p className="confirmation-message">{state.confirmationMessage}</p>
+            )}
           </div>
 
+          {state.deposit && state.deposit.clientSecret && !depositPaid && (
+            <DepositPayment
+              clientSecret={state.deposit.clientSecret}
+              amount={state.deposit.amount}
+              mode={state.deposit.mode}
+              dueAt={state.deposit.dueAt}
+              onPaid={() => setDepositPaid(true)}
+            />
+          )}
+          {state.deposit && depositPaid && (
+            <div className="confirmation-info">
+              <p>Deposit of <strong>€{Number(state.deposit.amount).toFixed(2)}</strong> received - your table is secured.</p>
+            </div>
+          )}
+
           <div className="reservation-summary">
             <h2>Reservation Details</h2>
             
@@ -95,10 +115,31 @@ function Confirmation() {
 
           <div className="confirmation-info">
             <p>A confirmation email has been sent to <strong>{state.customerEmail || state.reservationEmail || state.email}</strong></p>
-            <p>For any changes, please call us at <strong>+30 224 102 7000</strong></p>
+            {state.reservationId && state.manageToken ? (
+              <p>Need to change or cancel? Use <strong>Manage my booking</strong> below or call us at <strong>+30 224 102 7000</strong></p>
+            ) : (
+              <p>For any changes, please call us at <strong>+30 224 102 7000</strong></p>
+            )}
           </div>
 
           <div className="confirmation-actions">
+            {state.reservationId && state.manageToken && (
+              <button 
+                className="cta-button secondary"
+                onClick={() => navigate(`/manage-reservation/${state.reservationId}?token=${encodeURIComponent(state.manageToken)}`)}
+              >
+                Manage my booking
+              </button>
+            )}
+            {state.reservationId && state.manageToken && (
+              <a
+                className="cta-button secondary"
+                href={`/api/reservation/${state.reservationId}/calendar.ics?token=${encodeURIComponent(state.manageToken)}`}
+                download
+              >
+                📅 Add to calendar
+              </a>
+            )}
             <button 
               className="cta-button secondary"
               onClick={() => navigate('/browse-restaurants')}
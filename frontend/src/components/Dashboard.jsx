@@ -2,6 +2,11 @@ import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import RestaurantSettings from './RestaurantSettings';
 import TableMap from './TableMap';
+import WaitlistPanel from './WaitlistPanel';
+import OpeningHoursCalendar from './OpeningHoursCalendar';
+import ChatInbox from './ChatInbox';
+import BotSettings from './BotSettings';
+import useLiveUpdates from '../hooks/useLiveUpdates';
 import '../styles/Dashboard.css';
 
 function Dashboard() {
@@ -14,6 +19,10 @@ function Dashboard() {
     const [userInfo, setUserInfo] = useState(null);
     const [restaurantInfo, setRestaurantInfo] = useState(null);
     const [showSettings, setShowSettings] = useState(false);
+    const [inboxConversationId, setInboxConversationId] = useState(null);
+    const [handoffs, setHandoffs] = useState([]);
+    const [tableMapVersion, setTableMapVersion] = useState(0);
+    const [inboxVersion, setInboxVersion] = useState(0);
 
     const getAuthHeaders = () => {
         const token = localStorage.getItem('accessToken');
@@ -26,7 +35,7 @@ function Dashboard() {
     useEffect(() => {
         const fetchUserInfo = async () => {
             try {
-                const response = await fetch('/api/dashboard/user-info', {
+                const response = await fetch(`/api/dashboard/user-info?restaurantId=${restaurantId}`, {
                     headers: getAuthHeaders()
                 });
                 
@@ -40,9 +49,9 @@ function Dashboard() {
                 const data = await response.json();
                 setUserInfo(data);
 
-                // Check if user has access to this restaurant
-                if (data.role !== 'admin' && data.restaurantId !== parseInt(restaurantId)) {
-                    setError('Access denied. You can only view your own restaurant dashboard.');
+                // No role here means the account is not on this restaurant's staff
+                if (!data.role) {
+                    setError('Access denied. You can only view the dashboards of restaurants you work at.');
                     return;
                 }
 
@@ -61,9 +70,10 @@ function Dashboard() {
         fetchUserInfo();
     }, [restaurantId]);
 
-    const fetchDashboardData = useCallback(async (tier) => {
+    // silent: refresh in place (live updates) instead of showing the loading screen
+    const fetchDashboardData = useCallback(async (tier, { silent = false } = {}) => {
         try {
-            setLoading(true);
+            if (!silent) setLoading(true);
             const response = await fetch(`/api/dashboard/${tier}/${restaurantId}`, {
                 headers: getAuthHeaders()
             });
@@ -92,6 +102,56 @@ function Dashboard() {
         }
     }, [activeTab, userInfo, error, fetchDashboardData]);
 
+    // Guests who asked Tablio for a person, shown on every tab
+    const fetchHandoffs = useCallback(async () => {
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/handoffs`, {
+                headers: getAuthHeaders()
+            });
+            if (response.ok) {
+                const data = await response.json();
+                setHandoffs(Array.isArray(data) ? data : []);
+            }
+        } catch (err) {
+            console.error('Handoff fetch error:', err);
+        }
+    }, [restaurantId]);
+
+    // Live updates bring new requests straight away; polling covers a dropped socket
+    useEffect(() => {
+        if (!userInfo || error) return;
+
+        fetchHandoffs();
+        const interval = setInterval(fetchHandoffs, 15000);
+        return () => clearInterval(interval);
+    }, [userInfo, error, fetchHandoffs]);
+
+    // Changes made on any device (or by Tablio) reach the tab that is open
+    const handleLiveEvent = useCallback((event) => {
+        if (event.type.startsWith('reservation.') || event.type === 'table.status_changed') {
+            if (activeTab === 'tier1' || activeTab === 'tier2') {
+                fetchDashboardData(activeTab, { silent: true });
+            }
+            setTableMapVersion(version => version + 1);
+        } else if (event.type.startsWith('chat.')) {
+            fetchHandoffs();
+            setInboxVersion(version => version + 1);
+        }
+    }, [activeTab, fetchDashboardData, fetchHandoffs]);
+
+    const liveStatus = useLiveUpdates(restaurantId, handleLiveEvent, Boolean(userInfo) && !error);
+
+    // What the signed-in role may do here; the API enforces the same permissions
+    const can = (permission) => Boolean(userInfo?.permissions?.includes(permission));
+
+    const waitingForStaff = handoffs.filter(handoff => handoff.handoff_status === 'requested');
+
+    // Jump from a reservation to the chat it was booked in
+    const openConversation = (conversationId) => {
+        setInboxConversationId(conversationId);
+        setActiveTab('inbox');
+    };
+
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleDateString();
     };
@@ -182,6 +242,14 @@ function Dashboard() {
                                                         {reservation.requests && (
                                                             <div className="special-requests">{reservation.requests}</div>
                                                         )}
+                                                        {reservation.conversationId && (
+                                                            <button
+                                                                className="conversation-link-btn"
+                                                                onClick={() => openConversation(reservation.conversationId)}
+                                                            >
+                                                                💬 Conversation
+                                                            </button>
+                                                        )}
                                                     </div>
                                                 ))}
                                             </div>
@@ -456,14 +524,23 @@ function Dashboard() {
                 </div>
                 {userInfo && (
                     <div className="dashboard-user-info">
-                        {userInfo.role === 'admin' && <span className="admin-badge">Admin View</span>}
-                        <button 
-                            onClick={() => setShowSettings(true)} 
-                            className="settings-btn"
+                        <span
+                            className={`live-status live-status-${liveStatus}`}
+                            title={liveStatus === 'live' ? 'Changes appear as they happen' : 'Reconnecting - changes may be delayed'}
                         >
-                            ⚙️ Settings
-                        </button>
-                        {userInfo.role === 'admin' && (
+                            {liveStatus === 'live' ? '● Live' : '○ Reconnecting'}
+                        </span>
+                        {userInfo.role === 'admin' && <span className="admin-badge">Admin View</span>}
+                        {userInfo.role !== 'admin' && <span className="role-badge">{userInfo.role}</span>}
+                        {(can('settings.manage') || can('staff.manage')) && (
+                            <button 
+                                onClick={() => setShowSettings(true)} 
+                                className="settings-btn"
+                            >
+                                ⚙️ Settings
+                            </button>
+                        )}
+                        {(userInfo.isPlatformAdmin || userInfo.restaurants?.length > 1) && (
                             <button 
                                 onClick={() => navigate('/dashboard')} 
                                 className="back-to-selector-btn"
@@ -482,29 +559,89 @@ function Dashboard() {
                 >
                     Live Dashboard
                 </button>
-                <button 
-                    className={activeTab === 'tier2' ? 'active' : ''} 
-                    onClick={() => setActiveTab('tier2')}
-                >
-                    Analytics
-                </button>
+                {can('analytics.view') && (
+                    <button 
+                        className={activeTab === 'tier2' ? 'active' : ''} 
+                        onClick={() => setActiveTab('tier2')}
+                    >
+                        Analytics
+                    </button>
+                )}
                 <button 
                     className={activeTab === 'table-map' ? 'active' : ''} 
                     onClick={() => setActiveTab('table-map')}
                 >
                     Table Map
                 </button>
+                <button 
+                    className={activeTab === 'waitlist' ? 'active' : ''} 
+                    onClick={() => setActiveTab('waitlist')}
+                >
+                    Waitlist
+                </button>
+                <button 
+                    className={activeTab === 'hours' ? 'active' : ''} 
+                    onClick={() => setActiveTab('hours')}
+                >
+                    Opening Hours
+                </button>
+                <button 
+                    className={activeTab === 'inbox' ? 'active' : ''} 
+                    onClick={() => setActiveTab('inbox')}
+                >
+                    Chat Inbox
+                    {waitingForStaff.length > 0 && <span className="handoff-count">{waitingForStaff.length}</span>}
+                </button>
+                {can('settings.manage') && (
+                    <button 
+                        className={activeTab === 'tablio' ? 'active' : ''} 
+                        onClick={() => setActiveTab('tablio')}
+                    >
+                        Tablio Settings
+                    </button>
+                )}
             </div>
 
+            {waitingForStaff.length > 0 && (
+                <button
+                    className="handoff-alert"
+                    onClick={() => openConversation(waitingForStaff[0].conversation_id)}
+                >
+                    🙋 {waitingForStaff.length === 1
+                        ? 'A guest is asking for a member of staff'
+                        : `${waitingForStaff.length} guests are asking for a member of staff`}
+                    {waitingForStaff[0].handoff_reason && ` — "${waitingForStaff[0].handoff_reason}"`}
+                </button>
+            )}
+
             <div className="dashboard-content">
                 {activeTab === 'tier1' && renderTier1Dashboard()}
                 {activeTab === 'tier2' && renderTier2Dashboard()}
-                {activeTab === 'table-map' && <TableMap restaurantId={restaurantId} />}
+                {activeTab === 'table-map' && (
+                    <TableMap
+                        restaurantId={restaurantId}
+                        liveVersion={tableMapVersion}
+                        canChangeStatus={can('tables.manage')}
+                        canEditLayout={can('settings.manage')}
+                    />
+                )}
+                {activeTab === 'waitlist' && <WaitlistPanel restaurantId={restaurantId} canManage={can('reservations.manage')} />}
+                {activeTab === 'hours' && <OpeningHoursCalendar restaurantId={restaurantId} readOnly={!can('settings.manage')} />}
+                {activeTab === 'inbox' && (
+                    <ChatInbox
+                        restaurantId={restaurantId}
+                        conversationId={inboxConversationId}
+                        liveVersion={inboxVersion}
+                        canRespond={can('chat.respond')}
+                    />
+                )}
+                {activeTab === 'tablio' && <BotSettings restaurantId={restaurantId} />}
             </div>
 
             {showSettings && (
                 <RestaurantSettings 
                     restaurantId={restaurantId} 
+                    permissions={userInfo?.permissions || []}
                     onClose={() => setShowSettings(false)} 
                 />
             )}
@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef } from 'react';
+import '../styles/DepositPayment.css';
+
+const STRIPE_JS_URL = 'https://js.stripe.com/v3';
+
+// Load Stripe.js once and reuse it across mounts
+let stripeJsPromise = null;
+const loadStripeJs = () => {
+  if (!stripeJsPromise) {
+    stripeJsPromise = new Promise((resolve, reject) => {
+      if (window.Stripe) {
+        resolve(window.Stripe);
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = STRIPE_JS_URL;
+      script.onload = () => resolve(window.Stripe);
+      script.onerror = () => {
+        stripeJsPromise = null;
+        reject(new Error('Could not load the payment form'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return stripeJsPromise;
+};
+
+// Card form for a reservation deposit. The card is only authorized here (mode
+// 'payment') or saved for bookings further ahead (mode 'setup'); the restaurant
+// charges it for a no-show or late cancellation. Unpaid, the table is released at dueAt.
+function DepositPayment({ clientSecret, amount, onPaid, mode = 'payment', dueAt = null }) {
+  const mountRef = useRef(null);
+  const [stripe, setStripe] = useState(null);
+  const [elements, setElements] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const setup = async () => {
+      try {
+        const [StripeJs, configResponse] = await Promise.all([
+          loadStripeJs(),
+          fetch('/api/payments/config')
+        ]);
+        const config = await configResponse.json();
+        if (!configResponse.ok) {
+          throw new Error(config.error || 'Payments are not available');
+        }
+        if (cancelled) return;
+
+        const stripeInstance = StripeJs(config.publishableKey);
+        const elementsInstance = stripeInstance.elements({ clientSecret });
+        elementsInstance.create('payment').mount(mountRef.current);
+
+        setStripe(stripeInstance);
+        setElements(elementsInstance);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+    };
+
+    setup();
+    return () => {
+      cancelled = true;
+    };
+  }, [clientSecret]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) return;
+
+    setSubmitting(true);
+    setError(null);
+
+    const options = {
+      elements,
+      redirect: 'if_required',
+      confirmParams: { return_url: window.location.href }
+    };
+
+    if (mode === 'setup') {
+      const { error: setupError, setupIntent } = await stripe.confirmSetup(options);
+      setSubmitting(false);
+      if (setupError) {
+        setError(setupError.message);
+      } else if (setupIntent && setupIntent.status === 'succeeded') {
+        onPaid && onPaid(setupIntent);
+      }
+      return;
+    }
+
+    const { error: paymentError, paymentIntent } = await stripe.confirmPayment(options);
+
+    if (paymentError) {
+      setError(paymentError.message);
+      setSubmitting(false);
+      return;
+    }
+
+    setSubmitting(false);
+    if (paymentIntent && ['requires_capture', 'succeeded'].includes(paymentIntent.status)) {
+      onPaid && onPaid(paymentIntent);
+    }
+  };
+
+  return (
+    <form className="deposit-payment" onSubmit={handleSubmit}>
+      <h2>Deposit required</h2>
+      <p>
+        A deposit of <strong>€{Number(amount).toFixed(2)}</strong> secures this table.
+        Your card is only charged if you don't show up or cancel too late.
+      </p>
+      {dueAt && (
+        <p className="deposit-payment-due">
+          Please complete this by {new Date(dueAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} or
+          the table is released.
+        </p>
+      )}
+      <div ref={mountRef} className="deposit-payment-element" />
+      {error && <div className="deposit-payment-error">{error}</div>}
+      <button
+        type="submit"
+        className="cta-button primary"
+        disabled={!stripe || submitting}
+      >
+        {submitting
+          ? 'Processing...'
+          : mode === 'setup' ? `Save card for €${Number(amount).toFixed(2)} deposit` : `Pay €${Number(amount).toFixed(2)} deposit`}
+      </button>
+    </form>
+  );
+}
+
+export default DepositPayment;
@@ -50,11 +50,12 @@ function Header() {
                 {user && userInfo ? (
                   <>
                     <li>
+                      {/* Admins and staff of several restaurants pick one on /dashboard */}
                       <Link 
-                        to={userInfo.role === 'admin' ? '/dashboard' : `/dashboard/${userInfo.restaurantId}`} 
-                        className={`nav-dashboard ${userInfo.role === 'admin' ? 'admin-nav' : ''}`}
+                        to={userInfo.isPlatformAdmin || userInfo.restaurants?.length > 1 ? '/dashboard' : `/dashboard/${userInfo.restaurantId}`} 
+                        className={`nav-dashboard ${userInfo.isPlatformAdmin ? 'admin-nav' : ''}`}
                       >
-                        {userInfo.role === 'admin' ? 'Admin Dashboard' : 'Dashboard'}
+                        {userInfo.isPlatformAdmin ? 'Admin Dashboard' : 'Dashboard'}
                       </Link>
                     </li>
                     <li>
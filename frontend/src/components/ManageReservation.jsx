@@ -0,0 +1,365 @@
+import { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import DepositPayment from './DepositPayment';
+import '../styles/Confirmation.css';
+import '../styles/ManageReservation.css';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  seated: 'Seated',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  no_show: 'No-show'
+};
+
+const DEPOSIT_LABELS = {
+  requires_payment: 'awaiting payment',
+  authorized: 'held on card',
+  card_saved: 'card saved',
+  captured: 'charged',
+  released: 'released',
+  refunded: 'refunded',
+  failed: 'payment failed'
+};
+
+function ManageReservation() {
+  const { reservationId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token');
+
+  const [reservation, setReservation] = useState(null);
+  const [form, setForm] = useState({ date: '', time: '', guests: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [deposit, setDeposit] = useState(null);
+
+  const getManageHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Manage-Token': token
+  });
+
+  const applyReservation = (data) => {
+    setReservation(data);
+    setForm({
+      date: data.reservation_date_iso || String(data.reservation_date).slice(0, 10),
+      time: String(data.reservation_time).slice(0, 5),
+      guests: data.guests
+    });
+  };
+
+  useEffect(() => {
+    const fetchReservation = async () => {
+      if (!token) {
+        setError('This link is missing its manage token. Please use the link from your confirmation.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await fetch(`/api/reservation/${reservationId}`, {
+          headers: { 'X-Manage-Token': token }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load reservation');
+        }
+
+        applyReservation(data);
+
+        // Unpaid deposit - fetch the payment details so the guest can finish paying
+        if (data.status === 'pending' && ['requires_payment', 'failed'].includes(data.deposit_status)) {
+          const depositResponse = await fetch(`/api/reservation/${reservationId}/deposit`, {
+            headers: { 'X-Manage-Token': token }
+          });
+          if (depositResponse.ok) {
+            setDeposit(await depositResponse.json());
+          }
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReservation();
+  }, [reservationId, token]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccessMessage('');
+
+    try {
+      const response = await fetch(`/api/reservation/${reservationId}`, {
+        method: 'PATCH',
+        headers: getManageHeaders(),
+        body: JSON.stringify({
+          date: form.date,
+          time: form.time,
+          guests: parseInt(form.guests)
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update reservation');
+      }
+
+      // Re-fetch so table and restaurant names stay in sync
+      const refreshed = await fetch(`/api/reservation/${reservationId}`, {
+        headers: { 'X-Manage-Token': token }
+      });
+      applyReservation(refreshed.ok ? await refreshed.json() : data);
+      setSuccessMessage('Your reservation has been updated.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // A pending booking is a table held for a waitlisted guest until they confirm it
+  const handleConfirm = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccessMessage('');
+
+    try {
+      const response = await fetch(`/api/reservation/${reservationId}/confirm`, {
+        method: 'POST',
+        headers: getManageHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to confirm reservation');
+      }
+
+      setReservation(prev => ({ ...prev, status: data.status, hold_expires_at: null }));
+      setSuccessMessage('Your reservation is confirmed.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Are you sure you want to cancel this reservation?')) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    setSuccessMessage('');
+
+    try {
+      const response = await fetch(`/api/reservation/${reservationId}`, {
+        method: 'DELETE',
+        headers: getManageHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to cancel reservation');
+      }
+
+      setReservation(prev => ({ ...prev, status: data.reservation.status }));
+      setSuccessMessage('Your reservation has been cancelled.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="confirmation-page">
+        <div className="container">
+          <div className="confirmation-content">
+            <p>Loading your reservation...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!reservation) {
+    return (
+      <div className="confirmation-page">
+        <div className="container">
+          <div className="confirmation-content">
+            <h1>Reservation Not Available</h1>
+            <p>{error || "We couldn't find this reservation."}</p>
+            <button
+              className="cta-button primary"
+              onClick={() => navigate('/')}
+            >
+              Go Home
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const canModify = ['pending', 'confirmed'].includes(reservation.status);
+
+  return (
+    <div className="confirmation-page">
+      <div className="container">
+        <div className="confirmation-content">
+          <div className="confirmation-header">
+            <h1>Manage my booking</h1>
+            {reservation.restaurant_name && (
+              <h2>{reservation.restaurant_name}</h2>
+            )}
+            <span className={`manage-status-badge ${reservation.status}`}>
+              {STATUS_LABELS[reservation.status] || reservation.status}
+            </span>
+          </div>
+
+          {error && <div className="manage-message error">{error}</div>}
+          {successMessage && <div className="manage-message success">{successMessage}</div>}
+
+          {reservation.status === 'pending' && deposit && deposit.clientSecret && (
+            <DepositPayment
+              clientSecret={deposit.clientSecret}
+              amount={deposit.amount}
+              mode={deposit.mode}
+              dueAt={deposit.dueAt}
+              onPaid={() => {
+                setDeposit(null);
+                setSuccessMessage('Deposit received - your booking will be confirmed in a moment.');
+              }}
+            />
+          )}
+
+          {reservation.status === 'pending' && reservation.hold_expires_at && (
+            <div className="manage-hold">
+              <p>
+                A table has been held for you from the waitlist.
+                Please confirm by <strong>{new Date(reservation.hold_expires_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</strong> or it will be offered to the next guest.
+              </p>
+              <button
+                type="button"
+                className="cta-button primary"
+                onClick={handleConfirm}
+                disabled={saving}
+              >
+                {saving ? 'Confirming...' : 'Confirm Booking'}
+              </button>
+            </div>
+          )}
+
+          <div className="reservation-summary">
+            <h2>Reservation Details</h2>
+            <div className="detail-grid">
+              <div className="detail-item">
+                <span>Reservation Code</span>
+                <span>#{reservation.reservation_id}</span>
+              </div>
+              <div className="detail-item">
+                <span>Name</span>
+                <span>{reservation.reservation_name}</span>
+              </div>
+              <div className="detail-item">
+                <span>Email</span>
+                <span>{reservation.reservation_email}</span>
+              </div>
+              <div className="detail-item">
+                <span>Table Type</span>
+                <span>{reservation.table_type}</span>
+              </div>
+              {reservation.deposit_status && reservation.deposit_status !== 'none' && (
+                <div className="detail-item">
+                  <span>Deposit</span>
+                  <span>€{Number(reservation.deposit_amount).toFixed(2)} ({DEPOSIT_LABELS[reservation.deposit_status] || reservation.deposit_status})</span>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {canModify ? (
+            <form className="manage-form" onSubmit={handleSave}>
+              <div className="manage-form-row">
+                <label htmlFor="date">
+                  Date
+                  <input
+                    type="date"
+                    id="date"
+                    name="date"
+                    value={form.date}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </label>
+                <label htmlFor="time">
+                  Time
+                  <input
+                    type="time"
+                    id="time"
+                    name="time"
+                    value={form.time}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </label>
+                <label htmlFor="guests">
+                  Guests
+                  <input
+                    type="number"
+                    id="guests"
+                    name="guests"
+                    min="1"
+                    value={form.guests}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </label>
+              </div>
+
+              <div className="confirmation-actions">
+                <button
+                  type="button"
+                  className="cta-button secondary"
+                  onClick={handleCancel}
+                  disabled={saving}
+                >
+                  Cancel Reservation
+                </button>
+                <button
+                  type="submit"
+                  className="cta-button primary"
+                  disabled={saving}
+                >
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="confirmation-info">
+              <p>This reservation is {STATUS_LABELS[reservation.status]?.toLowerCase() || reservation.status} and can no longer be changed online.</p>
+              <p>For help, please call us at <strong>+30 224 102 7000</strong></p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ManageReservation;
@@ -0,0 +1,327 @@
+import { useState, useEffect, useCallback } from 'react';
+import '../styles/OpeningHoursCalendar.css';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const EMPTY_PERIOD = { openTime: '', closeTime: '', serviceName: '' };
+
+// YYYY-MM-DD in local time (toISOString would shift dates near midnight)
+const toDateString = (year, month, day) =>
+    `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const shortTime = (time) => String(time).slice(0, 5);
+
+// readOnly: staff without settings access see the calendar but cannot change it
+function OpeningHoursCalendar({ restaurantId, readOnly = false }) {
+    const today = new Date();
+    const [month, setMonth] = useState({ year: today.getFullYear(), month: today.getMonth() });
+    const [weekly, setWeekly] = useState([]);
+    const [special, setSpecial] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedDate, setSelectedDate] = useState(null);
+    const [editor, setEditor] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const getAuthHeaders = () => {
+        const token = localStorage.getItem('accessToken');
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    };
+
+    const daysInMonth = new Date(month.year, month.month + 1, 0).getDate();
+    const monthStart = toDateString(month.year, month.month, 1);
+    const monthEnd = toDateString(month.year, month.month, daysInMonth);
+
+    const fetchHours = useCallback(async () => {
+        try {
+            setError(null);
+            const response = await fetch(
+                `/api/restaurants/${restaurantId}/opening-hours?from=${monthStart}&to=${monthEnd}`
+            );
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Failed to fetch opening hours: ${response.status}`);
+            }
+
+            const data = await response.json();
+            setWeekly(data.weekly || []);
+            const byDate = {};
+            (data.special || []).forEach(day => {
+                byDate[day.date] = day;
+            });
+            setSpecial(byDate);
+        } catch (err) {
+            console.error('Error fetching opening hours:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [restaurantId, monthStart, monthEnd]);
+
+    useEffect(() => {
+        if (!restaurantId) return;
+        fetchHours();
+    }, [restaurantId, fetchHours]);
+
+    const weeklyPeriodsFor = (date) => {
+        // getDay() is 0 for Sunday; WEEKDAYS starts on Monday
+        const dayName = WEEKDAYS[(date.getDay() + 6) % 7];
+        return weekly.filter(h => h.day_of_week === dayName);
+    };
+
+    const changeMonth = (offset) => {
+        setSelectedDate(null);
+        setEditor(null);
+        setMonth(prev => {
+            const next = new Date(prev.year, prev.month + offset, 1);
+            return { year: next.getFullYear(), month: next.getMonth() };
+        });
+    };
+
+    const selectDate = (dateString, date) => {
+        const override = special[dateString];
+        const periods = override
+            ? override.periods
+            : weeklyPeriodsFor(date);
+
+        setSelectedDate(dateString);
+        setEditor({
+            isClosed: override ? override.is_closed : false,
+            note: override?.note || '',
+            periods: periods.length > 0
+                ? periods.map(p => ({
+                    openTime: shortTime(p.open_time),
+                    closeTime: shortTime(p.close_time),
+                    serviceName: p.service_name || ''
+                }))
+                : [{ ...EMPTY_PERIOD }]
+        });
+    };
+
+    const updatePeriod = (index, field, value) => {
+        setEditor(prev => ({
+            ...prev,
+            periods: prev.periods.map((p, i) => (i === index ? { ...p, [field]: value } : p))
+        }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/special-hours/${selectedDate}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({
+                    isClosed: editor.isClosed,
+                    note: editor.note || null,
+                    periods: editor.isClosed ? [] : editor.periods
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save special hours');
+            }
+
+            await fetchHours();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemove = async () => {
+        setSaving(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/special-hours/${selectedDate}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to remove special hours');
+            }
+
+            setSelectedDate(null);
+            setEditor(null);
+            await fetchHours();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const renderDay = (day) => {
+        const date = new Date(month.year, month.month, day);
+        const dateString = toDateString(month.year, month.month, day);
+        const override = special[dateString];
+        const periods = override ? override.periods : weeklyPeriodsFor(date);
+        const isClosed = override ? override.is_closed : periods.length === 0;
+
+        const classes = ['calendar-day'];
+        if (override) classes.push('special');
+        if (isClosed) classes.push('closed');
+        if (dateString === selectedDate) classes.push('selected');
+
+        return (
+            <button
+                key={dateString}
+                type="button"
+                className={classes.join(' ')}
+                onClick={() => selectDate(dateString, date)}
+                title={override?.note || ''}
+            >
+                <span className="calendar-day-number">{day}</span>
+                {isClosed ? (
+                    <span className="calendar-day-hours">Closed</span>
+                ) : (
+                    periods.map((p, i) => (
+                        <span key={i} className="calendar-day-hours">
+                            {shortTime(p.open_time)}–{shortTime(p.close_time)}
+                        </span>
+                    ))
+                )}
+            </button>
+        );
+    };
+
+    if (loading) {
+        return <div className="hours-calendar-container"><div className="hours-calendar-loading">Loading opening hours...</div></div>;
+    }
+
+    // Blank cells so the 1st lands on its weekday (weeks start on Monday)
+    const leadingBlanks = (new Date(month.year, month.month, 1).getDay() + 6) % 7;
+    const monthLabel = new Date(month.year, month.month, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+    return (
+        <div className="hours-calendar-container">
+            <div className="hours-calendar-header">
+                <h3>Opening Hours Calendar</h3>
+                <div className="hours-calendar-nav">
+                    <button type="button" onClick={() => changeMonth(-1)}>‹</button>
+                    <span>{monthLabel}</span>
+                    <button type="button" onClick={() => changeMonth(1)}>›</button>
+                </div>
+            </div>
+
+            {error && <div className="hours-calendar-error">{error}</div>}
+
+            {!readOnly && (
+                <p className="hours-calendar-help">
+                    Click a date to close it or give it its own service periods (holidays, private events).
+                    Special hours replace the weekly hours for that date only.
+                </p>
+            )}
+
+            <div className="calendar-grid">
+                {WEEKDAYS.map(day => (
+                    <div key={day} className="calendar-weekday">{day.slice(0, 3)}</div>
+                ))}
+                {[...Array(leadingBlanks)].map((_, i) => (
+                    <div key={`blank-${i}`} className="calendar-blank" />
+                ))}
+                {[...Array(daysInMonth)].map((_, i) => renderDay(i + 1))}
+            </div>
+
+            {!readOnly && selectedDate && editor && (
+                <form className="special-hours-editor" onSubmit={handleSave}>
+                    <h4>{selectedDate}{special[selectedDate] ? ' (special hours)' : ' (weekly hours)'}</h4>
+
+                    <label className="special-hours-closed">
+                        <input
+                            type="checkbox"
+                            checked={editor.isClosed}
+                            onChange={(e) => setEditor(prev => ({ ...prev, isClosed: e.target.checked }))}
+                        />
+                        Closed all day
+                    </label>
+
+                    {!editor.isClosed && (
+                        <div className="special-hours-periods">
+                            {editor.periods.map((period, index) => (
+                                <div key={index} className="special-hours-period">
+                                    <input
+                                        type="time"
+                                        value={period.openTime}
+                                        onChange={(e) => updatePeriod(index, 'openTime', e.target.value)}
+                                        required
+                                    />
+                                    <span>to</span>
+                                    <input
+                                        type="time"
+                                        value={period.closeTime}
+                                        onChange={(e) => updatePeriod(index, 'closeTime', e.target.value)}
+                                        required
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="Service (e.g. Lunch)"
+                                        value={period.serviceName}
+                                        onChange={(e) => updatePeriod(index, 'serviceName', e.target.value)}
+                                    />
+                                    {editor.periods.length > 1 && (
+                                        <button
+                                            type="button"
+                                            className="period-remove"
+                                            onClick={() => setEditor(prev => ({
+                                                ...prev,
+                                                periods: prev.periods.filter((_, i) => i !== index)
+                                            }))}
+                                        >
+                                            ×
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                className="period-add"
+                                onClick={() => setEditor(prev => ({ ...prev, periods: [...prev.periods, { ...EMPTY_PERIOD }] }))}
+                            >
+                                + Add service period
+                            </button>
+                        </div>
+                    )}
+
+                    <input
+                        type="text"
+                        className="special-hours-note"
+                        placeholder="Note for guests (e.g. Closed for Orthodox Easter)"
+                        value={editor.note}
+                        onChange={(e) => setEditor(prev => ({ ...prev, note: e.target.value }))}
+                    />
+
+                    <div className="special-hours-actions">
+                        {special[selectedDate] && (
+                            <button type="button" className="special-hours-remove" onClick={handleRemove} disabled={saving}>
+                                Back to weekly hours
+                            </button>
+                        )}
+                        <button type="submit" className="special-hours-save" disabled={saving}>
+                            {saving ? 'Saving...' : 'Save special hours'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default OpeningHoursCalendar;
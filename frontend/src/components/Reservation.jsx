@@ -8,7 +8,8 @@ function Reservation() {
     const [restaurant, setRestaurant] = useState(null);
     const [tableTypes, setTableTypes] = useState([]);
     const [tableCapacities, setTableCapacities] = useState({});
-    const [openingHours, setOpeningHours] = useState({});
+    const [dayHours, setDayHours] = useState(null);
+    const [bookingPolicy, setBookingPolicy] = useState(null);
     const [form, setForm] = useState({ 
         name: '', 
         email: '', 
@@ -20,16 +21,17 @@ function Reservation() {
         specialRequests: ''
     });
     const [status, setStatus] = useState('idle');
+    const [errorMessage, setErrorMessage] = useState('');
 
     useEffect(() => {
-        // Fetch restaurant details, table types, capacities, and opening hours
+        // Fetch restaurant details, table types, capacities and booking policy
         const fetchData = async () => {
             try {
-                const [restaurantResponse, tableTypesResponse, capacitiesResponse, hoursResponse] = await Promise.all([
+                const [restaurantResponse, tableTypesResponse, capacitiesResponse, policyResponse] = await Promise.all([
                     fetch(`/api/restaurants/${restaurantId}`),
                     fetch(`/api/restaurants/${restaurantId}/table-types`),
                     fetch(`/api/restaurants/${restaurantId}/table-capacities`),
-                    fetch(`/api/restaurants/${restaurantId}/opening-hours`)
+                    fetch(`/api/restaurants/${restaurantId}/booking-policy`)
                 ]);
                 
                 const restaurantData = await restaurantResponse.json();
@@ -53,17 +55,8 @@ function Reservation() {
                     setTableCapacities(capacityMap);
                 }
                 
-                if (hoursResponse.ok) {
-                    const hoursData = await hoursResponse.json();
-                    const hoursMap = {};
-                    hoursData.forEach(item => {
-                        hoursMap[item.day_of_week] = {
-                            open_time: item.open_time,
-                            close_time: item.close_time,
-                            is_closed: item.is_closed
-                        };
-                    });
-                    setOpeningHours(hoursMap);
+                if (policyResponse.ok) {
+                    setBookingPolicy(await policyResponse.json());
                 }
             } catch (error) {
                 setRestaurant(null);
@@ -72,6 +65,24 @@ function Reservation() {
         fetchData();
     }, [restaurantId]);
 
+    useEffect(() => {
+        // Service periods for the selected date (special hours and closures included)
+        if (!form.date) return;
+        let cancelled = false;
+        setDayHours(null);
+        fetch(`/api/restaurants/${restaurantId}/opening-hours/${form.date}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => {
+                if (!cancelled) setDayHours(data);
+            })
+            .catch(() => {
+                if (!cancelled) setDayHours(null);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [restaurantId, form.date]);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setForm(f => ({ ...f, [name]: value }));
@@ -85,6 +96,7 @@ function Reservation() {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setStatus('loading');
+        setErrorMessage('');
         
         try {
             const response = await fetch('/api/reservation', {
@@ -113,6 +125,8 @@ function Reservation() {
                             success: true,
                             restaurantName: restaurant.name,
                             reservationId: result.reservation_id,
+                            manageToken: result.manageToken,
+                            deposit: result.deposit,
                             ...form 
                         } 
                     });
@@ -120,7 +134,11 @@ function Reservation() {
             } else {
                 const error = await response.json();
                 setStatus('error');
-                alert(error.error || 'Failed to create reservation');
+                // Booking policy rejections come with a code and a message meant for the guest
+                setErrorMessage(error.code ? error.error : '');
+                if (!error.code) {
+                    alert(error.error || 'Failed to create reservation');
+                }
             }
         } catch (error) {
             setStatus('error');
@@ -132,74 +150,88 @@ function Reservation() {
         navigate(`/chat/${restaurantId}`);
     };
     
-    // Generate time slots based on restaurant opening hours for selected date
+    const formatSlot = (totalMinutes) => {
+        const hour = Math.floor(totalMinutes / 60) % 24;
+        const minute = totalMinutes % 60;
+        const time24 = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+        const hour12 = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const time12 = `${hour12}:${minute.toString().padStart(2, '0')} ${ampm}`;
+        return { value: time24, label: time12 };
+    };
+    
+    // Generate time slots from the service periods of the selected date
     const generateTimeSlots = () => {
-        if (!form.date || Object.keys(openingHours).length === 0) {
+        if (!form.date || !dayHours) {
             // Default slots if no date selected or opening hours not loaded
             const slots = [];
-            for (let hour = 18; hour <= 23; hour++) {
-                for (let minute = 0; minute < 60; minute += 30) {
-                    if (hour === 23 && minute > 30) break;
-                    const time24 = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-                    const hour12 = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
-                    const ampm = hour >= 12 ? 'PM' : 'AM';
-                    const time12 = `${hour12}:${minute.toString().padStart(2, '0')} ${ampm}`;
-                    slots.push({ value: time24, label: time12 });
-                }
+            for (let minutes = 18 * 60; minutes <= 23 * 60 + 30; minutes += 30) {
+                slots.push(formatSlot(minutes));
             }
             return slots;
         }
         
-        // Get day of week (0 = Sunday, 1 = Monday, etc.)
-        const selectedDate = new Date(form.date);
-        const dayOfWeek = selectedDate.getDay();
-        
-        const todayHours = openingHours[dayOfWeek];
-        
-        if (!todayHours || todayHours.is_closed) {
-            return [{ value: '', label: 'Restaurant closed on this day' }];
+        if (dayHours.is_closed) {
+            return [{ value: '', label: dayHours.note ? `Closed: ${dayHours.note}` : 'Restaurant closed on this day' }];
         }
         
-        // Parse opening and closing times
-        const [openHour, openMinute] = todayHours.open_time.split(':').map(Number);
-        const [closeHour, closeMinute] = todayHours.close_time.split(':').map(Number);
+        const toMinutes = (time) => {
+            const [hour, minute] = time.split(':').map(Number);
+            return hour * 60 + minute;
+        };
         
         const slots = [];
-        
-        // Generate slots from opening to closing time
-        for (let hour = openHour; hour <= closeHour; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                // Skip if before opening time
-                if (hour === openHour && minute < openMinute) continue;
-                
-                // Stop if past closing time
-                if (hour === closeHour && minute > closeMinute) break;
-                
-                // Don't allow reservations in the last 30 minutes before closing
-                if (hour === closeHour && minute >= closeMinute - 30) break;
-                
-                const time24 = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
-                const hour12 = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
-                const ampm = hour >= 12 ? 'PM' : 'AM';
-                const time12 = `${hour12}:${minute.toString().padStart(2, '0')} ${ampm}`;
-                slots.push({ value: time24, label: time12 });
+        dayHours.periods.forEach(period => {
+            const open = toMinutes(period.open_time);
+            let close = toMinutes(period.close_time);
+            // Overnight service runs past midnight
+            if (close <= open) close += 24 * 60;
+            
+            // Don't allow reservations in the last 30 minutes before closing
+            for (let minutes = Math.ceil(open / 30) * 30; minutes < close - 30; minutes += 30) {
+                // Times after midnight belong to the next day's date
+                if (minutes >= 24 * 60) break;
+                slots.push(formatSlot(minutes));
             }
-        }
+        });
         
         return slots.length > 0 ? slots : [{ value: '', label: 'No available times' }];
     };
     
+    // Hide times that are closer than the restaurant's minimum notice
+    const meetsMinimumNotice = (slot) => {
+        if (!slot.value || !bookingPolicy || !bookingPolicy.min_notice_minutes) return true;
+        const slotStart = new Date(`${form.date}T${slot.value}`);
+        return slotStart.getTime() >= Date.now() + bookingPolicy.min_notice_minutes * 60 * 1000;
+    };
+    
     // Get minimum date (today)
     const getMinDate = () => {
         return new Date().toISOString().split('T')[0];
     };
     
-    // Get valid party sizes based on selected table type
+    // Get maximum date from the booking policy (no limit when unset)
+    const getMaxDate = () => {
+        if (!bookingPolicy || bookingPolicy.max_days_ahead === null || bookingPolicy.max_days_ahead === undefined) {
+            return undefined;
+        }
+        const maxDate = new Date();
+        maxDate.setDate(maxDate.getDate() + bookingPolicy.max_days_ahead);
+        return maxDate.toISOString().split('T')[0];
+    };
+    
+    const isBlackoutDate = bookingPolicy && bookingPolicy.blackout_dates.includes(form.date);
+    const onlinePartyLimit = bookingPolicy && bookingPolicy.max_online_party_size;
+    
+    // Get valid party sizes based on selected table type and the online party limit
     const getValidPartySizes = () => {
-        if (!form.tableType || !tableCapacities[form.tableType]) {
-            return [...Array(12)].map((_, i) => i + 1);
+        let maxCapacity = 12;
+        if (form.tableType && tableCapacities[form.tableType]) {
+            maxCapacity = tableCapacities[form.tableType];
+        }
+        if (onlinePartyLimit) {
+            maxCapacity = Math.min(maxCapacity, onlinePartyLimit);
         }
-        const maxCapacity = tableCapacities[form.tableType];
         return [...Array(maxCapacity)].map((_, i) => i + 1);
     };
     
@@ -286,15 +318,24 @@ function Reservation() {
                                     value={form.date} 
                                     onChange={handleChange} 
                                     min={getMinDate()}
+                                    max={getMaxDate()}
                                     required 
                                 />
+                                {dayHours && dayHours.is_special && dayHours.note && (
+                                    <small className="form-policy-note">{dayHours.note}</small>
+                                )}
+                                {isBlackoutDate && (
+                                    <small className="form-policy-note">
+                                        We are not taking online bookings on this date. Please choose another date.
+                                    </small>
+                                )}
                             </div>
                             
                             <div className="form-group">
                                 <label htmlFor="time">Preferred Time</label>
                                 <select id="time" name="time" value={form.time} onChange={handleChange} required>
                                     <option value="">Select a time</option>
-                                    {generateTimeSlots().map((slot) => (
+                                    {generateTimeSlots().filter(meetsMinimumNotice).map((slot) => (
                                         <option key={slot.value} value={slot.value}>{slot.label}</option>
                                     ))}
                                 </select>
@@ -307,6 +348,11 @@ function Reservation() {
                                         <option key={size} value={size}>{size} {size === 1 ? 'person' : 'people'}</option>
                                     ))}
                                 </select>
+                                {onlinePartyLimit && (
+                                    <small className="form-policy-note">
+                                        For parties larger than {onlinePartyLimit}, please call the restaurant.
+                                    </small>
+                                )}
                             </div>
                             
                             {tableTypes.length > 0 && (
@@ -335,7 +381,7 @@ function Reservation() {
                                 />
                             </div>
 
-                            <button type="submit" className="reservation-submit" disabled={status==='loading'}>
+                            <button type="submit" className="reservation-submit" disabled={status==='loading' || isBlackoutDate}>
                                 {status === 'loading' ? 'Booking Your Table...' : 'Book Now'}
                             </button>
                             
@@ -346,7 +392,7 @@ function Reservation() {
                             )}
                             {status === 'error' && (
                                 <div className="reservation-error">
-                                    ❌ There was an error with your reservation. Please try again.
+                                    ❌ {errorMessage || 'There was an error with your reservation. Please try again.'}
                                 </div>
                             )}
                         </form>
@@ -1,7 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import '../styles/RestaurantSettings.css';
 
-function RestaurantSettings({ restaurantId, onClose }) {
+// permissions: the signed-in role's permissions; the Staff section is for owners only
+function RestaurantSettings({ restaurantId, onClose, permissions = [] }) {
+    const canManageStaff = permissions.includes('staff.manage');
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
     const [error, setError] = useState(null);
@@ -19,6 +21,25 @@ function RestaurantSettings({ restaurantId, onClose }) {
         profile_image_url: '',
         background_image_url: ''
     });
+    // Online booking rules; empty limits mean "no limit"
+    const [policy, setPolicy] = useState({
+        min_notice_minutes: 0,
+        max_days_ahead: '',
+        max_online_party_size: '',
+        cancellation_deadline_hours: 0,
+        blackout_dates: []
+    });
+    const [newBlackoutDate, setNewBlackoutDate] = useState('');
+    const [calendarFeedUrl, setCalendarFeedUrl] = useState('');
+    const [feedCopied, setFeedCopied] = useState(false);
+    const [webhooks, setWebhooks] = useState([]);
+    const [webhookEvents, setWebhookEvents] = useState({});
+    const [webhookDeliveries, setWebhookDeliveries] = useState([]);
+    const [newWebhook, setNewWebhook] = useState({ url: '', events: [] });
+    const [webhookTests, setWebhookTests] = useState({});
+    const [staff, setStaff] = useState({ members: [], invitations: [] });
+    const [staffRoles, setStaffRoles] = useState({});
+    const [newInvitation, setNewInvitation] = useState({ email: '', role: 'host' });
 
     const getAuthHeaders = () => {
         const token = localStorage.getItem('accessToken');
@@ -28,6 +49,26 @@ function RestaurantSettings({ restaurantId, onClose }) {
         };
     };
 
+    const loadWebhooks = useCallback(async () => {
+        const headers = { 'Authorization': `Bearer ${localStorage.getItem('accessToken')}` };
+        try {
+            const [webhooksResponse, deliveriesResponse] = await Promise.all([
+                fetch(`/api/restaurants/${restaurantId}/webhooks`, { headers }),
+                fetch(`/api/restaurants/${restaurantId}/webhooks/deliveries?limit=10`, { headers })
+            ]);
+            if (webhooksResponse.ok) {
+                const data = await webhooksResponse.json();
+                setWebhooks(data.subscriptions);
+                setWebhookEvents(data.events);
+            }
+            if (deliveriesResponse.ok) {
+                setWebhookDeliveries(await deliveriesResponse.json());
+            }
+        } catch (err) {
+            console.error('Error loading webhooks:', err);
+        }
+    }, [restaurantId]);
+
     useEffect(() => {
         const fetchRestaurantData = async () => {
             try {
@@ -54,6 +95,18 @@ function RestaurantSettings({ restaurantId, onClose }) {
                     profile_image_url: data.profile_image_url || '',
                     background_image_url: data.background_image_url || ''
                 });
+
+                const policyResponse = await fetch(`/api/restaurants/${restaurantId}/booking-policy`);
+                if (policyResponse.ok) {
+                    const policyData = await policyResponse.json();
+                    setPolicy({
+                        min_notice_minutes: policyData.min_notice_minutes,
+                        max_days_ahead: policyData.max_days_ahead ?? '',
+                        max_online_party_size: policyData.max_online_party_size ?? '',
+                        cancellation_deadline_hours: policyData.cancellation_deadline_hours,
+                        blackout_dates: policyData.blackout_dates || []
+                    });
+                }
             } catch (err) {
                 setError(err.message);
             } finally {
@@ -64,6 +117,31 @@ function RestaurantSettings({ restaurantId, onClose }) {
         fetchRestaurantData();
     }, [restaurantId]);
 
+    useEffect(() => {
+        loadWebhooks();
+    }, [loadWebhooks]);
+
+    const loadStaff = useCallback(async () => {
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/staff`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('accessToken')}` }
+            });
+            if (response.ok) {
+                const data = await response.json();
+                setStaff({ members: data.members, invitations: data.invitations });
+                setStaffRoles(data.roles);
+            }
+        } catch (err) {
+            console.error('Error loading staff:', err);
+        }
+    }, [restaurantId]);
+
+    useEffect(() => {
+        if (canManageStaff) {
+            loadStaff();
+        }
+    }, [canManageStaff, loadStaff]);
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -72,6 +150,217 @@ function RestaurantSettings({ restaurantId, onClose }) {
         }));
     };
 
+    const handlePolicyChange = (e) => {
+        const { name, value } = e.target;
+        setPolicy(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const addBlackoutDate = () => {
+        if (!newBlackoutDate || policy.blackout_dates.includes(newBlackoutDate)) return;
+        setPolicy(prev => ({
+            ...prev,
+            blackout_dates: [...prev.blackout_dates, newBlackoutDate].sort()
+        }));
+        setNewBlackoutDate('');
+    };
+
+    const removeBlackoutDate = (date) => {
+        setPolicy(prev => ({
+            ...prev,
+            blackout_dates: prev.blackout_dates.filter(d => d !== date)
+        }));
+    };
+
+    const toggleNewWebhookEvent = (event) => {
+        setNewWebhook(prev => ({
+            ...prev,
+            events: prev.events.includes(event)
+                ? prev.events.filter(e => e !== event)
+                : [...prev.events, event]
+        }));
+    };
+
+    const addWebhook = async () => {
+        setError(null);
+        const response = await fetch(`/api/restaurants/${restaurantId}/webhooks`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(newWebhook)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            setError(data.error || 'Failed to add webhook');
+            return;
+        }
+        setNewWebhook({ url: '', events: [] });
+        loadWebhooks();
+    };
+
+    const updateWebhook = async (subscriptionId, changes) => {
+        const response = await fetch(`/api/restaurants/${restaurantId}/webhooks/${subscriptionId}`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(changes)
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            setError(data.error || 'Failed to update webhook');
+            return;
+        }
+        loadWebhooks();
+    };
+
+    const deleteWebhook = async (subscriptionId) => {
+        if (!window.confirm('Delete this webhook? Its delivery log is deleted too.')) return;
+        await fetch(`/api/restaurants/${restaurantId}/webhooks/${subscriptionId}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+        });
+        loadWebhooks();
+    };
+
+    const sendTestEvent = async (subscriptionId) => {
+        setWebhookTests(prev => ({ ...prev, [subscriptionId]: 'Sending...' }));
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/webhooks/${subscriptionId}/test`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+            const delivery = await response.json();
+            if (!response.ok) {
+                throw new Error(delivery.error || 'Failed to send test event');
+            }
+            setWebhookTests(prev => ({
+                ...prev,
+                [subscriptionId]: delivery.status === 'delivered'
+                    ? `✅ Delivered (${delivery.response_status})`
+                    : `❌ ${delivery.last_error}`
+            }));
+            loadWebhooks();
+        } catch (err) {
+            setWebhookTests(prev => ({ ...prev, [subscriptionId]: `❌ ${err.message}` }));
+        }
+    };
+
+    const inviteStaff = async () => {
+        setError(null);
+        const response = await fetch(`/api/restaurants/${restaurantId}/staff/invitations`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(newInvitation)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            setError(data.error || 'Failed to send invitation');
+            return;
+        }
+        setNewInvitation({ email: '', role: newInvitation.role });
+        loadStaff();
+    };
+
+    const revokeInvitation = async (invitationId) => {
+        await fetch(`/api/restaurants/${restaurantId}/staff/invitations/${invitationId}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+        });
+        loadStaff();
+    };
+
+    const updateStaffRole = async (staffId, role) => {
+        setError(null);
+        const response = await fetch(`/api/restaurants/${restaurantId}/staff/${staffId}`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ role })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            setError(data.error || 'Failed to change role');
+        }
+        loadStaff();
+    };
+
+    const removeStaffMember = async (member) => {
+        if (!window.confirm(`Remove ${member.first_name} ${member.last_name} from the staff? They lose access to this dashboard.`)) return;
+        setError(null);
+        const response = await fetch(`/api/restaurants/${restaurantId}/staff/${member.staff_id}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            setError(data.error || 'Failed to remove staff member');
+        }
+        loadStaff();
+    };
+
+    const showCalendarFeed = async () => {
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/calendar-feed`, {
+                headers: getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error('Failed to get the calendar link');
+            }
+            const data = await response.json();
+            setCalendarFeedUrl(data.url);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Owners reset the link when it was shared too widely; old subscriptions stop updating
+    const rotateCalendarFeed = async () => {
+        if (!window.confirm('Reset the calendar link? Calendars subscribed to the old link stop updating.')) return;
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/calendar-feed/rotate`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error('Failed to reset the calendar link');
+            }
+            const data = await response.json();
+            setCalendarFeedUrl(data.url);
+            setFeedCopied(false);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const copyCalendarFeed = async () => {
+        try {
+            await navigator.clipboard.writeText(calendarFeedUrl);
+            setFeedCopied(true);
+            setTimeout(() => setFeedCopied(false), 2000);
+        } catch {
+            setError('Could not copy the link - select it and copy it instead');
+        }
+    };
+
+    const saveBookingPolicy = async () => {
+        const optionalNumber = (value) => value === '' ? null : parseInt(value);
+        const response = await fetch(`/api/restaurants/${restaurantId}/booking-policy`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({
+                minNoticeMinutes: parseInt(policy.min_notice_minutes) || 0,
+                maxDaysAhead: optionalNumber(policy.max_days_ahead),
+                maxOnlinePartySize: optionalNumber(policy.max_online_party_size),
+                cancellationDeadlineHours: parseInt(policy.cancellation_deadline_hours) || 0,
+                blackoutDates: policy.blackout_dates
+            })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to update booking policy');
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setSaving(true);
@@ -79,6 +368,8 @@ function RestaurantSettings({ restaurantId, onClose }) {
         setSuccessMessage('');
 
         try {
+            await saveBookingPolicy();
+
             const response = await fetch(`/api/restaurants/${restaurantId}`, {
                 method: 'PUT',
                 headers: getAuthHeaders(),
@@ -236,7 +527,7 @@ function RestaurantSettings({ restaurantId, onClose }) {
                         <h3>Reservation Settings</h3>
                         <div className="form-group">
                             <label htmlFor="min_reservation_gap_hours">
-                                Minimum Gap Between Reservations (hours)
+                                Default Table Turn Time (hours)
                             </label>
                             <input
                                 type="number"
@@ -249,13 +540,310 @@ function RestaurantSettings({ restaurantId, onClose }) {
                                 step="1"
                             />
                             <small className="form-help">
-                                Set the minimum time gap required between reservations for the same table type.
-                                For example, if set to 3 hours and a table is reserved at 4 PM, the next reservation 
-                                for that table type cannot be before 7 PM.
+                                Default time a party holds its table. For example, if set to 3 hours and a table
+                                is reserved at 4 PM, the table is free again from 7 PM. Turn-time rules by party size,
+                                table type or lunch/dinner take precedence over this default.
                             </small>
                         </div>
                     </div>
 
+                    <div className="form-section">
+                        <h3>Booking Policy</h3>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label htmlFor="min_notice_minutes">Minimum Notice (minutes)</label>
+                                <input
+                                    type="number"
+                                    id="min_notice_minutes"
+                                    name="min_notice_minutes"
+                                    value={policy.min_notice_minutes}
+                                    onChange={handlePolicyChange}
+                                    min="0"
+                                    step="15"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="max_days_ahead">Bookable Days Ahead</label>
+                                <input
+                                    type="number"
+                                    id="max_days_ahead"
+                                    name="max_days_ahead"
+                                    value={policy.max_days_ahead}
+                                    onChange={handlePolicyChange}
+                                    min="0"
+                                    placeholder="No limit"
+                                />
+                            </div>
+                        </div>
+
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label htmlFor="max_online_party_size">Largest Online Party</label>
+                                <input
+                                    type="number"
+                                    id="max_online_party_size"
+                                    name="max_online_party_size"
+                                    value={policy.max_online_party_size}
+                                    onChange={handlePolicyChange}
+                                    min="1"
+                                    placeholder="No limit"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="cancellation_deadline_hours">Cancellation Deadline (hours before)</label>
+                                <input
+                                    type="number"
+                                    id="cancellation_deadline_hours"
+                                    name="cancellation_deadline_hours"
+                                    value={policy.cancellation_deadline_hours}
+                                    onChange={handlePolicyChange}
+                                    min="0"
+                                />
+                            </div>
+                        </div>
+                        <small className="form-help">
+                            Guests booking online or through Tablio must respect these rules. Larger parties are
+                            asked to call, and changes or cancellations after the deadline must go through staff.
+                        </small>
+
+                        <div className="form-group blackout-dates">
+                            <label htmlFor="new_blackout_date">Blackout Dates</label>
+                            <div className="blackout-date-input">
+                                <input
+                                    type="date"
+                                    id="new_blackout_date"
+                                    value={newBlackoutDate}
+                                    onChange={(e) => setNewBlackoutDate(e.target.value)}
+                                />
+                                <button type="button" onClick={addBlackoutDate} className="cancel-btn">
+                                    Add
+                                </button>
+                            </div>
+                            {policy.blackout_dates.length > 0 && (
+                                <ul className="blackout-date-list">
+                                    {policy.blackout_dates.map(date => (
+                                        <li key={date}>
+                                            {date}
+                                            <button
+                                                type="button"
+                                                onClick={() => removeBlackoutDate(date)}
+                                                aria-label={`Remove ${date}`}
+                                            >
+                                                ×
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            <small className="form-help">
+                                No online bookings are taken on these dates (private events, holidays).
+                            </small>
+                        </div>
+                    </div>
+
+                    <div className="form-section">
+                        <h3>Calendar Feed</h3>
+                        <div className="form-group">
+                            {calendarFeedUrl ? (
+                                <div className="calendar-feed-input">
+                                    <input
+                                        type="text"
+                                        id="calendar_feed_url"
+                                        value={calendarFeedUrl}
+                                        readOnly
+                                        onFocus={(e) => e.target.select()}
+                                    />
+                                    <button type="button" onClick={copyCalendarFeed} className="cancel-btn">
+                                        {feedCopied ? 'Copied' : 'Copy'}
+                                    </button>
+                                    <button type="button" onClick={rotateCalendarFeed} className="cancel-btn">
+                                        Reset link
+                                    </button>
+                                </div>
+                            ) : (
+                                <button type="button" onClick={showCalendarFeed} className="cancel-btn">
+                                    📅 Show calendar link
+                                </button>
+                            )}
+                            <small className="form-help">
+                                Subscribe to this link in Google Calendar (Other calendars → From URL) or Apple Calendar
+                                (File → New Calendar Subscription) to see the next 60 days of bookings. Anyone with the
+                                link can see guest names and contact details, so keep it private; if it gets out, reset it
+                                and subscribe again with the new link.
+                            </small>
+                        </div>
+                    </div>
+
+                    <div className="form-section">
+                        <h3>Webhooks</h3>
+                        {webhooks.length > 0 && (
+                            <ul className="webhook-list">
+                                {webhooks.map(webhook => (
+                                    <li key={webhook.subscription_id} className={webhook.active ? '' : 'paused'}>
+                                        <div className="webhook-url">{webhook.url}</div>
+                                        <div className="webhook-events">{webhook.events.join(', ')}</div>
+                                        <details className="webhook-secret">
+                                            <summary>Signing secret</summary>
+                                            <code>{webhook.secret}</code>
+                                        </details>
+                                        <div className="webhook-actions">
+                                            <button type="button" onClick={() => sendTestEvent(webhook.subscription_id)} className="cancel-btn">
+                                                Send test event
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => updateWebhook(webhook.subscription_id, { active: !webhook.active })}
+                                                className="cancel-btn"
+                                            >
+                                                {webhook.active ? 'Pause' : 'Resume'}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => updateWebhook(webhook.subscription_id, { rotateSecret: true })}
+                                                className="cancel-btn"
+                                            >
+                                                New secret
+                                            </button>
+                                            <button type="button" onClick={() => deleteWebhook(webhook.subscription_id)} className="cancel-btn">
+                                                Delete
+                                            </button>
+                                        </div>
+                                        {webhookTests[webhook.subscription_id] && (
+                                            <div className="webhook-test-result">{webhookTests[webhook.subscription_id]}</div>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className="form-group">
+                            <label htmlFor="new_webhook_url">New webhook URL</label>
+                            <input
+                                type="url"
+                                id="new_webhook_url"
+                                placeholder="https://pos.example.com/tableturn"
+                                value={newWebhook.url}
+                                onChange={(e) => setNewWebhook(prev => ({ ...prev, url: e.target.value }))}
+                            />
+                            <div className="webhook-event-options">
+                                {Object.entries(webhookEvents).map(([event, label]) => (
+                                    <label key={event} title={label}>
+                                        <input
+                                            type="checkbox"
+                                            checked={newWebhook.events.includes(event)}
+                                            onChange={() => toggleNewWebhookEvent(event)}
+                                        />
+                                        {event}
+                                    </label>
+                                ))}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={addWebhook}
+                                disabled={!newWebhook.url || newWebhook.events.length === 0}
+                                className="cancel-btn"
+                            >
+                                Add webhook
+                            </button>
+                            <small className="form-help">
+                                Each event is POSTed as JSON with an <code>X-TableTurn-Signature</code> header
+                                (<code>t=timestamp,v1=HMAC-SHA256 of &quot;timestamp.body&quot;</code> with the signing secret).
+                                Failed deliveries are retried for about 8 hours.
+                            </small>
+                        </div>
+
+                        {webhookDeliveries.length > 0 && (
+                            <table className="webhook-deliveries">
+                                <thead>
+                                    <tr>
+                                        <th>Event</th>
+                                        <th>Status</th>
+                                        <th>Response</th>
+                                        <th>Time</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {webhookDeliveries.map(delivery => (
+                                        <tr key={delivery.delivery_id} className={`delivery-${delivery.status}`}>
+                                            <td>{delivery.event_type}</td>
+                                            <td>{delivery.status}{delivery.attempts > 1 && ` (${delivery.attempts} tries)`}</td>
+                                            <td>{delivery.response_status || delivery.last_error || '-'}</td>
+                                            <td>{new Date(delivery.created_at).toLocaleString()}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+
+                    {canManageStaff && (
+                        <div className="form-section">
+                            <h3>Staff</h3>
+                            <ul className="staff-list">
+                                {staff.members.map(member => (
+                                    <li key={member.staff_id}>
+                                        <div className="staff-name">
+                                            {member.first_name} {member.last_name}
+                                            <span className="staff-email">{member.email}</span>
+                                        </div>
+                                        <select
+                                            value={member.role}
+                                            onChange={(e) => updateStaffRole(member.staff_id, e.target.value)}
+                                        >
+                                            {Object.entries(staffRoles).map(([role, label]) => (
+                                                <option key={role} value={role}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <button type="button" onClick={() => removeStaffMember(member)} className="cancel-btn">
+                                            Remove
+                                        </button>
+                                    </li>
+                                ))}
+                                {staff.invitations.map(invitation => (
+                                    <li key={`invitation-${invitation.invitation_id}`} className="pending">
+                                        <div className="staff-name">
+                                            {invitation.email}
+                                            <span className="staff-email">
+                                                Invited as {staffRoles[invitation.role]} · expires {new Date(invitation.expires_at).toLocaleDateString()}
+                                            </span>
+                                        </div>
+                                        <button type="button" onClick={() => revokeInvitation(invitation.invitation_id)} className="cancel-btn">
+                                            Revoke
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <div className="form-group">
+                                <label htmlFor="new_staff_email">Invite by email</label>
+                                <div className="staff-invite-row">
+                                    <input
+                                        type="email"
+                                        id="new_staff_email"
+                                        placeholder="host@example.com"
+                                        value={newInvitation.email}
+                                        onChange={(e) => setNewInvitation(prev => ({ ...prev, email: e.target.value }))}
+                                    />
+                                    <select
+                                        value={newInvitation.role}
+                                        onChange={(e) => setNewInvitation(prev => ({ ...prev, role: e.target.value }))}
+                                    >
+                                        {Object.entries(staffRoles).map(([role, label]) => (
+                                            <option key={role} value={role}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <button type="button" onClick={inviteStaff} disabled={!newInvitation.email} className="cancel-btn">
+                                        Send invitation
+                                    </button>
+                                </div>
+                                <small className="form-help">
+                                    Managers can change settings but not staff; hosts run the floor, waitlist and chat;
+                                    accountants can only view the dashboards and analytics. Invitations expire after 7 days.
+                                </small>
+                            </div>
+                        </div>
+                    )}
+
                     <div className="form-section">
                         <h3>Images</h3>
                         <div className="form-group">
@@ -1,7 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import '../styles/TableMap.css';
 
-function TableMap({ restaurantId }) {
+// canChangeStatus / canEditLayout hide the controls a staff role may not use
+function TableMap({ restaurantId, liveVersion = 0, canChangeStatus = true, canEditLayout = true }) {
     const [selectedDate, setSelectedDate] = useState(() => {
         const today = new Date();
         const year = today.getFullYear();
@@ -26,6 +27,7 @@ function TableMap({ restaurantId }) {
     const [minReservationGapHours, setMinReservationGapHours] = useState(3); // Default to 3 hours to match common restaurant setting
     const [forceRefresh, setForceRefresh] = useState(0);
     const dragRef = useRef(null);
+    const handledLiveVersion = useRef(liveVersion);
     const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
     const [selectedTableModal, setSelectedTableModal] = useState(null);
 
@@ -108,40 +110,74 @@ function TableMap({ restaurantId }) {
         }
     }, [restaurantId, selectedDate]);
 
+    // A booking or table changed on another device: reload in place, without the loading screen
+    useEffect(() => {
+        if (!restaurantId || liveVersion === handledLiveVersion.current) return;
+        handledLiveVersion.current = liveVersion;
+
+        const refreshTableData = async () => {
+            const token = localStorage.getItem('accessToken');
+            const headers = token ? { 'Authorization': `Bearer ${token}` } : {};
+            try {
+                const [tablesResponse, reservationsResponse] = await Promise.all([
+                    fetch(`/api/restaurants/${restaurantId}/tables`, { headers }),
+                    fetch(`/api/restaurants/${restaurantId}/reservations?date=${selectedDate}`, { headers })
+                ]);
+                if (tablesResponse.ok) {
+                    const tablesData = await tablesResponse.json();
+                    setTables(Array.isArray(tablesData) ? tablesData : []);
+                }
+                if (reservationsResponse.ok) {
+                    const reservationsData = await reservationsResponse.json();
+                    setReservations(Array.isArray(reservationsData) ? reservationsData : []);
+                }
+            } catch (err) {
+                console.error('Error refreshing table map:', err);
+            }
+        };
+
+        refreshTableData();
+    }, [restaurantId, selectedDate, liveVersion]);
+
     // Convert time string to minutes since midnight for comparison
     const timeToMinutes = (timeString) => {
         const [hours, minutes] = timeString.split(':').map(Number);
         return hours * 60 + minutes;
     };
 
-    // NEW: Simplified client-side availability calculation
-    const getTableAvailability = (tableId) => {
-        // Find reservation for this specific table
-        const reservation = reservations.find(r => r.table_id === tableId);
-        
-        if (!reservation) {
-            return 'available';
+    // A large party can hold its table_id plus adjacent tables pushed together
+    const isReservationOnTable = (reservation, tableId) => {
+        return reservation.table_id === tableId || (reservation.combined_table_ids || []).includes(tableId);
+    };
+
+    // Check if the selected time falls within a reservation's start/end interval.
+    // duration_minutes comes from the reservation's turn time; the gap setting is only a fallback.
+    const isReservationActiveAt = (reservation, timeString) => {
+        if (['cancelled', 'no_show'].includes(reservation.status)) {
+            return false;
         }
 
-        // Convert times to minutes for comparison
-        const selectedTimeMinutes = timeToMinutes(selectedTime);
+        const selectedTimeMinutes = timeToMinutes(timeString);
         const reservationStartMinutes = timeToMinutes(reservation.reservation_time);
-        const gapHours = minReservationGapHours;
-        const reservationEndMinutes = reservationStartMinutes + (gapHours * 60);
+        const durationMinutes = reservation.duration_minutes || minReservationGapHours * 60;
+        const reservationEndMinutes = reservationStartMinutes + durationMinutes;
 
-        // Check if selected time falls within reservation window
-        if (selectedTimeMinutes >= reservationStartMinutes && selectedTimeMinutes < reservationEndMinutes) {
-            return 'reserved';
-        }
+        return selectedTimeMinutes >= reservationStartMinutes && selectedTimeMinutes < reservationEndMinutes;
+    };
 
-        return 'available';
+    // NEW: Simplified client-side availability calculation
+    const getTableAvailability = (tableId) => {
+        // A table can have several reservations per day - only the one covering the selected time counts
+        const reservation = reservations.find(r => isReservationOnTable(r, tableId) && isReservationActiveAt(r, selectedTime));
+
+        return reservation ? 'reserved' : 'available';
     };
 
     const getTableReservation = (tableId, tableName, tableType) => {
         // Get all reservations that could match this table
         const potentialReservations = (reservations || []).filter(reservation => {
-            // First priority: exact table_id match
-            if (reservation.table_id && tableId && reservation.table_id === tableId) {
+            // First priority: exact table_id match (including pushed-together tables)
+            if (tableId && isReservationOnTable(reservation, tableId)) {
                 return true;
             }
             // Second priority: table_name match
@@ -151,9 +187,9 @@ function TableMap({ restaurantId }) {
             return false;
         });
 
-        // If we found specific matches, return the first one
+        // If we found specific matches, prefer the one covering the selected time
         if (potentialReservations.length > 0) {
-            return potentialReservations[0];
+            return potentialReservations.find(r => isReservationActiveAt(r, selectedTime)) || potentialReservations[0];
         }
 
         // For table_type matching, we need to be more careful
@@ -189,6 +225,7 @@ function TableMap({ restaurantId }) {
             return {
                 status: 'reserved',
                 time: reservation.reservation_time,
+                until: reservation.end_time,
                 guest: reservation.reservation_name,
                 guests: reservation.guests,
                 celebration: reservation.celebration_type !== 'none' ? reservation.celebration_type : null,
@@ -581,33 +618,39 @@ function TableMap({ restaurantId }) {
                         </div>
                     </div>
                     <div className="control-buttons">
-                        <button 
-                            className={`drag-mode-btn ${dragMode ? 'active' : ''}`}
-                            onClick={() => {
-                                setDragMode(!dragMode);
-                                setStatusMode(false);
-                            }}
-                            title={dragMode ? 'Exit drag mode' : 'Enable drag mode to rearrange tables'}
-                        >
-                            {dragMode ? '🔒 Lock Layout' : '🔄 Rearrange Tables'}
-                        </button>
-                        <button 
-                            className={`status-mode-btn ${statusMode ? 'active' : ''}`}
-                            onClick={() => {
-                                setStatusMode(!statusMode);
-                                setDragMode(false);
-                            }}
-                            title={statusMode ? 'Exit status mode' : 'Enable status mode to change table status'}
-                        >
-                            {statusMode ? '✅ Done' : '🎯 Manage Status'}
-                        </button>
-                        <button 
-                            className="cleanup-btn"
-                            onClick={handleCleanup}
-                            title="Clean up expired reservations and reset table status"
-                        >
-                            🧹 Cleanup
-                        </button>
+                        {canEditLayout && (
+                            <button 
+                                className={`drag-mode-btn ${dragMode ? 'active' : ''}`}
+                                onClick={() => {
+                                    setDragMode(!dragMode);
+                                    setStatusMode(false);
+                                }}
+                                title={dragMode ? 'Exit drag mode' : 'Enable drag mode to rearrange tables'}
+                            >
+                                {dragMode ? '🔒 Lock Layout' : '🔄 Rearrange Tables'}
+                            </button>
+                        )}
+                        {canChangeStatus && (
+                            <button 
+                                className={`status-mode-btn ${statusMode ? 'active' : ''}`}
+                                onClick={() => {
+                                    setStatusMode(!statusMode);
+                                    setDragMode(false);
+                                }}
+                                title={statusMode ? 'Exit status mode' : 'Enable status mode to change table status'}
+                            >
+                                {statusMode ? '✅ Done' : '🎯 Manage Status'}
+                            </button>
+                        )}
+                        {canChangeStatus && (
+                            <button 
+                                className="cleanup-btn"
+                                onClick={handleCleanup}
+                                title="Clean up expired reservations and reset table status"
+                            >
+                                🧹 Cleanup
+                            </button>
+                        )}
                     </div>
                 </div>
             </div>
@@ -790,6 +833,9 @@ function TableMap({ restaurantId }) {
                                     <h4>Reservation Details</h4>
                                     <p><strong>Guest:</strong> {selectedTableModal.tableStatus.guest}</p>
                                     <p><strong>Time:</strong> {formatTime(selectedTableModal.tableStatus.time)}</p>
+                                    {selectedTableModal.tableStatus.until && (
+                                        <p><strong>Until:</strong> {formatTime(selectedTableModal.tableStatus.until)}</p>
+                                    )}
                                     <p><strong>Guests:</strong> {selectedTableModal.tableStatus.guests}</p>
                                     {selectedTableModal.tableStatus.celebration && (
                                         <p><strong>Celebration:</strong> {selectedTableModal.tableStatus.celebration}</p>
@@ -798,17 +844,19 @@ function TableMap({ restaurantId }) {
                                 </div>
                             )}
                             
-                            <div className="modal-actions">
-                                <button 
-                                    className="rename-btn"
-                                    onClick={() => {
-                                        setSelectedTableModal(null);
-                                        handleTableNameEdit(selectedTableModal);
-                                    }}
-                                >
-                                    Rename Table
-                                </button>
-                            </div>
+                            {canEditLayout && (
+                                <div className="modal-actions">
+                                    <button 
+                                        className="rename-btn"
+                                        onClick={() => {
+                                            setSelectedTableModal(null);
+                                            handleTableNameEdit(selectedTableModal);
+                                        }}
+                                    >
+                                        Rename Table
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -0,0 +1,294 @@
+import { useState, useEffect, useCallback } from 'react';
+import '../styles/WaitlistPanel.css';
+
+const STATUS_LABELS = {
+    waiting: 'Waiting',
+    offered: 'Table held',
+    booked: 'Booked',
+    seated: 'Seated',
+    expired: 'Hold expired',
+    cancelled: 'Removed'
+};
+
+const EMPTY_WALK_IN = { guestName: '', guestPhone: '', partySize: 2, tableType: '' };
+
+// canManage: whether this staff role may add walk-ins and seat or remove guests
+function WaitlistPanel({ restaurantId, canManage = true }) {
+    const [entries, setEntries] = useState([]);
+    const [tableTypes, setTableTypes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [walkIn, setWalkIn] = useState(EMPTY_WALK_IN);
+    const [quote, setQuote] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+
+    const getAuthHeaders = () => {
+        const token = localStorage.getItem('accessToken');
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    };
+
+    const fetchWaitlist = useCallback(async () => {
+        try {
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/waitlist`, {
+                headers: getAuthHeaders()
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `Failed to fetch waitlist: ${response.status}`);
+            }
+
+            const data = await response.json();
+            setEntries(Array.isArray(data) ? data : []);
+        } catch (err) {
+            console.error('Error fetching waitlist:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [restaurantId]);
+
+    useEffect(() => {
+        if (!restaurantId) return;
+
+        fetchWaitlist();
+
+        fetch(`/api/restaurants/${restaurantId}/table-types`)
+            .then(response => (response.ok ? response.json() : []))
+            .then(data => setTableTypes(Array.isArray(data) ? data : []))
+            .catch(() => setTableTypes([]));
+
+        // Holds expire and cancellations promote guests while the panel is open
+        const interval = setInterval(fetchWaitlist, 60000);
+        return () => clearInterval(interval);
+    }, [restaurantId, fetchWaitlist]);
+
+    const handleWalkInChange = (e) => {
+        const { name, value } = e.target;
+        setWalkIn(prev => ({ ...prev, [name]: value }));
+        setQuote(null);
+    };
+
+    const handleQuote = async () => {
+        try {
+            setError(null);
+            const params = new URLSearchParams({ partySize: walkIn.partySize });
+            if (walkIn.tableType) params.append('tableType', walkIn.tableType);
+
+            const response = await fetch(`/api/restaurants/${restaurantId}/waitlist/quote?${params}`, {
+                headers: getAuthHeaders()
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to quote wait time');
+            }
+
+            setQuote(data.quotedWaitMinutes);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleAddWalkIn = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`/api/restaurants/${restaurantId}/waitlist/walk-in`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({
+                    guestName: walkIn.guestName,
+                    guestPhone: walkIn.guestPhone,
+                    partySize: parseInt(walkIn.partySize),
+                    tableType: walkIn.tableType || null
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to add walk-in');
+            }
+
+            setWalkIn(EMPTY_WALK_IN);
+            setQuote(null);
+            await fetchWaitlist();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const updateStatus = async (entryId, status) => {
+        try {
+            setError(null);
+            const response = await fetch(`/api/restaurants/${restaurantId}/waitlist/${entryId}/status`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ status })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to update waitlist entry');
+            }
+
+            await fetchWaitlist();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const formatTime = (timeString) => (timeString ? String(timeString).slice(0, 5) : '');
+
+    const waitedMinutes = (createdAt) => Math.max(0, Math.round((Date.now() - new Date(createdAt).getTime()) / 60000));
+
+    if (loading) {
+        return <div className="waitlist-loading">Loading waitlist...</div>;
+    }
+
+    const walkIns = entries.filter(entry => entry.is_walk_in);
+    const online = entries.filter(entry => !entry.is_walk_in);
+
+    const renderEntry = (entry) => (
+        <tr key={entry.waitlist_id} className={`waitlist-row ${entry.status}`}>
+            <td>{entry.position || '—'}</td>
+            <td>
+                <strong>{entry.guest_name}</strong>
+                <div className="waitlist-contact">{entry.guest_phone}</div>
+            </td>
+            <td>{entry.party_size}</td>
+            <td>{entry.is_walk_in ? `${waitedMinutes(entry.created_at)} min` : formatTime(entry.requested_time)}</td>
+            <td>
+                {entry.is_walk_in && entry.quoted_wait_minutes !== null ? `${entry.quoted_wait_minutes} min` : '—'}
+            </td>
+            <td>{entry.table_type || 'Any'}</td>
+            <td>
+                <span className={`waitlist-status ${entry.status}`}>{STATUS_LABELS[entry.status] || entry.status}</span>
+                {entry.status === 'offered' && entry.hold_expires_at && (
+                    <div className="waitlist-contact">
+                        until {new Date(entry.hold_expires_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </div>
+                )}
+            </td>
+            <td className="waitlist-actions">
+                {canManage && entry.status === 'waiting' && (
+                    <button className="waitlist-seat-btn" onClick={() => updateStatus(entry.waitlist_id, 'seated')}>
+                        Seat
+                    </button>
+                )}
+                {canManage && ['waiting', 'offered'].includes(entry.status) && (
+                    <button className="waitlist-remove-btn" onClick={() => updateStatus(entry.waitlist_id, 'cancelled')}>
+                        Remove
+                    </button>
+                )}
+            </td>
+        </tr>
+    );
+
+    const renderTable = (rows, emptyMessage, timeHeading) => (
+        rows.length === 0 ? (
+            <p className="waitlist-empty">{emptyMessage}</p>
+        ) : (
+            <table className="waitlist-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Guest</th>
+                        <th>Party</th>
+                        <th>{timeHeading}</th>
+                        <th>Quoted</th>
+                        <th>Table</th>
+                        <th>Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>{rows.map(renderEntry)}</tbody>
+            </table>
+        )
+    );
+
+    return (
+        <div className="waitlist-container">
+            <div className="waitlist-header">
+                <h3>📝 Today's Waitlist</h3>
+                <button className="waitlist-refresh-btn" onClick={fetchWaitlist}>Refresh</button>
+            </div>
+
+            {error && <div className="waitlist-error">Error: {error}</div>}
+
+            {canManage && (
+                <form className="walk-in-form" onSubmit={handleAddWalkIn}>
+                    <h4>Add walk-in</h4>
+                    <div className="walk-in-fields">
+                        <input
+                            type="text"
+                            name="guestName"
+                            placeholder="Guest name"
+                            value={walkIn.guestName}
+                            onChange={handleWalkInChange}
+                            required
+                        />
+                        <input
+                            type="tel"
+                            name="guestPhone"
+                            placeholder="Phone"
+                            value={walkIn.guestPhone}
+                            onChange={handleWalkInChange}
+                            required
+                        />
+                        <input
+                            type="number"
+                            name="partySize"
+                            min="1"
+                            value={walkIn.partySize}
+                            onChange={handleWalkInChange}
+                            required
+                        />
+                        <select name="tableType" value={walkIn.tableType} onChange={handleWalkInChange}>
+                            <option value="">Any table</option>
+                            {tableTypes.map(type => (
+                                <option key={type.table_type} value={type.table_type}>{type.table_type}</option>
+                            ))}
+                        </select>
+                        <button type="button" className="waitlist-quote-btn" onClick={handleQuote}>
+                            Quote wait
+                        </button>
+                        <button type="submit" className="waitlist-add-btn" disabled={submitting}>
+                            {submitting ? 'Adding...' : 'Add to waitlist'}
+                        </button>
+                    </div>
+                    {quote !== null && (
+                        <p className="walk-in-quote">
+                            Estimated wait: <strong>{quote === 0 ? 'a table is free now' : `about ${quote} minutes`}</strong>
+                        </p>
+                    )}
+                </form>
+            )}
+
+            <div className="waitlist-section">
+                <h4>Walk-ins ({walkIns.filter(entry => entry.status === 'waiting').length} waiting)</h4>
+                {renderTable(walkIns, 'No walk-ins waiting.', 'Waited')}
+            </div>
+
+            <div className="waitlist-section">
+                <h4>Online waitlist ({online.filter(entry => entry.status === 'waiting').length} waiting)</h4>
+                {renderTable(online, 'Nobody is on the online waitlist for today.', 'Wanted')}
+            </div>
+        </div>
+    );
+}
+
+export default WaitlistPanel;
@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Wait this long before reconnecting, doubling up to the maximum after each failed try
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * Subscribe to the restaurant's live update channel (/api/live) with the owner's access token.
+ * onEvent gets every message: { type, restaurant_id, sent_at, data }.
+ * Returns 'connecting', 'live' or 'offline' so the dashboard can show whether it is up to date.
+ */
+function useLiveUpdates(restaurantId, onEvent, enabled = true) {
+    const [status, setStatus] = useState('connecting');
+    const onEventRef = useRef(onEvent);
+
+    useEffect(() => {
+        onEventRef.current = onEvent;
+    }, [onEvent]);
+
+    useEffect(() => {
+        if (!enabled || !restaurantId || !localStorage.getItem('accessToken')) return;
+
+        let socket = null;
+        let reconnectTimer = null;
+        let delay = RECONNECT_DELAY_MS;
+        let stopped = false;
+
+        const connect = () => {
+            // Read on every try: the server closes the socket once the token it opened with expires
+            const token = localStorage.getItem('accessToken');
+            const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+            const params = new URLSearchParams({ restaurantId, token });
+            setStatus('connecting');
+            socket = new WebSocket(`${protocol}://${window.location.host}/api/live?${params}`);
+
+            socket.onopen = () => {
+                delay = RECONNECT_DELAY_MS;
+                setStatus('live');
+            };
+
+            socket.onmessage = (message) => {
+                try {
+                    onEventRef.current?.(JSON.parse(message.data));
+                } catch (err) {
+                    console.error('Live update error:', err);
+                }
+            };
+
+            // The server closes the socket on restart, when the token expires or is refused, and when access is removed; keep trying
+            socket.onclose = () => {
+                if (stopped) return;
+                setStatus('offline');
+                reconnectTimer = setTimeout(connect, delay);
+                delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+            };
+        };
+
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            socket?.close();
+        };
+    }, [restaurantId, enabled]);
+
+    return status;
+}
+
+export default useLiveUpdates;
@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * BOOKING POLICY TESTS
+ * Lofaki (restaurant 1) policy from sample_data.sql: 2 hours notice, bookable
+ * 400 days ahead, online parties up to 16, 4 hour cancellation deadline and a
+ * blackout date 45 days from today.
+ */
+
+const RESTAURANT_ID = 1;
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function bookingFor(date, guests = 2) {
+  return {
+    venueId: RESTAURANT_ID,
+    reservationName: 'Policy Guest',
+    reservationEmail: 'policy.guest@example.com',
+    reservationPhone: '+30 690 333 4455',
+    date,
+    time: '20:00',
+    guests,
+    tableType: 'standard'
+  };
+}
+
+test.describe('Booking Policy', () => {
+  test('should publish the booking policy without a login', async ({ request }) => {
+    const response = await request.get(`/api/restaurants/${RESTAURANT_ID}/booking-policy`);
+    expect(response.ok()).toBeTruthy();
+
+    const policy = await response.json();
+    expect(policy.max_days_ahead).toBe(400);
+    expect(policy.max_online_party_size).toBe(16);
+    expect(policy.blackout_dates).toContain(daysFromToday(45));
+  });
+
+  test('should require a login to change the booking policy', async ({ request }) => {
+    const response = await request.put(`/api/restaurants/${RESTAURANT_ID}/booking-policy`, {
+      data: { minNoticeMinutes: 0 }
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('should refuse bookings on a blackout date', async ({ request }) => {
+    const response = await request.post('/api/reservation', { data: bookingFor(daysFromToday(45)) });
+    expect(response.status()).toBe(422);
+    expect((await response.json()).code).toBe('DATE_UNAVAILABLE');
+  });
+
+  test('should refuse bookings beyond the advance window', async ({ request }) => {
+    const response = await request.post('/api/reservation', { data: bookingFor(daysFromToday(420)) });
+    expect(response.status()).toBe(422);
+    expect((await response.json()).code).toBe('TOO_FAR_AHEAD');
+  });
+
+  test('should send large parties to the phone', async ({ request }) => {
+    const response = await request.post('/api/reservation', { data: bookingFor(daysFromToday(90), 17) });
+    expect(response.status()).toBe(422);
+    expect((await response.json()).code).toBe('PARTY_TOO_LARGE_FOR_ONLINE');
+  });
+
+  test('should show the blackout notice on the booking form', async ({ page }) => {
+    await page.goto(`/reservation/${RESTAURANT_ID}`);
+    await page.fill('input[name="date"]', daysFromToday(45));
+    await expect(page.locator('.form-policy-note').first()).toContainText('not taking online bookings');
+    await expect(page.locator('.reservation-submit')).toBeDisabled();
+  });
+});
@@ -0,0 +1,40 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * TABLIO SETTINGS API TESTS
+ * Owners set Tablio's tone, switch chat features off and write their own
+ * greeting and confirmation. Only the greeting is public: the chat page shows it.
+ */
+
+const RESTAURANT_ID = 1;
+
+test.describe('Tablio Settings', () => {
+  test('should keep the settings behind dashboard auth', async ({ request }) => {
+    for (const url of [`/api/restaurants/${RESTAURANT_ID}/bot-settings`, `/api/dashboard/tablio/${RESTAURANT_ID}`]) {
+      const response = await request.get(url);
+      expect(response.status()).toBe(401);
+    }
+
+    const update = await request.put(`/api/restaurants/${RESTAURANT_ID}/bot-settings`, {
+      data: { responseStyle: 'concise', modules: { menu_inquiry: false } }
+    });
+    expect(update.status()).toBe(401);
+
+    const preview = await request.post(`/api/restaurants/${RESTAURANT_ID}/bot-settings/preview`, {
+      data: { message: 'What is on the menu?', sessionId: 'settings-test', settings: {} }
+    });
+    expect(preview.status()).toBe(401);
+  });
+
+  test('should give the chat page the restaurant greeting', async ({ request }) => {
+    const response = await request.get(`/api/restaurants/${RESTAURANT_ID}/info`);
+    expect(response.ok()).toBeTruthy();
+
+    const info = await response.json();
+    // null until the owner writes a greeting, and Tablio's own greeting is used
+    expect(info).toHaveProperty('chat_greeting');
+    if (info.chat_greeting !== null) {
+      expect(typeof info.chat_greeting).toBe('string');
+    }
+  });
+});
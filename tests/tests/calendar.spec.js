@@ -0,0 +1,74 @@
+const { test, expect } = require('@playwright/test');
+const { getRandomFutureDate } = require('../utils/test-helpers');
+
+/**
+ * CALENDAR TESTS
+ * A guest's booking as an .ics file and the owner's calendar feed. Both are
+ * opened with a token in the link, since calendar apps cannot log in.
+ */
+
+const RESTAURANT_ID = 1;
+
+test.describe('Calendar Files and Feeds', () => {
+  test('should download a booking as an .ics file with its manage token', async ({ request }) => {
+    const tableTypes = await (await request.get(`/api/restaurants/${RESTAURANT_ID}/table-types`)).json();
+    const date = getRandomFutureDate();
+
+    const response = await request.post('/api/reservation', {
+      data: {
+        venueId: RESTAURANT_ID,
+        reservationName: 'Calendar Guest',
+        reservationEmail: `calendar-${Date.now()}@example.com`,
+        reservationPhone: '+30 690 000 0098',
+        date,
+        time: '13:00',
+        guests: 2,
+        tableType: tableTypes[0].table_type
+      }
+    });
+    expect(response.status()).toBe(201);
+    const reservation = await response.json();
+
+    const icsUrl = `/api/reservation/${reservation.reservation_id}/calendar.ics`;
+    expect((await request.get(icsUrl)).status()).toBe(401);
+
+    const icsResponse = await request.get(`${icsUrl}?token=${reservation.manageToken}`);
+    expect(icsResponse.ok()).toBeTruthy();
+    expect(icsResponse.headers()['content-type']).toContain('text/calendar');
+
+    const ics = await icsResponse.text();
+    expect(ics).toContain('BEGIN:VCALENDAR');
+    expect(ics).toContain(`UID:reservation-${reservation.reservation_id}@tableturn`);
+    expect(ics).toContain(`DTSTART;TZID=Europe/Athens:${date.replace(/-/g, '')}T130000`);
+
+    await request.delete(`/api/reservation/${reservation.reservation_id}?token=${reservation.manageToken}`);
+  });
+
+  test('should not open the restaurant feed without a valid feed token', async ({ request }) => {
+    const feedUrl = `/api/restaurants/${RESTAURANT_ID}/calendar.ics`;
+    expect((await request.get(feedUrl)).status()).toBe(401);
+    expect((await request.get(`${feedUrl}?token=not-a-token`)).status()).toBe(403);
+
+    // The subscription link itself is only given to, and reset by, a logged-in owner
+    expect((await request.get(`/api/restaurants/${RESTAURANT_ID}/calendar-feed`)).status()).toBe(401);
+    expect((await request.post(`/api/restaurants/${RESTAURANT_ID}/calendar-feed/rotate`)).status()).toBe(401);
+  });
+
+  test('should stop the old feed link once the owner resets it', async ({ request }) => {
+    const email = process.env.TEST_USER_EMAIL;
+    const password = process.env.TEST_USER_PASSWORD;
+    test.skip(!email || !password, 'Set TEST_USER_EMAIL and TEST_USER_PASSWORD for an owner login');
+
+    const login = await (await request.post('/api/auth/login', { data: { email, password } })).json();
+    const headers = { Authorization: `Bearer ${login.accessToken}` };
+    const base = `/api/restaurants/${login.owner.restaurantId}/calendar-feed`;
+
+    const { url: oldUrl } = await (await request.get(base, { headers })).json();
+    expect((await request.get(oldUrl)).status()).toBe(200);
+
+    const { url: newUrl } = await (await request.post(`${base}/rotate`, { headers })).json();
+    expect(newUrl).not.toBe(oldUrl);
+    expect((await request.get(oldUrl)).status()).toBe(403);
+    expect((await request.get(newUrl)).status()).toBe(200);
+  });
+});
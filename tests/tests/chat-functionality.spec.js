@@ -289,4 +289,22 @@ test.describe('Chat with Tablio', () => {
       console.log('Chat history not persisted - this might be expected behavior');
     }
   });
-});
\ No newline at end of file
+
+  test('should stream progress events and the reply over SSE', async ({ request }) => {
+    const response = await request.post('/api/chat/stream', {
+      data: { message: 'What are your opening hours?', restaurantId: 1, sessionId: `stream-test-${Date.now()}` }
+    });
+    expect(response.ok()).toBeTruthy();
+    expect(response.headers()['content-type']).toContain('text/event-stream');
+
+    const body = await response.text();
+    expect(body).toContain('event: plan');
+    expect(body).toContain('event: agent');
+    expect(body).toContain('event: done');
+  });
+
+  test('should reject an empty message on the streaming route', async ({ request }) => {
+    const response = await request.post('/api/chat/stream', { data: { message: '' } });
+    expect(response.status()).toBe(400);
+  });
+});
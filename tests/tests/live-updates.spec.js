@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * LIVE UPDATE TESTS
+ * Dashboards open a WebSocket on /api/live for their restaurant. Only a valid
+ * owner token gets in, and a table status change reaches the open socket.
+ */
+
+// Open a socket from the page and report the first message, or how it closed
+const openLiveSocket = (page, query) => page.evaluate((query) => new Promise((resolve) => {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  const socket = new WebSocket(`${protocol}://${window.location.host}/api/live?${query}`);
+  const messages = [];
+  window.liveSocket = socket;
+  window.liveMessages = messages;
+  socket.onmessage = (event) => {
+    messages.push(JSON.parse(event.data));
+    resolve({ open: true, first: messages[0] });
+  };
+  socket.onclose = () => resolve({ open: false });
+}), query);
+
+test.describe('Live Updates', () => {
+  test('should refuse a socket without a valid token', async ({ page }) => {
+    await page.goto('/');
+
+    expect(await openLiveSocket(page, 'restaurantId=1')).toEqual({ open: false });
+    expect(await openLiveSocket(page, 'restaurantId=1&token=not-a-token')).toEqual({ open: false });
+  });
+
+  test('should push a table status change to the open dashboard', async ({ page, request }) => {
+    const email = process.env.TEST_USER_EMAIL;
+    const password = process.env.TEST_USER_PASSWORD;
+    test.skip(!email || !password, 'Set TEST_USER_EMAIL and TEST_USER_PASSWORD for an owner login');
+
+    const login = await (await request.post('/api/auth/login', { data: { email, password } })).json();
+    const restaurantId = login.owner.restaurantId;
+    const headers = { Authorization: `Bearer ${login.accessToken}` };
+
+    const tables = await (await request.get(`/api/restaurants/${restaurantId}/tables`, { headers })).json();
+    test.skip(tables.length === 0, 'The owner\'s restaurant has no tables');
+    const table = tables[0];
+
+    await page.goto('/');
+    const connected = await openLiveSocket(page, new URLSearchParams({ restaurantId, token: login.accessToken }).toString());
+    expect(connected.open).toBe(true);
+    expect(connected.first.type).toBe('connected');
+
+    // Setting the status it already has changes nothing but still announces it
+    const updated = await request.put(`/api/restaurants/${restaurantId}/tables/${table.table_id}/status`, {
+      headers,
+      data: { status: table.status || 'available' }
+    });
+    expect(updated.ok()).toBeTruthy();
+
+    await expect.poll(() => page.evaluate(() => window.liveMessages.map(message => message.type)))
+      .toContain('table.status_changed');
+    const change = await page.evaluate(() => window.liveMessages.find(message => message.type === 'table.status_changed'));
+    expect(change.restaurant_id).toBe(restaurantId);
+    expect(change.data.table_id).toBe(table.table_id);
+
+    await page.evaluate(() => window.liveSocket.close());
+  });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const { getRandomFutureDate } = require('../utils/test-helpers');
+const fs = require('fs');
+
+/**
+ * NOTIFICATION TESTS
+ * Books and cancels a table through the API and reads back what the backend
+ * "sent". Run the backend with EMAIL_TRANSPORT=file SMS_TRANSPORT=file and the
+ * same NOTIFICATIONS_FILE as this test, so messages are appended to that file.
+ */
+
+const RESTAURANT_ID = 1;
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE;
+
+function readNotifications(to) {
+  if (!fs.existsSync(NOTIFICATIONS_FILE)) return [];
+  return fs.readFileSync(NOTIFICATIONS_FILE, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(message => message.to === to);
+}
+
+test.describe('Reservation Notifications', () => {
+  test('should email the guest when a booking is made and when it is cancelled', async ({ request }) => {
+    test.skip(!NOTIFICATIONS_FILE, 'Set NOTIFICATIONS_FILE with the backend running EMAIL_TRANSPORT=file');
+
+    const tableTypes = await (await request.get(`/api/restaurants/${RESTAURANT_ID}/table-types`)).json();
+    const guestEmail = `notify-${Date.now()}@example.com`;
+
+    const response = await request.post('/api/reservation', {
+      data: {
+        venueId: RESTAURANT_ID,
+        reservationName: 'Notification Guest',
+        reservationEmail: guestEmail,
+        reservationPhone: '+30 690 000 0099',
+        date: getRandomFutureDate(),
+        time: '13:00',
+        guests: 2,
+        tableType: tableTypes[0].table_type
+      }
+    });
+    expect(response.status()).toBe(201);
+    const reservation = await response.json();
+
+    // Messages are sent by the queue worker, shortly after the booking
+    await expect.poll(() => readNotifications(guestEmail).some(message => /is booked$/.test(message.subject)), { timeout: 15000 })
+      .toBeTruthy();
+
+    const confirmation = readNotifications(guestEmail).find(message => /is booked$/.test(message.subject));
+    expect(confirmation.channel).toBe('email');
+    expect(confirmation.text).toContain(`#${reservation.reservation_id}`);
+    expect(confirmation.text).toContain(`/manage-reservation/${reservation.reservation_id}?token=`);
+
+    const cancelResponse = await request.delete(`/api/reservation/${reservation.reservation_id}?token=${reservation.manageToken}`);
+    expect(cancelResponse.ok()).toBeTruthy();
+
+    await expect.poll(() => readNotifications(guestEmail).some(message => /is cancelled/.test(message.subject)), { timeout: 15000 })
+      .toBeTruthy();
+  });
+});
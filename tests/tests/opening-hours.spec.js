@@ -0,0 +1,68 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * OPENING HOURS TESTS
+ * From sample_data.sql: Rhodes Castle View (restaurant 4) has split lunch and
+ * dinner service and is lunch-only 10 days from today; Mykonos Paradise
+ * (restaurant 2) is closed for a private event 30 days from today.
+ */
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function bookingFor(venueId, date, time) {
+  return {
+    venueId,
+    reservationName: 'Hours Guest',
+    reservationEmail: 'hours.guest@example.com',
+    reservationPhone: '+30 690 444 5566',
+    date,
+    time,
+    guests: 2,
+    tableType: 'standard'
+  };
+}
+
+test.describe('Opening Hours', () => {
+  test('should list several service periods for one weekday', async ({ request }) => {
+    const response = await request.get('/api/restaurants/4/opening-hours');
+    expect(response.ok()).toBeTruthy();
+
+    const hours = await response.json();
+    const monday = hours.weekly.filter(h => h.day_of_week === 'Monday');
+    expect(monday.map(h => h.service_name)).toEqual(['Lunch', 'Dinner']);
+  });
+
+  test('should apply special hours on their date', async ({ request }) => {
+    const lunchOnly = await (await request.get(`/api/restaurants/4/opening-hours/${daysFromToday(10)}`)).json();
+    expect(lunchOnly.is_special).toBe(true);
+    expect(lunchOnly.periods).toHaveLength(1);
+    expect(lunchOnly.periods[0].service_name).toBe('Lunch');
+
+    const closed = await (await request.get(`/api/restaurants/2/opening-hours/${daysFromToday(30)}`)).json();
+    expect(closed.is_closed).toBe(true);
+    expect(closed.note).toContain('private event');
+  });
+
+  test('should refuse bookings on a closed date', async ({ request }) => {
+    const response = await request.post('/api/reservation', { data: bookingFor(2, daysFromToday(30), '20:00') });
+    expect(response.status()).toBe(409);
+    expect((await response.json()).code).toBe('OUTSIDE_OPENING_HOURS');
+  });
+
+  test('should refuse bookings between lunch and dinner service', async ({ request }) => {
+    const response = await request.post('/api/reservation', { data: bookingFor(4, daysFromToday(20), '17:00') });
+    expect(response.status()).toBe(409);
+    expect((await response.json()).code).toBe('OUTSIDE_OPENING_HOURS');
+  });
+
+  test('should require a login to change special hours', async ({ request }) => {
+    const response = await request.put(`/api/restaurants/4/special-hours/${daysFromToday(12)}`, {
+      data: { isClosed: true }
+    });
+    expect(response.status()).toBe(401);
+  });
+});
@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * RECURRING RESERVATION TESTS
+ * From sample_data.sql: Lofaki Restaurant (restaurant 1) blacks out online
+ * bookings 45 days from today and asks a deposit for anniversary tables.
+ */
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function seriesFor(startDate, recurrence, overrides = {}) {
+  return {
+    venueId: 1,
+    reservationName: 'Series Guest',
+    reservationEmail: 'series.guest@example.com',
+    reservationPhone: '+30 690 555 6677',
+    startDate,
+    time: '13:00',
+    guests: 2,
+    tableType: 'standard',
+    recurrence,
+    ...overrides
+  };
+}
+
+test.describe('Recurring Reservations', () => {
+  test('should report conflicts per date in a preview', async ({ request }) => {
+    const response = await request.post('/api/reservation/series/preview', {
+      data: seriesFor(daysFromToday(44), 'FREQ=DAILY;COUNT=3', { time: '20:00' })
+    });
+    expect(response.ok()).toBeTruthy();
+
+    const preview = await response.json();
+    expect(preview.occurrences.map(o => o.date)).toEqual([daysFromToday(44), daysFromToday(45), daysFromToday(46)]);
+    expect(preview.conflicts).toHaveLength(1);
+    expect(preview.conflicts[0].date).toBe(daysFromToday(45));
+    expect(preview.conflicts[0].code).toBe('DATE_UNAVAILABLE');
+  });
+
+  test('should book, show and cancel a weekly series', async ({ request }) => {
+    const startDate = daysFromToday(200 + Math.floor(Math.random() * 100));
+    const response = await request.post('/api/reservation/series', {
+      data: seriesFor(startDate, 'FREQ=WEEKLY;COUNT=3')
+    });
+    expect(response.status()).toBe(201);
+
+    const created = await response.json();
+    expect(created.reservations).toHaveLength(3);
+    expect(created.reservations.every(r => r.manageToken)).toBeTruthy();
+    expect(created.seriesToken).toBeTruthy();
+
+    const seriesUrl = `/api/reservation/series/${created.series.series_id}`;
+    expect((await request.get(seriesUrl)).status()).toBe(401);
+
+    const series = await (await request.get(`${seriesUrl}?token=${created.seriesToken}`)).json();
+    expect(series.occurrences).toHaveLength(3);
+
+    const cancelResponse = await request.delete(`${seriesUrl}?token=${created.seriesToken}`);
+    expect(cancelResponse.ok()).toBeTruthy();
+    expect((await cancelResponse.json()).cancelled).toHaveLength(3);
+  });
+
+  test('should not book dates that need a deposit', async ({ request }) => {
+    const response = await request.post('/api/reservation/series', {
+      data: seriesFor(daysFromToday(220), 'FREQ=DAILY;COUNT=2', { tableType: 'anniversary' })
+    });
+    expect(response.status()).toBe(409);
+
+    const body = await response.json();
+    expect(body.code).toBe('SERIES_UNAVAILABLE');
+    expect(body.conflicts.every(c => c.code === 'DEPOSIT_REQUIRED')).toBeTruthy();
+  });
+
+  test('should reject an invalid recurrence pattern', async ({ request }) => {
+    const response = await request.post('/api/reservation/series/preview', {
+      data: seriesFor(daysFromToday(200), 'FREQ=MONTHLY')
+    });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).code).toBe('INVALID_RECURRENCE');
+  });
+});
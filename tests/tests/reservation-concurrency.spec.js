@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const { getRandomFutureDate } = require('../utils/test-helpers');
+
+/**
+ * RESERVATION CONCURRENCY TESTS
+ * Fires parallel bookings for the same slot against the backend and its local
+ * Postgres database. Two guests must never end up on the same table.
+ */
+
+const RESTAURANT_ID = 1;
+const PARALLEL_BOOKINGS = 8;
+
+test.describe('Reservation Concurrency', () => {
+  test('should never double-book a table under parallel requests', async ({ request }) => {
+    const tableTypesResponse = await request.get(`/api/restaurants/${RESTAURANT_ID}/table-types`);
+    expect(tableTypesResponse.ok()).toBeTruthy();
+    const tableTypes = await tableTypesResponse.json();
+    expect(tableTypes.length).toBeGreaterThan(0);
+
+    const tableType = tableTypes[0].table_type;
+    const date = getRandomFutureDate();
+
+    const responses = await Promise.all(
+      Array.from({ length: PARALLEL_BOOKINGS }, (_, i) =>
+        request.post('/api/reservation', {
+          data: {
+            venueId: RESTAURANT_ID,
+            reservationName: `Concurrent Guest ${i + 1}`,
+            reservationEmail: `concurrent${i + 1}@example.com`,
+            reservationPhone: `+30 690 000 00${String(i).padStart(2, '0')}`,
+            date,
+            time: '13:00',
+            guests: 2,
+            tableType
+          }
+        })
+      )
+    );
+
+    const statuses = responses.map(r => r.status());
+    const created = [];
+    for (const response of responses) {
+      if (response.status() === 201) {
+        created.push(await response.json());
+      }
+    }
+
+    // Every request either books a table or is cleanly rejected - no server errors
+    for (const status of statuses) {
+      expect([201, 409]).toContain(status);
+    }
+
+    // At least one booking wins, and no table is handed out twice
+    expect(created.length).toBeGreaterThan(0);
+    const tableIds = created.map(r => r.table_id);
+    expect(tableIds.every(id => id !== null)).toBeTruthy();
+    expect(new Set(tableIds).size).toBe(tableIds.length);
+
+    // Clean up so the slot doesn't pollute other tests
+    await Promise.all(
+      created.map(r => request.delete(`/api/reservation/${r.reservation_id}?token=${encodeURIComponent(r.manageToken)}`))
+    );
+  });
+});
@@ -168,4 +168,84 @@ test.describe('Reservation Flow', () => {
     await expect(submitButton).toBeVisible();
     await expect(submitButton).toBeEnabled();
   });
+
+  test('should reject reservation management without a manage token', async ({ request }) => {
+    const getResponse = await request.get('/api/reservation/1');
+    expect(getResponse.status()).toBe(401);
+
+    const patchResponse = await request.patch('/api/reservation/1?token=not-a-real-token', {
+      data: { time: '21:00' }
+    });
+    expect(patchResponse.status()).toBe(403);
+
+    const deleteResponse = await request.delete('/api/reservation/1');
+    expect(deleteResponse.status()).toBe(401);
+  });
+
+  test('should store a start and end time on new reservations', async ({ request }) => {
+    const tableTypesResponse = await request.get('/api/restaurants/1/table-types');
+    const tableTypes = await tableTypesResponse.json();
+
+    const date = new Date();
+    date.setDate(date.getDate() + 60 + Math.floor(Math.random() * 300));
+
+    const response = await request.post('/api/reservation', {
+      data: {
+        venueId: 1,
+        reservationName: 'Interval Guest',
+        reservationEmail: 'interval.guest@example.com',
+        reservationPhone: '+30 690 111 2222',
+        date: date.toISOString().split('T')[0],
+        time: '20:00',
+        guests: 2,
+        tableType: tableTypes[0].table_type
+      }
+    });
+    expect(response.status()).toBe(201);
+
+    const reservation = await response.json();
+    expect(reservation.start_at).toBeTruthy();
+    expect(new Date(reservation.end_at).getTime()).toBeGreaterThan(new Date(reservation.start_at).getTime());
+
+    await request.delete(`/api/reservation/${reservation.reservation_id}?token=${encodeURIComponent(reservation.manageToken)}`);
+  });
+
+  test('should push adjacent tables together for a party larger than any single table', async ({ request }) => {
+    // Lofaki's largest standard table seats 8; A2 (4) and A3 (6) sit next to each other
+    const capacitiesResponse = await request.get('/api/restaurants/1/table-capacities');
+    const capacities = await capacitiesResponse.json();
+    const standard = capacities.find(c => c.table_type === 'standard');
+    expect(standard.max_capacity).toBeGreaterThan(8);
+
+    const date = new Date();
+    date.setDate(date.getDate() + 60 + Math.floor(Math.random() * 300));
+
+    const response = await request.post('/api/reservation', {
+      data: {
+        venueId: 1,
+        reservationName: 'Large Party Guest',
+        reservationEmail: 'large.party@example.com',
+        reservationPhone: '+30 690 333 4444',
+        date: date.toISOString().split('T')[0],
+        time: '19:00',
+        guests: 10,
+        tableType: 'standard'
+      }
+    });
+    expect(response.status()).toBe(201);
+
+    const reservation = await response.json();
+    expect(reservation.table_id).not.toBeNull();
+    expect(reservation.combined_table_ids.length).toBeGreaterThan(0);
+    expect(reservation.combined_table_ids).not.toContain(reservation.table_id);
+
+    await request.delete(`/api/reservation/${reservation.reservation_id}?token=${encodeURIComponent(reservation.manageToken)}`);
+  });
+
+  test('should show an error on the manage page when the link has no token', async ({ page }) => {
+    await page.goto('/manage-reservation/1');
+
+    await expect(page.locator('.confirmation-content h1')).toContainText('Reservation Not Available');
+    await expect(page.locator('text=missing its manage token')).toBeVisible();
+  });
 });
\ No newline at end of file
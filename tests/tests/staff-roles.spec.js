@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * STAFF AND ROLE TESTS
+ * Owners invite managers, hosts and accountants by email. Staff routes need the
+ * owner role; invitation links only work with a valid, pending invitation.
+ */
+
+const RESTAURANT_ID = 1;
+
+test.describe('Staff Roles', () => {
+  test('should keep staff management behind dashboard auth', async ({ request }) => {
+    const base = `/api/restaurants/${RESTAURANT_ID}/staff`;
+
+    expect((await request.get(base)).status()).toBe(401);
+    expect((await request.post(`${base}/invitations`, {
+      data: { email: 'host@example.com', role: 'host' }
+    })).status()).toBe(401);
+    expect((await request.delete(`${base}/invitations/1`)).status()).toBe(401);
+    expect((await request.put(`${base}/1`, { data: { role: 'manager' } })).status()).toBe(401);
+    expect((await request.delete(`${base}/1`)).status()).toBe(401);
+  });
+
+  test('should refuse an unknown invitation link', async ({ request }) => {
+    expect((await request.get('/api/auth/invitation?token=not-a-token')).status()).toBe(404);
+    expect((await request.post('/api/auth/invitation/accept', {
+      data: { token: 'not-a-token', password: 'secret123' }
+    })).status()).toBe(404);
+  });
+
+  test('should show the accept page for a bad link', async ({ page }) => {
+    await page.goto('/accept-invitation?token=not-a-token');
+    await expect(page.getByRole('heading', { name: 'Invitation Not Found' })).toBeVisible();
+  });
+
+  test('should let an owner invite and revoke a host', async ({ request }) => {
+    const email = process.env.TEST_USER_EMAIL;
+    const password = process.env.TEST_USER_PASSWORD;
+    test.skip(!email || !password, 'Set TEST_USER_EMAIL and TEST_USER_PASSWORD for an owner login');
+
+    const login = await (await request.post('/api/auth/login', { data: { email, password } })).json();
+    const headers = { Authorization: `Bearer ${login.accessToken}` };
+    const base = `/api/restaurants/${login.owner.restaurantId}/staff`;
+
+    const userInfo = await (await request.get(`/api/dashboard/user-info?restaurantId=${login.owner.restaurantId}`, { headers })).json();
+    test.skip(userInfo.role !== 'owner', 'The test login is not an owner of its restaurant');
+
+    const staff = await (await request.get(base, { headers })).json();
+    expect(Object.keys(staff.roles)).toEqual(['owner', 'manager', 'host', 'accountant']);
+    expect(staff.members.some(member => member.role === 'owner')).toBeTruthy();
+
+    const invalid = await request.post(`${base}/invitations`, { headers, data: { email: 'new.host@example.com', role: 'chef' } });
+    expect(invalid.status()).toBe(400);
+
+    const invited = await request.post(`${base}/invitations`, {
+      headers,
+      data: { email: `host.${Date.now()}@example.com`, role: 'host' }
+    });
+    expect(invited.status()).toBe(201);
+    const body = await invited.json();
+    expect(body.invitation.role).toBe('host');
+    // Only the invitee's mailbox gets the link
+    expect(body.link).toBeUndefined();
+
+    const pending = await (await request.get(base, { headers })).json();
+    expect(pending.invitations.some(item => item.invitation_id === body.invitation.invitation_id)).toBeTruthy();
+
+    const revoked = await request.delete(`${base}/invitations/${body.invitation.invitation_id}`, { headers });
+    expect(revoked.ok()).toBeTruthy();
+    const after = await (await request.get(base, { headers })).json();
+    expect(after.invitations.some(item => item.invitation_id === body.invitation.invitation_id)).toBeFalsy();
+  });
+});
@@ -0,0 +1,92 @@
+const { test, expect } = require('@playwright/test');
+const { getRandomFutureDate } = require('../utils/test-helpers');
+
+/**
+ * TURN TIME TESTS
+ * A booking holds its table from start_at to end_at, where the stay comes from
+ * the restaurant's turn_time_rules (party size, table type, lunch or dinner).
+ * Uses the Lofaki sample rules: 1-2 guests 90 min, 3-7 120, 8+ 150, lunch for
+ * up to 4 guests 75. Needs a real database loaded with sample_data.sql.
+ */
+
+const RESTAURANT_ID = 1;
+// B1, B2 and B3 in the sample data
+const GRASS_TABLES = 3;
+
+function bookingFor(date, time, guests, tableType) {
+  return {
+    venueId: RESTAURANT_ID,
+    reservationName: 'Turn Time Guest',
+    reservationEmail: 'turn.time.guest@example.com',
+    reservationPhone: '+30 690 333 4444',
+    date,
+    time,
+    guests,
+    tableType
+  };
+}
+
+const stayMinutes = (reservation) => (new Date(reservation.end_at) - new Date(reservation.start_at)) / 60000;
+
+test.describe('Turn Times', () => {
+  let booked;
+
+  test.beforeEach(() => {
+    booked = [];
+  });
+
+  test.afterEach(async ({ request }) => {
+    for (const reservation of booked) {
+      await request.delete(`/api/reservation/${reservation.reservation_id}?token=${encodeURIComponent(reservation.manageToken)}`);
+    }
+  });
+
+  async function book(request, data) {
+    const response = await request.post('/api/reservation', { data });
+    if (response.status() === 201) {
+      booked.push(await response.json());
+      return { status: 201, reservation: booked[booked.length - 1] };
+    }
+    return { status: response.status(), reservation: null };
+  }
+
+  test('should size the stay by party size at dinner', async ({ request }) => {
+    const date = getRandomFutureDate();
+
+    for (const [guests, minutes] of [[2, 90], [5, 120], [8, 150]]) {
+      const { status, reservation } = await book(request, bookingFor(date, '20:00', guests, 'standard'));
+      expect(status).toBe(201);
+      expect(stayMinutes(reservation)).toBe(minutes);
+    }
+  });
+
+  test('should use the lunch rule before 17:00 and only for the parties it covers', async ({ request }) => {
+    const date = getRandomFutureDate();
+
+    const couple = await book(request, bookingFor(date, '13:00', 2, 'standard'));
+    expect(couple.status).toBe(201);
+    expect(stayMinutes(couple.reservation)).toBe(75);
+
+    const six = await book(request, bookingFor(date, '13:00', 6, 'standard'));
+    expect(six.status).toBe(201);
+    expect(stayMinutes(six.reservation)).toBe(120);
+  });
+
+  test('should allow back-to-back bookings but not overlapping ones', async ({ request }) => {
+    const date = getRandomFutureDate();
+
+    // Fill every grass table from 20:00 to 21:30
+    for (let i = 0; i < GRASS_TABLES; i++) {
+      expect((await book(request, bookingFor(date, '20:00', 2, 'grass'))).status).toBe(201);
+    }
+
+    // 21:00 still overlaps every stay; 21:30 starts as they end
+    expect((await book(request, bookingFor(date, '21:00', 2, 'grass'))).status).toBe(409);
+    const next = await book(request, bookingFor(date, '21:30', 2, 'grass'));
+    expect(next.status).toBe(201);
+
+    // An earlier party of 2 would run into the 20:00 bookings
+    expect((await book(request, bookingFor(date, '18:45', 2, 'grass'))).status).toBe(409);
+    expect((await book(request, bookingFor(date, '18:30', 2, 'grass'))).status).toBe(201);
+  });
+});
@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+const { getRandomFutureDate } = require('../utils/test-helpers');
+
+/**
+ * WAITLIST API TESTS
+ * Guests join the waitlist for a full slot and can check or leave it with the
+ * signed token they get back. Staff endpoints stay behind dashboard auth.
+ */
+
+const RESTAURANT_ID = 1;
+
+test.describe('Waitlist', () => {
+  test('should let a guest join, check and leave the waitlist with their token', async ({ request }) => {
+    const joinResponse = await request.post(`/api/restaurants/${RESTAURANT_ID}/waitlist`, {
+      data: {
+        guestName: 'Waitlist Guest',
+        guestEmail: 'waitlist.guest@example.com',
+        guestPhone: '+30 690 111 2233',
+        partySize: 2,
+        date: getRandomFutureDate(),
+        time: '20:00'
+      }
+    });
+    expect(joinResponse.status()).toBe(201);
+
+    const entry = await joinResponse.json();
+    expect(entry.status).toBe('waiting');
+    expect(entry.position).toBeGreaterThan(0);
+    expect(entry.waitlistToken).toBeTruthy();
+
+    const entryUrl = `/api/restaurants/${RESTAURANT_ID}/waitlist/${entry.waitlist_id}`;
+
+    const withoutToken = await request.get(entryUrl);
+    expect(withoutToken.status()).toBe(401);
+
+    const statusResponse = await request.get(`${entryUrl}?token=${encodeURIComponent(entry.waitlistToken)}`);
+    expect(statusResponse.ok()).toBeTruthy();
+    expect((await statusResponse.json()).waitlist_id).toBe(entry.waitlist_id);
+
+    const leaveResponse = await request.delete(`${entryUrl}?token=${encodeURIComponent(entry.waitlistToken)}`);
+    expect(leaveResponse.ok()).toBeTruthy();
+    expect((await leaveResponse.json()).entry.status).toBe('cancelled');
+  });
+
+  test('should require an email for online waitlist entries', async ({ request }) => {
+    const response = await request.post(`/api/restaurants/${RESTAURANT_ID}/waitlist`, {
+      data: {
+        guestName: 'No Email Guest',
+        guestPhone: '+30 690 111 2244',
+        partySize: 2,
+        date: getRandomFutureDate(),
+        time: '20:00'
+      }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('should keep the staff waitlist and walk-in routes behind authentication', async ({ request }) => {
+    const listResponse = await request.get(`/api/restaurants/${RESTAURANT_ID}/waitlist`);
+    expect(listResponse.status()).toBe(401);
+
+    const walkInResponse = await request.post(`/api/restaurants/${RESTAURANT_ID}/waitlist/walk-in`, {
+      data: { guestName: 'Walk In', guestPhone: '+30 690 111 2255', partySize: 2 }
+    });
+    expect(walkInResponse.status()).toBe(401);
+  });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+
+/**
+ * WEBHOOK API TESTS
+ * Owners register URLs that receive signed booking events. Managing them needs
+ * a dashboard login; "Send test event" reports how the receiver answered.
+ */
+
+const RESTAURANT_ID = 1;
+
+test.describe('Outbound Webhooks', () => {
+  test('should keep webhooks behind dashboard auth', async ({ request }) => {
+    const base = `/api/restaurants/${RESTAURANT_ID}/webhooks`;
+
+    expect((await request.get(base)).status()).toBe(401);
+    expect((await request.get(`${base}/deliveries`)).status()).toBe(401);
+    expect((await request.post(base, {
+      data: { url: 'https://example.com/hooks', events: ['reservation.created'] }
+    })).status()).toBe(401);
+    expect((await request.post(`${base}/1/test`)).status()).toBe(401);
+    expect((await request.delete(`${base}/1`)).status()).toBe(401);
+  });
+
+  test('should record a failed test delivery for an unreachable receiver', async ({ request }) => {
+    const email = process.env.TEST_USER_EMAIL;
+    const password = process.env.TEST_USER_PASSWORD;
+    test.skip(!email || !password, 'Set TEST_USER_EMAIL and TEST_USER_PASSWORD for an owner login');
+
+    const login = await (await request.post('/api/auth/login', { data: { email, password } })).json();
+    const headers = { Authorization: `Bearer ${login.accessToken}` };
+    const base = `/api/restaurants/${login.owner.restaurantId}/webhooks`;
+
+    const invalid = await request.post(base, { headers, data: { url: 'not a url', events: ['reservation.created'] } });
+    expect(invalid.status()).toBe(400);
+
+    // Receivers on the server itself, the private network or the metadata endpoint are refused
+    for (const url of ['http://127.0.0.1:9/hooks', 'http://localhost/hooks', 'http://169.254.169.254/latest/meta-data']) {
+      const refused = await request.post(base, { headers, data: { url, events: ['reservation.created'] } });
+      expect(refused.status()).toBe(400);
+    }
+
+    const created = await request.post(base, {
+      headers,
+      data: { url: 'https://example.com/tableturn-hooks', events: ['reservation.created', 'table.status_changed'] }
+    });
+    expect(created.status()).toBe(201);
+    const subscription = await created.json();
+    expect(subscription.secret).toMatch(/^whsec_/);
+
+    // Only the receiver's status code is logged, never what it answered
+    const delivery = await (await request.post(`${base}/${subscription.subscription_id}/test`, { headers })).json();
+    expect(delivery.event_type).toBe('webhook.test');
+    expect(['delivered', 'failed']).toContain(delivery.status);
+    expect(delivery.response_body).toBeUndefined();
+
+    const log = await (await request.get(`${base}/deliveries?subscriptionId=${subscription.subscription_id}`, { headers })).json();
+    expect(log[0].delivery_id).toBe(delivery.delivery_id);
+
+    expect((await request.delete(`${base}/${subscription.subscription_id}`, { headers })).ok()).toBeTruthy();
+  });
+});
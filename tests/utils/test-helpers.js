@@ -94,6 +94,17 @@ function getNextWeekDate() {
   return nextWeek.toISOString().split('T')[0];
 }
 
+/**
+ * Get a random date 60 to 360 days ahead in YYYY-MM-DD format, so repeated
+ * runs (and browser projects) don't book the same slot
+ * @returns {string}
+ */
+function getRandomFutureDate() {
+  const date = new Date();
+  date.setDate(date.getDate() + 60 + Math.floor(Math.random() * 300));
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * Wait for element to be stable (not moving/changing)
  * @param {import('@playwright/test').Locator} locator 
@@ -229,6 +240,7 @@ module.exports = {
   fillReservationForm,
   getTomorrowDate,
   getNextWeekDate,
+  getRandomFutureDate,
   waitForStable,
   sendChatMessage,
   goToReservationPage,